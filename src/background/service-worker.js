@@ -7,6 +7,13 @@
  * - Communication between tabs and KripTik
  */
 
+// Shared with the popup and content scripts; defines globalThis.PlatformCatalog
+import '../utils/platform-catalog.js';
+// Selector pack fetching and signature checks; defines globalThis.SelectorPack
+import '../utils/selector-pack.js';
+// Live recording and capture checkpoints for CaptureDB; defines globalThis.CaptureStore
+import '../utils/capture-store.js';
+
 // ============================================================================
 // State Management
 // ============================================================================
@@ -59,6 +66,35 @@ const messageHandlers = {
     return { success: true };
   },
 
+  // -------------------------------------------------------------------------
+  // Fix My App - Live Recording and Capture Checkpoints (CaptureDB)
+  // -------------------------------------------------------------------------
+
+  GET_RECORDED_MESSAGES: async (message, sender) => {
+    const messages = await CaptureStore.getMessages(CaptureStore.scope(sender, message.projectKey));
+    return { messages };
+  },
+
+  MERGE_RECORDED_MESSAGES: async (message, sender) => {
+    await CaptureStore.mergeMessages(CaptureStore.scope(sender, message.projectKey), message.records || []);
+    return { success: true };
+  },
+
+  GET_CAPTURE_CHECKPOINT: async (message, sender) => {
+    const checkpoint = await CaptureStore.getCheckpoint(CaptureStore.scope(sender, message.projectKey));
+    return { checkpoint };
+  },
+
+  SAVE_CAPTURE_CHECKPOINT: async (message, sender) => {
+    await CaptureStore.saveCheckpoint(CaptureStore.scope(sender, message.checkpoint.projectKey), message.checkpoint);
+    return { success: true };
+  },
+
+  CLEAR_CAPTURE_CHECKPOINT: async (message, sender) => {
+    await CaptureStore.clearCheckpoint(CaptureStore.scope(sender, message.projectKey));
+    return { success: true };
+  },
+
   // -------------------------------------------------------------------------
   // Screenshot Capture (for credential extraction)
   // -------------------------------------------------------------------------
@@ -86,6 +122,11 @@ const messageHandlers = {
   START_CREDENTIAL_CAPTURE: async (message) => {
     const { platformUrl, requiredCredentials, sessionToken, apiEndpoint, originTabId } = message;
 
+    const platform = PlatformCatalog.lookup(platformUrl, 'credentials');
+    if (!platform) {
+      console.warn('[Service Worker] Credential capture script is not injected on', platformUrl);
+    }
+
     try {
       // Open new tab to the credential platform
       const tab = await chrome.tabs.create({
@@ -95,6 +136,7 @@ const messageHandlers = {
 
       // Store session config for this tab
       credentialCaptureSessions.set(tab.id, {
+        platformId: platform?.id || null,
         requiredCredentials,
         sessionToken,
         apiEndpoint,
@@ -269,6 +311,14 @@ const messageHandlers = {
     };
   },
 
+  // -------------------------------------------------------------------------
+  // Selector Packs (remotely updatable platform selectors)
+  // -------------------------------------------------------------------------
+
+  REFRESH_SELECTOR_PACKS: async (message) => {
+    return await refreshSelectorPacks({ force: !!message.force });
+  },
+
   // -------------------------------------------------------------------------
   // Tab Management
   // -------------------------------------------------------------------------
@@ -278,6 +328,22 @@ const messageHandlers = {
     return { tabId: sender.tab?.id || null };
   },
 
+  PREVIEW_FRAME_EVENTS: async (message, sender) => {
+    // Console and request records from a preview iframe (preview-relay.js) go
+    // to the capture scripts in the same tab's top frame
+    if (!sender.tab?.id || !sender.frameId) {
+      return { forwarded: false };
+    }
+
+    try {
+      await chrome.tabs.sendMessage(sender.tab.id, message, { frameId: 0 });
+      return { forwarded: true };
+    } catch (error) {
+      // Top frame is not a capture platform
+      return { forwarded: false };
+    }
+  },
+
   // -------------------------------------------------------------------------
   // Vision Capture (Server-side Gemini 3 Flash + Playwright)
   // -------------------------------------------------------------------------
@@ -471,6 +537,303 @@ const messageHandlers = {
   }
 };
 
+// ============================================================================
+// Selector Packs
+// ============================================================================
+
+const SELECTOR_PACK_ALARM = 'kriptik-selector-pack-refresh';
+
+/**
+ * Fetch, verify and cache the latest selector pack (see src/utils/selector-pack.js)
+ */
+async function refreshSelectorPacks({ force = false } = {}) {
+  return await SelectorPack.refresh({ force });
+}
+
+/**
+ * Check for a new selector pack every SelectorPack.refreshInterval while the browser runs
+ * The alarm is created once and kept; re-created only if the browser dropped it
+ */
+async function scheduleSelectorPackRefresh() {
+  const existing = await chrome.alarms.get(SELECTOR_PACK_ALARM);
+  if (!existing) {
+    const periodInMinutes = SelectorPack.refreshInterval / 60000;
+    chrome.alarms.create(SELECTOR_PACK_ALARM, { delayInMinutes: periodInMinutes, periodInMinutes });
+  }
+}
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === SELECTOR_PACK_ALARM) {
+    refreshSelectorPacks();
+  }
+});
+
+// A new or removed signing key changes which packs are trusted
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === 'sync' && changes.selectorPackKeys) {
+    refreshSelectorPacks({ force: true });
+  }
+});
+
+// ============================================================================
+// Custom Platforms
+// ============================================================================
+
+const CUSTOM_PLATFORMS_SCRIPT_ID = 'kriptik-custom-platforms';
+
+let scriptRegistrationQueue = Promise.resolve();
+
+/**
+ * Run a content script registration sync after the ones already queued
+ * Each sync unregisters and re-registers its scripts; storage and permission events can
+ * fire back to back, and interleaved runs fail with "Duplicate script ID" or leave stale
+ * matches registered
+ * @param {Function} sync - Async function doing the (un)registration
+ * @returns {Promise} Its result
+ */
+function queueScriptRegistration(sync) {
+  const run = scriptRegistrationQueue.then(sync);
+  scriptRegistrationQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Register the capture content scripts on hosts of user-defined platforms
+ * (the page hooks follow in syncSessionHookRegistration while a session is active)
+ *
+ * The popup stores { config, matches } entries in chrome.storage.local under
+ * `customPlatforms` after the user grants the optional host permissions. Only
+ * granted origins not already covered by the manifest are registered, so the
+ * capture scripts never load twice on the same page.
+ */
+function syncCustomPlatformScripts() {
+  return queueScriptRegistration(registerCustomPlatformScripts);
+}
+
+async function registerCustomPlatformScripts() {
+  try {
+    const captureScripts = chrome.runtime.getManifest().content_scripts[0];
+    const matches = await getCustomPlatformMatches();
+
+    const ids = [CUSTOM_PLATFORMS_SCRIPT_ID];
+    const existing = await chrome.scripting.getRegisteredContentScripts({ ids });
+    if (existing.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: existing.map(script => script.id) });
+    }
+
+    if (matches.length === 0) {
+      return { success: true, matches };
+    }
+
+    await chrome.scripting.registerContentScripts([{
+      id: CUSTOM_PLATFORMS_SCRIPT_ID,
+      matches,
+      js: captureScripts.js,
+      css: captureScripts.css,
+      runAt: 'document_end'
+    }]);
+
+    console.log(`[Service Worker] Capture scripts registered for ${matches.length} custom platform origin(s)`);
+    return { success: true, matches };
+  } catch (error) {
+    console.error('[Service Worker] Custom platform script sync error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Origins of user-defined platforms whose host permission was granted
+ * @returns {Promise<Array<string>>} Match patterns not already in the manifest
+ */
+async function getCustomPlatformMatches() {
+  const { customPlatforms } = await chrome.storage.local.get('customPlatforms');
+  const manifest = chrome.runtime.getManifest();
+  const staticMatches = new Set(manifest.content_scripts.flatMap(cs => cs.matches));
+
+  const requested = [...new Set((customPlatforms || []).flatMap(entry => entry.matches || []))]
+    .filter(match => !staticMatches.has(match));
+
+  const matches = [];
+  for (const match of requested) {
+    if (await chrome.permissions.contains({ origins: [match] })) {
+      matches.push(match);
+    }
+  }
+  return matches;
+}
+
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === 'local' && changes.customPlatforms) {
+    syncCustomPlatformScripts();
+    syncSessionHookRegistration();
+  }
+});
+
+chrome.permissions.onAdded.addListener(() => {
+  syncCustomPlatformScripts();
+  syncSessionHookRegistration();
+});
+chrome.permissions.onRemoved.addListener(() => {
+  syncCustomPlatformScripts();
+  syncSessionHookRegistration();
+});
+
+// ============================================================================
+// Session Page Hooks
+// ============================================================================
+
+const SESSION_HOOK_SCRIPT_IDS = {
+  hooks: 'kriptik-session-hooks',
+  channels: 'kriptik-session-channels',
+  previewHooks: 'kriptik-preview-hooks',
+  previewChannels: 'kriptik-preview-channels',
+  previewRelay: 'kriptik-preview-relay'
+};
+const SESSION_MAX_AGE = 24 * 60 * 60 * 1000; // Same expiry content.js applies
+const SESSION_EXPIRY_ALARM = 'kriptik-session-expiry';
+
+/**
+ * Register the console and request hooks while a Fix My App session is active
+ *
+ * console-hook.js and request-hook.js wrap the page's console, fetch and XHR in the
+ * MAIN world at document_start, so they only run while there is a session to capture
+ * for. page-channels.js is registered right after them, in the isolated world, and
+ * connects each hook to the extension over a MessagePort before any page script runs;
+ * registration order is what keeps that handshake private. Preview frames get the
+ * same pair in every frame, plus preview-relay.js to forward their records. An alarm
+ * at the session's expiry runs the sync again, so the hooks are removed on time even
+ * if nothing else changes.
+ */
+function syncSessionHookRegistration() {
+  return queueScriptRegistration(registerSessionHooks);
+}
+
+async function registerSessionHooks() {
+  try {
+    const { fixMyAppSession } = await chrome.storage.local.get('fixMyAppSession');
+    const active = !!fixMyAppSession?.active && Date.now() - fixMyAppSession.startedAt < SESSION_MAX_AGE;
+
+    const ids = Object.values(SESSION_HOOK_SCRIPT_IDS);
+    const existing = await chrome.scripting.getRegisteredContentScripts({ ids });
+    if (existing.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: existing.map(script => script.id) });
+    }
+    await chrome.alarms.clear(SESSION_EXPIRY_ALARM);
+
+    if (!active) {
+      return { success: true, active };
+    }
+
+    const hooks = ['src/content/page/console-hook.js', 'src/content/page/request-hook.js'];
+    const channels = ['src/content/page/page-channels.js'];
+    const matches = [
+      ...chrome.runtime.getManifest().content_scripts[0].matches,
+      ...await getCustomPlatformMatches()
+    ];
+    const previewMatches = PlatformCatalog.previewMatches;
+
+    await chrome.scripting.registerContentScripts([
+      { id: SESSION_HOOK_SCRIPT_IDS.hooks, matches, js: hooks, runAt: 'document_start', world: 'MAIN' },
+      { id: SESSION_HOOK_SCRIPT_IDS.channels, matches, js: channels, runAt: 'document_start' },
+      { id: SESSION_HOOK_SCRIPT_IDS.previewHooks, matches: previewMatches, js: hooks, runAt: 'document_start', allFrames: true, world: 'MAIN' },
+      { id: SESSION_HOOK_SCRIPT_IDS.previewChannels, matches: previewMatches, js: channels, runAt: 'document_start', allFrames: true },
+      {
+        id: SESSION_HOOK_SCRIPT_IDS.previewRelay,
+        matches: previewMatches,
+        js: ['src/content/page/page-bridge.js', 'src/content/page/preview-relay.js'],
+        runAt: 'document_end',
+        allFrames: true
+      }
+    ]);
+
+    chrome.alarms.create(SESSION_EXPIRY_ALARM, { when: fixMyAppSession.startedAt + SESSION_MAX_AGE });
+
+    console.log('[Service Worker] Page hooks registered for the Fix My App session');
+    return { success: true, active };
+  } catch (error) {
+    console.error('[Service Worker] Session hook sync error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === SESSION_EXPIRY_ALARM) {
+    syncSessionHookRegistration();
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === 'local' && changes.fixMyAppSession) {
+    const wasActive = !!changes.fixMyAppSession.oldValue?.active;
+    const isActive = !!changes.fixMyAppSession.newValue?.active;
+    if (wasActive !== isActive) {
+      syncSessionHookRegistration();
+    }
+  }
+});
+
+// ============================================================================
+// Network Capture
+// ============================================================================
+
+const PAGE_HOOK_SCRIPT_IDS = {
+  hook: 'kriptik-page-hook',
+  channels: 'kriptik-page-hook-channels'
+};
+
+/**
+ * Register the main-world page hook when the user has enabled network capture
+ *
+ * The hook wraps the page's fetch/XHR to see conversation API responses, so it
+ * must run in the MAIN world at document_start. It is only registered while
+ * `captureSettings.networkCapture` is on, and only on the bundled platform
+ * hosts (custom JSON platforms cannot declare response mappers). page-channels.js
+ * follows it in the isolated world to hand it its MessagePort, as for the session
+ * hooks. Queued with the other registration syncs, so quick setting changes cannot
+ * interleave.
+ */
+function syncPageHookRegistration() {
+  return queueScriptRegistration(registerPageHook);
+}
+
+async function registerPageHook() {
+  try {
+    const { captureSettings } = await chrome.storage.local.get('captureSettings');
+    const enabled = !!captureSettings?.networkCapture;
+
+    const existing = await chrome.scripting.getRegisteredContentScripts({ ids: Object.values(PAGE_HOOK_SCRIPT_IDS) });
+    if (existing.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: existing.map(script => script.id) });
+    }
+
+    if (!enabled) {
+      return { success: true, enabled };
+    }
+
+    const matches = chrome.runtime.getManifest().content_scripts[0].matches;
+    await chrome.scripting.registerContentScripts([
+      { id: PAGE_HOOK_SCRIPT_IDS.hook, matches, js: ['src/content/page/page-hook.js'], runAt: 'document_start', world: 'MAIN' },
+      { id: PAGE_HOOK_SCRIPT_IDS.channels, matches, js: ['src/content/page/page-channels.js'], runAt: 'document_start' }
+    ]);
+
+    console.log('[Service Worker] Page hook registered for network capture');
+    return { success: true, enabled };
+  } catch (error) {
+    console.error('[Service Worker] Page hook sync error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === 'local' && changes.captureSettings) {
+    const wasEnabled = !!changes.captureSettings.oldValue?.networkCapture;
+    const isEnabled = !!changes.captureSettings.newValue?.networkCapture;
+    if (wasEnabled !== isEnabled) {
+      syncPageHookRegistration();
+    }
+  }
+});
+
 // ============================================================================
 // Download Interception for ZIP Modification
 // ============================================================================
@@ -544,27 +907,44 @@ async function modifyZipWithMetadata(zipData, metadata) {
   const kriptikFolder = zip.folder('_kriptik');
 
   // Add main metadata
-  kriptikFolder.file('import_metadata.json', JSON.stringify(metadata, null, 2));
-
-  // Chat history
-  if (metadata.chatHistory?.length > 0) {
-    const chatData = {
-      messageCount: metadata.chatHistory.length,
-      messages: metadata.chatHistory,
-      exportedAt: metadata.exportedAt
-    };
-    kriptikFolder.file('chat/conversation.json', JSON.stringify(chatData, null, 2));
+  kriptikFolder.file('import_metadata.json', JSON.stringify(withoutAttachmentData(metadata), null, 2));
+
+  // Chat history (the whole branch tree)
+  if (getChatMessages(metadata).length > 0) {
+    kriptikFolder.file('chat/conversation.json', JSON.stringify(buildChatExport(metadata), null, 2));
     kriptikFolder.file('chat/conversation.md', generateChatMarkdown(metadata));
+    addChatAttachments(kriptikFolder, metadata);
+  }
+
+  // The visible conversation as prompt -> response turns
+  if (metadata.turns?.count > 0) {
+    kriptikFolder.file('chat/turns.json', JSON.stringify(metadata.turns, null, 2));
+    kriptikFolder.file('chat/conversation-turns.md', generateTurnsMarkdown(metadata));
+  }
+
+  // Build actions parsed from the chat (file edits, commands, installs, deploys)
+  if (metadata.actions?.count > 0) {
+    kriptikFolder.file('actions/timeline.json', JSON.stringify(metadata.actions, null, 2));
   }
 
-  // Errors
-  if (metadata.errors?.length > 0) {
+  // Errors, one entry per distinct error with its occurrence count
+  if (metadata.errors?.count > 0) {
     kriptikFolder.file('errors/errors.json', JSON.stringify(metadata.errors, null, 2));
   }
 
+  // Compiler and dev server errors parsed into file/line diagnostics
+  if (metadata.buildDiagnostics?.count > 0) {
+    kriptikFolder.file('errors/build-diagnostics.json', JSON.stringify(metadata.buildDiagnostics, null, 2));
+  }
+
   // Console logs
-  if (metadata.consoleLogs?.length > 0) {
-    kriptikFolder.file('logs/console.json', JSON.stringify(metadata.consoleLogs, null, 2));
+  if (metadata.console?.count > 0) {
+    kriptikFolder.file('logs/console.json', JSON.stringify(metadata.console, null, 2));
+  }
+
+  // Network requests from the page and its preview, also as HAR 1.2
+  if (metadata.network?.count > 0) {
+    addNetworkLog(kriptikFolder, metadata);
   }
 
   // Terminal output
@@ -593,6 +973,11 @@ async function modifyZipWithMetadata(zipData, metadata) {
     kriptikFolder.file('files/structure.json', JSON.stringify(metadata.files, null, 2));
   }
 
+  // Selector health report
+  if (metadata.diagnostics) {
+    kriptikFolder.file('diagnostics.json', JSON.stringify(metadata.diagnostics, null, 2));
+  }
+
   // README
   kriptikFolder.file('README.md', generateReadme(metadata));
 
@@ -609,23 +994,43 @@ async function createEnhancedZip(metadata, originalFilename) {
   const kriptikFolder = zip.folder('_kriptik');
 
   // Add all metadata files
-  kriptikFolder.file('import_metadata.json', JSON.stringify(metadata, null, 2));
-
-  if (metadata.chatHistory?.length > 0) {
-    kriptikFolder.file('chat/conversation.json', JSON.stringify({
-      messageCount: metadata.chatHistory.length,
-      messages: metadata.chatHistory,
-      exportedAt: metadata.exportedAt
-    }, null, 2));
+  kriptikFolder.file('import_metadata.json', JSON.stringify(withoutAttachmentData(metadata), null, 2));
+
+  if (getChatMessages(metadata).length > 0) {
+    kriptikFolder.file('chat/conversation.json', JSON.stringify(buildChatExport(metadata), null, 2));
     kriptikFolder.file('chat/conversation.md', generateChatMarkdown(metadata));
+    addChatAttachments(kriptikFolder, metadata);
+  }
+
+  // The visible conversation as prompt -> response turns
+  if (metadata.turns?.count > 0) {
+    kriptikFolder.file('chat/turns.json', JSON.stringify(metadata.turns, null, 2));
+    kriptikFolder.file('chat/conversation-turns.md', generateTurnsMarkdown(metadata));
+  }
+
+  // Build actions parsed from the chat (file edits, commands, installs, deploys)
+  if (metadata.actions?.count > 0) {
+    kriptikFolder.file('actions/timeline.json', JSON.stringify(metadata.actions, null, 2));
   }
 
-  if (metadata.errors?.length > 0) {
+  if (metadata.errors?.count > 0) {
     kriptikFolder.file('errors/errors.json', JSON.stringify(metadata.errors, null, 2));
   }
 
-  if (metadata.consoleLogs?.length > 0) {
-    kriptikFolder.file('logs/console.json', JSON.stringify(metadata.consoleLogs, null, 2));
+  if (metadata.buildDiagnostics?.count > 0) {
+    kriptikFolder.file('errors/build-diagnostics.json', JSON.stringify(metadata.buildDiagnostics, null, 2));
+  }
+
+  if (metadata.console?.count > 0) {
+    kriptikFolder.file('logs/console.json', JSON.stringify(metadata.console, null, 2));
+  }
+
+  if (metadata.network?.count > 0) {
+    addNetworkLog(kriptikFolder, metadata);
+  }
+
+  if (metadata.diagnostics) {
+    kriptikFolder.file('diagnostics.json', JSON.stringify(metadata.diagnostics, null, 2));
   }
 
   kriptikFolder.file('README.md', generateReadme(metadata));
@@ -672,31 +1077,248 @@ async function saveModifiedZip(zipBlob, originalPath) {
   setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
+/**
+ * Chat messages from metadata, whether chatHistory is MetadataBuilder's tree or a plain array
+ */
+function getChatMessages(metadata) {
+  const chatHistory = metadata.chatHistory;
+  if (Array.isArray(chatHistory)) return chatHistory;
+  return Array.isArray(chatHistory?.messages) ? chatHistory.messages : [];
+}
+
+/**
+ * Messages on the conversation path the user was looking at
+ */
+function getSelectedChatMessages(metadata) {
+  return getChatMessages(metadata).filter(msg => msg.selected !== false);
+}
+
+/**
+ * Write downloaded chat attachments to chat/attachments/ (paths are relative to _kriptik/)
+ */
+function addChatAttachments(kriptikFolder, metadata) {
+  (metadata.attachments?.files || []).forEach(file => {
+    if (file.data && file.path) {
+      kriptikFolder.file(file.path, file.data, { base64: true });
+    }
+  });
+}
+
+/**
+ * Metadata for import_metadata.json: attachment files are in chat/attachments/, not inlined
+ */
+function withoutAttachmentData(metadata) {
+  if (!metadata.attachments?.files?.length) return metadata;
+  return {
+    ...metadata,
+    attachments: {
+      ...metadata.attachments,
+      files: metadata.attachments.files.map(({ data, ...file }) => file)
+    }
+  };
+}
+
+/**
+ * Write network/requests.json and network/requests.har
+ */
+function addNetworkLog(kriptikFolder, metadata) {
+  const { har, ...network } = metadata.network;
+  kriptikFolder.file('network/requests.json', JSON.stringify(network, null, 2));
+  if (har) {
+    kriptikFolder.file('network/requests.har', JSON.stringify(har, null, 2));
+  }
+}
+
+/**
+ * Build chat/conversation.json: every message with its tree links, plus the visible path
+ */
+function buildChatExport(metadata) {
+  const messages = getChatMessages(metadata);
+  const selected = getSelectedChatMessages(metadata);
+
+  return {
+    messageCount: selected.length,
+    totalMessages: messages.length,
+    branchPoints: metadata.chatHistory?.branchPoints || 0,
+    selectedPath: selected.map(msg => msg.id),
+    messages,
+    exportedAt: metadata.exportedAt
+  };
+}
+
 /**
  * Generate chat history markdown
+ * Follows the selected branch; other branches of an edited or regenerated message are
+ * quoted just before the branch that was selected
  */
 function generateChatMarkdown(metadata) {
+  const messages = getChatMessages(metadata);
+  const selectedCount = getSelectedChatMessages(metadata).length;
+
   let md = `# Chat History Export\n\n`;
   md += `**Platform:** ${metadata.platform?.name || 'Unknown'}\n`;
   md += `**Exported:** ${metadata.exportedAt || new Date().toISOString()}\n`;
-  md += `**Total Messages:** ${metadata.chatHistory?.length || 0}\n\n`;
-  md += `---\n\n`;
+  md += `**Total Messages:** ${selectedCount}\n`;
+  if (messages.length > selectedCount) {
+    md += `**Messages on Other Branches:** ${messages.length - selectedCount}\n`;
+  }
+  md += `\n---\n\n`;
+
+  const ids = new Set(messages.map(msg => msg.id));
+  const children = new Map();
+  messages.forEach(msg => {
+    const parent = msg.parentId !== undefined && ids.has(msg.parentId) ? msg.parentId : null;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(msg);
+  });
 
-  if (metadata.chatHistory) {
-    metadata.chatHistory.forEach((msg, i) => {
-      const role = msg.role === 'user' ? 'User' : 'Assistant';
-      md += `## Message ${i + 1} - ${role}\n\n`;
-      md += `${msg.content}\n\n`;
-      if (msg.timestamp) {
-        md += `*${msg.timestamp}*\n\n`;
-      }
-      md += `---\n\n`;
+  // Plain arrays without tree fields are one linear path
+  const isTree = messages.some(msg => 'parentId' in msg);
+  if (!isTree) {
+    messages.forEach((msg, i) => {
+      md += renderChatMessage(msg, `Message ${i + 1}`);
+    });
+    return md;
+  }
+
+  let counter = 0;
+  const seen = new Set();
+  const renderPath = (parentId, quote) => {
+    let out = '';
+    let current = parentId;
+
+    while (true) {
+      const siblings = (children.get(current) || []).filter(msg => !seen.has(msg));
+      if (siblings.length === 0) break;
+      siblings.sort((a, b) => (a.branchIndex || 0) - (b.branchIndex || 0));
+
+      const next = siblings.find(msg => msg.selected !== false) || siblings[siblings.length - 1];
+      siblings.filter(msg => msg !== next).forEach(msg => {
+        seen.add(msg);
+        let branch = `**Branch ${(msg.branchIndex || 0) + 1} of ${msg.branchCount || siblings.length} (not selected)**\n\n`;
+        branch += renderChatMessage(msg, 'Alternative');
+        branch += renderPath(msg.id, true);
+        out += branch.trimEnd().split('\n').map(line => `> ${line}`.trimEnd()).join('\n') + '\n\n';
+      });
+
+      seen.add(next);
+      const branchNote = next.branchCount > 1 ? ` (branch ${(next.branchIndex || 0) + 1} of ${next.branchCount})` : '';
+      out += renderChatMessage(next, quote ? 'Alternative' : `Message ${++counter}`, branchNote);
+      current = next.id;
+    }
+
+    return out;
+  };
+
+  md += renderPath(null, false);
+  return md;
+}
+
+/**
+ * Generate the turn-structured conversation: each user prompt followed by what the
+ * assistant answered and did, and the errors seen before the next prompt
+ */
+function generateTurnsMarkdown(metadata) {
+  const { turns = [], unplacedErrors = [] } = metadata.turns || {};
+
+  let md = `# Conversation by Turn\n\n`;
+  md += `**Platform:** ${metadata.platform?.name || 'Unknown'}\n`;
+  md += `**Exported:** ${metadata.exportedAt || new Date().toISOString()}\n`;
+  md += `**Turns:** ${turns.length}\n`;
+  md += `\n---\n\n`;
+
+  turns.forEach(turn => {
+    md += `## Turn ${turn.index + 1}\n\n`;
+    if (turn.startedAt) {
+      md += `*${turn.startedAt}${turn.durationMs !== null ? ` - ${formatDuration(turn.durationMs)}` : ''}*\n\n`;
+    }
+
+    md += `### User asked\n\n${turn.prompt ? turn.prompt.content : '*(no prompt - responses before the first user message)*'}\n\n`;
+
+    turn.responses.forEach((response, i) => {
+      const label = turn.responses.length > 1 ? ` (${i + 1}/${turn.responses.length})` : '';
+      md += `### Assistant answered${label}\n\n${response.content}\n\n`;
+    });
+
+    if (turn.actions.length > 0) {
+      md += `**Actions:**\n`;
+      turn.actions.forEach(action => {
+        const target = action.target ? ` \`${action.target}\`` : '';
+        md += `- ${action.type}${target} (${action.status})\n`;
+      });
+      md += `\n`;
+    }
+    if (turn.filesTouched.length > 0) {
+      md += `**Files touched:** ${turn.filesTouched.map(file => `\`${file}\``).join(', ')}\n\n`;
+    }
+    if (turn.codeBlocks.length > 0) {
+      const languages = [...new Set(turn.codeBlocks.map(block => block.language))];
+      md += `**Code blocks:** ${turn.codeBlocks.length} (${languages.join(', ')})\n\n`;
+    }
+    if (turn.errors.length > 0) {
+      md += `**Errors:**\n`;
+      turn.errors.forEach(error => {
+        md += `- [${error.severity}] ${error.message}\n`;
+      });
+      md += `\n`;
+    }
+    md += `---\n\n`;
+  });
+
+  if (unplacedErrors.length > 0) {
+    md += `## Errors Without a Turn\n\n`;
+    unplacedErrors.forEach(error => {
+      md += `- [${error.severity}] ${error.message}\n`;
     });
+    md += `\n`;
   }
 
   return md;
 }
 
+/**
+ * Format milliseconds as "1m 05s" / "42s"
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * Render one chat message as a Markdown section
+ */
+function renderChatMessage(msg, label, note = '') {
+  const role = msg.role === 'user' ? 'User' : 'Assistant';
+  let md = `## ${label} - ${role}${note}\n\n`;
+  md += `${msg.content}\n\n`;
+  if (msg.attachments?.length > 0) {
+    msg.attachments.forEach(attachment => {
+      // conversation.md sits in chat/, attachment paths start at _kriptik/
+      const link = attachment.path ? attachment.path.replace(/^chat\//, '') : attachment.src;
+      const size = attachment.width && attachment.height ? ` (${attachment.width}×${attachment.height})` : '';
+      if (attachment.kind === 'image' && link) {
+        md += `![${attachment.alt || attachment.name}](${link})${size}\n\n`;
+      } else {
+        md += `📎 ${link ? `[${attachment.name}](${link})` : attachment.name}${attachment.skipped ? ` (not downloaded: ${attachment.skipped})` : ''}\n\n`;
+      }
+    });
+  }
+  if (msg.actions?.length > 0) {
+    md += `**Actions:**\n`;
+    msg.actions.forEach(action => {
+      const target = action.target ? ` \`${action.target}\`` : '';
+      md += `- ${action.type}${target} (${action.status})\n`;
+    });
+    md += `\n`;
+  }
+  if (msg.timestamp) {
+    md += `*${msg.timestamp}*\n\n`;
+  }
+  md += `---\n\n`;
+  return md;
+}
+
 /**
  * Generate README for the export
  */
@@ -709,13 +1331,18 @@ This project was exported with **KripTik AI Import Assistant**.
 
 ### _kriptik Folder
 - \`import_metadata.json\` - Complete metadata
-- \`chat/\` - Full conversation history (JSON + Markdown)
-- \`errors/\` - Error logs and stack traces
+- \`chat/\` - Full conversation history, including edited and regenerated branches (JSON + Markdown)
+- \`chat/conversation-turns.md\` - The visible conversation grouped into prompt -> response turns, with actions, files touched and errors (\`chat/turns.json\` has the same data)
+- \`chat/attachments/\` - Screenshots and files attached to messages (if any)
+- \`actions/\` - Build action timeline parsed from the chat (if any)
+- \`errors/\` - Errors grouped by fingerprint, with occurrence counts, first/last seen and sample stack traces; \`errors/build-diagnostics.json\` lists compiler and dev server errors by file, line and column
 - \`logs/\` - Console output
+- \`network/\` - Requests made by the page and its preview, query values redacted, with bodies of failed responses (\`requests.json\`, and \`requests.har\` for devtools)
 - \`terminal/\` - Terminal commands (if available)
 - \`artifacts/\` - Code artifacts (if available)
 - \`diffs/\` - File changes (if available)
 - \`files/\` - Project structure
+- \`diagnostics.json\` - Selector health check for the platform (if run)
 
 ## Import to KripTik AI
 1. Go to KripTik AI
@@ -725,8 +1352,11 @@ This project was exported with **KripTik AI Import Assistant**.
 
 ## Capture Statistics
 - Platform: ${metadata.platform?.name || 'Unknown'}
-- Messages: ${metadata.chatHistory?.length || 0}
-- Errors: ${metadata.errors?.length || 0}
+- Messages: ${getSelectedChatMessages(metadata).length}
+- Chat source: ${metadata.captureStats?.chatStrategy || 'unknown'}
+- Actions: ${metadata.actions?.count || 0}
+- Errors: ${metadata.errors?.count || 0} (${metadata.errors?.uniqueCount || 0} distinct)
+- Network requests: ${metadata.network?.count || 0} (${metadata.network?.failed || 0} failed)
 - Files: ${metadata.files?.stats?.totalFiles || 0}
 - Exported: ${metadata.exportedAt || new Date().toISOString()}
 
@@ -755,8 +1385,46 @@ chrome.tabs.onRemoved.addListener((tabId) => {
   credentialCaptureSessions.delete(tabId);
 });
 
+// ============================================================================
+// Platform Catalog
+// ============================================================================
+
+/**
+ * Warn when manifest.json and the platform catalog disagree about where scripts run
+ * @returns {Object} Check result from PlatformCatalog.checkManifest
+ */
+function checkPlatformCatalog() {
+  const result = PlatformCatalog.checkManifest(chrome.runtime.getManifest());
+
+  for (const issue of result.issues) {
+    console.warn(`[Service Worker] Platform catalog mismatch (${issue.group}): ${issue.kind} ${issue.pattern}`);
+  }
+
+  return result;
+}
+
 // ============================================================================
 // Initialization
 // ============================================================================
 
+// Keep selector packs fresh (and refreshed on an alarm); content scripts fall back to bundled
+// selectors meanwhile.
+// Custom platform scripts are re-synced in case permissions changed while inactive.
+chrome.runtime.onInstalled.addListener(() => {
+  checkPlatformCatalog();
+  refreshSelectorPacks({ force: true });
+  scheduleSelectorPackRefresh();
+  syncCustomPlatformScripts();
+  syncPageHookRegistration();
+  syncSessionHookRegistration();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  refreshSelectorPacks();
+  scheduleSelectorPackRefresh();
+  syncCustomPlatformScripts();
+  syncPageHookRegistration();
+  syncSessionHookRegistration();
+});
+
 console.log('[Service Worker] KripTik AI Extension initialized');
@@ -7,20 +7,74 @@
 
   console.log('[KripTik AI] Extension loaded');
 
-  // Initialize platform detector
-  PlatformDetector.init();
+  let platform = null;
 
-  const platform = PlatformDetector.getPlatform();
+  init();
 
-  if (!platform) {
-    console.log('[KripTik AI] No supported platform detected');
-    return;
+  /**
+   * Register custom platforms and apply cached selector packs, then detect the platform and wire up the UI
+   */
+  async function init() {
+    await PlatformRegistry.loadCustomPlatforms();
+    await PlatformRegistry.loadSelectorPacks();
+
+    // Initialize platform detector
+    PlatformDetector.init();
+
+    platform = PlatformDetector.getPlatform();
+
+    // Single-page apps switch projects (or reach a supported path) without reloading the page
+    PlatformDetector.onNavigate(handleNavigation);
+    PlatformDetector.watchNavigation();
+
+    // Listen for session changes (in case user starts Fix My App while on this page)
+    chrome.storage.onChanged.addListener(handleStorageChange);
+
+    // Conversation responses load with the page, before any session check; with no platform
+    // this tells the page hook to drop what it buffered
+    NetworkChatCapture.init(platform);
+
+    if (!platform) {
+      console.log('[KripTik AI] No supported platform detected');
+      return;
+    }
+
+    console.log(`[KripTik AI] Detected platform: ${platform.name} (selectors: ${platform.selectorPack?.version || 'bundled'})`);
+
+    // Check if there's an active Fix My App session before showing UI
+    checkFixMyAppSession(platform);
   }
 
-  console.log(`[KripTik AI] Detected platform: ${platform.name}`);
+  /**
+   * Keep the platform, scraper state and capture button in sync after in-page navigation
+   * @param {Object} change - Navigation change from PlatformDetector
+   */
+  function handleNavigation(change) {
+    platform = change.current;
+
+    if (change.projectChanged) {
+      // Errors, logs and requests belong to the project they were captured on
+      ErrorScraper.clear();
+      NetworkLog.clear();
+      if (!Overlay.isCapturing) {
+        ChatScraper.reset();
+      }
+      LiveChatRecorder.stop();
+    }
+
+    Overlay.handleNavigation(change);
+
+    if (change.platformChanged) {
+      NetworkChatCapture.configure(platform);
+    }
 
-  // Check if there's an active Fix My App session before showing UI
-  checkFixMyAppSession(platform);
+    if (!platform) {
+      removeImportButton();
+    } else if (change.platformChanged || change.projectChanged) {
+      // Shows the button on a new platform and restarts recording for the new project
+      checkFixMyAppSession(platform);
+    }
+  }
 
   /**
    * Check if user has an active Fix My App session
@@ -39,6 +93,7 @@
         if (sessionAge < maxAge) {
           console.log('[KripTik AI] Active Fix My App session found, showing capture button');
           createImportButton(platform, session);
+          LiveChatRecorder.start(platform);
           return;
         } else {
           // Session expired, clean it up
@@ -54,19 +109,25 @@
     }
   }
 
-  // Listen for session changes (in case user starts Fix My App while on this page)
-  chrome.storage.onChanged.addListener((changes, namespace) => {
+  /**
+   * React to Fix My App session changes made while this page is open
+   */
+  function handleStorageChange(changes, namespace) {
     if (namespace === 'local' && changes.fixMyAppSession) {
       const newValue = changes.fixMyAppSession.newValue;
       if (newValue && newValue.active) {
         console.log('[KripTik AI] Fix My App session activated');
-        createImportButton(platform, newValue);
+        if (platform) {
+          createImportButton(platform, newValue);
+          LiveChatRecorder.start(platform);
+        }
       } else {
         console.log('[KripTik AI] Fix My App session ended');
         removeImportButton();
+        LiveChatRecorder.stop();
       }
     }
-  });
+  }
 
   /**
    * Remove the import button
@@ -105,9 +166,9 @@
       <span>Capture for KripTik AI</span>
     `;
 
-    // Add click handler
+    // Add click handler - use the latest detection in case the user navigated since
     button.addEventListener('click', () => {
-      Overlay.show(platform);
+      Overlay.show(PlatformDetector.getPlatform() || platform);
     });
 
     // Inject button into page
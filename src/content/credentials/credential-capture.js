@@ -457,29 +457,12 @@ const CredentialCapture = {
    * Detect current platform
    */
   detectPlatform() {
-    const hostname = window.location.hostname;
-
-    const platforms = {
-      'console.cloud.google.com': 'google-cloud',
-      'console.developers.google.com': 'google-cloud',
-      'dashboard.stripe.com': 'stripe',
-      'supabase.com': 'supabase',
-      'app.supabase.com': 'supabase',
-      'vercel.com': 'vercel',
-      'railway.app': 'railway',
-      'app.netlify.com': 'netlify',
-      'platform.openai.com': 'openai',
-      'console.anthropic.com': 'anthropic',
-      'dash.cloudflare.com': 'cloudflare'
-    };
-
-    for (const [domain, platform] of Object.entries(platforms)) {
-      if (hostname.includes(domain)) {
-        return platform;
-      }
+    const entry = PlatformCatalog.lookup(window.location.href, 'credentials');
+    if (entry) {
+      return entry.id;
     }
 
-    return hostname;
+    return window.location.hostname;
   },
 
   // =========================================================================
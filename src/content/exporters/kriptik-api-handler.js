@@ -107,7 +107,7 @@ class KripTikAPIHandler extends ExportHandlerBase {
                 id: this.platform.id,
                 name: this.platform.name,
                 provider: this.platform.provider || this.platform.id,
-                version: this.platform.version || '1.0',
+                version: metadata.platform?.version || 'bundled',
                 tier: this.platform.tier || 'standard'
             },
             project: {
@@ -116,17 +116,30 @@ class KripTikAPIHandler extends ExportHandlerBase {
                 url: window.location.href
             },
             chatHistory: this.formatChatHistory(metadata.chatHistory),
+            // Visible conversation grouped as prompt -> responses, actions and errors
+            turns: metadata.turns || { count: 0, turns: [], unplacedErrors: [] },
+            actions: metadata.actions || { count: 0, byType: {}, failed: 0, events: [] },
+            // Files are base64; messages reference them by attachment id
+            attachments: metadata.attachments || { count: 0, stored: 0, totalBytes: 0, files: [] },
             files: this.formatFileTree(metadata.fileTree),
             errors: this.formatErrors(metadata.errors),
-            console: this.formatConsoleLogs(metadata.consoleLogs),
+            // Parsed compiler / dev server errors: tool, code, file, line, column, message, codeFrame
+            buildDiagnostics: metadata.buildDiagnostics || { count: 0, entries: [] },
+            console: this.formatConsoleLogs(metadata.console?.entries),
+            // Requests with query values redacted; har is the same log as HAR 1.2
+            network: metadata.network || { count: 0, failed: 0, requests: [], har: null },
             terminal: this.formatTerminal(metadata.terminal),
             artifacts: this.formatArtifacts(metadata.artifacts),
             diffs: this.formatDiffs(metadata.diffs),
             captureStats: {
                 duration: metadata.captureStats?.duration || 0,
                 completeness: this.calculateCompleteness(metadata),
-                features: this.getEnabledFeatures(metadata)
-            }
+                features: this.getEnabledFeatures(metadata),
+                capabilities: metadata.captureStats?.capabilities || null,
+                chatStrategy: metadata.captureStats?.chatStrategy || null,
+                chatDeduplication: metadata.captureStats?.chatDeduplication || null
+            },
+            diagnostics: metadata.diagnostics || null
         };
 
         // If we have a ZIP file, encode it as base64
@@ -140,27 +153,49 @@ class KripTikAPIHandler extends ExportHandlerBase {
 
     /**
      * Format chat history to KripTik's expected format
+     * Accepts MetadataBuilder's tree ({ messages, selectedPath }) or a plain message array
      */
     formatChatHistory(chatHistory) {
-        if (!chatHistory || !Array.isArray(chatHistory)) {
-            return { messageCount: 0, messages: [] };
+        const source = Array.isArray(chatHistory) ? chatHistory : chatHistory?.messages;
+        if (!Array.isArray(source)) {
+            return { messageCount: 0, totalMessages: 0, selectedPath: [], messages: [] };
         }
 
-        const messages = chatHistory.map((msg, index) => ({
+        const messages = source.map((msg, index) => ({
             id: msg.id || `msg-${index}`,
+            parentId: msg.parentId ?? null,
+            branchIndex: msg.branchIndex ?? 0,
+            branchCount: msg.branchCount ?? 1,
+            selected: msg.selected ?? true,
             role: this.normalizeRole(msg.role),
+            roleConfidence: typeof msg.roleConfidence === 'number' ? msg.roleConfidence : null,
+            roleSource: msg.roleSource || null,
             content: msg.content || '',
             timestamp: msg.timestamp || new Date().toISOString(),
             codeBlocks: msg.codeBlocks || [],
-            artifacts: msg.artifacts || []
+            artifacts: msg.artifacts || [],
+            attachments: msg.attachments || [],
+            actions: msg.actions || []
         }));
 
+        const selectedPath = messages.filter(msg => msg.selected).map(msg => msg.id);
+
         return {
-            messageCount: messages.length,
+            messageCount: selectedPath.length,
+            totalMessages: messages.length,
+            selectedPath,
             messages
         };
     }
 
+    /**
+     * Number of messages on the visible conversation path
+     */
+    countChatMessages(chatHistory) {
+        if (Array.isArray(chatHistory)) return chatHistory.length;
+        return chatHistory?.messageCount || 0;
+    }
+
     /**
      * Normalize role names across platforms
      */
@@ -196,23 +231,32 @@ class KripTikAPIHandler extends ExportHandlerBase {
 
     /**
      * Format errors to KripTik's expected format
+     * One entry per distinct error (MetadataBuilder.buildErrorInfo groups them by fingerprint);
+     * count is the number of occurrences, timestamp the first sighting
      */
     formatErrors(errors) {
-        if (!errors || !Array.isArray(errors)) {
-            return { count: 0, entries: [] };
+        if (!errors || !Array.isArray(errors.entries)) {
+            return { count: 0, uniqueCount: 0, entries: [] };
         }
 
-        const entries = errors.map(err => ({
+        const entries = errors.entries.map(err => ({
+            fingerprint: err.fingerprint,
             type: err.type || 'runtime',
             severity: this.normalizeSeverity(err.severity),
-            timestamp: err.timestamp || new Date().toISOString(),
+            timestamp: err.firstSeen || new Date().toISOString(),
             message: err.message || '',
             stack: err.stack || '',
-            source: err.source || 'unknown'
+            source: err.source || 'unknown',
+            count: err.count || 1,
+            firstSeen: err.firstSeen || null,
+            lastSeen: err.lastSeen || null,
+            samples: err.samples || [],
+            diagnostics: err.diagnostics || []
         }));
 
         return {
-            count: entries.length,
+            count: errors.count ?? entries.length,
+            uniqueCount: entries.length,
             entries
         };
     }
@@ -258,7 +302,8 @@ class KripTikAPIHandler extends ExportHandlerBase {
             output: (terminal.output || []).map(entry => ({
                 type: entry.type || 'output',
                 content: entry.content || ''
-            }))
+            })),
+            diagnostics: terminal.diagnostics || []
         };
     }
 
@@ -302,39 +347,51 @@ class KripTikAPIHandler extends ExportHandlerBase {
 
     /**
      * Calculate completeness percentage
+     * Sources the capability probe did not find on the page are left out of the total
      */
     calculateCompleteness(metadata) {
         let score = 0;
         let total = 0;
 
+        const possible = metadata.captureStats?.capabilities?.possible;
+        const isPossible = (...sources) => !possible || sources.some(s => possible.includes(s));
+
         // Chat history (40% weight)
         total += 40;
-        if (metadata.chatHistory && metadata.chatHistory.length > 0) {
+        if (this.countChatMessages(metadata.chatHistory) > 0) {
             score += 40;
         }
 
         // Errors captured (20% weight)
-        total += 20;
-        if (metadata.errors && metadata.errors.length > 0) {
-            score += 20;
+        if (isPossible('errors')) {
+            total += 20;
+            if (metadata.errors?.count > 0) {
+                score += 20;
+            }
         }
 
         // Console logs (15% weight)
-        total += 15;
-        if (metadata.consoleLogs && metadata.consoleLogs.length > 0) {
-            score += 15;
+        if (isPossible('consoleLogs')) {
+            total += 15;
+            if (metadata.console?.count > 0) {
+                score += 15;
+            }
         }
 
         // File tree (15% weight)
-        total += 15;
-        if (metadata.fileTree) {
-            score += 15;
+        if (isPossible('fileTree')) {
+            total += 15;
+            if (metadata.fileTree) {
+                score += 15;
+            }
         }
 
         // Artifacts/Diffs (10% weight)
-        total += 10;
-        if (metadata.artifacts || metadata.diffs) {
-            score += 10;
+        if (isPossible('artifacts', 'diffs')) {
+            total += 10;
+            if (metadata.artifacts || metadata.diffs) {
+                score += 10;
+            }
         }
 
         return Math.round((score / total) * 100);
@@ -345,9 +402,10 @@ class KripTikAPIHandler extends ExportHandlerBase {
      */
     getEnabledFeatures(metadata) {
         const features = [];
-        if (metadata.chatHistory?.length > 0) features.push('chatCapture');
-        if (metadata.errors?.length > 0) features.push('errorCapture');
-        if (metadata.consoleLogs?.length > 0) features.push('consoleCapture');
+        if (this.countChatMessages(metadata.chatHistory) > 0) features.push('chatCapture');
+        if (metadata.errors?.count > 0) features.push('errorCapture');
+        if (metadata.console?.count > 0) features.push('consoleCapture');
+        if (metadata.network?.count > 0) features.push('networkCapture');
         if (metadata.fileTree) features.push('fileTreeCapture');
         if (metadata.terminal) features.push('terminalCapture');
         if (metadata.artifacts?.length > 0) features.push('artifactCapture');
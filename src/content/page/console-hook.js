@@ -0,0 +1,174 @@
+// Console Hook - Runs in the page's main world at document_start while a Fix My App session is
+// active (the service worker registers it for the session). Content scripts live in an isolated
+// world with their own console and only ever saw the extension's logs; this records the builder
+// app's own console calls, uncaught errors, failed resource loads and unhandled rejections and
+// hands them to ErrorScraper (or, inside a preview iframe, to preview-relay.js) over a
+// MessagePort. page-channels.js offers the port right after this script runs, before any of the
+// page's scripts, so the page can neither read the stream nor write into it.
+
+(function () {
+    'use strict';
+
+    if (window.__kriptikConsoleHook) return;
+    window.__kriptikConsoleHook = true;
+
+    const CHANNEL = 'console';
+    const MAX_MESSAGE_LENGTH = 5000;
+    const MAX_DEPTH = 3; // Logged objects are summarized this deep...
+    const MAX_KEYS = 20; // ...with this many keys or items per level...
+    const MAX_NODES = 200; // ...and this many values in total, before serializing
+    const METHODS = ['log', 'info', 'warn', 'error', 'debug'];
+
+    let port = null;
+
+    // Take the port page-channels.js offers; the first offer is the only one accepted
+    window.addEventListener(`kriptik:channel:${CHANNEL}`, function onOffer(event) {
+        if (port || !event.ports || !event.ports[0]) return;
+        port = event.ports[0];
+        event.preventDefault();
+        window.removeEventListener(`kriptik:channel:${CHANNEL}`, onOffer);
+    });
+
+    function stringify(value) {
+        if (typeof value === 'string') return value.slice(0, MAX_MESSAGE_LENGTH);
+        const summary = summarize(value, 0, { nodes: 0 });
+        if (typeof summary === 'string') return summary;
+        try {
+            return JSON.stringify(summary);
+        } catch (e) {
+            return String(value);
+        }
+    }
+
+    /**
+     * Copy of a logged value small enough to serialize: nested objects past MAX_DEPTH, keys past
+     * MAX_KEYS and values past MAX_NODES are replaced by placeholders, so a huge or cyclic object
+     * costs the page no more than a few hundred property reads
+     */
+    function summarize(value, depth, budget) {
+        if (value === undefined) return 'undefined';
+        if (value === null || typeof value === 'number' || typeof value === 'boolean') return value;
+        if (typeof value === 'string') return value.length > 500 ? value.slice(0, 500) + '…' : value;
+        if (typeof value === 'bigint') return `${value}n`;
+        if (typeof value === 'symbol') return value.toString();
+        if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+        if (value instanceof Error) return `${value.name}: ${value.message}`;
+        if (typeof Node !== 'undefined' && value instanceof Node) return `<${value.nodeName.toLowerCase()}>`;
+        if (value instanceof Map) return `[Map(${value.size})]`;
+        if (value instanceof Set) return `[Set(${value.size})]`;
+
+        if (depth >= MAX_DEPTH || budget.nodes >= MAX_NODES) {
+            return Array.isArray(value) ? `[Array(${value.length})]` : '[Object]';
+        }
+
+        if (Array.isArray(value)) {
+            const items = [];
+            for (let i = 0; i < value.length && i < MAX_KEYS && budget.nodes < MAX_NODES; i++) {
+                budget.nodes++;
+                items.push(summarize(value[i], depth + 1, budget));
+            }
+            if (items.length < value.length) items.push(`… ${value.length - items.length} more`);
+            return items;
+        }
+
+        const copy = {};
+        let keys = 0;
+        for (const key in value) {
+            if (!Object.prototype.hasOwnProperty.call(value, key)) continue;
+            if (keys >= MAX_KEYS || budget.nodes >= MAX_NODES) {
+                copy['…'] = 'more keys';
+                break;
+            }
+            keys++;
+            budget.nodes++;
+            try {
+                copy[key] = summarize(value[key], depth + 1, budget);
+            } catch (e) {
+                copy[key] = '[Unreadable]';
+            }
+        }
+        return copy;
+    }
+
+    // Drop this script's own frames so the top frame is the page code that logged
+    function pageStack(stack) {
+        if (!stack) return undefined;
+        return stack.split('\n').filter(line => !line.includes('console-hook.js')).join('\n');
+    }
+
+    function record(entry) {
+        entry.timestamp = new Date().toISOString();
+        if (entry.message && entry.message.length > MAX_MESSAGE_LENGTH) {
+            entry.message = entry.message.slice(0, MAX_MESSAGE_LENGTH) + '…';
+        }
+
+        try {
+            port.postMessage(entry);
+        } catch (e) {
+            // Entry not cloneable
+        }
+    }
+
+    // Console methods
+    METHODS.forEach(method => {
+        const original = console[method];
+        if (typeof original !== 'function') return;
+
+        console[method] = function (...args) {
+            // Not connected: nobody would read the record, so do not build it
+            if (!port) return original.apply(this, args);
+            try {
+                const error = args.find(arg => arg instanceof Error);
+                record({
+                    kind: 'console',
+                    type: method,
+                    message: args.map(stringify).join(' '),
+                    stack: error?.stack || (method === 'error' ? pageStack(new Error().stack) : undefined)
+                });
+            } catch (e) {
+                // Never break the page's logging
+            }
+            return original.apply(this, args);
+        };
+    });
+
+    // Uncaught errors, and resource load failures (img, script, link) which do not bubble
+    // but reach the window in the capture phase with the element as target
+    window.addEventListener('error', event => {
+        if (!port) return;
+        const target = event.target;
+        if (target && target !== window && target.tagName) {
+            const url = target.currentSrc || target.src || target.href;
+            if (!url) return;
+            record({
+                kind: 'error',
+                type: 'resource',
+                message: `Failed to load ${target.tagName.toLowerCase()}: ${url}`,
+                filename: url
+            });
+            return;
+        }
+
+        if (!event.message && !event.error) return;
+        record({
+            kind: 'error',
+            type: 'runtime',
+            message: event.message || stringify(event.error),
+            filename: event.filename,
+            lineno: event.lineno,
+            colno: event.colno,
+            stack: event.error?.stack
+        });
+    }, true);
+
+    // Unhandled promise rejections
+    window.addEventListener('unhandledrejection', event => {
+        if (!port) return;
+        record({
+            kind: 'error',
+            type: 'promise',
+            message: event.reason?.message || stringify(event.reason),
+            stack: event.reason?.stack
+        });
+    });
+})();
@@ -0,0 +1,31 @@
+// Page Bridge - Channel between the isolated content scripts and the scripts in the page's
+// main world. console-hook.js, request-hook.js and page-hook.js each talk over a private
+// MessagePort that page-channels.js connected at document_start, handed out by openChannel().
+
+const PageBridge = {
+    /**
+     * Get the private MessagePort of a main-world hook
+     * @param {string} channel - Channel name, 'console', 'network' or 'responses'
+     * @returns {Promise<MessagePort|null>} Port, or null if the hook is not on this page (the console
+     *   and network hooks are only registered while a Fix My App session is active and the responses
+     *   hook while network capture is on, so pages loaded before that have none)
+     */
+    async openChannel(channel) {
+        return window.__kriptikPageChannels?.take(channel) || null;
+    },
+
+    /**
+     * Whether the user enabled the main-world hook (it is only registered when they did)
+     * @returns {Promise<boolean>} True if network capture is on
+     */
+    async isNetworkCaptureEnabled() {
+        try {
+            const { captureSettings } = await chrome.storage.local.get('captureSettings');
+            return !!captureSettings?.networkCapture;
+        } catch (error) {
+            return false;
+        }
+    }
+};
+
+window.PageBridge = PageBridge;
@@ -0,0 +1,54 @@
+// Page Channels - Runs in the isolated world at document_start, registered by the service worker
+// right after the main-world hooks: console-hook.js and request-hook.js while a Fix My App
+// session is active, page-hook.js while network capture is on. It opens one MessageChannel per
+// hook and hands the hook its end in a synchronously dispatched event: at document_start none
+// of the page's own scripts have run, so the hooks are the only listeners and the page never
+// sees a port. Nothing is ever accepted from the page side; PageBridge.openChannel() later
+// gives the other end to the consumer. Each registration runs this script again, and every run
+// offers only the channels whose hook has not connected yet.
+
+(function () {
+    'use strict';
+
+    const CHANNELS = ['console', 'network', 'responses'];
+
+    if (!window.__kriptikPageChannels) {
+        const ports = new Map();
+        const connected = new Set();
+
+        window.__kriptikPageChannels = {
+            /**
+             * Offer a port to the hook of one channel, unless that hook already took one
+             * @param {string} name - Channel name
+             */
+            offer(name) {
+                if (connected.has(name)) return;
+
+                const channel = new MessageChannel();
+                const offer = new MessageEvent(`kriptik:channel:${name}`, { ports: [channel.port2], cancelable: true });
+
+                // The hook calls preventDefault() when it takes the port; until the consumer sets
+                // onmessage, the hook's records wait in the port's queue
+                if (!window.dispatchEvent(offer)) {
+                    connected.add(name);
+                    ports.set(name, channel.port1);
+                } else {
+                    channel.port1.close();
+                }
+            },
+
+            /**
+             * Take the port of a connected hook; each channel has a single consumer
+             * @param {string} name - Channel name
+             * @returns {MessagePort|null} Port, or null if that hook is not on this page
+             */
+            take(name) {
+                const port = ports.get(name) || null;
+                ports.delete(name);
+                return port;
+            }
+        };
+    }
+
+    CHANNELS.forEach(name => window.__kriptikPageChannels.offer(name));
+})();
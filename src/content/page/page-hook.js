@@ -0,0 +1,134 @@
+// Page Hook - Runs in the page's main world (registered by the service worker when network
+// capture is enabled). Observes the page's own fetch/XHR JSON responses and hands the ones
+// matching the current platform's conversation endpoints to NetworkChatCapture over a private
+// MessagePort, which page-channels.js offers right after this script runs, before any of the
+// page's scripts. A response is only read when its URL may be wanted, so the page's other
+// traffic is never cloned. Nothing is posted until NetworkChatCapture sends the endpoint
+// patterns over that port; responses from the page's own origin seen before that are held in
+// memory, up to a total size, then filtered and the rest dropped.
+
+(function () {
+    'use strict';
+
+    if (window.__kriptikPageHook) return;
+    window.__kriptikPageHook = true;
+
+    const CHANNEL = 'responses';
+    const MAX_BODY_LENGTH = 10 * 1024 * 1024;
+    const MAX_EARLY_LENGTH = 16 * 1024 * 1024; // Held in total before configuration
+
+    let port = null;
+    let patterns = null; // null until configured
+    let early = [];
+    let earlyLength = 0;
+
+    // Take the port page-channels.js offers; the first offer is the only one accepted
+    window.addEventListener(`kriptik:channel:${CHANNEL}`, function onOffer(event) {
+        if (port || !event.ports || !event.ports[0]) return;
+        port = event.ports[0];
+        port.onmessage = configure;
+        event.preventDefault();
+        window.removeEventListener(`kriptik:channel:${CHANNEL}`, onOffer);
+    });
+
+    function isJson(contentType) {
+        return /\bjson\b/i.test(contentType || '');
+    }
+
+    function matches(url) {
+        return patterns.some(pattern => pattern.test(url));
+    }
+
+    /**
+     * Whether a response is worth reading, decided before its body is touched: once configured,
+     * only endpoint URLs; before that, only the page's own origin (where the conversation APIs
+     * live) while the early buffer has room
+     */
+    function wanted(url, length) {
+        if (!port) return false;
+        if (patterns !== null) return matches(url);
+        if (earlyLength + length >= MAX_EARLY_LENGTH) return false;
+        try {
+            return new URL(url, window.location.href).origin === window.location.origin;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    function post(entry) {
+        port.postMessage({ type: 'network-response', ...entry });
+    }
+
+    function report(url, status, body) {
+        if (!port || typeof body !== 'string' || body.length > MAX_BODY_LENGTH) return;
+
+        const entry = { url, status, body, capturedAt: Date.now() };
+        if (patterns === null) {
+            if (body.length > MAX_EARLY_LENGTH - earlyLength) return;
+            early.push(entry);
+            earlyLength += body.length;
+            return;
+        }
+        if (matches(url)) post(entry);
+    }
+
+    // fetch
+    const originalFetch = window.fetch;
+    if (typeof originalFetch === 'function') {
+        window.fetch = function (...args) {
+            return originalFetch.apply(this, args).then(response => {
+                try {
+                    const url = response.url || (args[0] instanceof Request ? args[0].url : String(args[0]));
+                    const length = Number(response.headers.get('content-length')) || 0;
+                    if (isJson(response.headers.get('content-type')) && wanted(url, length)) {
+                        response.clone().text()
+                            .then(body => report(url, response.status, body))
+                            .catch(() => {});
+                    }
+                } catch (e) {
+                    // Never break the page's own request
+                }
+                return response;
+            });
+        };
+    }
+
+    // XMLHttpRequest
+    const originalOpen = XMLHttpRequest.prototype.open;
+    XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+        try {
+            const requestUrl = new URL(url, window.location.href).href;
+            this.addEventListener('load', () => {
+                try {
+                    const responseUrl = this.responseURL || requestUrl;
+                    if (!isJson(this.getResponseHeader('content-type')) || !wanted(responseUrl, 0)) return;
+                    const body = this.responseType === 'json' ? JSON.stringify(this.response)
+                        : (this.responseType === '' || this.responseType === 'text') ? this.responseText
+                        : null;
+                    report(responseUrl, this.status, body);
+                } catch (e) {
+                    // Response not readable
+                }
+            });
+        } catch (e) {
+            // Invalid URL; the request itself will report it
+        }
+        return originalOpen.call(this, method, url, ...rest);
+    };
+
+    // Endpoint patterns from NetworkChatCapture
+    function configure(event) {
+        if (event.data?.type !== 'configure') return;
+
+        try {
+            patterns = (event.data.patterns || []).map(p => new RegExp(p.source, p.flags));
+        } catch (e) {
+            patterns = [];
+        }
+
+        const buffered = early;
+        early = [];
+        earlyLength = 0;
+        buffered.filter(entry => matches(entry.url)).forEach(post);
+    }
+})();
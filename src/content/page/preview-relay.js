@@ -0,0 +1,65 @@
+// Preview Relay - Runs in every frame on the preview hosts builders embed (WebContainer,
+// StackBlitz, Lovable previews, artifact sandboxes). Those frames are usually cross-origin to
+// the builder, so the scrapers in the top frame cannot read them; this takes the frame's
+// console-hook.js and request-hook.js streams and sends them through the service worker to
+// the tab's top frame.
+
+(function () {
+    'use strict';
+
+    // Opened on its own (not embedded): nothing to report to
+    if (window.top === window || window.__kriptikPreviewRelay) return;
+    window.__kriptikPreviewRelay = true;
+
+    const CHANNELS = ['console', 'network'];
+    const FLUSH_DELAY_MS = 1000; // Entries arriving together are sent in one message
+    const MAX_QUEUED = 200; // Entries per channel waiting between flushes; older ones are dropped first
+
+    const queues = {};
+    let flushTimer = null;
+
+    // Only armed while something is queued, so an idle preview frame runs no timer
+    function scheduleFlush() {
+        if (flushTimer === null) flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+    }
+
+    function flush() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+
+        Object.keys(queues).forEach(channel => {
+            const entries = queues[channel];
+            if (entries.length === 0) return;
+            queues[channel] = [];
+
+            try {
+                chrome.runtime.sendMessage({
+                    type: 'PREVIEW_FRAME_EVENTS',
+                    channel,
+                    frameUrl: window.location.href,
+                    entries
+                }).catch(() => {
+                    // Top frame has no capture scripts, or the extension was reloaded
+                });
+            } catch (e) {
+                // Extension context invalidated
+            }
+        });
+    }
+
+    CHANNELS.forEach(channel => {
+        PageBridge.openChannel(channel).then(port => {
+            if (!port) return;
+
+            queues[channel] = [];
+            port.onmessage = event => {
+                const queue = queues[channel];
+                queue.push(event.data);
+                if (queue.length > MAX_QUEUED) queue.shift();
+                scheduleFlush();
+            };
+        });
+    });
+
+    window.addEventListener('pagehide', flush);
+})();
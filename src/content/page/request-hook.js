@@ -0,0 +1,231 @@
+// Request Hook - Runs in the page's main world at document_start next to console-hook.js, while
+// a Fix My App session is active.
+// Records the page's fetch and XHR calls and the resources it loads (scripts, styles, images)
+// with method, status, timing and size, so 401s, CORS failures and 500s show up in a capture.
+// Query values are redacted here, before anything leaves the page; only failed responses keep
+// a (capped) body. Records go to NetworkLog (or preview-relay.js) over the MessagePort
+// page-channels.js offers before the page's own scripts run.
+
+(function () {
+    'use strict';
+
+    if (window.__kriptikRequestHook) return;
+    window.__kriptikRequestHook = true;
+
+    const CHANNEL = 'network';
+    const MAX_BODY_LENGTH = 4096;
+    const REDACTED = 'REDACTED';
+    const IGNORED_URL = /^(?:data|blob|chrome-extension|moz-extension|about):/i;
+
+    let port = null;
+    let nextId = 1;
+
+    // Take the port page-channels.js offers; the first offer is the only one accepted
+    window.addEventListener(`kriptik:channel:${CHANNEL}`, function onOffer(event) {
+        if (port || !event.ports || !event.ports[0]) return;
+        port = event.ports[0];
+        event.preventDefault();
+        window.removeEventListener(`kriptik:channel:${CHANNEL}`, onOffer);
+    });
+
+    /**
+     * Absolute URL without credentials or fragment, every query value replaced
+     * @param {string} url - Request URL
+     * @returns {string|null} Redacted URL, or null for URLs that are not requests
+     */
+    function redactUrl(url) {
+        try {
+            const parsed = new URL(url, window.location.href);
+            if (IGNORED_URL.test(parsed.href)) return null;
+
+            const names = Array.from(parsed.searchParams.keys());
+            parsed.username = '';
+            parsed.password = '';
+            parsed.hash = '';
+            parsed.search = names.length > 0
+                ? '?' + names.map(name => `${encodeURIComponent(name)}=${REDACTED}`).join('&')
+                : '';
+            return parsed.href;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function isFailure(status) {
+        return status === 0 || status >= 400;
+    }
+
+    function capBody(text) {
+        if (typeof text !== 'string' || text.length === 0) return {};
+        if (text.length <= MAX_BODY_LENGTH) return { responseBody: text };
+        return { responseBody: text.slice(0, MAX_BODY_LENGTH), responseBodyTruncated: true };
+    }
+
+    function parseSize(value) {
+        const size = parseInt(value, 10);
+        return Number.isFinite(size) ? size : null;
+    }
+
+    function record(entry) {
+        if (!port) return;
+        entry.id = `req_${nextId++}`;
+        entry.failed = isFailure(entry.status);
+
+        try {
+            port.postMessage(entry);
+        } catch (e) {
+            // Entry not cloneable
+        }
+    }
+
+    // fetch
+    const originalFetch = window.fetch;
+    if (typeof originalFetch === 'function') {
+        window.fetch = function (input, init) {
+            if (!port) return originalFetch.apply(this, arguments);
+
+            let url = null;
+            let method = 'GET';
+            try {
+                url = redactUrl(input instanceof Request ? input.url : String(input));
+                method = (init?.method || (input instanceof Request ? input.method : 'GET')).toUpperCase();
+            } catch (e) {
+                // Unusual input; let fetch deal with it
+            }
+
+            const startedAt = new Date().toISOString();
+            const start = performance.now();
+            const promise = originalFetch.apply(this, arguments);
+            if (!url) return promise;
+
+            promise.then(async response => {
+                const entry = {
+                    initiator: 'fetch',
+                    method,
+                    url,
+                    status: response.status,
+                    statusText: response.statusText,
+                    startedAt,
+                    durationMs: Math.round(performance.now() - start),
+                    responseSize: parseSize(response.headers.get('content-length')),
+                    mimeType: response.headers.get('content-type') || null
+                };
+                // Opaque (no-cors) responses report 0 without having failed
+                if (response.type === 'opaque') entry.status = null;
+
+                if (entry.status !== null && isFailure(entry.status)) {
+                    try {
+                        Object.assign(entry, capBody(await response.clone().text()));
+                    } catch (e) {
+                        // Body already used or not readable
+                    }
+                }
+                record(entry);
+            }, error => {
+                record({
+                    initiator: 'fetch',
+                    method,
+                    url,
+                    status: 0,
+                    statusText: '',
+                    startedAt,
+                    durationMs: Math.round(performance.now() - start),
+                    responseSize: null,
+                    mimeType: null,
+                    // Aborts are the page's choice; CORS and network failures all read "Failed to fetch"
+                    error: error?.name === 'AbortError' ? 'aborted' : String(error?.message || error)
+                });
+            });
+
+            return promise;
+        };
+    }
+
+    // XMLHttpRequest
+    const originalOpen = XMLHttpRequest.prototype.open;
+    const originalSend = XMLHttpRequest.prototype.send;
+
+    XMLHttpRequest.prototype.open = function (method, url) {
+        try {
+            this.__kriptikRequest = { method: String(method || 'GET').toUpperCase(), url: redactUrl(String(url)) };
+        } catch (e) {
+            this.__kriptikRequest = null;
+        }
+        return originalOpen.apply(this, arguments);
+    };
+
+    XMLHttpRequest.prototype.send = function () {
+        const request = this.__kriptikRequest;
+        if (port && request?.url) {
+            const startedAt = new Date().toISOString();
+            const start = performance.now();
+            let error = null;
+
+            this.addEventListener('error', () => { error = 'network error'; });
+            this.addEventListener('abort', () => { error = 'aborted'; });
+            this.addEventListener('timeout', () => { error = 'timeout'; });
+            this.addEventListener('loadend', () => {
+                try {
+                    const entry = {
+                        initiator: 'xhr',
+                        method: request.method,
+                        url: request.url,
+                        status: this.status,
+                        statusText: this.statusText,
+                        startedAt,
+                        durationMs: Math.round(performance.now() - start),
+                        responseSize: responseSize(this),
+                        mimeType: this.getResponseHeader('content-type') || null
+                    };
+                    if (error) entry.error = error;
+                    if (isFailure(this.status) && (this.responseType === '' || this.responseType === 'text')) {
+                        Object.assign(entry, capBody(this.responseText));
+                    }
+                    record(entry);
+                } catch (e) {
+                    // Never break the page's request
+                }
+            });
+        }
+        return originalSend.apply(this, arguments);
+    };
+
+    function responseSize(xhr) {
+        const declared = parseSize(xhr.getResponseHeader('content-length'));
+        if (declared !== null) return declared;
+
+        const body = xhr.response;
+        if (typeof body === 'string') return body.length;
+        if (body instanceof ArrayBuffer) return body.byteLength;
+        if (typeof Blob !== 'undefined' && body instanceof Blob) return body.size;
+        return null;
+    }
+
+    // Scripts, styles, images and other subresources; fetch/XHR are covered above
+    function recordResource(timing) {
+        if (timing.initiatorType === 'fetch' || timing.initiatorType === 'xmlhttprequest') return;
+
+        const url = redactUrl(timing.name);
+        if (!url) return;
+
+        record({
+            initiator: timing.initiatorType || 'other',
+            method: 'GET',
+            url,
+            // 0 means failed or cross-origin without timing access; the two cannot be told apart
+            status: timing.responseStatus || null,
+            statusText: '',
+            startedAt: new Date(performance.timeOrigin + timing.startTime).toISOString(),
+            durationMs: Math.round(timing.duration),
+            responseSize: timing.transferSize || timing.encodedBodySize || null,
+            mimeType: null
+        });
+    }
+
+    try {
+        new PerformanceObserver(list => list.getEntries().forEach(recordResource))
+            .observe({ type: 'resource', buffered: true });
+    } catch (e) {
+        // Resource timing not available
+    }
+})();
@@ -0,0 +1,157 @@
+// Capability Probe - Detects which data sources actually exist on the current page
+// Feature flags say what a platform can offer; the probe says what this page offers right now,
+// so the overlay only runs phases that have something to capture
+
+const CapabilityProbe = {
+    lastResult: null,
+
+    // Data sources, the feature flags that declare them and the phase that captures them
+    capabilities: {
+        chatHistory: { features: ['chatHistory'], phase: 'extract' },
+        errors: { features: ['errorTracking'], phase: 'errors' },
+        consoleLogs: { features: ['consoleAccess'], phase: 'errors' },
+        network: { features: ['errorTracking', 'consoleAccess'], phase: 'errors' },
+        fileTree: { features: ['fileTree'], phase: 'files' },
+        artifacts: { features: ['artifacts'], phase: 'artifacts' },
+        diffs: { features: ['diffTracking', 'fileChanges'], phase: 'diffs' },
+        terminal: { features: ['terminal'], phase: 'terminal' }
+    },
+
+    // Phases that run on every capture. Chat extraction stays on because the
+    // chat scraper falls back to discovery mode when no selector matches.
+    fixedPhases: ['init', 'scan', 'extract', 'compile', 'complete'],
+
+    // Markup that identifies a diff view when the platform has no diffView selector
+    genericDiffSelector: '.diff, [data-diff], [data-change]',
+
+    /**
+     * Probe every capability on the current page
+     * @param {Object} platform - Platform config (as returned by PlatformDetector)
+     * @returns {Object} Probe result with per-capability detail and the phases to run
+     */
+    probe(platform) {
+        const capabilities = {};
+
+        for (const [name, definition] of Object.entries(this.capabilities)) {
+            const declared = definition.features.some(f => PlatformRegistry.hasFeature(platform, f));
+            let detection;
+            try {
+                detection = this.detect(platform, name);
+            } catch (error) {
+                detection = { detected: false, via: null, count: 0, error: error.message };
+            }
+            capabilities[name] = { declared, ...detection };
+        }
+
+        const names = Object.keys(capabilities);
+        const result = {
+            platformId: platform.id,
+            url: window.location.href,
+            probedAt: new Date().toISOString(),
+            capabilities,
+            declared: names.filter(n => capabilities[n].declared),
+            detected: names.filter(n => capabilities[n].detected),
+            // Found on the page although the config does not declare it
+            undeclared: names.filter(n => capabilities[n].detected && !capabilities[n].declared),
+            // Declared by the config but absent from this page
+            missing: names.filter(n => capabilities[n].declared && !capabilities[n].detected),
+            phases: this.planPhases(capabilities)
+        };
+
+        this.lastResult = result;
+        console.log(`[CapabilityProbe] ${platform.name}: detected ${result.detected.join(', ') || 'nothing'}`);
+        return result;
+    },
+
+    /**
+     * Check whether a single data source is present
+     * @param {Object} platform - Platform config
+     * @param {string} name - Capability name
+     * @returns {Object} { detected, via, count }
+     */
+    detect(platform, name) {
+        switch (name) {
+            case 'chatHistory': {
+                const messages = PlatformRegistry.findElements(platform, 'chatMessage');
+                if (messages.length > 0) return { detected: true, via: 'chatMessage', count: messages.length };
+                const container = PlatformRegistry.findElement(platform, 'chatContainer');
+                return { detected: !!container, via: container ? 'chatContainer' : null, count: 0 };
+            }
+
+            case 'errors': {
+                const panel = PlatformRegistry.findElement(platform, 'errorPanel');
+                if (panel) return { detected: true, via: 'errorPanel', count: 0 };
+                const visible = ErrorScraper.scrapeVisibleErrors(platform).length;
+                if (visible > 0) return { detected: true, via: 'visible-errors', count: visible };
+                const preview = ErrorScraper.getPreviewEvents(platform).errors.length;
+                if (preview > 0) return { detected: true, via: 'preview-frame', count: preview };
+                const recorded = ErrorScraper.capturedErrors.length;
+                return { detected: recorded > 0, via: recorded > 0 ? 'recorded-errors' : null, count: recorded };
+            }
+
+            case 'consoleLogs': {
+                const recorded = ErrorScraper.capturedConsoleLogs.length;
+                if (recorded > 0) return { detected: true, via: 'page-console', count: recorded };
+                const preview = ErrorScraper.getPreviewEvents(platform).consoleLogs.length;
+                return { detected: preview > 0, via: preview > 0 ? 'preview-frame' : null, count: preview };
+            }
+
+            case 'network': {
+                const recorded = NetworkLog.requests.length;
+                return { detected: recorded > 0, via: recorded > 0 ? 'page-requests' : null, count: recorded };
+            }
+
+            case 'fileTree': {
+                const tree = PlatformRegistry.findElement(platform, 'fileTree');
+                return { detected: !!tree, via: tree ? 'fileTree' : null, count: 0 };
+            }
+
+            case 'artifacts': {
+                const containers = ArtifactScraper.findArtifactContainers(platform);
+                return { detected: containers.length > 0, via: containers.length > 0 ? 'artifact' : null, count: containers.length };
+            }
+
+            case 'diffs': {
+                const views = PlatformRegistry.findElements(platform, 'diffView');
+                if (views.length > 0) return { detected: true, via: 'diffView', count: views.length };
+                const generic = document.querySelectorAll(this.genericDiffSelector).length;
+                return { detected: generic > 0, via: generic > 0 ? 'generic-diff' : null, count: generic };
+            }
+
+            case 'terminal': {
+                const terminal = TerminalScraper.findTerminal(platform);
+                return { detected: !!terminal, via: terminal ? 'terminal' : null, count: 0 };
+            }
+
+            default:
+                return { detected: false, via: null, count: 0 };
+        }
+    },
+
+    /**
+     * Build the phase list from detected capabilities
+     * @param {Object} capabilities - Per-capability probe detail
+     * @returns {Array<string>} Phase IDs in capture order
+     */
+    planPhases(capabilities) {
+        const wanted = new Set(this.fixedPhases);
+        for (const [name, detail] of Object.entries(capabilities)) {
+            if (detail.detected) wanted.add(this.capabilities[name].phase);
+        }
+        return CapturePhases.getAllPhaseIds().filter(id => wanted.has(id));
+    },
+
+    /**
+     * Whether the last probe of this platform detected a capability
+     * @param {Object} platform - Platform config
+     * @param {string} name - Capability name
+     * @returns {boolean} True if detected on the page
+     */
+    isDetected(platform, name) {
+        if (!this.lastResult || this.lastResult.platformId !== platform.id) return false;
+        return !!this.lastResult.capabilities[name]?.detected;
+    }
+};
+
+// Make available globally
+window.CapabilityProbe = CapabilityProbe;
@@ -8,7 +8,7 @@
         provider: 'StackBlitz',
         tier: 1,
         hostPatterns: ['bolt.new', 'stackblitz.com'],
-        projectUrlPattern: /bolt\.new\/([a-zA-Z0-9-~]+)/,
+        projectUrlPattern: /bolt\.new\/(?:~\/)?([a-zA-Z0-9-]+)/,
         exportMechanism: 'download-zip',
 
         features: {
@@ -92,10 +92,30 @@
             // Export/download buttons
             exportButton: '[aria-label*="Download" i], [aria-label*="Export" i], button[class*="download"], button[class*="export"]',
 
+            // Action list inside an assistant message ("Create src/App.tsx", "Run command npm install")
+            actionCard: '[class*="artifact"] li, [class*="Artifact"] li, [class*="action"][class*="item"]',
+
             // Code blocks
             codeBlocks: 'pre code, [class*="code-block"], [class*="CodeBlock"], .hljs, [class*="shiki"]'
         },
 
+        // No role attributes; the message components are named after their role
+        roleMap: {
+            user: '[class*="UserMessage"], [class*="user-message"]',
+            assistant: '[class*="AssistantMessage"], [class*="assistant-message"]'
+        },
+
+        roleResolver: {
+            strategies: ['roleMap', 'attributes', 'avatar', 'classHints'],
+            // Prompts show the account avatar (or its placeholder icon); answers hold the
+            // action artifact. Also matched inside a wrapper that carries the role class.
+            avatar: {
+                user: '[class*="UserMessage"], img[alt="User" i], img[alt*="avatar" i], [class*="i-ph:user"]',
+                assistant: '[class*="AssistantMessage"], [class*="artifact"], [class*="Artifact"]'
+            },
+            alternation: { first: 'user' }
+        },
+
         metadata: {
             color: '#00ffff',
             description: 'AI-powered full-stack web development',
@@ -0,0 +1,113 @@
+// ChatGPT (OpenAI) Platform Configuration
+// Covers regular chats, canvas documents and files uploaded into the conversation
+
+(function () {
+    const chatgptConfig = {
+        id: 'chatgpt',
+        name: 'ChatGPT',
+        provider: 'OpenAI',
+        tier: 2,
+        hostPatterns: ['chatgpt.com', 'chat.openai.com'],
+        projectUrlPattern: /(?:chatgpt\.com|chat\.openai\.com)\/(?:g\/[^/]+\/)?c\/([a-zA-Z0-9-]+)/,
+        exportMechanism: 'copy-code',
+
+        features: {
+            chatHistory: true,
+            fileTree: false, // Conversation only, no project files
+            livePreview: false,
+            errorTracking: false,
+            consoleAccess: false,
+            artifacts: true, // Canvas documents
+            codeBlocks: true,
+            fileUploads: true
+        },
+
+        selectors: {
+            chatContainer: 'main [class*="react-scroll-to-bottom"], main [role="presentation"], main',
+
+            // Every turn carries its author on the inner message node
+            chatMessage: '[data-message-author-role], article[data-testid^="conversation-turn-"]',
+            messageRole: 'data-message-author-role',
+            messageContent: '.markdown, [class*="markdown"], .whitespace-pre-wrap',
+
+            codeBlocks: 'pre code, pre [class*="language-"], pre',
+
+            // Canvas documents open in a side panel; inline cards link to them
+            artifact: '[data-testid="canvas"], section[class*="canvas"], [id^="textdoc-message-"]',
+            artifactContainer: '[class*="canvas"][class*="panel"]',
+            artifactTitle: 'header h2, header [class*="title"], [class*="truncate"]',
+            artifactCode: '.cm-content, .ProseMirror, pre code',
+
+            // Files and images attached to user turns
+            uploadedFile: '[data-testid*="file"], [class*="file-tile"], a[download], img[alt*="Uploaded" i]',
+
+            // "< 2 / 3 >" switcher on edited prompts and regenerated answers
+            branchIndicator: '.tabular-nums',
+            branchPrev: 'button[aria-label="Previous response"], button[aria-label*="Previous" i]',
+            branchNext: 'button[aria-label="Next response"], button[aria-label*="Next" i]',
+
+            copyButton: 'button[data-testid="copy-turn-action-button"], button[aria-label*="Copy" i]',
+            exportButton: 'button[aria-label*="Share" i], button[data-testid="share-chat-button"]'
+        },
+
+        // Opt-in: read the conversation from the page's own API response instead of the DOM.
+        // `mapping` holds every node including edited and regenerated branches; `current_node`
+        // is the leaf the user is looking at.
+        networkCapture: {
+            endpoints: [{
+                pattern: /\/backend-api\/conversation\/[0-9a-f-]{36}(?:\?|$)/,
+                map(json) {
+                    const mapping = json?.mapping;
+                    if (!mapping) return [];
+
+                    const textOf = message => (message.content?.parts || [])
+                        .filter(part => typeof part === 'string')
+                        .join('\n\n');
+                    const isShown = node => {
+                        const message = node?.message;
+                        return !!message &&
+                            ['user', 'assistant'].includes(message.author?.role) &&
+                            !message.metadata?.is_visually_hidden_from_conversation &&
+                            textOf(message).trim().length > 0;
+                    };
+                    // System and tool nodes sit between turns; link past them
+                    const shownAncestor = id => {
+                        while (id && mapping[id] && !isShown(mapping[id])) id = mapping[id].parent;
+                        return id && mapping[id] ? id : null;
+                    };
+
+                    const selected = new Set();
+                    for (let id = json.current_node; id && mapping[id]; id = mapping[id].parent) selected.add(id);
+
+                    return Object.values(mapping)
+                        .filter(isShown)
+                        .sort((a, b) => (a.message.create_time || 0) - (b.message.create_time || 0))
+                        .map(node => ({
+                            id: node.id,
+                            parentId: shownAncestor(node.parent),
+                            role: node.message.author.role,
+                            content: textOf(node.message),
+                            timestamp: node.message.create_time ? new Date(node.message.create_time * 1000).toISOString() : null,
+                            selected: selected.size === 0 || selected.has(node.id),
+                            attachments: (node.message.metadata?.attachments || []).map(file => ({
+                                kind: /^image\//.test(file.mime_type || '') ? 'image' : 'file',
+                                name: file.name,
+                                width: file.width,
+                                height: file.height
+                            }))
+                        }));
+                }
+            }]
+        },
+
+        metadata: {
+            color: '#10a37f',
+            description: 'Conversational AI with canvas documents',
+            url: 'https://chatgpt.com'
+        }
+    };
+
+    if (window.PlatformRegistry) {
+        window.PlatformRegistry.register(chatgptConfig);
+    }
+})();
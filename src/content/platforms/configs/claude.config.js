@@ -29,10 +29,51 @@
             artifact: '[data-artifact], [class*="artifact"]',
             codeBlocks: 'pre code, [class*="code-block"]',
             previewFrame: 'iframe[title="Artifact"], iframe[class*="artifact"]',
+            // Version switcher shown under edited prompts and retried answers
+            branchPrev: 'button[aria-label*="Previous" i]',
+            branchNext: 'button[aria-label*="Next" i]',
             copyButton: 'button:contains("Copy"), button[aria-label*="Copy"]',
             artifactContainer: '[class*="artifact-container"]'
         },
 
+        // Opt-in: read the conversation from the page's own API response instead of the DOM.
+        // Every message carries its parent, so retried and edited turns come back as branches;
+        // `current_leaf_message_uuid` marks the one on screen.
+        networkCapture: {
+            endpoints: [{
+                pattern: /\/api\/organizations\/[^/]+\/chat_conversations\/[0-9a-f-]{36}(?:\?|$)/,
+                map(json) {
+                    const messages = json?.chat_messages;
+                    if (!Array.isArray(messages)) return [];
+
+                    const byId = new Map(messages.map(msg => [msg.uuid, msg]));
+                    const selected = new Set();
+                    for (let id = json.current_leaf_message_uuid; byId.has(id) && !selected.has(id); id = byId.get(id).parent_message_uuid) {
+                        selected.add(id);
+                    }
+
+                    return messages.map(msg => ({
+                        id: msg.uuid,
+                        parentId: byId.has(msg.parent_message_uuid) ? msg.parent_message_uuid : null,
+                        role: msg.sender === 'human' ? 'user' : 'assistant',
+                        content: Array.isArray(msg.content)
+                            ? msg.content.filter(block => block.type === 'text').map(block => block.text).join('\n\n')
+                            : msg.text || '',
+                        timestamp: msg.created_at || null,
+                        selected: selected.size === 0 || selected.has(msg.uuid),
+                        attachments: [
+                            ...(msg.attachments || []).map(file => ({ kind: 'file', name: file.file_name })),
+                            ...(msg.files || []).map(file => ({
+                                kind: file.file_kind === 'image' ? 'image' : 'file',
+                                name: file.file_name,
+                                src: file.preview_url ? new URL(file.preview_url, window.location.origin).href : null
+                            }))
+                        ]
+                    }));
+                }
+            }]
+        },
+
         metadata: {
             color: '#d4a574',
             description: 'AI assistant with interactive artifacts',
@@ -7,7 +7,7 @@
         provider: 'GitHub',
         tier: 1,
         hostPatterns: ['githubnext.com', 'github.com/copilot'],
-        projectUrlPattern: /githubnext\.com\/projects\/([a-zA-Z0-9-]+)/,
+        projectUrlPattern: /(?:githubnext\.com\/projects|github\.com\/copilot(?:\/workspace|\/c)?)\/([a-zA-Z0-9-]+)/,
         exportMechanism: 'github-export',
 
         features: {
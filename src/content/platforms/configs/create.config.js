@@ -30,6 +30,17 @@
             exportButton: 'button:contains("Export"), button:contains("Download")'
         },
 
+        roleResolver: {
+            strategies: ['roleMap', 'attributes', 'avatar', 'alignment', 'classHints'],
+            // Prompts show the account's profile picture, answers Create's logo; prompts sit on the right
+            avatar: {
+                user: 'img[alt*="profile" i], img[alt*="avatar" i]',
+                assistant: 'img[alt*="Create" i], svg[aria-label*="Create" i]'
+            },
+            alignment: { user: 'right' },
+            alternation: { first: 'user' }
+        },
+
         metadata: {
             color: '#00d4ff',
             description: 'AI web app builder',
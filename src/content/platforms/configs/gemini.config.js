@@ -0,0 +1,63 @@
+// Google Gemini Platform Configuration
+// Gemini renders turns as custom elements (user-query / model-response) and
+// opens Canvas documents in an immersive side panel
+
+(function () {
+    const geminiConfig = {
+        id: 'gemini',
+        name: 'Gemini',
+        provider: 'Google',
+        tier: 2,
+        hostPatterns: ['gemini.google.com'],
+        projectUrlPattern: /gemini\.google\.com\/(?:u\/\d+\/)?app\/([a-zA-Z0-9]+)/,
+        exportMechanism: 'copy-code',
+
+        features: {
+            chatHistory: true,
+            fileTree: false,
+            livePreview: true, // Canvas can preview generated web apps
+            errorTracking: false,
+            consoleAccess: false,
+            artifacts: true, // Canvas documents
+            codeBlocks: true,
+            fileUploads: true
+        },
+
+        selectors: {
+            chatContainer: 'infinite-scroller.chat-history, [class*="chat-history"], chat-window, main',
+
+            // Each turn is split into a user-query and a model-response element
+            chatMessage: 'user-query, model-response',
+            messageContent: 'message-content .markdown, .query-text, message-content, [class*="query-content"]',
+
+            codeBlocks: 'code-block pre code, .code-block pre, pre code',
+
+            // Canvas documents
+            artifact: 'immersive-panel, code-immersive-panel, [class*="immersive-panel"]',
+            artifactTitle: '[data-test-id="immersive-title"], [class*="immersive-title"], .title-text, h2',
+            artifactCode: '.cm-content, .view-lines, .ProseMirror, pre code',
+            previewFrame: 'immersive-panel iframe, iframe[src*="usercontent.goog"]',
+
+            uploadedFile: 'user-query-file-preview, [class*="file-preview"], img[data-test-id="uploaded-img"], img[class*="uploaded"]',
+
+            copyButton: 'button[aria-label*="Copy" i], button[mattooltip*="Copy" i]',
+            exportButton: 'button[aria-label*="Share" i], button[aria-label*="Export" i]'
+        },
+
+        // The turn element itself tells us who wrote it
+        roleMap: {
+            user: 'user-query',
+            assistant: 'model-response'
+        },
+
+        metadata: {
+            color: '#4285f4',
+            description: 'Google AI assistant with Canvas',
+            url: 'https://gemini.google.com'
+        }
+    };
+
+    if (window.PlatformRegistry) {
+        window.PlatformRegistry.register(geminiConfig);
+    }
+})();
@@ -30,7 +30,20 @@
             fileItem: '[data-testid="file-item"], .file-item, [class*="FileItem"]',
             previewFrame: 'iframe[src*="preview"], .preview-frame, iframe[class*="preview"]',
             exportButton: '[data-testid="export"], button:contains("Export"), [class*="Export"]',
-            codeBlocks: 'pre code, [class*="code-block"], .hljs'
+            codeBlocks: 'pre code, [class*="code-block"], .hljs',
+            // "Edited src/App.tsx" / "Installed dependencies" cards in assistant messages
+            actionCard: '[data-testid*="action"], [class*="ToolCall"], [class*="tool-call"], [class*="ActionCard"], details > summary'
+        },
+
+        roleResolver: {
+            strategies: ['roleMap', 'attributes', 'avatar', 'alignment', 'classHints'],
+            // Answers carry Lovable's logo, "Thought for"/"Edited" cards and the version
+            // restore button; prompts are bubbles on the right
+            avatar: {
+                assistant: 'img[alt*="Lovable" i], svg[aria-label*="Lovable" i], [data-testid*="action"], [class*="ToolCall"], details > summary, button:has-text("Restore")'
+            },
+            alignment: { user: 'right' },
+            alternation: { first: 'user' }
         },
 
         metadata: {
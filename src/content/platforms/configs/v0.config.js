@@ -7,7 +7,7 @@
         provider: 'Vercel',
         tier: 1,
         hostPatterns: ['v0.dev'],
-        projectUrlPattern: /v0\.dev\/([a-zA-Z0-9-]+)/,
+        projectUrlPattern: /v0\.dev\/(?:chat\/|t\/)?([a-zA-Z0-9-]+)/,
         exportMechanism: 'copy-code',
 
         features: {
@@ -34,6 +34,16 @@
             artifactContainer: '[class*="artifact"], [class*="preview-container"]'
         },
 
+        roleResolver: {
+            strategies: ['roleMap', 'attributes', 'avatar', 'alignment', 'classHints'],
+            // Answers start with v0's logo and hold the version cards; prompts are bubbles on the right
+            avatar: {
+                assistant: 'svg[aria-label*="v0" i], img[alt*="v0" i], [class*="Version"], [class*="version-"], [class*="iteration"]'
+            },
+            alignment: { user: 'right' },
+            alternation: { first: 'user' }
+        },
+
         metadata: {
             color: '#ffff00',
             description: 'Generative UI by Vercel',
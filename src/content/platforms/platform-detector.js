@@ -3,6 +3,10 @@
 
 const PlatformDetector = {
     currentPlatform: null,
+    lastUrl: null,
+    navigationListeners: [],
+    navigationPollTimer: null,
+    isWatchingNavigation: false,
 
     /**
      * Initialize platform detection
@@ -10,6 +14,7 @@ const PlatformDetector = {
      */
     init() {
         this.currentPlatform = PlatformRegistry.detectCurrentPlatform();
+        this.lastUrl = window.location.href;
 
         if (this.currentPlatform) {
             console.log(`[KripTik AI Importer] Detected platform: ${this.currentPlatform.name}`);
@@ -21,6 +26,77 @@ const PlatformDetector = {
         return this.currentPlatform;
     },
 
+    /**
+     * Watch for in-page navigation so projectId and url stay current in SPAs
+     * Content scripts can't see the page's history.pushState calls, so this relies on
+     * the Navigation API where available, popstate/hashchange, and a slow URL poll
+     */
+    watchNavigation() {
+        if (this.isWatchingNavigation) return;
+        this.isWatchingNavigation = true;
+
+        const check = () => this.checkNavigation();
+
+        if (window.navigation) {
+            window.navigation.addEventListener('navigatesuccess', check);
+        }
+        window.addEventListener('popstate', check);
+        window.addEventListener('hashchange', check);
+        this.navigationPollTimer = setInterval(check, 1000);
+    },
+
+    /**
+     * Re-run detection if the URL changed since the last check
+     * @returns {Object|null} Navigation change, or null if the URL is unchanged
+     */
+    checkNavigation() {
+        const url = window.location.href;
+        if (url === this.lastUrl) return null;
+
+        const previous = this.currentPlatform;
+        const previousUrl = this.lastUrl;
+
+        this.lastUrl = url;
+        this.currentPlatform = PlatformRegistry.detectCurrentPlatform(url);
+        window.currentPlatform = this.currentPlatform;
+
+        const change = {
+            previous,
+            current: this.currentPlatform,
+            previousUrl,
+            url,
+            platformChanged: previous?.id !== this.currentPlatform?.id,
+            projectChanged: previous?.id !== this.currentPlatform?.id ||
+                previous?.projectId !== this.currentPlatform?.projectId
+        };
+
+        if (change.projectChanged) {
+            console.log(`[KripTik AI Importer] Project changed: ${previous?.projectId || 'none'} -> ${this.currentPlatform?.projectId || 'none'}`);
+        }
+
+        this.navigationListeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (error) {
+                console.error('[KripTik AI Importer] Navigation listener error:', error);
+            }
+        });
+
+        return change;
+    },
+
+    /**
+     * Subscribe to in-page navigation
+     * @param {function} listener - Called with { previous, current, previousUrl, url, platformChanged, projectChanged }
+     * @returns {function} Unsubscribe function
+     */
+    onNavigate(listener) {
+        this.navigationListeners.push(listener);
+        return () => {
+            this.navigationListeners = this.navigationListeners.filter(l => l !== listener);
+        };
+    },
+
     /**
      * Get currently detected platform
      * @returns {Object|null} Current platform config
@@ -60,11 +136,11 @@ const PlatformDetector = {
     /**
      * Find elements on current platform
      * @param {string} selectorName - Name of selector
-     * @returns {NodeList} NodeList of elements
+     * @returns {Array<Element>} Found elements
      */
     findElements(selectorName) {
         const platform = this.getPlatform();
-        return platform ? PlatformRegistry.findElements(platform, selectorName) : document.querySelectorAll('');
+        return platform ? PlatformRegistry.findElements(platform, selectorName) : [];
     },
 
     /**
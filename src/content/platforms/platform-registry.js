@@ -3,6 +3,27 @@
 
 const PlatformRegistry = {
   platforms: new Map(),
+  bundledPlatforms: new Map(), // Configs as shipped (never custom ones), used as the base for selector packs
+  selectorPackVersion: null,
+
+  // Selectors that must resolve on the page for a feature flag to count as working.
+  // 'all' needs every configured selector to match, 'any' needs at least one.
+  featureSelectors: {
+    chatHistory: { all: ['chatContainer', 'chatMessage'] },
+    fileTree: { all: ['fileTree'] },
+    livePreview: { any: ['previewFrame'] },
+    errorTracking: { any: ['errorPanel', 'terminal'] },
+    terminal: { all: ['terminal'] },
+    codeBlocks: { all: ['codeBlocks'] },
+    artifacts: { any: ['artifact', 'artifactContainer'] },
+    diffTracking: { any: ['diffView'] },
+    fileChanges: { any: ['diffView'] },
+    fileUploads: { any: ['uploadedFile'] },
+    iterations: { any: ['iterationSelector'] }
+  },
+
+  // Selector entries that hold attribute names rather than CSS selectors
+  attributeSelectors: ['messageRole'],
 
   /**
    * Register a platform configuration
@@ -13,7 +34,13 @@ const PlatformRegistry = {
       console.error('Invalid platform config:', config);
       return false;
     }
+    if (!config.custom && typeof PlatformCatalog !== 'undefined' && PlatformCatalog.forConfig(config.id).length === 0) {
+      console.warn(`[PlatformRegistry] ${config.id} is not listed in the platform catalog; its content script may never be injected`);
+    }
     this.platforms.set(config.id, config);
+    if (!config.custom && !this.bundledPlatforms.has(config.id)) {
+      this.bundledPlatforms.set(config.id, config);
+    }
     return true;
   },
 
@@ -27,26 +54,194 @@ const PlatformRegistry = {
 
   /**
    * Detect which platform the user is currently on
-   * @returns {Object|null} Platform config with projectId, or null if no match
+   * When several platforms match, the most specific host/path pattern wins
+   * @param {string} url - URL to match (defaults to the current page)
+   * @returns {Object|null} Platform config with projectId and matchedBy, or null if no match
+   */
+  detectCurrentPlatform(url = window.location.href) {
+    const candidates = this.matchPlatforms(url);
+    if (candidates.length === 0) return null;
+
+    const [best, ...others] = candidates;
+    const projectId = this.extractProjectId(url, best.config.projectUrlPattern);
+    const catalogEntry = this.getCatalogEntry(best.config, url);
+
+    return {
+      ...best.config,
+      projectId,
+      catalogId: catalogEntry?.id || null,
+      type: catalogEntry?.type || (best.config.custom ? 'custom' : null),
+      detectedAt: new Date().toISOString(),
+      url: url,
+      matchedBy: {
+        ...best.match,
+        // Other platforms that also matched, least specific last
+        alsoMatched: others.map(c => ({ id: c.config.id, pattern: c.match.pattern, specificity: c.match.specificity }))
+      }
+    };
+  },
+
+  /**
+   * Find the platform catalog entry that injected a config's scripts on a URL
+   * @param {Object} config - Platform config
+   * @param {string} url - Page URL
+   * @returns {Object|null} Catalog entry, or null for custom platforms and unknown hosts
    */
-  detectCurrentPlatform() {
-    const hostname = window.location.hostname;
-    const url = window.location.href;
+  getCatalogEntry(config, url) {
+    if (typeof PlatformCatalog === 'undefined') return null;
+
+    const entry = PlatformCatalog.lookup(url, 'capture');
+    return entry && entry.configs.includes(config.id) ? entry : null;
+  },
+
+  /**
+   * Match a URL against every registered platform
+   * @param {string} url - URL to match
+   * @returns {Array} Matching platforms as { config, match }, most specific first
+   */
+  matchPlatforms(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return [];
+    }
 
-    for (const [id, config] of this.platforms) {
-      // Check if hostname matches any of the platform's host patterns
-      if (config.hostPatterns.some(pattern => hostname.includes(pattern))) {
-        const projectId = this.extractProjectId(url, config.projectUrlPattern);
-        return {
-          ...config,
-          projectId,
-          detectedAt: new Date().toISOString(),
-          url: url
-        };
+    const candidates = [];
+    let order = 0;
+
+    for (const config of this.platforms.values()) {
+      const match = this.matchConfig(config, parsed);
+      if (match) {
+        candidates.push({ config, match, order: order });
       }
+      order++;
     }
 
-    return null;
+    // Most specific first; registration order breaks ties
+    candidates.sort((a, b) => (b.match.specificity - a.match.specificity) || (a.order - b.order));
+
+    return candidates.map(({ config, match }) => ({ config, match }));
+  },
+
+  /**
+   * Explain which platforms match a URL and why (debugging aid)
+   * @param {string} url - URL to explain (defaults to the current page)
+   * @returns {Array} Match reasons, most specific first
+   */
+  explainMatch(url = window.location.href) {
+    return this.matchPlatforms(url).map(({ config, match }) => ({ id: config.id, name: config.name, ...match }));
+  },
+
+  /**
+   * Find the most specific of a platform's host patterns matching a URL
+   * @param {Object} config - Platform config
+   * @param {URL} parsedUrl - Parsed URL
+   * @returns {Object|null} Best match reason or null
+   */
+  matchConfig(config, parsedUrl) {
+    let best = null;
+
+    for (const pattern of config.hostPatterns || []) {
+      const match = this.matchPattern(pattern, parsedUrl);
+      if (match && (!best || match.specificity > best.specificity)) {
+        best = match;
+      }
+    }
+
+    return best;
+  },
+
+  /**
+   * Match a single host pattern against a URL
+   *
+   * Pattern syntax: `[scheme://]host[/path]`
+   * - `example.com` matches the host and any of its subdomains
+   * - `*.example.com` matches subdomains only
+   * - `/path` matches that path and everything below it; `*` matches any characters
+   * - `host:port` (e.g. `localhost:3000`) only matches that port
+   *
+   * @param {string} pattern - Host pattern, e.g. 'github.com/copilot'
+   * @param {URL} parsedUrl - Parsed URL
+   * @returns {Object|null} Match reason with specificity, or null
+   */
+  matchPattern(pattern, parsedUrl) {
+    const parts = this.parsePattern(pattern);
+    if (!parts) return null;
+
+    if (parts.scheme && parts.scheme !== parsedUrl.protocol.replace(':', '')) {
+      return null;
+    }
+
+    // URL.host carries the port (unless it is the scheme's default), URL.hostname never does
+    const host = /:\d+$/.test(parts.host) ? parsedUrl.host : parsedUrl.hostname;
+    const hostname = host.toLowerCase().replace(/^www\./, '');
+    let hostMatch = null;
+
+    if (parts.host.startsWith('*.')) {
+      const base = parts.host.slice(2);
+      if (hostname.endsWith(`.${base}`)) hostMatch = 'subdomain';
+    } else if (hostname === parts.host) {
+      hostMatch = 'exact';
+    } else if (hostname.endsWith(`.${parts.host}`)) {
+      hostMatch = 'subdomain';
+    }
+
+    if (!hostMatch) return null;
+
+    let pathMatch = null;
+    if (parts.path) {
+      if (!this.globToRegExp(parts.path).test(parsedUrl.pathname)) {
+        return null;
+      }
+      pathMatch = parts.path;
+    }
+
+    // Literal path characters dominate, then exact hosts, then longer hosts
+    const pathLiteral = parts.path ? parts.path.replace(/\*/g, '').length : 0;
+    const specificity = (pathLiteral * 10000) + (hostMatch === 'exact' ? 1000 : 0) + parts.host.replace('*.', '').length;
+
+    return {
+      pattern,
+      host: hostMatch,
+      path: pathMatch,
+      specificity
+    };
+  },
+
+  /**
+   * Split a host pattern into scheme, host and path
+   * @param {string} pattern - Host pattern
+   * @returns {Object|null} { scheme, host, path } or null if invalid
+   */
+  parsePattern(pattern) {
+    if (typeof pattern !== 'string' || !pattern.trim()) return null;
+
+    const match = pattern.trim().toLowerCase().match(/^(?:([a-z]+):\/\/)?([^/]+)(\/.*)?$/);
+    if (!match) return null;
+
+    const [, scheme, host, path] = match;
+    return {
+      scheme: scheme || null,
+      host: host.replace(/^www\./, ''),
+      path: path && path !== '/' ? path : null
+    };
+  },
+
+  /**
+   * Convert a path glob to a RegExp
+   * A path without a trailing wildcard also matches everything below it
+   * @param {string} glob - Path glob, e.g. '/copilot' or '/projects/*'
+   * @returns {RegExp} Path matcher
+   */
+  globToRegExp(glob) {
+    const trimmed = glob.replace(/\/+$/, '');
+    const source = trimmed
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    const suffix = trimmed.endsWith('*') ? '' : '(?:/.*)?';
+    return new RegExp(`^${source}${suffix}$`, 'i');
   },
 
   /**
@@ -108,61 +303,302 @@ const PlatformRegistry = {
   },
 
   /**
-   * Find element using platform-specific selector with fallbacks
+   * Find element using platform-specific selector
    * @param {Object} platform - Platform config
    * @param {string} selectorName - Name of selector
+   * @param {Object} [report] - Optional object filled with how the lookup resolved
    * @returns {Element|null} Found element or null
    */
-  findElement(platform, selectorName) {
+  findElement(platform, selectorName, report) {
+    const result = this.resolveSelector(platform, selectorName);
+    if (report) Object.assign(report, result.report);
+    return result.elements[0] || null;
+  },
+
+  /**
+   * Find all elements using platform-specific selector
+   * @param {Object} platform - Platform config
+   * @param {string} selectorName - Name of selector
+   * @param {Object} [report] - Optional object filled with how the lookup resolved
+   * @returns {Array<Element>} Found elements (may be empty)
+   */
+  findElements(platform, selectorName, report) {
+    const result = this.resolveSelector(platform, selectorName);
+    if (report) Object.assign(report, result.report);
+    return result.elements;
+  },
+
+  /**
+   * Walk the fallbacks of a selector until one matches
+   * Single and multi-element lookups share this so both follow the same rules
+   * (see SelectorEngine for the selector language)
+   * @param {Object} platform - Platform config
+   * @param {string} selectorName - Name of selector
+   * @param {Document|ShadowRoot|Element} root - Where to search
+   * @returns {Object} { elements, report }
+   */
+  resolveSelector(platform, selectorName, root = document) {
     const selector = this.getSelector(platform, selectorName);
-    if (!selector) return null;
-
-    // Selector can be comma-separated for fallbacks
-    const selectors = selector.split(', ').map(s => s.trim());
-
-    for (const sel of selectors) {
-      // Handle :contains() pseudo-selector (not native CSS)
-      if (sel.includes(':contains(')) {
-        const match = sel.match(/(.+):contains\("(.+)"\)/);
-        if (match) {
-          const [, baseSelector, text] = match;
-          const elements = document.querySelectorAll(baseSelector);
-          const found = Array.from(elements).find(el =>
-            el.textContent.includes(text)
-          );
-          if (found) return found;
-        }
-      } else {
-        // Standard CSS selector
-        const element = document.querySelector(sel);
-        if (element) return element;
+    const report = {
+      name: selectorName,
+      selector: selector,
+      matched: false,
+      matchedIndex: -1,
+      matchedSelector: null,
+      count: 0,
+      fallbacks: 0,
+      tried: []
+    };
+    if (!selector) return { elements: [], report };
+
+    let fallbacks;
+    try {
+      fallbacks = SelectorEngine.parse(selector);
+    } catch (e) {
+      report.tried.push({ selector, count: 0, error: e.message });
+      return { elements: [], report };
+    }
+    report.fallbacks = fallbacks.length;
+
+    for (let i = 0; i < fallbacks.length; i++) {
+      let elements;
+      try {
+        elements = SelectorEngine.queryFallback(fallbacks[i], root);
+      } catch (e) {
+        report.tried.push({ selector: fallbacks[i].raw, count: 0, error: e.message });
+        continue;
+      }
+
+      report.tried.push({ selector: fallbacks[i].raw, count: elements.length });
+
+      if (elements.length > 0) {
+        report.matched = true;
+        report.matchedIndex = i;
+        report.matchedSelector = fallbacks[i].raw;
+        report.count = elements.length;
+        return { elements, report };
       }
     }
 
-    return null;
+    return { elements: [], report };
   },
 
   /**
-   * Find all elements using platform-specific selector
+   * Resolve a message role from the platform's roleMap
+   * roleMap maps a role to a selector (often attribute-based) that message elements match
    * @param {Object} platform - Platform config
-   * @param {string} selectorName - Name of selector
-   * @returns {NodeList} NodeList of found elements (may be empty)
+   * @param {Element} el - Message element
+   * @returns {string|null} Role name or null if nothing matched
    */
-  findElements(platform, selectorName) {
-    const selector = this.getSelector(platform, selectorName);
-    if (!selector) return document.querySelectorAll('');
+  matchRole(platform, el) {
+    for (const [role, selector] of Object.entries(platform.roleMap || {})) {
+      if (SelectorEngine.matches(el, selector)) {
+        return role;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Register user-defined platform configs saved from the extension popup
+   * Custom configs never replace a bundled platform with the same ID
+   * @returns {Promise<Array>} IDs of the custom platforms that were registered
+   */
+  async loadCustomPlatforms() {
+    const registered = [];
+
+    try {
+      const { customPlatforms } = await chrome.storage.local.get('customPlatforms');
+
+      (customPlatforms || []).forEach(entry => {
+        const config = this.reviveCustomConfig(entry.config);
+        const validation = this.validateCustomConfig(config);
+
+        if (!validation.isValid) {
+          console.warn(`[PlatformRegistry] Skipping custom platform ${config.id}:`, validation.errors);
+          return;
+        }
+        if (this.bundledPlatforms.has(config.id)) {
+          console.warn(`[PlatformRegistry] Custom platform ${config.id} clashes with a bundled platform, skipping`);
+          return;
+        }
+
+        if (this.register({ ...config, custom: true })) {
+          registered.push(config.id);
+        }
+      });
+    } catch (error) {
+      console.warn('[PlatformRegistry] Could not load custom platforms:', error);
+    }
+
+    return registered;
+  },
+
+  /**
+   * Turn a stored (JSON) custom config back into a registry config
+   * @param {Object} config - Config as stored in chrome.storage
+   * @returns {Object} Config with projectUrlPattern as a RegExp
+   */
+  reviveCustomConfig(config) {
+    const revived = { ...config };
+    if (typeof revived.projectUrlPattern === 'string' && revived.projectUrlPattern) {
+      try {
+        revived.projectUrlPattern = new RegExp(revived.projectUrlPattern);
+      } catch (e) {
+        // Left as a string so validateCustomConfig reports it
+      }
+    }
+    return revived;
+  },
+
+  /**
+   * Validate a user-defined config: the usual checks plus the stricter shape
+   * custom configs need since nothing else reviews them
+   * @param {Object} config - Custom platform config (JSON or revived)
+   * @returns {Object} Validation result with isValid and errors
+   */
+  validateCustomConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return { isValid: false, errors: ['Config must be a JSON object'] };
+    }
+
+    const { errors } = this.validateConfig(config);
+
+    if (config.id && !/^[a-z0-9][a-z0-9-]*$/.test(config.id)) {
+      errors.push('id must be lowercase letters, digits and dashes');
+    }
+    if (config.exportMechanism && typeof config.exportMechanism !== 'string') {
+      errors.push('exportMechanism must be a string');
+    }
+    if (Array.isArray(config.hostPatterns) && config.hostPatterns.length === 0) {
+      errors.push('hostPatterns must list at least one host');
+    }
+
+    Object.entries(config.features || {}).forEach(([name, enabled]) => {
+      if (typeof enabled !== 'boolean') {
+        errors.push(`Feature ${name} must be true or false`);
+      }
+    });
+
+    if (typeof config.projectUrlPattern === 'string' && config.projectUrlPattern) {
+      try {
+        new RegExp(config.projectUrlPattern);
+      } catch (e) {
+        errors.push(`Invalid projectUrlPattern: ${e.message}`);
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  },
+
+  /**
+   * Convert a host pattern into Chrome match patterns for content script injection
+   * @param {string} pattern - Host pattern from a platform config
+   * @returns {Array<string>} Match patterns (empty if the pattern is invalid)
+   */
+  toMatchPatterns(pattern) {
+    const parsed = this.parsePattern(pattern);
+    if (!parsed) return [];
+
+    const scheme = parsed.scheme || 'https';
+    if (scheme !== 'https' && scheme !== 'http') return [];
+
+    let path = '/*';
+    if (parsed.path) {
+      path = parsed.path.endsWith('*') ? parsed.path : `${parsed.path.replace(/\/+$/, '')}*`;
+    }
+
+    // '*.host' covers subdomains only; a bare host covers itself and its subdomains.
+    // IP addresses and localhost have no subdomains to cover.
+    if (parsed.host.startsWith('*.') || /^(localhost|[\d.]+)(:\d+)?$/.test(parsed.host)) {
+      return [`${scheme}://${parsed.host}${path}`];
+    }
+    return [`${scheme}://${parsed.host}${path}`, `${scheme}://*.${parsed.host}${path}`];
+  },
+
+  /**
+   * Load selector packs cached by the service worker and ask it to check for updates
+   * Bundled configs stay in place for any platform the pack does not cover or fails validation
+   * @returns {Promise<Object>} Result with version, applied and rejected platform IDs
+   */
+  async loadSelectorPacks() {
+    let result = { version: null, applied: [], rejected: [] };
+
+    try {
+      const { selectorPacks } = await chrome.storage.local.get('selectorPacks');
+      if (selectorPacks) {
+        result = this.applySelectorPacks(selectorPacks);
+      }
+    } catch (error) {
+      console.warn('[PlatformRegistry] Could not read cached selector packs:', error);
+    }
+
+    // Refresh in the background; an update is picked up on the next page load
+    try {
+      chrome.runtime.sendMessage({ type: 'REFRESH_SELECTOR_PACKS' }, () => {
+        void chrome.runtime.lastError;
+      });
+    } catch (error) {
+      // Extension context invalidated
+    }
+
+    return result;
+  },
+
+  /**
+   * Merge a verified selector pack over the bundled platform configs
+   * Packs may only replace selectors and features; identity and host patterns stay bundled
+   * @param {Object} pack - Selector pack { version, issuedAt, platforms: { [id]: { selectors, features } } }
+   * @returns {Object} Result with version, applied and rejected platform IDs
+   */
+  applySelectorPacks(pack) {
+    const applied = [];
+    const rejected = [];
+
+    if (!pack || !pack.platforms) {
+      return { version: null, applied, rejected };
+    }
+
+    for (const [platformId, entry] of Object.entries(pack.platforms)) {
+      const base = this.bundledPlatforms.get(platformId);
+      if (!base) continue; // Pack covers a platform this build does not ship
+      if (this.platforms.get(platformId)?.custom) continue; // Packs never touch user-defined platforms
+
+      const merged = {
+        ...base,
+        selectors: { ...base.selectors, ...(entry.selectors || {}) },
+        features: { ...base.features, ...(entry.features || {}) },
+        roleMap: entry.roleMap ? { ...base.roleMap, ...entry.roleMap } : base.roleMap,
+        roleResolver: entry.roleResolver ? { ...base.roleResolver, ...entry.roleResolver } : base.roleResolver,
+        selectorPack: {
+          version: pack.version,
+          issuedAt: pack.issuedAt || null,
+          source: 'remote'
+        }
+      };
+
+      const validation = this.validateConfig(merged);
 
-    // Use first selector that matches
-    const selectors = selector.split(', ').map(s => s.trim());
-    for (const sel of selectors) {
-      // Skip :contains() for querySelectorAll
-      if (!sel.includes(':contains(')) {
-        const elements = document.querySelectorAll(sel);
-        if (elements.length > 0) return elements;
+      if (validation.errors.length > 0) {
+        console.warn(`[PlatformRegistry] Selector pack ${pack.version} rejected for ${platformId}:`, validation.errors);
+        rejected.push({ id: platformId, errors: validation.errors });
+        continue;
       }
+
+      this.platforms.set(platformId, merged);
+      applied.push(platformId);
+    }
+
+    this.selectorPackVersion = applied.length > 0 ? pack.version : null;
+
+    if (applied.length > 0) {
+      console.log(`[PlatformRegistry] Selector pack ${pack.version} applied to: ${applied.join(', ')}`);
     }
 
-    return document.querySelectorAll('');
+    return { version: this.selectorPackVersion, applied, rejected };
   },
 
   /**
@@ -200,6 +636,12 @@ const PlatformRegistry = {
 
     if (config.hostPatterns && !Array.isArray(config.hostPatterns)) {
       errors.push('hostPatterns must be an array');
+    } else if (config.hostPatterns) {
+      config.hostPatterns.forEach(pattern => {
+        if (!this.parsePattern(pattern)) {
+          errors.push(`Invalid host pattern: ${pattern}`);
+        }
+      });
     }
 
     if (config.features && typeof config.features !== 'object') {
@@ -208,12 +650,117 @@ const PlatformRegistry = {
 
     if (config.selectors && typeof config.selectors !== 'object') {
       errors.push('selectors must be an object');
+    } else if (config.selectors) {
+      this.validateSelectorMap(config.selectors, 'Selector', errors);
+    }
+
+    if (config.roleMap && typeof config.roleMap !== 'object') {
+      errors.push('roleMap must be an object');
+    } else if (config.roleMap) {
+      this.validateSelectorMap(config.roleMap, 'roleMap entry', errors);
+    }
+
+    if (config.roleResolver !== undefined) {
+      this.validateRoleResolver(config.roleResolver, errors);
+    }
+
+    if (config.networkCapture !== undefined) {
+      this.validateNetworkCapture(config.networkCapture, errors);
     }
 
     return {
       isValid: errors.length === 0,
       errors
     };
+  },
+
+  /**
+   * Check a roleResolver block (strategies, avatar selectors, alignment, alternation)
+   * @param {Object} resolver - roleResolver config
+   * @param {Array<string>} errors - Collected errors
+   */
+  validateRoleResolver(resolver, errors) {
+    if (!resolver || typeof resolver !== 'object' || Array.isArray(resolver)) {
+      errors.push('roleResolver must be an object');
+      return;
+    }
+
+    const strategies = typeof RoleResolver !== 'undefined' ? RoleResolver.defaultStrategies : null;
+    if (resolver.strategies !== undefined) {
+      if (!Array.isArray(resolver.strategies)) {
+        errors.push('roleResolver.strategies must be an array');
+      } else if (strategies) {
+        resolver.strategies
+          .filter(name => !strategies.includes(name))
+          .forEach(name => errors.push(`Unknown roleResolver strategy: ${name}`));
+      }
+    }
+
+    if (resolver.avatar !== undefined) {
+      if (!resolver.avatar || typeof resolver.avatar !== 'object') {
+        errors.push('roleResolver.avatar must be an object');
+      } else {
+        this.validateSelectorMap(resolver.avatar, 'roleResolver.avatar entry', errors);
+      }
+    }
+
+    if (resolver.alignment !== undefined && !['left', 'right'].includes(resolver.alignment?.user)) {
+      errors.push('roleResolver.alignment.user must be "left" or "right"');
+    }
+
+    if (resolver.alternation !== undefined && !['user', 'assistant'].includes(resolver.alternation?.first)) {
+      errors.push('roleResolver.alternation.first must be "user" or "assistant"');
+    }
+  },
+
+  /**
+   * Check a networkCapture block: each endpoint needs a URL pattern and a response mapper
+   * @param {Object} networkCapture - networkCapture config
+   * @param {Array<string>} errors - Collected errors
+   */
+  validateNetworkCapture(networkCapture, errors) {
+    if (!networkCapture || !Array.isArray(networkCapture.endpoints)) {
+      errors.push('networkCapture.endpoints must be an array');
+      return;
+    }
+
+    networkCapture.endpoints.forEach((endpoint, i) => {
+      if (!(endpoint?.pattern instanceof RegExp) && typeof endpoint?.pattern !== 'string') {
+        errors.push(`networkCapture endpoint ${i} needs a pattern`);
+      } else if (typeof endpoint.pattern === 'string') {
+        try {
+          new RegExp(endpoint.pattern);
+        } catch (e) {
+          errors.push(`networkCapture endpoint ${i} pattern is invalid: ${e.message}`);
+        }
+      }
+      // JSON configs cannot carry functions, so only bundled configs can map responses
+      if (typeof endpoint?.map !== 'function') {
+        errors.push(`networkCapture endpoint ${i} needs a map function`);
+      }
+    });
+  },
+
+  /**
+   * Check that every entry of a selector map is a string the selector engine accepts
+   * @param {Object} map - Name to selector map
+   * @param {string} label - Label used in error messages
+   * @param {Array<string>} errors - Errors are appended here
+   */
+  validateSelectorMap(map, label, errors) {
+    Object.entries(map).forEach(([name, selector]) => {
+      if (typeof selector !== 'string') {
+        errors.push(`${label} ${name} must be a string`);
+        return;
+      }
+      // Attribute-name lists (messageRole) are not selectors
+      if (this.attributeSelectors.includes(name) || typeof SelectorEngine === 'undefined') return;
+
+      const error = SelectorEngine.validate(selector);
+      if (error) {
+        errors.push(`${label} ${name} is invalid: ${error}`);
+      }
+    });
   }
 };
 
@@ -0,0 +1,186 @@
+// Selector Doctor - Health check for the current platform's selectors
+// Runs every configured selector through the registry and reports which ones hit,
+// which fallback matched and whether each feature flag has working selectors behind it
+
+const SelectorDoctor = {
+    lastReport: null,
+
+    /**
+     * Check every selector and feature of a platform against the current page
+     * @param {Object} platform - Platform config (as returned by PlatformDetector)
+     * @returns {Object} Diagnostics report
+     */
+    run(platform) {
+        const selectors = Object.keys(platform.selectors || {}).map(name =>
+            this.checkSelector(platform, name)
+        );
+        const byName = new Map(selectors.map(entry => [entry.name, entry]));
+
+        const features = Object.keys(platform.features || {}).map(feature =>
+            this.checkFeature(platform, feature, byName)
+        );
+
+        const report = {
+            platform: {
+                id: platform.id,
+                name: platform.name,
+                version: platform.selectorPack?.version || 'bundled'
+            },
+            url: window.location.href,
+            ranAt: new Date().toISOString(),
+            summary: {
+                selectors: selectors.length,
+                matched: selectors.filter(s => s.matched).length,
+                missed: selectors.filter(s => !s.matched).map(s => s.name),
+                featuresDeclared: features.filter(f => f.declared).length,
+                featuresSatisfied: features.filter(f => f.declared && f.status === 'satisfied').length,
+                featuresBroken: features.filter(f => f.declared && f.status === 'missing').map(f => f.feature)
+            },
+            selectors,
+            features
+        };
+
+        this.lastReport = report;
+        console.log(`[SelectorDoctor] ${platform.name}: ${report.summary.matched}/${report.summary.selectors} selectors matched`);
+        return report;
+    },
+
+    /**
+     * Resolve a single named selector
+     * @param {Object} platform - Platform config
+     * @param {string} name - Selector name
+     * @returns {Object} Selector result with match count and the fallback that hit
+     */
+    checkSelector(platform, name) {
+        if (PlatformRegistry.attributeSelectors.includes(name)) {
+            return this.checkAttributeSelector(platform, name);
+        }
+
+        const report = {};
+        PlatformRegistry.findElements(platform, name, report);
+
+        return {
+            name,
+            type: 'css',
+            selector: report.selector,
+            matched: report.matched,
+            count: report.count,
+            fallbacks: report.fallbacks,
+            matchedIndex: report.matchedIndex,
+            matchedSelector: report.matchedSelector,
+            tried: report.tried
+        };
+    },
+
+    /**
+     * Check an entry that lists attribute names (e.g. messageRole) rather than CSS
+     * @param {Object} platform - Platform config
+     * @param {string} name - Selector name
+     * @returns {Object} Selector result in the same shape as checkSelector
+     */
+    checkAttributeSelector(platform, name) {
+        const selector = PlatformRegistry.getSelector(platform, name) || '';
+        const attributes = selector.split(',').map(a => a.trim()).filter(Boolean);
+        const tried = [];
+        let matchedIndex = -1;
+        let count = 0;
+
+        for (let i = 0; i < attributes.length; i++) {
+            let found = 0;
+            try {
+                found = document.querySelectorAll(`[${attributes[i]}]`).length;
+            } catch (e) {
+                tried.push({ selector: attributes[i], count: 0, error: e.message });
+                continue;
+            }
+            tried.push({ selector: attributes[i], count: found });
+            if (found > 0) {
+                matchedIndex = i;
+                count = found;
+                break;
+            }
+        }
+
+        return {
+            name,
+            type: 'attribute',
+            selector,
+            matched: matchedIndex >= 0,
+            count,
+            fallbacks: attributes.length,
+            matchedIndex,
+            matchedSelector: matchedIndex >= 0 ? attributes[matchedIndex] : null,
+            tried
+        };
+    },
+
+    /**
+     * Decide whether a feature flag is backed by selectors that match the page
+     * @param {Object} platform - Platform config
+     * @param {string} feature - Feature name
+     * @param {Map} byName - Selector results keyed by name
+     * @returns {Object} Feature result
+     */
+    checkFeature(platform, feature, byName) {
+        const declared = PlatformRegistry.hasFeature(platform, feature);
+        const rule = PlatformRegistry.featureSelectors[feature];
+
+        if (!rule) {
+            return { feature, declared, status: 'not-checkable', selectors: [], missing: [] };
+        }
+
+        const mode = rule.all ? 'all' : 'any';
+        const names = (rule.all || rule.any).filter(name => byName.has(name));
+        if (names.length === 0) {
+            return { feature, declared, status: 'no-selectors', selectors: [], missing: [] };
+        }
+
+        const missing = names.filter(name => !byName.get(name).matched);
+        const satisfied = mode === 'all' ? missing.length === 0 : missing.length < names.length;
+
+        return {
+            feature,
+            declared,
+            status: satisfied ? 'satisfied' : 'missing',
+            mode,
+            selectors: names,
+            missing
+        };
+    },
+
+    /**
+     * Explain an empty chat capture using the report
+     * @param {Object} report - Diagnostics report
+     * @returns {string} Human-readable hint
+     */
+    explainEmptyChat(report) {
+        const container = report.selectors.find(s => s.name === 'chatContainer');
+        const message = report.selectors.find(s => s.name === 'chatMessage');
+
+        if (container && !container.matched) {
+            return 'Chat container selector matched nothing - the platform layout has probably changed';
+        }
+        if (message && !message.matched) {
+            return 'Chat container found but no message selector matched - selectors are likely out of date';
+        }
+        return `Message selector matched ${message?.count || 0} node(s) - the conversation may be empty or not loaded yet`;
+    },
+
+    /**
+     * Format a report as short log lines
+     * @param {Object} report - Diagnostics report
+     * @returns {Array<string>} Lines for the overlay log or console
+     */
+    formatLines(report) {
+        return report.selectors.map(s => {
+            if (!s.matched) {
+                const errors = s.tried.filter(t => t.error).length;
+                return `✗ ${s.name}: no match (${s.fallbacks} fallback${s.fallbacks === 1 ? '' : 's'}${errors ? `, ${errors} invalid` : ''})`;
+            }
+            return `✓ ${s.name}: ${s.count} via fallback ${s.matchedIndex + 1}/${s.fallbacks} (${s.matchedSelector})`;
+        });
+    }
+};
+
+// Make available globally
+window.SelectorDoctor = SelectorDoctor;
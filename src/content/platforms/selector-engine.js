@@ -0,0 +1,514 @@
+// Selector Engine - Parses and evaluates the selector language used by platform configs
+//
+// A selector is a comma-separated list of fallbacks. Each fallback is one of:
+//   - CSS, including native :has() and :is()
+//   - CSS with text filters: :contains("text") (exact substring), :has-text("text")
+//     (case- and whitespace-insensitive) and :text-matches(/regex/flags)
+//   - xpath:<expression>, evaluated relative to the lookup root
+// Fallbacks can pierce into open shadow roots and same-origin iframes with `>>>`:
+//   'app-chat >>> .message' finds .message inside app-chat's shadow root,
+//   'iframe#preview >>> #root' finds #root inside the iframe's document and
+//   '>>> .message' searches the document and every open shadow root in it.
+// Commas, `>>>` and pseudo-classes inside quotes, brackets or parentheses are left alone.
+
+const SelectorEngine = {
+  cache: new Map(),
+
+  textPseudos: ['contains', 'has-text', 'text-matches'],
+
+  /**
+   * Parse a selector into its fallbacks
+   * @param {string} selector - Selector string from a platform config
+   * @returns {Array<Object>} Parsed fallbacks, in priority order
+   */
+  parse(selector) {
+    if (typeof selector !== 'string' || !selector.trim()) return [];
+
+    if (!this.cache.has(selector)) {
+      const fallbacks = this.split(selector).map(raw => this.parseFallback(raw));
+      this.cache.set(selector, fallbacks);
+    }
+    return this.cache.get(selector);
+  },
+
+  /**
+   * Split a selector list on top-level commas
+   * @param {string} selector - Selector string
+   * @returns {Array<string>} Trimmed fallbacks
+   */
+  split(selector) {
+    return this.splitTopLevel(selector, ',').map(s => s.trim()).filter(Boolean);
+  },
+
+  /**
+   * Split a string on a separator that is not inside quotes, brackets or parentheses
+   * @param {string} input - String to split
+   * @param {string} separator - Separator to split on
+   * @returns {Array<string>} Parts (untrimmed)
+   */
+  splitTopLevel(input, separator) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+
+    for (let i = 0; i < input.length; i++) {
+      const ch = input[i];
+
+      if (ch === '\\') {
+        i++;
+        continue;
+      }
+      if (quote) {
+        if (ch === quote) quote = null;
+        continue;
+      }
+      if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '(' || ch === '[') {
+        depth++;
+      } else if (ch === ')' || ch === ']') {
+        depth = Math.max(0, depth - 1);
+      } else if (depth === 0 && input.startsWith(separator, i)) {
+        parts.push(input.slice(start, i));
+        start = i + separator.length;
+        i += separator.length - 1;
+      }
+    }
+
+    parts.push(input.slice(start));
+    return parts;
+  },
+
+  /**
+   * Parse a single fallback
+   * @param {string} raw - One fallback from the list
+   * @returns {Object} { raw, type: 'xpath', expression } or { raw, type: 'css', segments }
+   */
+  parseFallback(raw) {
+    if (raw.startsWith('xpath:')) {
+      return { raw, type: 'xpath', expression: raw.slice(6).trim() };
+    }
+
+    const parts = this.splitTopLevel(raw, '>>>').map(s => s.trim());
+    const deep = parts[0] === '';
+
+    return {
+      raw,
+      type: 'css',
+      deep,
+      segments: (deep ? parts.slice(1) : parts).map(segment => this.parseSegment(segment))
+    };
+  },
+
+  /**
+   * Parse one `>>>`-separated segment into steps. A step is a CSS query plus the
+   * filters attached to its last compound selector; steps after the first run
+   * relative to the previous step's matches.
+   * @param {string} segment - Segment source
+   * @returns {Array<Object>} Steps as { css, filters }
+   */
+  parseSegment(segment) {
+    const steps = [];
+    let rest = segment;
+
+    while (rest) {
+      const pseudo = this.findTextPseudo(rest);
+      if (!pseudo) {
+        steps.push({ css: rest, filters: [] });
+        break;
+      }
+
+      let css = rest.slice(0, pseudo.index);
+      if (!css.trim() || /[\s>+~]$/.test(css)) {
+        css += '*';
+      }
+
+      const step = { css, filters: [] };
+      rest = rest.slice(pseudo.index);
+
+      // Collect text filters and compound continuations (e.g. `:contains("a").active`)
+      while (rest && !/^[\s>+~]/.test(rest)) {
+        const next = this.findTextPseudo(rest);
+        if (next && next.index === 0) {
+          step.filters.push({ kind: next.name, value: this.parseTextArgument(next.name, next.argument) });
+          rest = rest.slice(next.length);
+        } else {
+          const end = this.compoundEnd(rest, next ? next.index : rest.length);
+          step.filters.push({ kind: 'matches', value: `*${rest.slice(0, end)}` });
+          rest = rest.slice(end);
+        }
+      }
+
+      steps.push(step);
+      rest = rest.trim() ? rest : '';
+    }
+
+    return steps;
+  },
+
+  /**
+   * Find the first top-level text pseudo-class in a CSS string
+   * @param {string} css - CSS source
+   * @returns {Object|null} { index, length, name, argument }
+   */
+  findTextPseudo(css) {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = 0; i < css.length; i++) {
+      const ch = css[i];
+
+      if (ch === '\\') {
+        i++;
+        continue;
+      }
+      if (quote) {
+        if (ch === quote) quote = null;
+        continue;
+      }
+      if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '(' || ch === '[') {
+        depth++; // Text pseudos nested in :has()/:is() are not supported
+      } else if (ch === ')' || ch === ']') {
+        depth = Math.max(0, depth - 1);
+      } else if (ch === ':' && depth === 0) {
+        const name = this.textPseudos.find(p => css.startsWith(`${p}(`, i + 1));
+        if (!name) continue;
+
+        const open = i + name.length + 1;
+        const close = this.matchingParen(css, open);
+        if (close === -1) {
+          throw new SyntaxError(`Unclosed :${name}( in selector: ${css}`);
+        }
+        return {
+          index: i,
+          length: close - i + 1,
+          name,
+          argument: css.slice(open + 1, close).trim()
+        };
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Find the closing parenthesis for the one at `open`
+   * @returns {number} Index of the closing parenthesis, or -1
+   */
+  matchingParen(css, open) {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = open; i < css.length; i++) {
+      const ch = css[i];
+      if (ch === '\\') {
+        i++;
+        continue;
+      }
+      if (quote) {
+        if (ch === quote) quote = null;
+        continue;
+      }
+      if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '(') {
+        depth++;
+      } else if (ch === ')') {
+        depth--;
+        if (depth === 0) return i;
+      }
+    }
+
+    return -1;
+  },
+
+  /**
+   * Find where the current compound selector ends (next top-level combinator)
+   * @param {string} css - CSS starting inside a compound selector
+   * @param {number} limit - Stop at this index at the latest
+   * @returns {number} End index
+   */
+  compoundEnd(css, limit) {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = 0; i < limit; i++) {
+      const ch = css[i];
+      if (ch === '\\') {
+        i++;
+        continue;
+      }
+      if (quote) {
+        if (ch === quote) quote = null;
+        continue;
+      }
+      if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '(' || ch === '[') {
+        depth++;
+      } else if (ch === ')' || ch === ']') {
+        depth--;
+      } else if (depth === 0 && /[\s>+~]/.test(ch)) {
+        return i;
+      }
+    }
+
+    return limit;
+  },
+
+  /**
+   * Turn a text pseudo-class argument into its matcher value
+   * @param {string} name - Pseudo-class name
+   * @param {string} argument - Raw argument
+   * @returns {string|RegExp} Text or pattern
+   */
+  parseTextArgument(name, argument) {
+    if (name === 'text-matches') {
+      const literal = argument.match(/^\/(.*)\/([a-z]*)$/s);
+      return literal ? new RegExp(literal[1], literal[2]) : new RegExp(this.unquote(argument));
+    }
+
+    const text = this.unquote(argument);
+    return name === 'has-text' ? this.normalizeText(text) : text;
+  },
+
+  /**
+   * Strip matching quotes from a pseudo-class argument
+   */
+  unquote(value) {
+    const match = value.match(/^(["'])(.*)\1$/s);
+    return match ? match[2].replace(/\\(.)/g, '$1') : value;
+  },
+
+  /**
+   * Lowercase and collapse whitespace for :has-text comparisons
+   */
+  normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  },
+
+  /**
+   * Check that a selector parses and its CSS is valid
+   * @param {string} selector - Selector string
+   * @returns {string|null} Error message, or null if valid
+   */
+  validate(selector) {
+    try {
+      const probe = document.createDocumentFragment();
+      this.parse(selector).forEach(fallback => {
+        if (fallback.type === 'xpath') {
+          document.createExpression(fallback.expression);
+          return;
+        }
+        fallback.segments.forEach(steps => steps.forEach((step, i) => {
+          probe.querySelector(i === 0 ? step.css : `:scope${step.css}`);
+          step.filters
+            .filter(filter => filter.kind === 'matches')
+            .forEach(filter => probe.querySelector(filter.value));
+        }));
+      });
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  },
+
+  /**
+   * Evaluate one parsed fallback
+   * @param {Object} fallback - Fallback from parse()
+   * @param {Document|ShadowRoot|Element} root - Where to search
+   * @returns {Array<Element>} Matches (throws on invalid CSS/XPath)
+   */
+  queryFallback(fallback, root = document) {
+    if (fallback.type === 'xpath') {
+      return this.evaluateXPath(fallback.expression, root);
+    }
+
+    let roots = fallback.deep ? this.collectShadowRoots(root) : [root];
+    let results = [];
+
+    fallback.segments.forEach((steps, i) => {
+      results = this.unique(roots.flatMap(r => this.runSteps(steps, r)));
+      if (i < fallback.segments.length - 1) {
+        roots = results.map(el => this.innerRoot(el)).filter(Boolean);
+      }
+    });
+
+    return results;
+  },
+
+  /**
+   * Run the steps of one segment from a root
+   */
+  runSteps(steps, root) {
+    let elements = null;
+
+    steps.forEach((step, i) => {
+      const found = i === 0
+        ? Array.from(root.querySelectorAll(step.css))
+        : elements.flatMap(el => Array.from(el.querySelectorAll(`:scope${step.css}`)));
+      elements = this.unique(found).filter(el => this.passesFilters(el, step.filters));
+    });
+
+    return elements || [];
+  },
+
+  /**
+   * Check an element against text and compound filters
+   */
+  passesFilters(el, filters) {
+    return filters.every(filter => {
+      switch (filter.kind) {
+        case 'contains':
+          return (el.textContent || '').includes(filter.value);
+        case 'has-text':
+          return this.normalizeText(el.textContent).includes(filter.value);
+        case 'text-matches':
+          filter.value.lastIndex = 0;
+          return filter.value.test(el.textContent || '');
+        case 'matches':
+          return el.matches(filter.value);
+        default:
+          return false;
+      }
+    });
+  },
+
+  /**
+   * Evaluate an XPath expression relative to a root
+   */
+  evaluateXPath(expression, root) {
+    const doc = root.ownerDocument || root;
+    const snapshot = doc.evaluate(expression, root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+    const elements = [];
+
+    for (let i = 0; i < snapshot.snapshotLength; i++) {
+      const node = snapshot.snapshotItem(i);
+      if (node.nodeType === Node.ELEMENT_NODE) elements.push(node);
+    }
+
+    return elements;
+  },
+
+  /**
+   * Get the root to continue into after `>>>`: an open shadow root or a
+   * same-origin frame document
+   * @param {Element} el - Host element
+   * @returns {ShadowRoot|Document|null} Inner root
+   */
+  innerRoot(el) {
+    if (el.shadowRoot) return el.shadowRoot;
+
+    if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+      try {
+        return el.contentDocument || null; // null for cross-origin frames
+      } catch (e) {
+        return null;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Collect a root plus every open shadow root nested inside it
+   */
+  collectShadowRoots(root) {
+    const roots = [root];
+
+    for (let i = 0; i < roots.length; i++) {
+      roots[i].querySelectorAll('*').forEach(el => {
+        if (el.shadowRoot) roots.push(el.shadowRoot);
+      });
+    }
+
+    return roots;
+  },
+
+  /**
+   * Remove duplicates while keeping order
+   */
+  unique(elements) {
+    return Array.from(new Set(elements));
+  },
+
+  /**
+   * Find the first match of any fallback (document order within the root)
+   * Fallbacks with invalid syntax are skipped
+   * @param {string} selector - Selector string
+   * @param {Document|ShadowRoot|Element} root - Where to search
+   * @returns {Element|null} First match
+   */
+  query(selector, root = document) {
+    return this.queryAll(selector, root)[0] || null;
+  },
+
+  /**
+   * Find every match of every fallback, like querySelectorAll on a selector list
+   * Fallbacks with invalid syntax are skipped
+   * @param {string} selector - Selector string
+   * @param {Document|ShadowRoot|Element} root - Where to search
+   * @returns {Array<Element>} Matches in document order
+   */
+  queryAll(selector, root = document) {
+    let fallbacks;
+    try {
+      fallbacks = this.parse(selector);
+    } catch (e) {
+      return [];
+    }
+
+    const results = this.unique(fallbacks.flatMap(fallback => {
+      try {
+        return this.queryFallback(fallback, root);
+      } catch (e) {
+        return []; // Invalid selector
+      }
+    }));
+
+    if (fallbacks.length > 1) {
+      results.sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+    }
+    return results;
+  },
+
+  /**
+   * Check whether an element matches any fallback of a selector
+   * @param {Element} el - Element to test
+   * @param {string} selector - Selector string
+   * @returns {boolean} True if it matches
+   */
+  matches(el, selector) {
+    let fallbacks;
+    try {
+      fallbacks = this.parse(selector);
+    } catch (e) {
+      return false;
+    }
+
+    return fallbacks.some(fallback => {
+      try {
+        const simple = fallback.type === 'css' && !fallback.deep &&
+          fallback.segments.length === 1 && fallback.segments[0].length === 1 &&
+          fallback.segments[0][0].filters.length === 0;
+
+        if (simple) {
+          return el.matches(fallback.segments[0][0].css);
+        }
+
+        const root = fallback.type === 'css' && (fallback.deep || fallback.segments.length > 1)
+          ? el.ownerDocument
+          : el.getRootNode();
+        return this.queryFallback(fallback, root).includes(el);
+      } catch (e) {
+        return false; // Invalid selector
+      }
+    });
+  }
+};
+
+// Make available globally
+window.SelectorEngine = SelectorEngine;
@@ -0,0 +1,221 @@
+// Action Parser
+// Builders like Bolt and Lovable show what they did as cards inside assistant messages
+// ("Created src/App.tsx", "Ran npm install", "Edited 3 files"). The parser turns those cards
+// into structured events so a capture can be replayed as a build history.
+// Platforms point at their cards with an optional `actionCard` selector; otherwise common
+// card markup is searched and only lines that read like an action are kept.
+
+const ActionParser = {
+    types: ['file-create', 'file-edit', 'shell', 'install', 'deploy'],
+
+    genericCardSelector: [
+        '[data-action-type]',
+        '[class*="artifact" i] li',
+        '[class*="action" i]',
+        '[class*="tool-call" i]',
+        '[class*="ToolCall"]',
+        'details > summary'
+    ].join(', '),
+
+    maxLabelLength: 300,
+
+    // Tried in order; the first match wins. `target` is the capture group holding the path or command.
+    patterns: [
+        {
+            type: 'install',
+            pattern: /^(?:ran|run|running|executed?|executing)?\s*(?:command:?\s*)?((?:npm|pnpm|yarn|bun)\s+(?:install|i|add|ci)\b.*)$/i,
+            target: 1
+        },
+        { type: 'install', pattern: /^install(?:ed|ing)?\s+(?:dependencies|packages?)?\s*:?\s*(.*)$/i, target: 1 },
+        { type: 'deploy', pattern: /^(?:deploy(?:ed|ing)?|publish(?:ed|ing)?)\b\s*(?:to\s+)?(.*)$/i, target: 1 },
+        { type: 'file-create', pattern: /^(?:created?|creating|add(?:ed|ing)?|wrote|writing|new file:?)\s+(\d+)\s+files?$/i, count: 1 },
+        {
+            type: 'file-create',
+            pattern: /^(?:created?|creating|add(?:ed|ing)?|wrote|writing|new file:?)\s+(?:file\s+)?([\w@.~-]*[/.][\w@./~-]+)$/i,
+            target: 1
+        },
+        { type: 'file-edit', pattern: /^(?:edit(?:ed|ing)?|updat(?:ed|e|ing)|modif(?:ied|y|ying)|chang(?:ed|e|ing))\s+(\d+)\s+files?$/i, count: 1 },
+        {
+            type: 'file-edit',
+            pattern: /^(?:edit(?:ed|ing)?|updat(?:ed|e|ing)|modif(?:ied|y|ying)|chang(?:ed|e|ing))\s+(?:file\s+)?([\w@.~-]*[/.][\w@./~-]+)$/i,
+            target: 1
+        },
+        { type: 'shell', pattern: /^(?:ran|run|running|executed?|executing)\s+(?:command:?\s*)?(.+)$/i, target: 1 },
+        { type: 'shell', pattern: /^start(?:ed|ing)?\s+application:?\s+(.+)$/i, target: 1 },
+        { type: 'shell', pattern: /^\$\s+(.+)$/, target: 1 }
+    ],
+
+    // Status words that cards append to their label ("Ran npm run build Failed")
+    statusSuffix: /\s+(?:failed|error|done|completed?|success(?:ful)?|running|pending|in progress)\.?$/i,
+
+    /**
+     * Parse the action cards inside a message
+     * @param {Element} el - Message element
+     * @param {Object} platform - Platform configuration
+     * @returns {Array} Events: { type, target, count, status, label, index }
+     */
+    parse(el, platform) {
+        const parsed = this.findCards(el, platform)
+            .map(card => ({ card, event: this.parseCard(card) }))
+            .filter(entry => entry.event);
+
+        // A card wrapping other action cards (e.g. "Edited 3 files" around each file) is only
+        // kept when none of its children parsed on their own
+        return parsed
+            .filter(entry => !parsed.some(other => other !== entry && entry.card.contains(other.card)))
+            .map((entry, index) => ({ ...entry.event, index }));
+    },
+
+    /**
+     * Find candidate action cards in a message
+     * @param {Element} el - Message element
+     * @param {Object} platform - Platform configuration
+     * @returns {Array<Element>} Card elements in DOM order
+     */
+    findCards(el, platform) {
+        let cards = [];
+        const selector = platform?.selectors?.actionCard;
+        if (selector) {
+            cards = SelectorEngine.queryAll(selector, el);
+        }
+        if (cards.length === 0) {
+            try {
+                cards = Array.from(el.querySelectorAll(this.genericCardSelector));
+            } catch (e) {
+                // Selector not supported
+                cards = [];
+            }
+        }
+        return cards;
+    },
+
+    /**
+     * Parse one card
+     * @param {Element} card - Card element
+     * @returns {Object|null} Event without index, or null if the card is not an action
+     */
+    parseCard(card) {
+        const explicitType = card.getAttribute('data-action-type');
+        const label = this.readText(card).slice(0, this.maxLabelLength);
+        if (!label) return null;
+
+        const match = this.matchLabel(label);
+        if (!match && !this.types.includes(explicitType)) return null;
+
+        return {
+            type: this.types.includes(explicitType) ? explicitType : match.type,
+            target: card.getAttribute('data-path') || card.getAttribute('data-command') || match?.target || null,
+            count: match?.count || 1,
+            status: this.detectStatus(card, label),
+            label
+        };
+    },
+
+    /**
+     * Match a card label against the action patterns
+     * @param {string} label - Card text
+     * @returns {Object|null} { type, target, count } or null
+     */
+    matchLabel(label) {
+        const text = label.replace(this.statusSuffix, '').trim();
+
+        for (const { type, pattern, target, count } of this.patterns) {
+            const match = text.match(pattern);
+            if (!match) continue;
+
+            return {
+                type,
+                target: target ? (match[target] || '').trim() || null : null,
+                count: count ? parseInt(match[count], 10) : 1
+            };
+        }
+        return null;
+    },
+
+    /**
+     * Work out whether the action succeeded, failed or is still running
+     * Explicit attributes win, then class names, then a status word ending the label
+     * @param {Element} card - Card element
+     * @param {string} label - Card text
+     * @returns {string} 'success' | 'failed' | 'running' | 'unknown'
+     */
+    detectStatus(card, label) {
+        const explicit = (card.getAttribute('data-status') || card.getAttribute('data-state') || '').toLowerCase();
+        if (explicit) {
+            const status = this.statusFromWords(explicit);
+            if (status) return status;
+        }
+        if (card.getAttribute('aria-busy') === 'true') return 'running';
+
+        const classes = [card, ...card.querySelectorAll('[class]')]
+            .map(node => node.getAttribute('class') || '')
+            .join(' ')
+            .toLowerCase();
+        const fromClasses = this.statusFromWords(classes);
+        if (fromClasses) return fromClasses;
+
+        const suffix = label.match(this.statusSuffix);
+        if (suffix) return this.statusFromWords(suffix[0].toLowerCase()) || 'unknown';
+
+        // "Created", "Ran", "Edited" describe something already done
+        const verb = label.trim().split(/\s+/)[0].toLowerCase();
+        if (/ing$/.test(verb)) return 'running';
+        if (/(?:ed|ran|wrote)$/.test(verb)) return 'success';
+        return 'unknown';
+    },
+
+    statusFromWords(text) {
+        if (/fail|error|danger|denied/.test(text)) return 'failed';
+        if (/spin|loading|pending|running|progress/.test(text)) return 'running';
+        if (/success|succeeded|done|complete|check/.test(text)) return 'success';
+        return null;
+    },
+
+    /**
+     * Card text with spaces between separate text nodes (labels and paths are often split)
+     * @param {Element} card - Card element
+     * @returns {string} Text on one line
+     */
+    readText(card) {
+        const parts = [];
+        const walker = document.createTreeWalker(card, NodeFilter.SHOW_TEXT);
+        let node;
+        while ((node = walker.nextNode())) {
+            const hidden = node.parentElement?.closest('svg, [aria-hidden="true"]');
+            if (hidden && hidden !== card && card.contains(hidden)) continue;
+            const text = node.textContent.trim();
+            if (text) parts.push(text);
+        }
+        return parts.join(' ').replace(/\s+/g, ' ').trim();
+    },
+
+    /**
+     * Build the project's action timeline from captured messages
+     * @param {Array} messages - Messages in conversation order (branch tree or linear)
+     * @returns {Array} Events in order, with messageId, sequence and selected
+     */
+    buildTimeline(messages) {
+        const timeline = [];
+
+        (messages || []).forEach(msg => {
+            (msg.actions || []).forEach(action => {
+                timeline.push({
+                    sequence: timeline.length,
+                    messageId: msg.id,
+                    timestamp: msg.timestamp || null,
+                    // Actions on abandoned branches may have been applied and later discarded
+                    selected: msg.selected ?? true,
+                    type: action.type,
+                    target: action.target,
+                    count: action.count,
+                    status: action.status,
+                    label: action.label
+                });
+            });
+        });
+
+        return timeline;
+    }
+};
+
+window.ActionParser = ActionParser;
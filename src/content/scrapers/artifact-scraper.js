@@ -13,7 +13,8 @@ const ArtifactScraper = {
     async capture(platform, onProgress) {
         this.capturedArtifacts = [];
 
-        if (!PlatformRegistry.hasFeature(platform, 'artifacts')) {
+        if (!PlatformRegistry.hasFeature(platform, 'artifacts') &&
+            !CapabilityProbe.isDetected(platform, 'artifacts')) {
             return { available: false, items: [] };
         }
 
@@ -85,8 +86,7 @@ const ArtifactScraper = {
         // Try artifact-specific selector
         const artifactSelector = platform.selectors.artifact || platform.selectors.artifactContainer;
         if (artifactSelector) {
-            const elements = document.querySelectorAll(artifactSelector);
-            containers.push(...Array.from(elements));
+            containers.push(...SelectorEngine.queryAll(artifactSelector));
         }
 
         // Also check for preview frames that might contain artifacts
@@ -110,9 +110,9 @@ const ArtifactScraper = {
             const artifact = {
                 id: this.generateArtifactId(container, index),
                 type: this.determineArtifactType(container),
-                title: this.extractTitle(container),
+                title: this.extractTitle(container, platform),
                 createdAt: this.extractTimestamp(container),
-                code: this.extractCode(container),
+                code: this.extractCode(container, platform),
                 preview: await this.capturePreview(container),
                 versions: await this.extractVersions(container, platform),
                 metadata: this.extractMetadata(container)
@@ -169,10 +169,13 @@ const ArtifactScraper = {
     /**
      * Extract artifact title
      * @param {Element} container - Artifact container
+     * @param {Object} platform - Platform configuration
      * @returns {string|null} Title
      */
-    extractTitle(container) {
-        const titleEl = container.querySelector('[data-title], h1, h2, h3, .title, [class*="title"]');
+    extractTitle(container, platform) {
+        const titleSelector = platform?.selectors?.artifactTitle ||
+            '[data-title], h1, h2, h3, .title, [class*="title"]';
+        const titleEl = SelectorEngine.query(titleSelector, container);
         return titleEl ? titleEl.textContent.trim() : null;
     },
 
@@ -192,21 +195,27 @@ const ArtifactScraper = {
     /**
      * Extract code from artifact
      * @param {Element} container - Artifact container
+     * @param {Object} platform - Platform configuration
      * @returns {Array} Code blocks
      */
-    extractCode(container) {
+    extractCode(container, platform) {
         const codeBlocks = [];
-        const codeElements = container.querySelectorAll('pre code, [data-code]');
+        const codeSelector = platform?.selectors?.artifactCode || 'pre code, [data-code]';
+        const codeElements = SelectorEngine.queryAll(codeSelector, container);
 
         codeElements.forEach((el, i) => {
             const language = el.getAttribute('data-language') ||
-                el.className.match(/language-(\w+)/)?.[1] ||
+                (typeof el.className === 'string' && el.className.match(/language-(\w+)/)?.[1]) ||
                 'text';
 
+            // Editor surfaces (CodeMirror, ProseMirror) render one element per line,
+            // so innerText keeps line breaks that textContent would drop
+            const isEditor = el.matches('[contenteditable], .cm-content, .ProseMirror');
+
             codeBlocks.push({
                 id: `code_${i}`,
                 language: language,
-                content: el.textContent || el.innerText
+                content: isEditor ? (el.innerText || el.textContent) : (el.textContent || el.innerText)
             });
         });
 
@@ -251,7 +260,7 @@ const ArtifactScraper = {
         // Look for version/iteration indicators
         const iterationSelector = platform.selectors.iterationSelector;
         if (iterationSelector) {
-            const versionElements = container.querySelectorAll(iterationSelector);
+            const versionElements = SelectorEngine.queryAll(iterationSelector, container);
 
             versionElements.forEach((el, i) => {
                 versions.push({
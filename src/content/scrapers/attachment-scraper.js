@@ -0,0 +1,262 @@
+// Attachment Scraper
+// Captures screenshots and files inside chat messages: alt text, dimensions and file names from
+// the DOM, plus the file itself where the page lets us fetch it. Files over the size cap
+// (popup setting, stored as captureSettings.maxAttachmentMB) are listed but not downloaded.
+
+const AttachmentScraper = {
+    defaultMaxAttachmentMB: 5,
+    // Base64 data of all attachments together. Everything travels in one runtime message to the
+    // service worker (64 MB limit), next to the chat, logs and file tree, so half of it is left for those.
+    maxTotalEncodedBytes: 32 * 1024 * 1024,
+    fetchTimeoutMs: 15000,
+    minImageSize: 32, // Smaller images are icons, emoji or avatars
+
+    // Attachment chips when the platform has no uploadedFile selector
+    genericFileSelector: [
+        '[data-testid*="attachment" i]',
+        '[data-testid*="file" i]',
+        '[class*="attachment" i]',
+        '[class*="file-chip" i]',
+        '[class*="FileChip"]',
+        'a[download]'
+    ].join(', '),
+
+    skipImageSelector: '[class*="avatar" i], [class*="icon" i], [class*="emoji" i], [class*="logo" i]',
+
+    /**
+     * Read the size cap from extension settings
+     * @returns {Promise<number>} Maximum bytes per attachment (0 = do not download files)
+     */
+    async getMaxAttachmentBytes() {
+        try {
+            const { captureSettings } = await chrome.storage.local.get('captureSettings');
+            const limit = captureSettings?.maxAttachmentMB;
+            const megabytes = typeof limit === 'number' && limit >= 0 ? limit : this.defaultMaxAttachmentMB;
+            return Math.round(megabytes * 1024 * 1024);
+        } catch (error) {
+            return this.defaultMaxAttachmentMB * 1024 * 1024;
+        }
+    },
+
+    /**
+     * Describe the images and attached files in a message
+     * @param {Element} el - Message element
+     * @param {Object} platform - Platform configuration
+     * @returns {Array} Attachments: { id, kind, name, alt, width, height, src }
+     */
+    extract(el, platform) {
+        const attachments = [];
+        const seen = new Set();
+        const add = attachment => {
+            const key = attachment.src || `${attachment.kind}:${attachment.name}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            attachments.push({ id: `att_${ChatScraper.hashString(key)}`, ...attachment });
+        };
+
+        this.findFileChips(el, platform).forEach(chip => {
+            const file = this.describeFile(chip);
+            if (file) add(file);
+        });
+
+        el.querySelectorAll('img').forEach(img => {
+            const image = this.describeImage(img);
+            if (image) add(image);
+        });
+
+        return attachments;
+    },
+
+    findFileChips(el, platform) {
+        const selector = platform?.selectors?.uploadedFile;
+        try {
+            return selector ? SelectorEngine.queryAll(selector, el) : Array.from(el.querySelectorAll(this.genericFileSelector));
+        } catch (e) {
+            return [];
+        }
+    },
+
+    /**
+     * Describe an image, skipping icons, avatars and inline SVG
+     * @param {HTMLImageElement} img - Image element
+     * @returns {Object|null} Image attachment
+     */
+    describeImage(img) {
+        const src = img.currentSrc || img.getAttribute('src');
+        if (!src || /^data:image\/svg/i.test(src) || /\.svg(?:$|\?)/i.test(src)) return null;
+        if (img.closest(this.skipImageSelector)) return null;
+
+        const width = img.naturalWidth || parseInt(img.getAttribute('width'), 10) || img.width || null;
+        const height = img.naturalHeight || parseInt(img.getAttribute('height'), 10) || img.height || null;
+        if ((width && width < this.minImageSize) || (height && height < this.minImageSize)) return null;
+
+        return {
+            kind: 'image',
+            name: img.getAttribute('title') || this.fileNameFromUrl(src) || 'image',
+            alt: img.getAttribute('alt') || '',
+            width,
+            height,
+            src: this.absoluteUrl(src)
+        };
+    },
+
+    /**
+     * Describe a file chip; images inside chips are picked up as images instead
+     * @param {Element} chip - Attachment chip or link
+     * @returns {Object|null} File attachment
+     */
+    describeFile(chip) {
+        if (chip.tagName === 'IMG') return this.describeImage(chip);
+
+        const href = chip.getAttribute('href') || chip.querySelector('a[href]')?.getAttribute('href') || null;
+        const name = (chip.getAttribute('download') ||
+                      chip.getAttribute('title') ||
+                      chip.getAttribute('aria-label') ||
+                      chip.textContent?.trim() ||
+                      this.fileNameFromUrl(href) || '').substring(0, 200);
+        if (!name && !href) return null;
+
+        return {
+            kind: 'file',
+            name: name || 'file',
+            alt: '',
+            width: null,
+            height: null,
+            src: href && !href.startsWith('#') ? this.absoluteUrl(href) : null
+        };
+    },
+
+    /**
+     * Download attachment files for captured messages, within the size caps
+     * Adds data (base64), mimeType, size and path to each attachment, or skipped/fetchError
+     * @param {Array} messages - Captured messages
+     * @param {function} onProgress - Progress callback
+     * @returns {Promise<Object>} { total, stored, skipped, failed, totalBytes, encodedBytes, maxAttachmentBytes }
+     */
+    async fetchAll(messages, onProgress = () => {}) {
+        const maxAttachmentBytes = await this.getMaxAttachmentBytes();
+        const attachments = messages.flatMap(msg => msg.attachments || []);
+        const stats = { total: attachments.length, stored: 0, skipped: 0, failed: 0, totalBytes: 0, encodedBytes: 0, maxAttachmentBytes };
+
+        for (let i = 0; i < attachments.length; i++) {
+            const attachment = attachments[i];
+            onProgress({ message: `Fetching attachment ${i + 1}/${attachments.length}...`, progress: (i / attachments.length) * 100 });
+
+            if (attachment.data) {
+                stats.stored++;
+                stats.totalBytes += attachment.size || 0;
+                stats.encodedBytes += attachment.data.length;
+                continue;
+            }
+
+            const remaining = this.maxRawBytes(this.maxTotalEncodedBytes - stats.encodedBytes);
+            const skipped = !attachment.src ? 'no-source'
+                : maxAttachmentBytes === 0 ? 'disabled'
+                : remaining === 0 ? 'total-limit'
+                : null;
+            if (skipped) {
+                attachment.skipped = skipped;
+                stats.skipped++;
+                continue;
+            }
+
+            try {
+                const result = await this.fetchAttachment(attachment, Math.min(maxAttachmentBytes, remaining));
+                if (result.skipped) {
+                    // Fits its own cap but not what is left of the total
+                    attachment.skipped = result.skipped === 'too-large' && result.size <= maxAttachmentBytes ? 'total-limit' : result.skipped;
+                    attachment.size = result.size || null;
+                    stats.skipped++;
+                } else {
+                    Object.assign(attachment, result);
+                    stats.stored++;
+                    stats.totalBytes += result.size;
+                    stats.encodedBytes += result.data.length;
+                }
+            } catch (error) {
+                attachment.fetchError = error.name === 'AbortError' ? 'timeout' : error.message;
+                stats.failed++;
+            }
+        }
+
+        console.log(`[AttachmentScraper] Stored ${stats.stored}/${stats.total} attachments (${stats.totalBytes} bytes)`);
+        return stats;
+    },
+
+    /**
+     * Fetch one attachment
+     * @param {Object} attachment - Attachment with src
+     * @param {number} limit - Maximum bytes to accept
+     * @returns {Promise<Object>} { data, mimeType, size, path } or { skipped, size }
+     */
+    async fetchAttachment(attachment, limit) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.fetchTimeoutMs);
+
+        try {
+            const response = await fetch(attachment.src, { credentials: 'include', signal: controller.signal });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const declared = parseInt(response.headers.get('content-length'), 10);
+            if (declared > limit) return { skipped: 'too-large', size: declared };
+
+            const blob = await response.blob();
+            if (blob.size > limit) return { skipped: 'too-large', size: blob.size };
+
+            const mimeType = blob.type || response.headers.get('content-type') || 'application/octet-stream';
+            return {
+                data: await this.blobToBase64(blob),
+                mimeType,
+                size: blob.size,
+                path: `chat/attachments/${attachment.id}${this.extensionFor(attachment.name, mimeType)}`
+            };
+        } finally {
+            clearTimeout(timer);
+        }
+    },
+
+    /**
+     * Largest raw size whose base64 encoding fits in the given number of bytes
+     * @param {number} encodedBytes - Encoded bytes available
+     * @returns {number} Raw bytes
+     */
+    maxRawBytes(encodedBytes) {
+        return Math.max(0, Math.floor(encodedBytes / 4) * 3);
+    },
+
+    blobToBase64(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onloadend = () => resolve(String(reader.result).split(',')[1] || '');
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    },
+
+    extensionFor(name, mimeType) {
+        const fromName = (name || '').match(/\.([a-z0-9]{1,8})$/i)?.[1];
+        if (fromName) return `.${fromName.toLowerCase()}`;
+        const fromType = (mimeType || '').split(';')[0].split('/')[1];
+        return fromType && /^[a-z0-9.+-]{1,16}$/i.test(fromType) ? `.${fromType.replace('+xml', '').replace('jpeg', 'jpg')}` : '';
+    },
+
+    fileNameFromUrl(url) {
+        if (!url || url.startsWith('data:') || url.startsWith('blob:')) return '';
+        try {
+            const name = new URL(url, window.location.href).pathname.split('/').pop();
+            return decodeURIComponent(name || '');
+        } catch (e) {
+            return '';
+        }
+    },
+
+    absoluteUrl(url) {
+        try {
+            return new URL(url, window.location.href).href;
+        } catch (e) {
+            return url;
+        }
+    }
+};
+
+window.AttachmentScraper = AttachmentScraper;
@@ -0,0 +1,325 @@
+// Branch Walker
+// Claude and ChatGPT keep edited prompts and regenerated answers behind "< 2 / 3 >" controls,
+// so a normal capture only sees the visible branch. The walker steps through every variant,
+// captures it, puts the page back the way the user left it, and links the result into a tree:
+// each message gets parentId, branchIndex, branchCount and selected (true on the visible path).
+// Platforms can point at their controls with optional selectors; otherwise "n / m" counters
+// with buttons next to them are found generically:
+//   branchIndicator: '<counter element>', branchPrev: '<button>', branchNext: '<button>'
+
+const BranchWalker = {
+    isWalking: false,
+    visited: 0,
+
+    maxDepth: 2, // Branches inside abandoned branches are followed this deep
+    maxVariants: 40, // Variants visited per capture, across all branch points
+    switchTimeoutMs: 3000, // How long to wait for the counter to change after a click
+    settleMs: 600, // Time for the new branch's messages to render
+
+    counterPattern: /^\s*(\d+)\s*\/\s*(\d+)\s*$/,
+    prevLabelPattern: /prev|previous|back|older/i,
+    nextLabelPattern: /next|forward|newer/i,
+
+    /**
+     * Whether any message on the page has branch controls
+     * @param {Object} platform - Platform configuration
+     * @returns {boolean} True if there is at least one branch point
+     */
+    hasBranches(platform) {
+        const elements = this.messageElements(platform);
+        return elements.some(el => {
+            const state = this.readState(this.findControl(el, elements, platform));
+            return state && state.count > 1;
+        });
+    },
+
+    /**
+     * Capture every branch and merge it with the messages captured from the visible path
+     * @param {Object} platform - Platform configuration
+     * @param {Array} messages - Messages on the visible path, in conversation order
+     * @param {function} onProgress - Progress callback
+     * @returns {Promise<Array>} Messages with tree fields, abandoned variants included
+     */
+    async capture(platform, messages, onProgress = () => {}) {
+        if (this.isWalking) return this.linkPath(messages);
+
+        this.isWalking = true;
+        this.visited = 0;
+        // Switching branches must not be recorded as new messages
+        LiveChatRecorder.pause();
+
+        let points = [];
+        let shownKeys = new Set();
+        try {
+            onProgress({ phase: 'branches', message: 'Looking for edited and regenerated messages...', progress: 0 });
+            points = await this.walk(platform, 0, 0, onProgress);
+            shownKeys = new Set(this.extractFrom(platform, 0).map(msg => this.messageKey(msg.content)));
+        } catch (error) {
+            console.warn('[BranchWalker] Walk failed, keeping the visible branch only:', error);
+        } finally {
+            this.isWalking = false;
+            LiveChatRecorder.resume();
+        }
+
+        const tree = this.merge(messages, points, shownKeys);
+        const abandoned = tree.filter(msg => !msg.selected).length;
+        console.log(`[BranchWalker] ${points.length} branch points, ${abandoned} messages on other branches`);
+        onProgress({ phase: 'branches', message: `Captured ${abandoned} messages from other branches`, progress: 100 });
+        return tree;
+    },
+
+    /**
+     * Walk branch points from a message position onwards
+     * @param {Object} platform - Platform configuration
+     * @param {number} start - First message position to check
+     * @param {number} depth - Nesting depth (0 on the visible path)
+     * @param {function} onProgress - Progress callback
+     * @returns {Promise<Array>} Branch points: { selectedIndex, branchCount, selectedKey, variants }
+     */
+    async walk(platform, start, depth, onProgress) {
+        const points = [];
+        let elements = this.messageElements(platform);
+        let lastIndicator = null;
+
+        for (let position = start; position < elements.length; position++) {
+            const control = this.findControl(elements[position], elements, platform);
+            const state = this.readState(control);
+            if (!state || state.count < 2 || control.indicator === lastIndicator) continue;
+            lastIndicator = control.indicator;
+
+            const point = {
+                selectedIndex: state.index,
+                branchCount: state.count,
+                selectedKey: this.messageKey(ChatScraper.extractContent(elements[position], platform)),
+                variants: []
+            };
+
+            for (let variant = 0; variant < state.count; variant++) {
+                if (variant === state.index) continue;
+                if (this.visited >= this.maxVariants) break;
+
+                if (!await this.switchTo(platform, position, variant)) break;
+                this.visited++;
+                onProgress({
+                    phase: 'branches',
+                    message: `Reading branch ${variant + 1}/${state.count} of message ${position + 1}...`,
+                    progress: Math.min(95, (this.visited / this.maxVariants) * 100)
+                });
+
+                const variantMessages = this.extractFrom(platform, position);
+                const nested = depth < this.maxDepth ? await this.walk(platform, position + 1, depth + 1, onProgress) : [];
+                point.variants.push({ branchIndex: variant, messages: variantMessages, branches: nested });
+            }
+
+            // Put the user's branch back before moving on
+            if (!await this.switchTo(platform, position, state.index)) {
+                console.warn(`[BranchWalker] Could not restore branch ${state.index + 1} of message ${position + 1}`);
+            }
+
+            points.push(point);
+            elements = this.messageElements(platform);
+        }
+
+        return points;
+    },
+
+    /**
+     * Message elements in DOM order, innermost only when the selector matches nested nodes
+     * @param {Object} platform - Platform configuration
+     * @returns {Array<Element>} Message elements
+     */
+    messageElements(platform) {
+        const elements = ChatScraper.findMessageElements(platform);
+        return elements.filter(el => !elements.some(other => other !== el && el.contains(other)));
+    },
+
+    /**
+     * Messages from a position to the end of the visible path
+     * @param {Object} platform - Platform configuration
+     * @param {number} position - First message position
+     * @returns {Array} Extracted messages
+     */
+    extractFrom(platform, position) {
+        const messages = this.messageElements(platform)
+            .slice(position)
+            .map((el, i) => ChatScraper.extractMessage(el, platform, position + i))
+            .filter(msg => msg.content && msg.content.trim().length > 0);
+        return RoleResolver.inferAlternation(messages, platform);
+    },
+
+    /**
+     * Find the branch controls that belong to a message
+     * Searches the message and the ancestors that hold no other message
+     * @param {Element} el - Message element
+     * @param {Array<Element>} elements - All message elements
+     * @param {Object} platform - Platform configuration
+     * @returns {Object|null} { indicator, prev, next } or null
+     */
+    findControl(el, elements, platform) {
+        let scope = el;
+        for (let level = 0; level < 4; level++) {
+            const control = this.findControlIn(scope, platform);
+            if (control) return control;
+
+            const parent = scope.parentElement;
+            if (!parent || parent === document.body ||
+                elements.some(other => other !== el && parent.contains(other))) break;
+            scope = parent;
+        }
+        return null;
+    },
+
+    findControlIn(scope, platform) {
+        const selectors = platform.selectors || {};
+
+        let indicator = selectors.branchIndicator ? SelectorEngine.query(selectors.branchIndicator, scope) : null;
+        if (!indicator) {
+            indicator = Array.from(scope.querySelectorAll('span, div'))
+                .find(node => node.children.length === 0 && this.counterPattern.test(node.textContent) &&
+                    node.parentElement?.querySelector('button, [role="button"]'));
+        }
+        if (!indicator) return null;
+
+        const group = indicator.parentElement;
+        const buttons = Array.from(group.querySelectorAll('button, [role="button"]'));
+        const labelled = pattern => buttons.find(b => pattern.test(b.getAttribute('aria-label') || b.title || ''));
+
+        const prev = (selectors.branchPrev && SelectorEngine.query(selectors.branchPrev, scope)) ||
+                     labelled(this.prevLabelPattern) || buttons[0];
+        const next = (selectors.branchNext && SelectorEngine.query(selectors.branchNext, scope)) ||
+                     labelled(this.nextLabelPattern) || buttons[buttons.length - 1];
+        if (!prev || !next || prev === next) return null;
+
+        return { indicator, prev, next };
+    },
+
+    /**
+     * Read the "n / m" counter
+     * @param {Object|null} control - Control from findControl
+     * @returns {Object|null} { index (0-based), count } or null
+     */
+    readState(control) {
+        const match = control?.indicator.textContent.match(this.counterPattern);
+        if (!match) return null;
+
+        const index = parseInt(match[1], 10) - 1;
+        const count = parseInt(match[2], 10);
+        return index >= 0 && index < count ? { index, count } : null;
+    },
+
+    /**
+     * Click through a message's branches until the wanted one is shown
+     * @param {Object} platform - Platform configuration
+     * @param {number} position - Message position (messages before it do not change)
+     * @param {number} target - Branch index to show
+     * @returns {Promise<boolean>} True once the counter shows the target
+     */
+    async switchTo(platform, position, target) {
+        const current = () => {
+            const elements = this.messageElements(platform);
+            const control = elements[position] ? this.findControl(elements[position], elements, platform) : null;
+            return { control, state: this.readState(control) };
+        };
+
+        for (let clicks = 0; clicks <= 20; clicks++) {
+            const { control, state } = current();
+            if (!state) return false;
+            if (state.index === target) return true;
+
+            const button = target < state.index ? control.prev : control.next;
+            if (button.disabled || button.getAttribute('aria-disabled') === 'true') return false;
+            button.click();
+
+            const deadline = Date.now() + this.switchTimeoutMs;
+            while (Date.now() < deadline && current().state?.index === state.index) {
+                await ChatScraper.wait(100);
+            }
+            await ChatScraper.wait(this.settleMs);
+        }
+        return false;
+    },
+
+    messageKey(content) {
+        return ChatScraper.hashString((content || '').trim());
+    },
+
+    /**
+     * Give messages on one path their tree fields
+     * @param {Array} messages - Messages in order
+     * @param {string|null} parentId - Parent of the first message
+     * @param {boolean} selected - Whether the path is the one the user sees
+     * @returns {Array} The same messages, updated in place
+     */
+    linkPath(messages, parentId = null, selected = true) {
+        messages.forEach((msg, i) => {
+            msg.parentId = i === 0 ? parentId : messages[i - 1].id;
+            msg.branchIndex = msg.branchIndex ?? 0;
+            msg.branchCount = msg.branchCount ?? 1;
+            msg.selected = selected;
+        });
+        return messages;
+    },
+
+    /**
+     * Combine the visible path with the walked branch points
+     * @param {Array} messages - Messages on the visible path
+     * @param {Array} points - Branch points from walk()
+     * @param {Set<string>} shownKeys - Keys of the messages on the page once the walk is done
+     * @returns {Array} All messages, visible path first
+     */
+    merge(messages, points, shownKeys = new Set()) {
+        const abandonedKeys = new Set();
+        const collect = list => list.forEach(point => point.variants.forEach(variant => {
+            variant.messages.forEach(msg => abandonedKeys.add(this.messageKey(msg.content)));
+            collect(variant.branches);
+        }));
+        collect(points);
+
+        // A live recording can already hold branches the user switched away from mid-session;
+        // those now come back from the walk, so drop them from the visible path
+        const visible = messages.filter(msg => {
+            const key = this.messageKey(msg.content);
+            return !abandonedKeys.has(key) || shownKeys.has(key);
+        });
+
+        const path = this.linkPath(visible.map(msg => ({ ...msg })));
+        const tree = [...path];
+        const ids = new Set(path.map(msg => msg.id));
+        points.forEach(point => this.attachPoint(point, path, tree, ids));
+        return tree;
+    },
+
+    /**
+     * Attach one branch point's variants next to the selected variant on a path
+     * @param {Object} point - Branch point
+     * @param {Array} path - Path that holds the selected variant
+     * @param {Array} tree - Output list, abandoned messages are appended
+     * @param {Set} ids - Message IDs in use
+     */
+    attachPoint(point, path, tree, ids) {
+        const selected = path.find(msg => this.messageKey(msg.content) === point.selectedKey);
+        if (!selected) return;
+
+        selected.branchIndex = point.selectedIndex;
+        selected.branchCount = point.branchCount;
+
+        point.variants.forEach(variant => {
+            const variantPath = variant.messages.map(msg => {
+                let id = msg.id;
+                for (let n = 2; ids.has(id); n++) id = `${msg.id}_b${n}`;
+                ids.add(id);
+                return { ...msg, id };
+            });
+            if (variantPath.length === 0) return;
+
+            this.linkPath(variantPath, selected.parentId, false);
+            variantPath[0].branchIndex = variant.branchIndex;
+            variantPath[0].branchCount = point.branchCount;
+            tree.push(...variantPath);
+
+            variant.branches.forEach(nested => this.attachPoint(nested, variantPath, tree, ids));
+        });
+    }
+};
+
+window.BranchWalker = BranchWalker;
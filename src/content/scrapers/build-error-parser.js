@@ -0,0 +1,389 @@
+// Build Error Parser
+// Dev servers and compilers report errors as formatted text: the Vite error overlay, the
+// Next.js error dialog, tsc/esbuild/webpack output in the terminal, the same text logged to
+// the console. The parser turns that text into diagnostics with tool, code, file, line,
+// column, message and code frame, so Fix My App can open the failing file directly.
+
+const BuildErrorParser = {
+    maxMessageLength: 1000,
+    maxCodeFrameLines: 12,
+
+    // Lines that start a diagnostic, tried in order. `location` says where to look for the
+    // file:line:col when the line itself has none: 'after' (esbuild, Vite) or 'before' (Next.js).
+    matchers: [
+        {
+            // src/App.tsx(12,5): error TS2345: ...
+            tool: 'typescript',
+            pattern: /^\s*(.+?)\((\d+),(\d+)\):\s+(error|warning)\s+(TS\d+):\s*(.+)$/,
+            read: m => ({ file: m[1], line: m[2], column: m[3], severity: m[4], code: m[5], message: m[6] })
+        },
+        {
+            // src/App.tsx:12:5 - error TS2345: ...
+            tool: 'typescript',
+            pattern: /^\s*(.+?):(\d+):(\d+)\s+-\s+(error|warning)\s+(TS\d+):\s*(.+)$/,
+            read: m => ({ file: m[1], line: m[2], column: m[3], severity: m[4], code: m[5], message: m[6] })
+        },
+        {
+            // vite-plugin-checker: " ERROR(TypeScript)  ..." followed by " FILE  src/App.tsx:12:5"
+            tool: 'checker',
+            pattern: /^\s*(ERROR|WARNING)\((TypeScript|vue-tsc|ESLint|Stylelint)\)\s+(.+)$/,
+            read: m => ({ tool: m[2] === 'ESLint' || m[2] === 'Stylelint' ? m[2].toLowerCase() : 'typescript', severity: m[1], message: m[3] }),
+            location: 'after'
+        },
+        {
+            // [plugin:vite:react-babel] /home/project/src/App.tsx: Unexpected token (12:5)
+            tool: 'vite',
+            pattern: /^\s*\[plugin:([^\]]+)\]\s+(.+)$/,
+            read: m => ({ code: m[1], ...BuildErrorParser.splitFileMessage(m[2]) }),
+            location: 'after'
+        },
+        {
+            // 12:00:00 PM [vite] Internal server error: /src/App.tsx: ...
+            tool: 'vite',
+            pattern: /^\s*(?:[\d:]+\s*(?:[AP]M\s*)?)?\[vite\]\s+(?:Internal server error|Pre-transform error|error)[:.]?\s*(.*)$/i,
+            read: m => BuildErrorParser.splitFileMessage(m[1]),
+            location: 'after'
+        },
+        {
+            // ✘ [ERROR] Expected ";" but found "x"  followed by "    src/App.tsx:12:5:"
+            tool: 'esbuild',
+            pattern: /^\s*[✘×X]\s+\[(ERROR|WARNING)\]\s+(.+?)(?:\s+\[plugin\s+([^\]]+)\])?$/,
+            read: m => ({ severity: m[1], message: m[2], code: m[3] || null }),
+            location: 'after'
+        },
+        {
+            // /home/project/src/App.tsx:12:5: ERROR: Expected ";" but found "x"
+            tool: 'esbuild',
+            pattern: /^\s*(.+?\.\w+):(\d+):(\d+):\s+(ERROR|WARNING|error|warning):\s*(.+)$/,
+            read: m => ({ file: m[1], line: m[2], column: m[3], severity: m[4], message: m[5] })
+        },
+        {
+            // Next.js build: "./src/app/page.tsx:12:5" then "Type error: ..."
+            tool: 'typescript',
+            pattern: /^\s*Type error:\s*(.+)$/,
+            read: m => ({ message: m[1] }),
+            location: 'before'
+        },
+        {
+            // Next.js dev overlay and build output
+            tool: 'nextjs',
+            pattern: /^\s*((?:Module not found|Syntax error):\s*.+)$/,
+            read: m => ({ message: m[1] }),
+            location: 'before'
+        },
+        {
+            // Next.js dev overlay: heading, the error on the next line, then "src/app/page.tsx (12:5) @ Home"
+            tool: 'nextjs',
+            pattern: /^\s*(?:Unhandled )?Runtime Error\s*$/,
+            read: () => ({}),
+            location: 'after'
+        },
+        {
+            // webpack: "ERROR in ./src/App.tsx 12:5" then the message on the next line
+            tool: 'webpack',
+            pattern: /^\s*ERROR in (.+?\.\w+)(?:\s+(\d+):(\d+)(?:-\d+)?)?\s*$/,
+            read: m => ({ file: m[1], line: m[2], column: m[3] }),
+            messageOnNextLine: true
+        }
+    ],
+
+    // Location lines: "src/App.tsx:12:5", "  File: /home/project/src/App.tsx:12:5:",
+    // " FILE  src/App.tsx:12:5", "src/app/page.tsx (12:5) @ Home"
+    locationPatterns: [
+        /^\s*(?:File:\s+|FILE\s+)?((?:[A-Za-z]:)?[^\s:()]+\.\w+(?:\?\S*)?):(\d+):(\d+):?\s*$/,
+        /^\s*([^\s()]+\.\w+)\s+\((\d+):(\d+)\)(?:\s+@\s+.*)?$/
+    ],
+
+    // "  10 | const a = 1", "> 12 | foo(", "     |     ^", esbuild's "   12 │ foo" and "╵    ^"
+    codeFrameLine: /^\s*(?:>\s*)?(?:\d+\s*)?[|│╵]/,
+
+    /**
+     * Parse compiler or dev server output
+     * @param {string} text - Overlay text, terminal output or a console message
+     * @returns {Array} Diagnostics: { tool, severity, code, file, line, column, message, codeFrame }
+     */
+    parse(text) {
+        if (!text) return [];
+
+        const lines = this.stripAnsi(String(text)).split(/\r?\n/);
+        const diagnostics = [];
+
+        for (let i = 0; i < lines.length; i++) {
+            const matcher = this.matchLine(lines[i]);
+            if (!matcher) continue;
+
+            const diagnostic = this.createDiagnostic(matcher.tool, matcher.read(lines[i].match(matcher.pattern)));
+
+            // "Transform failed with 1 error:" introduces the real diagnostic on the next line
+            if (/:\s*$/.test(diagnostic.message) && this.matchLine(this.nextLine(lines, i)?.text)) continue;
+
+            let end = i;
+            if (matcher.messageOnNextLine || !diagnostic.message) {
+                const next = this.nextLine(lines, i);
+                if (next) {
+                    diagnostic.message = next.text.trim();
+                    end = next.index;
+                }
+            }
+
+            if (!diagnostic.file || diagnostic.line === null) {
+                const location = this.findLocation(lines, i, end, matcher.location);
+                if (location) {
+                    Object.assign(diagnostic, location.fields);
+                    if (location.index > end) end = location.index;
+                }
+            }
+
+            if (!diagnostic.code) {
+                diagnostic.code = this.findPlugin(lines, end);
+            }
+
+            const frame = this.readCodeFrame(lines, end + 1);
+            if (frame.lines.length > 0) {
+                diagnostic.codeFrame = frame.lines.join('\n');
+                end = frame.end;
+            }
+
+            diagnostics.push(this.finish(diagnostic));
+            i = end;
+        }
+
+        return this.dedupe(diagnostics);
+    },
+
+    /**
+     * Read the Vite and Next.js error overlays in a document
+     * Both render into an open shadow root; Vite's markup has stable class names,
+     * Next.js's changes between versions so its text is parsed instead
+     * @param {Document|Element} root - Where to look
+     * @returns {Array} Diagnostics
+     */
+    parseOverlays(root = document) {
+        const diagnostics = [];
+
+        root.querySelectorAll('vite-error-overlay').forEach(overlay => {
+            const shadow = overlay.shadowRoot;
+            if (!shadow) return;
+
+            const read = selector => shadow.querySelector(selector)?.textContent?.trim() || '';
+            const message = read('.message-body');
+            if (!message) return;
+
+            const plugin = read('.plugin').match(/\[plugin:([^\]]+)\]/)?.[1] || null;
+            const location = this.matchLocation(read('.file'));
+            const parsed = this.parse(message)[0];
+
+            diagnostics.push(this.finish({
+                ...this.createDiagnostic('vite', { code: plugin, ...this.splitFileMessage(message) }),
+                ...(parsed?.code ? { tool: parsed.tool, code: parsed.code } : {}),
+                ...(location || {}),
+                codeFrame: read('.frame') || null
+            }));
+        });
+
+        root.querySelectorAll('nextjs-portal').forEach(portal => {
+            const shadow = portal.shadowRoot;
+            const dialog = shadow?.querySelector('[data-nextjs-dialog], [role="dialog"]');
+            if (!dialog) return;
+
+            const text = dialog.innerText ?? dialog.textContent;
+            const parsed = this.parse(text);
+            const frame = dialog.querySelector('[data-nextjs-codeframe] pre')?.textContent?.trim() || null;
+            parsed.forEach(diagnostic => {
+                if (!diagnostic.codeFrame && frame) diagnostic.codeFrame = frame;
+                diagnostics.push(diagnostic);
+            });
+        });
+
+        return this.dedupe(diagnostics);
+    },
+
+    matchLine(line) {
+        if (!line) return null;
+        return this.matchers.find(matcher => matcher.pattern.test(line)) || null;
+    },
+
+    createDiagnostic(tool, fields) {
+        return {
+            tool,
+            severity: 'error',
+            code: null,
+            file: null,
+            line: null,
+            column: null,
+            message: '',
+            codeFrame: null,
+            ...fields
+        };
+    },
+
+    /**
+     * Split "path/to/file.tsx: message" (optionally "file.tsx:12:5: message")
+     * @param {string} text - Message that may start with a file path
+     * @returns {Object} { file, line, column, message } or { message }
+     */
+    splitFileMessage(text) {
+        const match = (text || '').match(/^((?:[A-Za-z]:)?[^\s:()]*[/\\][^\s:()]*\.\w+|[^\s:()/]+\.(?:[jt]sx?|mjs|cjs|vue|svelte|astro|css|scss))(?::(\d+):(\d+))?:\s+(.+)$/);
+        if (!match) return { message: text || '' };
+        return { file: match[1], line: match[2] || null, column: match[3] || null, message: match[4] };
+    },
+
+    matchLocation(line) {
+        for (const pattern of this.locationPatterns) {
+            const match = (line || '').match(pattern);
+            if (match) return { file: match[1], line: match[2], column: match[3] };
+        }
+        return null;
+    },
+
+    /**
+     * Look for the location line of a diagnostic whose headline has none
+     * @param {Array<string>} lines - All lines
+     * @param {number} start - Headline index
+     * @param {number} end - Last line consumed so far
+     * @param {string} direction - 'after' or 'before'
+     * @returns {Object|null} { fields, index }
+     */
+    findLocation(lines, start, end, direction) {
+        if (direction === 'after') {
+            for (let i = end + 1; i < Math.min(lines.length, end + 5); i++) {
+                const fields = this.matchLocation(lines[i]);
+                if (fields) return { fields, index: i };
+                if (this.matchLine(lines[i])) break; // Next diagnostic
+            }
+        } else if (direction === 'before') {
+            for (let i = start - 1; i >= Math.max(0, start - 3); i--) {
+                const fields = this.matchLocation(lines[i]) || this.matchBarePath(lines[i]);
+                if (fields) return { fields, index: i };
+            }
+        }
+        return null;
+    },
+
+    // Next.js prints "./src/app/page.tsx" alone when it has no position
+    matchBarePath(line) {
+        const match = (line || '').match(/^\s*(\.{1,2}\/[^\s:]+\.\w+)\s*$/);
+        return match ? { file: match[1] } : null;
+    },
+
+    // Vite's terminal output lists "  Plugin: vite:esbuild" under the error
+    findPlugin(lines, end) {
+        for (let i = end + 1; i < Math.min(lines.length, end + 4); i++) {
+            const match = lines[i].match(/^\s*Plugin:\s+(\S+)/);
+            if (match) return match[1];
+        }
+        return null;
+    },
+
+    readCodeFrame(lines, start) {
+        const frame = [];
+        let end = start - 1;
+        let i = start;
+
+        // Frames may follow a blank line
+        if (i < lines.length && !lines[i].trim()) i++;
+
+        for (; i < lines.length && frame.length < this.maxCodeFrameLines; i++) {
+            if (!this.codeFrameLine.test(lines[i])) break;
+            frame.push(lines[i].replace(/\s+$/, ''));
+            end = i;
+        }
+        return { lines: frame, end };
+    },
+
+    nextLine(lines, index) {
+        for (let i = index + 1; i < Math.min(lines.length, index + 3); i++) {
+            if (lines[i].trim()) return { text: lines[i], index: i };
+        }
+        return null;
+    },
+
+    /**
+     * Normalize field types, the file path and the message
+     * @param {Object} diagnostic - Diagnostic being built
+     * @returns {Object} Diagnostic
+     */
+    finish(diagnostic) {
+        let message = (diagnostic.message || '').trim();
+
+        // Babel appends the position: "Unexpected token (12:5)"
+        const position = message.match(/\((\d+):(\d+)\)$/);
+        if (position && diagnostic.line === null) {
+            diagnostic.line = position[1];
+            diagnostic.column = position[2];
+        }
+
+        // Vite's import analysis names the importing file: 'Failed to resolve import "./Foo" from "src/App.tsx"'
+        const importer = message.match(/\bfrom "([^"]+\.\w+)"/);
+        if (importer && !diagnostic.file) {
+            diagnostic.file = importer[1];
+        }
+
+        const code = message.match(/^(TS\d{4,5}):\s*/);
+        if (code) {
+            diagnostic.code = diagnostic.code || code[1];
+            message = message.slice(code[0].length);
+        }
+
+        return {
+            ...diagnostic,
+            severity: /warn/i.test(diagnostic.severity) ? 'warning' : 'error',
+            file: this.normalizePath(diagnostic.file),
+            line: this.toNumber(diagnostic.line),
+            column: this.toNumber(diagnostic.column),
+            message: message.slice(0, this.maxMessageLength)
+        };
+    },
+
+    /**
+     * Project-relative path where possible
+     * Strips dev server URLs, query strings, webpack-internal prefixes and the
+     * WebContainer project root (/home/project) used by Bolt and StackBlitz
+     * @param {string} file - Path as printed
+     * @returns {string|null} Path
+     */
+    normalizePath(file) {
+        if (!file) return null;
+
+        let path = String(file).trim()
+            .replace(/^webpack-internal:\/\/\/(?:\([^)]*\)\/)?/, '')
+            .replace(/^file:\/\//, '');
+
+        if (/^https?:\/\//.test(path)) {
+            try {
+                path = new URL(path).pathname;
+            } catch (e) {
+                // Keep as printed
+            }
+        }
+
+        path = path.replace(/[?#].*$/, '').replace(/^\/home\/project\//, '').replace(/^\.\//, '');
+        return path || null;
+    },
+
+    toNumber(value) {
+        const number = parseInt(value, 10);
+        return Number.isFinite(number) ? number : null;
+    },
+
+    stripAnsi(text) {
+        return text.replace(/\u001b\[[0-9;]*[A-Za-z]/g, '');
+    },
+
+    /**
+     * Drop repeats of the same diagnostic (overlays and terminals often print errors twice)
+     * @param {Array} diagnostics - Diagnostics
+     * @returns {Array} Diagnostics in first-seen order
+     */
+    dedupe(diagnostics) {
+        const seen = new Set();
+        return diagnostics.filter(diagnostic => {
+            const key = [diagnostic.tool, diagnostic.code, diagnostic.file, diagnostic.line, diagnostic.column, diagnostic.message].join('|');
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+};
+
+window.BuildErrorParser = BuildErrorParser;
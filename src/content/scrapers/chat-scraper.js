@@ -10,12 +10,25 @@
 
 const ChatScraper = {
   capturedMessages: [],
+  capturedKeys: [], // Content key of each captured message, same order as capturedMessages
   isCapturing: false,
-  seenMessageHashes: new Set(),
+  isPaused: false,
+  onCheckpoint: null, // Receives capture state while scrolling (see getCheckpointState)
+  seenElements: new WeakMap(), // Message element -> index in capturedMessages
+  seenPlatformIds: new Map(), // Platform message ID -> index in capturedMessages
+  emptyElements: new WeakSet(),
+  captureReport: null,
   scrollAttempts: 0,
   maxScrollAttempts: 300,
   debugMode: true, // Enable verbose logging
 
+  // Re-created nodes are matched to captured messages by content only when the match is
+  // unambiguous: a run of this many messages, or one message at least uniqueContentLength long.
+  // Short lines like "yes" or "continue" legitimately repeat and are never matched alone.
+  minAlignLength: 2,
+  uniqueContentLength: 200,
+  maxReportEntries: 200,
+
   /**
    * Debug logger
    */
@@ -29,13 +42,28 @@ const ChatScraper = {
    * Capture FULL chat history - aggressive approach
    * @param {Object} platform - Platform configuration
    * @param {Function} onProgress - Progress callback
+   * @param {Object} options - { checkpoint } to resume from, { onCheckpoint } to receive progress to save
    * @returns {Promise<Array>} Array of captured messages
    */
-  async captureFullHistory(platform, onProgress) {
+  async captureFullHistory(platform, onProgress, options = {}) {
     this.isCapturing = true;
-    this.capturedMessages = [];
-    this.seenMessageHashes = new Set();
-    this.scrollAttempts = 0;
+    this.isPaused = false;
+    this.onCheckpoint = options.onCheckpoint || null;
+    this.resetCaptureState();
+
+    const checkpoint = options.checkpoint;
+    if (checkpoint) {
+      this.restoreCheckpoint(checkpoint);
+      this.debug(`Resuming from checkpoint: ${this.capturedMessages.length} messages, stage ${checkpoint.stage}`);
+
+      // The scroll-through had finished; only later phases were lost
+      if (checkpoint.stage === 'complete') {
+        this.isCapturing = false;
+        const messages = RoleResolver.inferAlternation(this.processMessages(), platform);
+        onProgress({ phase: 'complete', message: `Restored ${messages.length} messages`, progress: 100, count: messages.length });
+        return messages;
+      }
+    }
 
     this.debug('=== Starting Chat Capture ===');
     this.debug('Platform:', platform.name);
@@ -58,6 +86,8 @@ const ChatScraper = {
       const discoveredMessages = await this.discoveryMode(platform, onProgress);
       if (discoveredMessages.length > 0) {
         this.debug(`Discovery mode found ${discoveredMessages.length} messages`);
+        this.captureReport.mode = 'discovery';
+        this.captureReport.kept = discoveredMessages.length;
         onProgress({
           phase: 'complete',
           message: `Found ${discoveredMessages.length} messages via discovery`,
@@ -86,16 +116,24 @@ const ChatScraper = {
     });
 
     // PHASE 1: Scroll to top to load ALL history
-    await this.scrollToAbsoluteTop(scrollable, platform, onProgress);
+    // A resumed capture skips this when the page still has the history it loaded before
+    const historyLoaded = checkpoint?.stage === 'extracting' && scrollable.scrollHeight >= checkpoint.scrollHeight * 0.9;
+    if (!historyLoaded) {
+      await this.scrollToAbsoluteTop(scrollable, platform, onProgress);
+    }
 
     onProgress({
       phase: 'extracting',
-      message: 'Extracting messages...',
-      progress: 50
+      message: checkpoint ? `Resuming with ${this.capturedMessages.length} messages...` : 'Extracting messages...',
+      progress: 50,
+      count: this.capturedMessages.length
     });
 
-    // PHASE 2: Scroll down capturing everything
-    await this.scrollAndCaptureAll(scrollable, platform, onProgress);
+    // PHASE 2: Scroll down capturing everything, from where a resumed capture stopped
+    const startAt = checkpoint?.stage === 'extracting'
+      ? Math.round(checkpoint.scrollTop * (scrollable.scrollHeight / (checkpoint.scrollHeight || scrollable.scrollHeight)))
+      : 0;
+    await this.scrollAndCaptureAll(scrollable, platform, onProgress, startAt);
 
     // PHASE 3: Final cleanup
     onProgress({
@@ -104,7 +142,12 @@ const ChatScraper = {
       progress: 95
     });
 
-    const finalMessages = this.processMessages();
+    // A stopped capture keeps its last 'extracting' checkpoint so it can be resumed
+    if (this.onCheckpoint && this.isCapturing) {
+      this.onCheckpoint(this.getCheckpointState('complete', scrollable, 95));
+    }
+
+    const finalMessages = RoleResolver.inferAlternation(this.processMessages(), platform);
 
     this.debug(`=== Capture Complete: ${finalMessages.length} messages ===`);
 
@@ -142,7 +185,7 @@ const ChatScraper = {
       if (potentialMessages.length >= 2) {
         // This looks like a message container
         for (const el of potentialMessages) {
-          const msg = this.extractMessageFromDiscovery(el, messages.length);
+          const msg = this.extractMessageFromDiscovery(el, messages.length, platform);
           if (msg && msg.content && msg.content.trim().length > 10) {
             messages.push(msg);
           }
@@ -181,7 +224,7 @@ const ChatScraper = {
               const text = el.textContent?.trim() || '';
               // Only include if it has substantial text
               if (text.length > 20 && text.length < 50000) {
-                const msg = this.extractMessageFromDiscovery(el, messages.length);
+                const msg = this.extractMessageFromDiscovery(el, messages.length, platform);
                 if (msg && !this.isDuplicate(msg, messages)) {
                   messages.push(msg);
                 }
@@ -225,7 +268,7 @@ const ChatScraper = {
 
       let node;
       while ((node = walker.nextNode()) && messages.length < 100) {
-        const msg = this.extractMessageFromDiscovery(node, messages.length);
+        const msg = this.extractMessageFromDiscovery(node, messages.length, platform);
         if (msg && msg.content && msg.content.length > 30 && !this.isDuplicate(msg, messages)) {
           messages.push(msg);
         }
@@ -233,7 +276,7 @@ const ChatScraper = {
     }
 
     this.debug(`Discovery mode total: ${messages.length} messages`);
-    return messages;
+    return RoleResolver.inferAlternation(messages, platform);
   },
 
   /**
@@ -316,62 +359,28 @@ const ChatScraper = {
   /**
    * Extract message from an element found via discovery
    */
-  extractMessageFromDiscovery(el, index) {
-    const content = this.getCleanTextContent(el);
+  extractMessageFromDiscovery(el, index, platform) {
+    const content = MarkdownConverter.convert(el);
     if (!content || content.length < 10) return null;
 
-    // Try to determine role
-    let role = 'unknown';
-    const className = (el.className || '').toLowerCase();
-    const parentClass = (el.parentElement?.className || '').toLowerCase();
-
-    if (className.includes('user') || className.includes('human') ||
-        parentClass.includes('user') || parentClass.includes('human')) {
-      role = 'user';
-    } else if (className.includes('assistant') || className.includes('ai') ||
-               className.includes('bot') || className.includes('agent') ||
-               parentClass.includes('assistant') || parentClass.includes('ai')) {
-      role = 'assistant';
-    } else {
-      // Alternate assumption - odd = user, even = assistant (common pattern)
-      role = index % 2 === 0 ? 'user' : 'assistant';
-    }
+    // Unresolved roles are filled in by alternation once discovery is done
+    const role = RoleResolver.resolve(el, platform);
 
     return {
       id: `disc_${index}_${Date.now()}`,
-      role: role,
+      role: role.role,
+      roleConfidence: role.confidence,
+      roleSource: role.source,
       content: content,
       timestamp: new Date().toISOString(),
       codeBlocks: this.extractCodeBlocks(el),
+      attachments: AttachmentScraper.extract(el, platform),
+      actions: this.extractActions(el, platform, role.role),
       order: index,
       source: 'discovery'
     };
   },
 
-  /**
-   * Get clean text content from element
-   */
-  getCleanTextContent(el) {
-    if (!el) return '';
-
-    // Clone to avoid modifying original
-    const clone = el.cloneNode(true);
-
-    // Remove scripts, styles, hidden elements
-    clone.querySelectorAll('script, style, [hidden], [aria-hidden="true"]').forEach(e => e.remove());
-
-    // Remove buttons, nav elements
-    clone.querySelectorAll('button, nav, [role="navigation"]').forEach(e => e.remove());
-
-    // Get text
-    let text = clone.textContent || '';
-
-    // Clean up whitespace
-    text = text.replace(/\s+/g, ' ').trim();
-
-    return text;
-  },
-
   /**
    * Scroll to absolute top of chat
    */
@@ -384,6 +393,8 @@ const ChatScraper = {
     await this.wait(300);
 
     while (iteration < this.maxScrollAttempts && this.isCapturing) {
+      await this.waitWhilePaused();
+      if (!this.isCapturing) break;
       iteration++;
 
       // Try clicking "Load more" button
@@ -429,17 +440,11 @@ const ChatScraper = {
    */
   async tryClickLoadMore(platform) {
     // Platform-specific selector
-    if (platform.selectors?.loadMoreButton) {
-      try {
-        const btn = document.querySelector(platform.selectors.loadMoreButton);
-        if (btn && this.isVisible(btn) && !btn.disabled) {
-          btn.click();
-          this.debug('Clicked platform-specific load more');
-          return true;
-        }
-      } catch (e) {
-        // Invalid selector
-      }
+    const platformButton = PlatformRegistry.findElement(platform, 'loadMoreButton');
+    if (platformButton && this.isVisible(platformButton) && !platformButton.disabled) {
+      platformButton.click();
+      this.debug('Clicked platform-specific load more');
+      return true;
     }
 
     // Generic patterns
@@ -483,19 +488,23 @@ const ChatScraper = {
 
   /**
    * Scroll through chat capturing all messages
+   * @param {number} startAt - Scroll position to start from (a resumed capture's last position)
    */
-  async scrollAndCaptureAll(scrollable, platform, onProgress) {
-    scrollable.scrollTop = 0;
+  async scrollAndCaptureAll(scrollable, platform, onProgress, startAt = 0) {
+    scrollable.scrollTop = startAt;
     await this.wait(500);
 
     this.captureVisibleMessages(platform);
 
     const scrollStep = Math.max(200, scrollable.clientHeight * 0.6);
-    let totalScrolled = 0;
-    let previousMessageCount = 0;
+    let totalScrolled = scrollable.scrollTop;
+    let previousMessageCount = this.capturedMessages.length;
     let stableCount = 0;
 
     while (this.isCapturing) {
+      await this.waitWhilePaused();
+      if (!this.isCapturing) break;
+
       scrollable.scrollBy({ top: scrollStep, behavior: 'instant' });
       totalScrolled += scrollStep;
 
@@ -509,6 +518,9 @@ const ChatScraper = {
         progress: progress,
         count: this.capturedMessages.length
       });
+      if (this.onCheckpoint) {
+        this.onCheckpoint(this.getCheckpointState('extracting', scrollable, progress));
+      }
 
       const scrollPosition = scrollable.scrollTop + scrollable.clientHeight;
       const atBottom = scrollPosition >= scrollable.scrollHeight - 20;
@@ -534,26 +546,156 @@ const ChatScraper = {
 
   /**
    * Capture currently visible messages
+   * Called on every scroll step, so most visible nodes were seen before. A node counts as
+   * already captured when it is the same element, carries the same platform message ID, or is
+   * a re-rendered copy of the message that follows one already matched in this pass.
+   * Everything else is a new turn, even if its text repeats an earlier one.
    */
   captureVisibleMessages(platform) {
-    const messageElements = this.findMessageElements(platform);
+    if (!this.captureReport) this.resetCaptureState();
+    const entries = [];
+
+    for (const el of this.findMessageElements(platform)) {
+      const known = this.seenElements.get(el);
+      if (known !== undefined) {
+        this.noteDuplicate('same-node');
+        entries.push({ el, index: known });
+        continue;
+      }
+
+      const message = this.extractMessage(el, platform, this.capturedMessages.length);
+      if (!message.content || message.content.trim().length === 0) {
+        if (!this.emptyElements.has(el)) {
+          this.emptyElements.add(el);
+          this.noteDrop('empty', message);
+        }
+        continue;
+      }
+
+      const platformId = this.getPlatformMessageId(el);
+      if (platformId && this.seenPlatformIds.has(platformId)) {
+        const index = this.seenPlatformIds.get(platformId);
+        this.seenElements.set(el, index);
+        this.noteDrop('same-id', message, index);
+        entries.push({ el, index });
+        continue;
+      }
+
+      entries.push({ el, message, platformId, key: this.messageKey(message) });
+    }
+
     let newMessages = 0;
+    let anchor = null; // Index of the captured message matched last in this pass
 
-    for (const el of messageElements) {
-      const hash = this.hashElement(el);
+    entries.forEach((entry, position) => {
+      if (entry.index !== undefined) {
+        anchor = entry.index;
+        return;
+      }
 
-      if (!this.seenMessageHashes.has(hash)) {
-        this.seenMessageHashes.add(hash);
+      if (anchor === null) {
+        anchor = this.alignWindow(entries, position);
+      }
+
+      const expected = anchor === null ? null : anchor + 1;
+      if (expected !== null && expected < this.capturedMessages.length && this.capturedKeys[expected] === entry.key) {
+        this.seenElements.set(entry.el, expected);
+        this.noteDrop('re-rendered', entry.message, expected);
+        anchor = expected;
+        return;
+      }
+
+      // Extracted with a provisional index; several new messages can arrive in one pass
+      const index = this.capturedMessages.length;
+      entry.message.id = `msg_${this.hashElement(entry.el)}_${index}`;
+      entry.message.order = index;
+      this.capturedMessages.push(entry.message);
+      this.capturedKeys.push(entry.key);
+      this.seenElements.set(entry.el, index);
+      if (entry.platformId) {
+        this.seenPlatformIds.set(entry.platformId, index);
+      }
+      anchor = index;
+      newMessages++;
+    });
 
-        const message = this.extractMessage(el, platform, this.capturedMessages.length);
-        if (message && message.content && message.content.trim().length > 0) {
-          this.capturedMessages.push(message);
-          newMessages++;
+    this.captureReport.passes++;
+    this.captureReport.kept = this.capturedMessages.length;
+    return newMessages;
+  },
+
+  /**
+   * Find where a run of unmatched nodes lines up with the messages captured so far
+   * Used when a pass starts with nodes the virtualized list re-created
+   * @param {Array} entries - This pass's entries in DOM order
+   * @param {number} start - Position of the first unmatched entry
+   * @returns {number|null} Index of the captured message just before the match, or null
+   */
+  alignWindow(entries, start) {
+    let best = null;
+
+    for (let candidate = 0; candidate < this.capturedMessages.length; candidate++) {
+      let length = 0;
+      while (start + length < entries.length && candidate + length < this.capturedMessages.length) {
+        const entry = entries[start + length];
+        if (entry.index !== undefined ? entry.index !== candidate + length : entry.key !== this.capturedKeys[candidate + length]) {
+          break;
         }
+        length++;
+      }
+
+      // The overlap has to run to the end of the pass or of what was captured
+      const consistent = start + length === entries.length || candidate + length === this.capturedMessages.length;
+      if (length === 0 || !consistent) continue;
+
+      const unique = length >= this.minAlignLength ||
+        (this.capturedMessages[candidate].content || '').length >= this.uniqueContentLength;
+      // Later candidates win ties: scrolling moves down the conversation
+      if (unique && (!best || length >= best.length)) {
+        best = { candidate, length };
       }
     }
 
-    return newMessages;
+    return best ? best.candidate - 1 : null;
+  },
+
+  /**
+   * Key used to recognise the same message in a re-created node
+   */
+  messageKey(message) {
+    return this.hashString(`${message.role}\n${message.content}`);
+  },
+
+  /**
+   * Message ID the platform puts on the element, if any
+   */
+  getPlatformMessageId(el) {
+    return el.getAttribute('data-message-id') || el.getAttribute('data-id') || null;
+  },
+
+  /**
+   * Count a node that was seen again while scrolling
+   */
+  noteDuplicate(reason) {
+    this.captureReport.dropped[reason] = (this.captureReport.dropped[reason] || 0) + 1;
+  },
+
+  /**
+   * Record a dropped node with enough detail to check the decision
+   * @param {string} reason - 'empty', 'same-id' or 're-rendered'
+   * @param {Object} message - Message extracted from the dropped node
+   * @param {number} matchedIndex - Captured message it was matched to, if any
+   */
+  noteDrop(reason, message, matchedIndex = null) {
+    this.noteDuplicate(reason);
+    if (this.captureReport.entries.length >= this.maxReportEntries) return;
+
+    this.captureReport.entries.push({
+      reason,
+      matchedOrder: matchedIndex,
+      role: message.role,
+      preview: (message.content || '').substring(0, 80)
+    });
   },
 
   /**
@@ -561,19 +703,11 @@ const ChatScraper = {
    */
   findMessageElements(platform) {
     // Try platform-specific selector first
-    if (platform.selectors?.chatMessage) {
-      const selectors = platform.selectors.chatMessage.split(',').map(s => s.trim());
-      for (const selector of selectors) {
-        try {
-          const elements = document.querySelectorAll(selector);
-          if (elements.length > 0) {
-            this.debug(`Found ${elements.length} messages with selector: ${selector}`);
-            return Array.from(elements);
-          }
-        } catch (e) {
-          // Invalid selector
-        }
-      }
+    const report = {};
+    const platformMessages = PlatformRegistry.findElements(platform, 'chatMessage', report);
+    if (platformMessages.length > 0) {
+      this.debug(`Found ${platformMessages.length} messages with selector: ${report.matchedSelector}`);
+      return platformMessages;
     }
 
     // Generic message selectors
@@ -612,51 +746,44 @@ const ChatScraper = {
    * Extract message data from element
    */
   extractMessage(el, platform, index) {
+    const role = RoleResolver.resolve(el, platform);
     return {
       id: `msg_${this.hashElement(el)}_${index}`,
-      role: this.extractRole(el, platform),
+      role: role.role,
+      roleConfidence: role.confidence,
+      roleSource: role.source,
       content: this.extractContent(el, platform),
       timestamp: this.extractTimestamp(el),
       codeBlocks: this.extractCodeBlocks(el),
+      attachments: AttachmentScraper.extract(el, platform),
+      actions: this.extractActions(el, platform, role.role),
       order: index
     };
   },
 
   /**
-   * Extract role (user or assistant)
+   * Extract builder action cards (file edits, commands, deploys) as structured events
+   * User messages never carry action cards, so their text is not parsed
    */
-  extractRole(el, platform) {
-    const dataRole = el.getAttribute('data-role') ||
-                     el.getAttribute('data-message-role') ||
-                     el.getAttribute('data-author') ||
-                     el.getAttribute('data-testid') || '';
-
-    if (dataRole.toLowerCase().includes('user') || dataRole.toLowerCase().includes('human')) {
-      return 'user';
-    }
-    if (dataRole.toLowerCase().includes('assistant') || dataRole.toLowerCase().includes('ai') || dataRole.toLowerCase().includes('bot')) {
-      return 'assistant';
-    }
-
-    const className = (el.className || '').toLowerCase();
-    if (className.includes('user') || className.includes('human') || className.includes('you')) {
-      return 'user';
-    }
-    if (className.includes('assistant') || className.includes('ai') || className.includes('bot') || className.includes('agent')) {
-      return 'assistant';
+  extractActions(el, platform, role) {
+    if (role === 'user') return [];
+    try {
+      return ActionParser.parse(el, platform);
+    } catch (e) {
+      this.debug('Action parsing failed:', e.message);
+      return [];
     }
-
-    return 'assistant';
   },
 
   /**
-   * Extract message content
+   * Extract message content as Markdown
+   * Code blocks stay inline as fenced blocks; codeBlocks keeps them separately as well
    */
   extractContent(el, platform) {
     if (platform.selectors?.messageContent) {
-      const contentEl = el.querySelector(platform.selectors.messageContent);
+      const contentEl = SelectorEngine.query(platform.selectors.messageContent, el);
       if (contentEl) {
-        return this.getCleanTextContent(contentEl);
+        return MarkdownConverter.convert(contentEl);
       }
     }
 
@@ -666,21 +793,20 @@ const ChatScraper = {
       '[class*="content"]',
       '[class*="markdown"]',
       '[class*="prose"]',
-      'p',
       '.text'
     ];
 
     for (const selector of contentSelectors) {
       const contentEl = el.querySelector(selector);
       if (contentEl) {
-        const text = this.getCleanTextContent(contentEl);
-        if (text.length > 0) {
-          return text;
+        const markdown = MarkdownConverter.convert(contentEl);
+        if (markdown.length > 0) {
+          return markdown;
         }
       }
     }
 
-    return this.getCleanTextContent(el);
+    return MarkdownConverter.convert(el);
   },
 
   /**
@@ -737,14 +863,14 @@ const ChatScraper = {
     }
 
     const content = (el.textContent || '').slice(0, 300).trim();
-    const className = el.className || '';
-    const dataId = el.getAttribute('data-message-id') || el.getAttribute('data-id') || '';
+    const dataId = this.getPlatformMessageId(el);
 
     if (dataId) {
       return `id_${dataId}`;
     }
 
-    return this.hashString(content + (className ? className.slice(0, 50) : ''));
+    // Class names are left out: they change with hover and selection state
+    return this.hashString(content);
   },
 
   /**
@@ -761,25 +887,53 @@ const ChatScraper = {
   },
 
   /**
-   * Process and deduplicate final messages
+   * Put captured messages in conversation order and finish the capture report
+   * Duplicates were already dropped while scrolling, so repeated turns stay
    */
   processMessages() {
-    const sorted = [...this.capturedMessages].sort((a, b) => a.order - b.order);
-    const unique = [];
-    const contentHashes = new Set();
+    const ordered = [...this.capturedMessages]
+      .sort((a, b) => a.order - b.order)
+      .map((msg, i) => ({ ...msg, order: i }));
+
+    const keys = new Set();
+    let repeatsKept = 0;
+    ordered.forEach(msg => {
+      const key = this.messageKey(msg);
+      if (keys.has(key)) repeatsKept++;
+      keys.add(key);
+    });
 
-    for (const msg of sorted) {
-      const contentHash = this.hashString(msg.content?.substring(0, 200) || '');
-      if (!contentHashes.has(contentHash) && msg.content?.trim().length > 0) {
-        contentHashes.add(contentHash);
-        unique.push(msg);
-      }
-    }
+    this.captureReport.kept = ordered.length;
+    this.captureReport.repeatsKept = repeatsKept;
+    this.debug('Capture report:', JSON.stringify({ ...this.captureReport, entries: this.captureReport.entries.length }));
+
+    return ordered;
+  },
+
+  /**
+   * What the last capture kept and dropped
+   * @returns {Object|null} { passes, kept, repeatsKept, dropped: { reason: count }, entries }
+   */
+  getCaptureReport() {
+    return this.captureReport;
+  },
 
-    return unique.map((msg, i) => ({
-      ...msg,
-      order: i
-    }));
+  resetCaptureState() {
+    this.capturedMessages = [];
+    this.capturedKeys = [];
+    this.seenElements = new WeakMap();
+    this.seenPlatformIds = new Map();
+    this.emptyElements = new WeakSet();
+    this.scrollAttempts = 0;
+    this.captureReport = {
+      mode: 'scroll',
+      startedAt: new Date().toISOString(),
+      passes: 0,
+      kept: 0,
+      repeatsKept: 0,
+      dropped: {},
+      entries: []
+    };
   },
 
   /**
@@ -787,19 +941,11 @@ const ChatScraper = {
    */
   findChatContainer(platform) {
     // Platform-specific selector
-    if (platform.selectors?.chatContainer) {
-      const selectors = platform.selectors.chatContainer.split(',').map(s => s.trim());
-      for (const sel of selectors) {
-        try {
-          const el = document.querySelector(sel);
-          if (el) {
-            this.debug(`Found chat container with: ${sel}`);
-            return el;
-          }
-        } catch (e) {
-          // Invalid selector
-        }
-      }
+    const report = {};
+    const platformContainer = PlatformRegistry.findElement(platform, 'chatContainer', report);
+    if (platformContainer) {
+      this.debug(`Found chat container with: ${report.matchedSelector}`);
+      return platformContainer;
     }
 
     // Generic selectors
@@ -899,10 +1045,71 @@ const ChatScraper = {
   },
 
   /**
-   * Stop capturing
+   * Stop capturing; the scroll loops end and the messages captured so far are returned
    */
   stop() {
     this.isCapturing = false;
+    this.isPaused = false;
+  },
+
+  /**
+   * Hold the scroll loops at their next step until resume() or stop()
+   */
+  pause() {
+    if (this.isCapturing) this.isPaused = true;
+  },
+
+  resume() {
+    this.isPaused = false;
+  },
+
+  async waitWhilePaused() {
+    while (this.isPaused && this.isCapturing) {
+      await this.wait(200);
+    }
+  },
+
+  /**
+   * Snapshot of the capture so far, for CaptureCheckpoint
+   * @param {string} stage - 'extracting' (scrolling down) or 'complete' (scroll-through done)
+   * @param {Element|null} scrollable - Scrolled element
+   * @param {number} progress - Progress within the capture (0-100)
+   * @returns {Object} Checkpoint state
+   */
+  getCheckpointState(stage, scrollable, progress) {
+    return {
+      stage,
+      progress,
+      scrollTop: scrollable ? scrollable.scrollTop : 0,
+      scrollHeight: scrollable ? scrollable.scrollHeight : 0,
+      messages: this.capturedMessages,
+      keys: this.capturedKeys,
+      platformIds: Array.from(this.seenPlatformIds),
+      report: this.captureReport
+    };
+  },
+
+  /**
+   * Continue from a checkpoint: earlier messages are kept, and nodes for them that render
+   * again are matched by platform ID or content like any re-rendered node
+   * @param {Object} checkpoint - State from getCheckpointState
+   */
+  restoreCheckpoint(checkpoint) {
+    this.capturedMessages = (checkpoint.messages || []).map(msg => ({ ...msg }));
+    this.capturedKeys = checkpoint.keys || this.capturedMessages.map(msg => this.messageKey(msg));
+    this.seenPlatformIds = new Map(checkpoint.platformIds || []);
+    if (checkpoint.report) {
+      this.captureReport = { ...checkpoint.report, resumedAt: new Date().toISOString() };
+    }
+  },
+
+  /**
+   * Forget messages from a previous capture (e.g. after switching projects)
+   */
+  reset() {
+    this.stop();
+    this.resetCaptureState();
+    this.captureReport = null;
   }
 };
 
@@ -14,7 +14,8 @@ const DiffScraper = {
         this.capturedDiffs = [];
 
         if (!PlatformRegistry.hasFeature(platform, 'diffTracking') &&
-            !PlatformRegistry.hasFeature(platform, 'fileChanges')) {
+            !PlatformRegistry.hasFeature(platform, 'fileChanges') &&
+            !CapabilityProbe.isDetected(platform, 'diffs')) {
             return { available: false, changes: [] };
         }
 
@@ -1,70 +1,204 @@
 // Error and Console Scraper
 // Captures errors and console logs from the page
 // Adapted to work with platform registry system
+// Console calls and uncaught errors are recorded in the page's main world by console-hook.js
+// Preview iframes on other origins run their own hook; preview-relay.js sends their records here
+// Errors are grouped by fingerprint as they arrive (see ErrorGroups), so the raw buffers can stay
+// small while counts still cover every occurrence
 
 const ErrorScraper = {
-    capturedErrors: [],
-    capturedConsoleLogs: [],
-    originalConsole: {},
+    capturedErrors: [], // Most recent errors
+    capturedConsoleLogs: [], // Most recent logs
+    errorGroups: new Map(), // Every page error, by fingerprint
+    maxErrors: 200,
+    maxConsoleLogs: 1000,
+    maxErrorGroups: 300,
     isInitialized: false,
+    isConnected: false,
+    previewEntries: [], // Raw records from preview iframes, tagged with frameUrl
+    maxPreviewEntries: 500,
+
+    // Log prefixes used by the extension's own modules; such lines never belong in an export
+    ownLogPattern: /^\[(?:KripTik[^\]]*|ChatScraper|Overlay|PlatformRegistry|PageBridge|NetworkChatCapture|NetworkLog|LiveChatRecorder|BranchWalker|CaptureCheckpoint|AttachmentScraper|ErrorScraper|VisionCapture|Export Handler)\]/,
 
     /**
      * Initialize error scraper
      */
     init() {
         if (this.isInitialized) return;
-
-        this.interceptConsole();
-        this.watchForErrors();
         this.isInitialized = true;
+
+        this.connectPageChannel();
+
+        chrome.runtime.onMessage.addListener(message => {
+            if (message?.type === 'PREVIEW_FRAME_EVENTS' && message.channel === 'console') {
+                this.recordPreviewEvents(message);
+            }
+        });
     },
 
     /**
-     * Intercept console methods
+     * Receive the page's console calls, errors and rejections from console-hook.js
+     * This content script runs in an isolated world; window errors and console calls seen
+     * here would be the extension's own, so only the main-world hook's records are used
+     * @returns {Promise<void>}
      */
-    interceptConsole() {
-        // Store original methods
-        this.originalConsole = {
-            log: console.log,
-            warn: console.warn,
-            error: console.error,
-            info: console.info
-        };
+    async connectPageChannel() {
+        const port = await PageBridge.openChannel('console');
+        if (!port) {
+            console.warn('[ErrorScraper] Page console hook not connected (reload the page during a Fix My App session); only errors shown in the UI will be captured');
+            return;
+        }
 
-        // Intercept console methods
-        const self = this;
+        port.onmessage = event => this.record(event.data);
+        this.isConnected = true;
+    },
 
-        console.error = function (...args) {
-            self.capturedConsoleLogs.push({
-                type: 'error',
-                timestamp: new Date().toISOString(),
-                message: args.map(a => self.stringify(a)).join(' '),
-                stack: new Error().stack
-            });
-            self.originalConsole.error.apply(console, args);
-        };
+    /**
+     * Store one record from the page
+     * @param {Object} entry - { kind: 'console' | 'error', type, message, stack, ... }
+     */
+    record(entry) {
+        const item = this.toRecord(entry);
+        if (!item) return;
 
-        console.warn = function (...args) {
-            self.capturedConsoleLogs.push({
-                type: 'warn',
-                timestamp: new Date().toISOString(),
-                message: args.map(a => self.stringify(a)).join(' ')
-            });
-            self.originalConsole.warn.apply(console, args);
+        if (entry.kind === 'error') {
+            this.capturedErrors.push(item);
+            if (this.capturedErrors.length > this.maxErrors) this.capturedErrors.shift();
+            this.addToGroups(item);
+        } else {
+            this.capturedConsoleLogs.push(item);
+            if (this.capturedConsoleLogs.length > this.maxConsoleLogs) this.capturedConsoleLogs.shift();
+        }
+    },
+
+    /**
+     * Count an error in its group; when there are too many groups the one seen least
+     * recently is dropped
+     * @param {Object} error - Error record
+     */
+    addToGroups(error) {
+        ErrorGroups.add(this.errorGroups, error);
+        if (this.errorGroups.size <= this.maxErrorGroups) return;
+
+        let stalest = null;
+        this.errorGroups.forEach(group => {
+            if (!stalest || group.lastSeen < stalest.lastSeen) stalest = group;
+        });
+        this.errorGroups.delete(stalest.fingerprint);
+    },
+
+    /**
+     * Turn a hook record into an error or console log entry
+     * @param {Object} entry - Record from a page hook
+     * @returns {Object|null} Entry, or null for the extension's own output and routine logs
+     */
+    toRecord(entry) {
+        if (!entry || this.isOwnEntry(entry)) return null;
+
+        if (entry.kind === 'error') {
+            return {
+                type: entry.type,
+                timestamp: entry.timestamp,
+                message: entry.message,
+                filename: entry.filename,
+                lineno: entry.lineno,
+                colno: entry.colno,
+                stack: entry.stack
+            };
+        }
+
+        // Plain logs only when they look like an error or something important
+        if (entry.type !== 'error' && entry.type !== 'warn' && !this.isSignificantLog(entry.message)) return null;
+
+        return {
+            type: entry.type,
+            timestamp: entry.timestamp,
+            message: entry.message,
+            stack: entry.stack
         };
+    },
 
-        console.log = function (...args) {
-            // Only capture if it looks like an error or important
-            const message = args.map(a => self.stringify(a)).join(' ');
-            if (self.isSignificantLog(message)) {
-                self.capturedConsoleLogs.push({
-                    type: 'log',
-                    timestamp: new Date().toISOString(),
-                    message: message
-                });
+    /**
+     * Keep a batch of records relayed from a preview iframe
+     * @param {Object} message - { frameUrl, entries } from preview-relay.js
+     */
+    recordPreviewEvents(message) {
+        (message.entries || []).forEach(entry => {
+            if (!entry) return;
+            this.previewEntries.push({ ...entry, frameUrl: message.frameUrl });
+        });
+
+        if (this.previewEntries.length > this.maxPreviewEntries) {
+            this.previewEntries = this.previewEntries.slice(-this.maxPreviewEntries);
+        }
+    },
+
+    /**
+     * Errors and console logs from the platform's preview frame
+     * Only frames on the origin of an iframe matched by `previewFrame` are used; when no
+     * such iframe is on the page (preview closed, selector stale) every relayed frame is
+     * @param {Object} platform - Platform configuration
+     * @returns {Object} { errors, consoleLogs }
+     */
+    getPreviewEvents(platform) {
+        const origins = this.getPreviewOrigins(platform);
+        const result = { errors: [], consoleLogs: [] };
+
+        this.previewEntries.forEach(entry => {
+            if (origins.size > 0 && !origins.has(this.originOf(entry.frameUrl))) return;
+
+            const item = this.toRecord(entry);
+            if (!item) return;
+
+            const tagged = { ...item, source: 'preview-frame', frameUrl: entry.frameUrl };
+            if (entry.kind === 'error') {
+                result.errors.push(tagged);
+            } else {
+                result.consoleLogs.push(tagged);
             }
-            self.originalConsole.log.apply(console, args);
-        };
+        });
+
+        return result;
+    },
+
+    /**
+     * Origins of the iframes the platform's `previewFrame` selector matches
+     * @param {Object} platform - Platform configuration
+     * @returns {Set<string>} Origins
+     */
+    getPreviewOrigins(platform) {
+        const origins = new Set();
+        if (!platform) return origins;
+
+        PlatformRegistry.findElements(platform, 'previewFrame').forEach(el => {
+            const frame = el.tagName === 'IFRAME' ? el : el.querySelector('iframe');
+            const origin = this.originOf(frame?.src);
+            if (origin) origins.add(origin);
+        });
+        return origins;
+    },
+
+    originOf(url) {
+        try {
+            const origin = new URL(url).origin;
+            return origin === 'null' ? null : origin;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Whether a record came from the extension rather than the page
+     * @param {Object} entry - Record from the page hook
+     * @returns {boolean} True for the extension's own log lines and errors
+     */
+    isOwnEntry(entry) {
+        if (this.ownLogPattern.test(entry.message || '')) return true;
+
+        // The hook strips its own frame, so the top frame is whoever called console/threw
+        const topFrame = (entry.stack || '').split('\n').find(line => /^\s*at\s|@/.test(line)) || '';
+        return /(?:chrome|moz)-extension:\/\//.test(topFrame);
     },
 
     /**
@@ -88,51 +222,6 @@ const ErrorScraper = {
         return patterns.some(p => p.test(message));
     },
 
-    /**
-     * Stringify object for logging
-     * @param {*} obj - Object to stringify
-     * @returns {string} Stringified object
-     */
-    stringify(obj) {
-        if (typeof obj === 'string') return obj;
-        if (obj instanceof Error) {
-            return `${obj.name}: ${obj.message}\n${obj.stack}`;
-        }
-        try {
-            return JSON.stringify(obj, null, 2);
-        } catch {
-            return String(obj);
-        }
-    },
-
-    /**
-     * Watch for global errors
-     */
-    watchForErrors() {
-        // Global error handler
-        window.addEventListener('error', (event) => {
-            this.capturedErrors.push({
-                type: 'runtime',
-                timestamp: new Date().toISOString(),
-                message: event.message,
-                filename: event.filename,
-                lineno: event.lineno,
-                colno: event.colno,
-                stack: event.error?.stack
-            });
-        });
-
-        // Unhandled promise rejections
-        window.addEventListener('unhandledrejection', (event) => {
-            this.capturedErrors.push({
-                type: 'promise',
-                timestamp: new Date().toISOString(),
-                message: event.reason?.message || String(event.reason),
-                stack: event.reason?.stack
-            });
-        });
-    },
-
     /**
      * Scrape visible errors from UI
      * @param {Object} platform - Platform configuration
@@ -144,8 +233,12 @@ const ErrorScraper = {
         // Look for error panels in the UI
         const errorPanel = PlatformDetector.findElement('errorPanel');
         if (errorPanel && DOMHelpers.isVisible(errorPanel)) {
-            const errorText = errorPanel.textContent;
-            if (errorText && errorText.trim()) {
+            // innerText keeps the panel's line breaks, which the build error formats depend on
+            const errorText = errorPanel.innerText ?? errorPanel.textContent;
+            const diagnostics = BuildErrorParser.parse(errorText);
+            if (diagnostics.length > 0) {
+                errors.push(...diagnostics.map(diagnostic => this.fromDiagnostic(diagnostic, 'error-panel')));
+            } else if (errorText && errorText.trim()) {
                 errors.push({
                     type: 'ui',
                     timestamp: new Date().toISOString(),
@@ -155,6 +248,11 @@ const ErrorScraper = {
             }
         }
 
+        // Vite / Next.js error overlays rendered in the builder page itself
+        BuildErrorParser.parseOverlays(document).forEach(diagnostic => {
+            errors.push(this.fromDiagnostic(diagnostic, 'dev-overlay'));
+        });
+
         // Look for error toasts or notifications
         const toastSelectors = [
             '[class*="toast"][class*="error"]',
@@ -220,26 +318,77 @@ const ErrorScraper = {
                     });
                 }
             });
+
+            BuildErrorParser.parseOverlays(iframeDoc).forEach(diagnostic => {
+                errors.push(this.fromDiagnostic(diagnostic, 'preview-iframe'));
+            });
         } catch (e) {
             // Cross-origin, ignore
         }
         return errors;
     },
 
+    /**
+     * Error record for a parsed build diagnostic
+     * @param {Object} diagnostic - From BuildErrorParser
+     * @param {string} source - Where it was shown
+     * @returns {Object} Error record
+     */
+    fromDiagnostic(diagnostic, source) {
+        return {
+            type: 'build',
+            severity: diagnostic.severity,
+            timestamp: new Date().toISOString(),
+            message: diagnostic.code ? `${diagnostic.code}: ${diagnostic.message}` : diagnostic.message,
+            filename: diagnostic.file,
+            lineno: diagnostic.line,
+            colno: diagnostic.column,
+            source,
+            diagnostics: [diagnostic]
+        };
+    },
+
+    /**
+     * Attach build diagnostics to errors and logs whose text has any
+     * (dev servers log the overlay's error to the console as well)
+     * @param {Object} record - Error or console log record
+     * @returns {Object} Record, with diagnostics when found
+     */
+    withDiagnostics(record) {
+        if (record.diagnostics) return record;
+        const diagnostics = BuildErrorParser.parse(record.message);
+        return diagnostics.length > 0 ? { ...record, diagnostics } : record;
+    },
+
     /**
      * Get all captured errors and console logs
      * @param {Object} platform - Platform configuration
-     * @returns {Object} All errors and logs
+     * @returns {Object} { errors (recent), errorGroups (all, by fingerprint), consoleLogs }
      */
     getAll(platform) {
         const visibleErrors = platform ? this.scrapeVisibleErrors(platform) : [];
+        const preview = this.getPreviewEvents(platform);
+        const consoleLogs = [...this.capturedConsoleLogs, ...preview.consoleLogs]
+            .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+
+        // Page groups live for the whole session; copy them before adding preview and UI errors
+        const groups = new Map();
+        this.errorGroups.forEach((group, fingerprint) => {
+            groups.set(fingerprint, { ...group, samples: [...group.samples] });
+        });
+        [...preview.errors, ...visibleErrors].forEach(error => ErrorGroups.add(groups, error));
 
         return {
             errors: [
                 ...this.capturedErrors,
+                ...preview.errors,
                 ...visibleErrors
-            ],
-            consoleLogs: this.capturedConsoleLogs.slice(-500) // Last 500 logs
+            ].map(record => this.withDiagnostics(record)),
+            errorGroups: ErrorGroups.list(groups).map(group => ({
+                ...group,
+                samples: group.samples.map(sample => this.withDiagnostics(sample))
+            })),
+            consoleLogs: consoleLogs.slice(-500).map(record => this.withDiagnostics(record)) // Last 500 logs
         };
     },
 
@@ -249,6 +398,8 @@ const ErrorScraper = {
     clear() {
         this.capturedErrors = [];
         this.capturedConsoleLogs = [];
+        this.errorGroups = new Map();
+        this.previewEntries = [];
     }
 };
 
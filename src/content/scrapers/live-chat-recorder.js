@@ -0,0 +1,399 @@
+// Live Chat Recorder
+// Records chat messages as they appear while a Fix My App session is active, so capture
+// does not have to scroll the whole history and still has messages a virtualized list dropped.
+// Messages are stored per project in CaptureDB once they have stopped changing.
+
+const LiveChatRecorder = {
+    platform: null,
+    projectKey: null,
+    container: null,
+    observer: null,
+    scanTimer: null,
+    heartbeatTimer: null,
+    isRecording: false,
+    isScanning: false,
+    isPaused: false,
+    rescanRequested: false,
+
+    // { id, key, position } of the project's stored messages, in conversation order
+    stored: [],
+    // element -> { content, changedAt } for messages not stored yet
+    pending: new Map(),
+    // element -> { content, id } as last stored
+    committed: new WeakMap(),
+
+    debounceMs: 400,
+    settleMs: 1500, // A message must be unchanged this long before it is stored
+    heartbeatMs: 3000, // Re-attach when the app replaces the chat container
+
+    // Markers the common platforms put on a message that is still streaming
+    streamingSelector: '[data-is-streaming="true"], [aria-busy="true"], .result-streaming',
+
+    /**
+     * Start recording the current project's chat
+     * @param {Object} platform - Detected platform (with projectId)
+     * @returns {Promise<void>}
+     */
+    async start(platform) {
+        const projectKey = CaptureDB.projectKey(platform);
+        if (this.isRecording && this.projectKey === projectKey) return;
+
+        this.stop();
+        this.platform = platform;
+        this.projectKey = projectKey;
+        this.isRecording = true;
+        CaptureDB.dropLegacyDatabase();
+
+        try {
+            const existing = await CaptureDB.getMessages(projectKey);
+            this.stored = existing.map(record => ({ id: record.id, key: ChatScraper.messageKey(record), position: record.position }));
+        } catch (error) {
+            console.warn('[LiveChatRecorder] Capture database unavailable, not recording:', error);
+            this.stop();
+            return;
+        }
+
+        // stop() may have been called while the database was opening
+        if (!this.isRecording || this.projectKey !== projectKey) return;
+
+        this.attach();
+        this.heartbeatTimer = setInterval(() => {
+            if (!this.container || !this.container.isConnected) {
+                this.attach();
+            }
+        }, this.heartbeatMs);
+
+        console.log(`[LiveChatRecorder] Recording ${projectKey}`);
+    },
+
+    /**
+     * Stop recording; stored messages are kept
+     */
+    stop() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        clearTimeout(this.scanTimer);
+        clearInterval(this.heartbeatTimer);
+        this.scanTimer = null;
+        this.heartbeatTimer = null;
+        this.container = null;
+        this.stored = [];
+        this.pending.clear();
+        this.committed = new WeakMap();
+        this.isRecording = false;
+    },
+
+    /**
+     * Ignore changes to the chat while the extension itself is changing it (e.g. switching branches)
+     */
+    pause() {
+        this.isPaused = true;
+        clearTimeout(this.scanTimer);
+    },
+
+    /**
+     * Pick up recording again after pause()
+     */
+    resume() {
+        this.isPaused = false;
+        if (this.isRecording) this.scheduleScan(this.debounceMs);
+    },
+
+    /**
+     * Observe the chat container and record what is already on screen
+     */
+    attach() {
+        const container = PlatformRegistry.findElement(this.platform, 'chatContainer');
+        if (!container || container === this.container) return;
+
+        if (this.observer) this.observer.disconnect();
+        this.container = container;
+        this.observer = new MutationObserver(() => this.scheduleScan(this.debounceMs));
+        this.observer.observe(container, { childList: true, subtree: true, characterData: true });
+        this.scheduleScan(0);
+    },
+
+    scheduleScan(delay) {
+        clearTimeout(this.scanTimer);
+        this.scanTimer = setTimeout(() => this.scan(), delay);
+    },
+
+    /**
+     * Find message elements without the scraper's scrolling or discovery fallbacks
+     * @returns {Array<Element>} Message elements in DOM order
+     */
+    findMessages() {
+        const root = this.container && this.container.isConnected ? this.container : document;
+        return PlatformRegistry.resolveSelector(this.platform, 'chatMessage', root).elements;
+    },
+
+    /**
+     * Store messages that have finished changing
+     * @param {boolean} force - Store every non-streaming message now, settled or not
+     * @returns {Promise<void>}
+     */
+    async scan(force = false) {
+        if (!this.isRecording || this.isPaused) return;
+        if (this.isScanning) {
+            this.rescanRequested = true;
+            return;
+        }
+
+        this.isScanning = true;
+        try {
+            const now = Date.now();
+            const entries = [];
+
+            for (const el of this.findMessages()) {
+                const content = ChatScraper.extractContent(el, this.platform);
+                if (!content.trim()) continue;
+
+                const committed = this.committed.get(el);
+                if (committed && committed.content === content) {
+                    entries.push({ el, id: committed.id });
+                    continue;
+                }
+
+                const entry = this.pending.get(el);
+                if (!entry || entry.content !== content) {
+                    this.pending.set(el, { content, changedAt: now });
+                    if (!force) continue;
+                }
+
+                if (this.isStreaming(el)) continue;
+                if (!force && now - this.pending.get(el).changedAt < this.settleMs) continue;
+
+                const { order, ...message } = ChatScraper.extractMessage(el, this.platform, entries.length);
+                const platformId = this.getPlatformId(el);
+                entries.push({
+                    el,
+                    content,
+                    message,
+                    id: committed?.id || (platformId ? `id:${platformId}` : null),
+                    key: ChatScraper.messageKey(message)
+                });
+            }
+
+            const writes = this.place(entries, now);
+            if (writes.length > 0) await this.commit(writes);
+
+            for (const el of this.pending.keys()) {
+                if (!el.isConnected) this.pending.delete(el);
+            }
+        } catch (error) {
+            console.warn('[LiveChatRecorder] Scan failed:', error);
+        } finally {
+            this.isScanning = false;
+        }
+
+        if (this.rescanRequested) {
+            this.rescanRequested = false;
+            this.scheduleScan(this.debounceMs);
+        } else if (this.pending.size > 0 && this.isRecording) {
+            // Come back once pending messages have had time to settle
+            this.scheduleScan(this.settleMs);
+        }
+    },
+
+    /**
+     * Match this scan's messages to the stored conversation and decide what to write
+     * A message is the stored one when it is the same element, has the same platform ID, or
+     * has the same role and content as the stored message that follows the last one matched,
+     * the way ChatScraper.captureVisibleMessages recognises re-created nodes. Anything else is
+     * new and goes between the stored messages around it on screen, so messages that appear
+     * when scrolling up land before the ones recorded earlier.
+     * @param {Array} entries - { el, id } for stored elements, { el, content, message, id, key } for the rest, in DOM order
+     * @param {number} now - Scan time
+     * @returns {Array} { el, content, record } to store
+     */
+    place(entries, now) {
+        const indexById = new Map(this.stored.map((stored, i) => [stored.id, i]));
+        entries.forEach(entry => {
+            if (entry.id && indexById.has(entry.id)) entry.index = indexById.get(entry.id);
+        });
+        const visible = entries.filter(entry => entry.index !== undefined || entry.message);
+
+        let anchor = null; // Index of the stored message matched last in this scan
+        visible.forEach((entry, n) => {
+            if (entry.index !== undefined) {
+                anchor = entry.index;
+                return;
+            }
+
+            if (anchor === null) {
+                anchor = this.alignWindow(visible, n);
+            }
+
+            const expected = anchor === null ? null : anchor + 1;
+            const next = this.stored[expected];
+            if (next && next.key === entry.key && !(entry.id && next.id.startsWith('id:'))) {
+                entry.index = expected;
+                anchor = expected;
+            }
+        });
+
+        const writes = [];
+        const recordedAt = new Date(now).toISOString();
+        const gaps = new Map(); // Stored index the new messages follow (-1: before the first) -> entries
+
+        visible.forEach((entry, n) => {
+            if (!entry.message) return;
+
+            if (entry.index !== undefined) {
+                const stored = this.stored[entry.index];
+                // A re-created node of a message stored with the same content needs no write
+                if (stored.key === entry.key) {
+                    this.markCommitted(entry.el, entry.content, stored.id);
+                } else {
+                    writes.push({ el: entry.el, content: entry.content, record: this.buildRecord(entry, stored.id, stored.position, recordedAt) });
+                }
+                return;
+            }
+
+            const before = visible.slice(0, n).reverse().find(other => other.index !== undefined);
+            const after = visible.slice(n + 1).find(other => other.index !== undefined);
+            const gap = before ? before.index : after ? after.index - 1 : this.stored.length - 1;
+            if (!gaps.has(gap)) gaps.set(gap, []);
+            gaps.get(gap).push(entry);
+        });
+
+        gaps.forEach((newEntries, gap) => {
+            const low = this.stored[gap]?.position;
+            const high = this.stored[gap + 1]?.position;
+            const count = newEntries.length;
+
+            newEntries.forEach((entry, i) => {
+                const position = low !== undefined && high !== undefined ? low + (high - low) * (i + 1) / (count + 1)
+                    : low !== undefined ? low + i + 1
+                    : high !== undefined ? high - (count - i)
+                    : i;
+                const id = entry.id || `h:${entry.key}:${now.toString(36)}.${writes.length}`;
+                writes.push({ el: entry.el, content: entry.content, record: this.buildRecord(entry, id, position, recordedAt) });
+            });
+        });
+
+        return writes;
+    },
+
+    /**
+     * Find where a run of unmatched messages lines up with the stored conversation
+     * Same rules as ChatScraper.alignWindow: the overlap has to be unambiguous and run to the
+     * end of the scan or of what is stored
+     * @param {Array} entries - This scan's entries in DOM order
+     * @param {number} start - Position of the first unmatched entry
+     * @returns {number|null} Index of the stored message just before the match, or null
+     */
+    alignWindow(entries, start) {
+        let best = null;
+
+        for (let candidate = 0; candidate < this.stored.length; candidate++) {
+            let length = 0;
+            while (start + length < entries.length && candidate + length < this.stored.length) {
+                const entry = entries[start + length];
+                if (entry.index !== undefined ? entry.index !== candidate + length : entry.key !== this.stored[candidate + length].key) {
+                    break;
+                }
+                length++;
+            }
+
+            const consistent = start + length === entries.length || candidate + length === this.stored.length;
+            if (length === 0 || !consistent) continue;
+
+            const content = entries[start].message?.content || '';
+            const unique = length >= ChatScraper.minAlignLength || content.length >= ChatScraper.uniqueContentLength;
+            if (unique && (!best || length >= best.length)) {
+                best = { candidate, length };
+            }
+        }
+
+        return best ? best.candidate - 1 : null;
+    },
+
+    buildRecord(entry, id, position, now) {
+        return {
+            ...entry.message,
+            id,
+            position,
+            recordedAt: now,
+            updatedAt: now,
+            source: 'live'
+        };
+    },
+
+    markCommitted(el, content, id) {
+        this.committed.set(el, { content, id });
+        this.pending.delete(el);
+    },
+
+    /**
+     * Whether a message is still being streamed
+     * @param {Element} el - Message element
+     * @returns {boolean} True while streaming
+     */
+    isStreaming(el) {
+        const selector = this.platform.selectors?.streamingIndicator;
+        if (selector && (SelectorEngine.matches(el, selector) || SelectorEngine.query(selector, el))) {
+            return true;
+        }
+        return !!(el.closest(this.streamingSelector) || el.querySelector(this.streamingSelector));
+    },
+
+    /**
+     * Store messages in one write; a message stored before keeps its original position
+     * @param {Array} writes - { el, content, record } from place()
+     * @returns {Promise<void>}
+     */
+    async commit(writes) {
+        await CaptureDB.mergeMessages(this.projectKey, writes.map(write => write.record));
+
+        writes.forEach(({ el, content, record }) => {
+            const key = ChatScraper.messageKey(record);
+            const stored = this.stored.find(other => other.id === record.id);
+            if (stored) {
+                stored.key = key;
+            } else {
+                this.stored.push({ id: record.id, key, position: record.position });
+            }
+            this.markCommitted(el, content, record.id);
+        });
+        this.stored.sort((a, b) => a.position - b.position);
+    },
+
+    /**
+     * Message ID the platform puts on the element, if any
+     * @param {Element} el - Message element
+     * @returns {string|null} Platform message ID
+     */
+    getPlatformId(el) {
+        return el.getAttribute('data-message-id') || el.getAttribute('data-id') || el.id || null;
+    },
+
+    /**
+     * Store everything on screen that is not still streaming
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        clearTimeout(this.scanTimer);
+        await this.scan(true);
+    },
+
+    /**
+     * Messages recorded for the platform's current project, ready for capture
+     * @param {Object} platform - Detected platform (with projectId)
+     * @returns {Promise<Array>} Messages in conversation order (empty if nothing was recorded)
+     */
+    async collect(platform) {
+        const projectKey = CaptureDB.projectKey(platform);
+        if (this.isRecording && this.projectKey === projectKey) {
+            await this.flush();
+        }
+
+        const records = await CaptureDB.getMessages(projectKey);
+        const messages = records.map(({ position, ...message }, i) => ({ ...message, order: i }));
+        return RoleResolver.inferAlternation(messages, platform);
+    }
+};
+
+window.LiveChatRecorder = LiveChatRecorder;
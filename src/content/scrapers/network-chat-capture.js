@@ -0,0 +1,214 @@
+// Network Chat Capture
+// Opt-in strategy that reads the conversation from the JSON the page itself loads, instead of
+// the rendered DOM. page-hook.js (main world) forwards responses from the endpoints a platform
+// declares over its private 'responses' port; the platform's mapper turns each response into
+// messages:
+//   networkCapture: {
+//     endpoints: [{ pattern: /\/api\/conversation\/[\w-]+$/, map(json, url) { return [...] } }]
+//   }
+// Mappers return { id, role, content, timestamp } and optionally parentId, selected and
+// attachments; everything else is filled in to match ChatScraper's message shape.
+// Responses that load before the patterns reach the hook are only kept from the page's own
+// origin, so endpoints on another host are seen from the first response after configure().
+
+const NetworkChatCapture = {
+    platform: null,
+    isEnabled: false,
+    port: null,
+    responses: [],
+    maxResponses: 20,
+
+    /**
+     * Start listening for conversation responses if the user enabled network capture
+     * @param {Object} platform - Detected platform
+     * @returns {Promise<void>}
+     */
+    async init(platform) {
+        this.isEnabled = await PageBridge.isNetworkCaptureEnabled();
+        if (!this.isEnabled) return;
+
+        this.port = await PageBridge.openChannel('responses');
+        if (!this.port) {
+            // Network capture was turned on after this page loaded
+            this.isEnabled = false;
+            return;
+        }
+
+        this.port.onmessage = event => {
+            if (event.data?.type === 'network-response') this.handleResponse(event.data);
+        };
+        this.configure(platform);
+    },
+
+    /**
+     * Tell the page hook which endpoints to forward for the current platform
+     * @param {Object|null} platform - Detected platform
+     */
+    configure(platform) {
+        if (!this.isEnabled) return;
+
+        this.platform = platform;
+        const patterns = this.getEndpoints(platform).map(endpoint => {
+            const pattern = this.toRegExp(endpoint.pattern);
+            return { source: pattern.source, flags: pattern.flags };
+        });
+        this.port.postMessage({ type: 'configure', patterns });
+
+        if (patterns.length > 0) {
+            console.log(`[NetworkChatCapture] Watching ${patterns.length} conversation endpoint(s) for ${platform.name}`);
+        }
+    },
+
+    getEndpoints(platform) {
+        return platform?.networkCapture?.endpoints || [];
+    },
+
+    toRegExp(pattern) {
+        return pattern instanceof RegExp ? pattern : new RegExp(pattern);
+    },
+
+    /**
+     * Keep a forwarded response if it belongs to one of the platform's endpoints
+     * @param {Object} entry - { url, status, body, capturedAt } from the page hook
+     */
+    handleResponse(entry) {
+        if (!this.platform || entry.status >= 400) return;
+
+        const endpoint = this.getEndpoints(this.platform).find(e => this.toRegExp(e.pattern).test(entry.url));
+        if (!endpoint) return;
+
+        let json;
+        try {
+            json = JSON.parse(entry.body);
+        } catch (error) {
+            return;
+        }
+
+        // A newer response for the same URL replaces the older one
+        this.responses = this.responses.filter(r => r.url !== entry.url);
+        this.responses.push({ url: entry.url, platformId: this.platform.id, json, capturedAt: entry.capturedAt });
+        if (this.responses.length > this.maxResponses) this.responses.shift();
+    },
+
+    /**
+     * Messages for the current project from the latest matching response
+     * On platforms whose URLs name the project, only responses for that project count: a chat
+     * started in this tab is streamed rather than fetched by ID, and any other response is a
+     * different conversation. Without a project in the URL, the latest response is used.
+     * @param {Object} platform - Detected platform (with projectId)
+     * @returns {Array} Messages in ChatScraper's shape, empty if nothing usable was seen
+     */
+    collect(platform) {
+        if (!this.isEnabled) return [];
+
+        const candidates = this.responses
+            .filter(r => r.platformId === platform.id)
+            .sort((a, b) => b.capturedAt - a.capturedAt);
+        const forProject = !platform.projectUrlPattern ? candidates
+            : platform.projectId ? candidates.filter(r => r.url.includes(platform.projectId))
+            : [];
+
+        for (const response of forProject) {
+            const endpoint = this.getEndpoints(platform).find(e => this.toRegExp(e.pattern).test(response.url));
+            let raw;
+            try {
+                raw = endpoint.map(response.json, response.url);
+            } catch (error) {
+                console.warn(`[NetworkChatCapture] Mapper failed for ${response.url}:`, error);
+                continue;
+            }
+
+            const messages = this.normalize(Array.isArray(raw) ? raw : []);
+            if (messages.length > 0) {
+                console.log(`[NetworkChatCapture] ${messages.length} messages from ${response.url}`);
+                return messages;
+            }
+        }
+
+        return [];
+    },
+
+    /**
+     * Fill mapper output in to the message shape ChatScraper produces
+     * @param {Array} raw - Mapper output
+     * @returns {Array} Messages
+     */
+    normalize(raw) {
+        const messages = raw
+            .filter(msg => msg && typeof msg.content === 'string' && msg.content.trim().length > 0)
+            .map((msg, i) => {
+                const message = {
+                    id: String(msg.id || `net_${i}`),
+                    role: msg.role || 'unknown',
+                    roleConfidence: msg.role ? 1 : 0,
+                    roleSource: msg.role ? 'network' : null,
+                    content: msg.content,
+                    timestamp: msg.timestamp || null,
+                    codeBlocks: this.extractCodeBlocks(msg.content),
+                    attachments: (msg.attachments || []).map(a => this.normalizeAttachment(a)),
+                    actions: [],
+                    order: i,
+                    source: 'network'
+                };
+                if (msg.parentId !== undefined) message.parentId = msg.parentId;
+                if (msg.selected !== undefined) message.selected = msg.selected;
+                return message;
+            });
+
+        return this.linkBranches(RoleResolver.inferAlternation(messages, this.platform));
+    },
+
+    /**
+     * Set branchIndex/branchCount from parentId when the mapper returned a tree
+     * @param {Array} messages - Normalized messages
+     * @returns {Array} The same messages
+     */
+    linkBranches(messages) {
+        if (!messages.some(msg => 'parentId' in msg)) return messages;
+
+        const ids = new Set(messages.map(msg => msg.id));
+        const siblings = new Map();
+        messages.forEach(msg => {
+            if (!ids.has(msg.parentId)) msg.parentId = null;
+            if (msg.selected === undefined) msg.selected = true;
+            if (!siblings.has(msg.parentId)) siblings.set(msg.parentId, []);
+            siblings.get(msg.parentId).push(msg);
+        });
+
+        siblings.forEach(group => group.forEach((msg, i) => {
+            msg.branchIndex = i;
+            msg.branchCount = group.length;
+        }));
+        return messages;
+    },
+
+    normalizeAttachment(attachment) {
+        const key = attachment.src || `${attachment.kind}:${attachment.name}`;
+        return {
+            id: `att_${ChatScraper.hashString(key)}`,
+            kind: attachment.kind === 'image' ? 'image' : 'file',
+            name: attachment.name || 'file',
+            alt: attachment.alt || '',
+            width: attachment.width || null,
+            height: attachment.height || null,
+            src: attachment.src || null
+        };
+    },
+
+    /**
+     * Fenced code blocks in Markdown content, in ChatScraper's codeBlocks shape
+     * @param {string} content - Markdown
+     * @returns {Array} { id, language, content }
+     */
+    extractCodeBlocks(content) {
+        const blocks = [];
+        const fence = /^(`{3,}|~{3,})([\w+#-]*)[^\n]*\n([\s\S]*?)\n\1\s*$/gm;
+        let match;
+        while ((match = fence.exec(content))) {
+            blocks.push({ id: `code_${blocks.length}`, language: match[2] || 'text', content: match[3].trim() });
+        }
+        return blocks;
+    }
+};
+
+window.NetworkChatCapture = NetworkChatCapture;
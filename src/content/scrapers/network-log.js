@@ -0,0 +1,89 @@
+// Network Log
+// Requests the builder page and its preview made during the session, recorded in the main
+// world by request-hook.js (preview frames arrive through preview-relay.js). Exported as
+// _kriptik/network/requests.json and as a HAR file so failed API calls can be replayed.
+
+const NetworkLog = {
+    requests: [],
+    maxRequests: 1000,
+    isInitialized: false,
+    isConnected: false,
+
+    /**
+     * Initialize network log
+     */
+    init() {
+        if (this.isInitialized) return;
+        this.isInitialized = true;
+
+        this.connectPageChannel();
+
+        chrome.runtime.onMessage.addListener(message => {
+            if (message?.type === 'PREVIEW_FRAME_EVENTS' && message.channel === 'network') {
+                (message.entries || []).forEach(entry => {
+                    if (entry) this.add({ ...entry, source: 'preview-frame', frameUrl: message.frameUrl });
+                });
+            }
+        });
+    },
+
+    /**
+     * Receive the page's requests from request-hook.js
+     * @returns {Promise<void>}
+     */
+    async connectPageChannel() {
+        const port = await PageBridge.openChannel('network');
+        if (!port) {
+            console.warn('[NetworkLog] Page request hook not connected (reload the page during a Fix My App session); no network log for this page');
+            return;
+        }
+
+        port.onmessage = event => {
+            if (event.data) this.add({ ...event.data, source: 'page' });
+        };
+        this.isConnected = true;
+    },
+
+    /**
+     * Store one request; when full, successful requests make room before failed ones
+     * @param {Object} entry - Request record
+     */
+    add(entry) {
+        this.requests.push(entry);
+        if (this.requests.length <= this.maxRequests) return;
+
+        const oldestSuccess = this.requests.findIndex(request => !request.failed);
+        this.requests.splice(oldestSuccess === -1 ? 0 : oldestSuccess, 1);
+    },
+
+    /**
+     * Requests for export: the page's own, plus the platform's preview frame
+     * Preview requests are filtered the same way as preview errors (see ErrorScraper.getPreviewOrigins)
+     * @param {Object} platform - Platform configuration
+     * @returns {Object} { count, failed, requests }
+     */
+    getAll(platform) {
+        const origins = ErrorScraper.getPreviewOrigins(platform);
+        const requests = this.requests
+            .filter(request => request.source !== 'preview-frame' || origins.size === 0 ||
+                origins.has(ErrorScraper.originOf(request.frameUrl)))
+            .sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt)));
+
+        return {
+            count: requests.length,
+            failed: requests.filter(request => request.failed).length,
+            requests
+        };
+    },
+
+    /**
+     * Clear captured requests
+     */
+    clear() {
+        this.requests = [];
+    }
+};
+
+// Initialize immediately
+NetworkLog.init();
+window.NetworkLog = NetworkLog;
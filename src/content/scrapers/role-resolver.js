@@ -0,0 +1,239 @@
+// Role Resolver
+// Decides whether a chat message came from the user or the assistant, with a confidence score.
+// Platforms tune it through an optional `roleResolver` config block:
+//   roleResolver: {
+//     strategies: ['roleMap', 'attributes', 'avatar', 'alignment', 'classHints'],
+//     avatar: { user: '<selector>', assistant: '<selector>' },
+//     alignment: { user: 'right' },
+//     alternation: { first: 'user' }
+//   }
+
+const RoleResolver = {
+    defaultStrategies: ['roleMap', 'attributes', 'avatar', 'alignment', 'classHints'],
+
+    // Roles below this confidence are flagged for review
+    lowConfidenceThreshold: 0.6,
+
+    confidence: {
+        roleMap: 0.95,
+        platformAttribute: 0.9,
+        genericAttribute: 0.8,
+        avatar: 0.8,
+        alignment: 0.65,
+        classHints: 0.5,
+        alternationNeighbor: 0.45,
+        alternationParity: 0.3
+    },
+
+    // Whole-word hints in attribute values and class names
+    userWords: ['user', 'human', 'you', 'prompt', 'query'],
+    assistantWords: ['assistant', 'ai', 'bot', 'agent', 'model', 'gpt', 'claude', 'gemini', 'response', 'answer', 'reply'],
+
+    genericAttributes: ['data-message-author-role', 'data-role', 'data-message-role', 'data-author', 'data-sender'],
+
+    /**
+     * Resolve a message element's role using the platform's strategies in order
+     * @param {Element} el - Message element
+     * @param {Object} platform - Platform configuration
+     * @returns {Object} { role, confidence, source } - role is 'unknown' when nothing matched
+     */
+    resolve(el, platform) {
+        const options = platform?.roleResolver || {};
+        const strategies = options.strategies || this.defaultStrategies;
+
+        for (const strategy of strategies) {
+            let result = null;
+            try {
+                result = this.runStrategy(strategy, el, platform, options);
+            } catch (error) {
+                console.warn(`[RoleResolver] ${strategy} failed:`, error);
+            }
+            if (result) return result;
+        }
+
+        return { role: 'unknown', confidence: 0, source: null };
+    },
+
+    /**
+     * Run one resolution strategy
+     * @param {string} strategy - Strategy name
+     * @param {Element} el - Message element
+     * @param {Object} platform - Platform configuration
+     * @param {Object} options - Platform roleResolver options
+     * @returns {Object|null} Resolution or null if the strategy had no opinion
+     */
+    runStrategy(strategy, el, platform, options) {
+        switch (strategy) {
+            case 'roleMap': {
+                const role = platform ? PlatformRegistry.matchRole(platform, el) : null;
+                return role ? this.result(role, 'roleMap', 'roleMap') : null;
+            }
+            case 'attributes':
+                return this.fromAttributes(el, platform);
+            case 'avatar':
+                return this.fromAvatar(el, options.avatar);
+            case 'alignment':
+                return this.fromAlignment(el, options.alignment);
+            case 'classHints':
+                return this.fromClassHints(el);
+            default:
+                return null;
+        }
+    },
+
+    result(role, confidenceKey, source) {
+        return { role, confidence: this.confidence[confidenceKey], source };
+    },
+
+    /**
+     * Read role attributes: the platform's messageRole list first, then common ones
+     * Checks the element itself first, then the closest descendant carrying the attribute
+     */
+    fromAttributes(el, platform) {
+        const platformAttributes = (platform?.selectors?.messageRole || '')
+            .split(',').map(a => a.trim()).filter(Boolean);
+
+        const lists = [
+            [platformAttributes, 'platformAttribute'],
+            [this.genericAttributes, 'genericAttribute']
+        ];
+
+        for (const [attributes, confidenceKey] of lists) {
+            for (const attr of attributes) {
+                let value = el.getAttribute(attr);
+                if (!value) {
+                    try {
+                        value = el.querySelector(`[${attr}]`)?.getAttribute(attr);
+                    } catch (e) {
+                        // Invalid attribute name
+                    }
+                }
+                const role = value ? this.roleFromWords(this.tokenize(value), true) : null;
+                if (role) return this.result(role, confidenceKey, `attribute:${attr}`);
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Match configured avatar selectors inside the message
+     */
+    fromAvatar(el, avatar) {
+        if (!avatar) return null;
+
+        for (const [role, selector] of Object.entries(avatar)) {
+            if (SelectorEngine.query(selector, el)) {
+                return this.result(role, 'avatar', 'avatar');
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Compare the message's horizontal position with its container
+     * Full-width messages carry no alignment signal
+     */
+    fromAlignment(el, alignment) {
+        if (!alignment?.user || !el.parentElement) return null;
+
+        const rect = el.getBoundingClientRect();
+        const parentRect = el.parentElement.getBoundingClientRect();
+        if (!rect.width || !parentRect.width || rect.width > parentRect.width * 0.9) return null;
+
+        const leftGap = rect.left - parentRect.left;
+        const rightGap = parentRect.right - rect.right;
+        if (Math.abs(leftGap - rightGap) < parentRect.width * 0.05) return null;
+
+        const side = leftGap > rightGap ? 'right' : 'left';
+        const role = side === alignment.user ? 'user' : 'assistant';
+        return this.result(role, 'alignment', `alignment:${side}`);
+    },
+
+    /**
+     * Look for whole-word role hints in the class names of the element and its parent
+     */
+    fromClassHints(el) {
+        for (const node of [el, el.parentElement]) {
+            if (!node) continue;
+            const role = this.roleFromWords(this.tokenize(node.getAttribute('class') || ''));
+            if (role) return this.result(role, 'classHints', node === el ? 'class' : 'parent-class');
+        }
+        return null;
+    },
+
+    /**
+     * Split class names or attribute values into lowercase words
+     * 'chat-message userBubble ai_turn' -> ['chat', 'message', 'user', 'bubble', 'ai', 'turn']
+     * @param {string} value - Raw string
+     * @returns {Array<string>} Words
+     */
+    tokenize(value) {
+        return String(value)
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean);
+    },
+
+    /**
+     * Map words to a role when they point one way only
+     * @param {Array<string>} words - Words from tokenize
+     * @param {boolean} allowSystem - Whether 'system'/'tool' are accepted (attribute values)
+     * @returns {string|null} Role or null if absent or ambiguous
+     */
+    roleFromWords(words, allowSystem = false) {
+        if (allowSystem && words.includes('system')) return 'system';
+        if (allowSystem && words.includes('tool')) return 'assistant';
+
+        const user = words.some(w => this.userWords.includes(w));
+        const assistant = words.some(w => this.assistantWords.includes(w));
+        if (user === assistant) return null;
+        return user ? 'user' : 'assistant';
+    },
+
+    /**
+     * Fill in unresolved roles from their neighbours, assuming turns alternate
+     * A message next to a confidently resolved one takes the opposite role; messages with
+     * no resolved neighbour fall back to parity from alternation.first (default 'user')
+     * @param {Array} messages - Messages in conversation order
+     * @param {Object} platform - Platform configuration
+     * @returns {Array} The same messages, updated in place
+     */
+    inferAlternation(messages, platform) {
+        const first = platform?.roleResolver?.alternation?.first || 'user';
+        const opposite = role => (role === 'user' ? 'assistant' : 'user');
+        const anchored = msg => msg && ['user', 'assistant'].includes(msg.role) &&
+            msg.roleConfidence >= this.lowConfidenceThreshold;
+
+        messages.forEach((msg, i) => {
+            if (msg.role !== 'unknown') return;
+
+            const neighbor = anchored(messages[i - 1]) ? messages[i - 1] : (anchored(messages[i + 1]) ? messages[i + 1] : null);
+            if (neighbor) {
+                msg.role = opposite(neighbor.role);
+                msg.roleConfidence = this.confidence.alternationNeighbor;
+                msg.roleSource = 'alternation:neighbor';
+            } else {
+                msg.role = i % 2 === 0 ? first : opposite(first);
+                msg.roleConfidence = this.confidence.alternationParity;
+                msg.roleSource = 'alternation:parity';
+            }
+        });
+
+        return messages;
+    },
+
+    /**
+     * List messages whose role should be checked by a person
+     * @param {Array} messages - Captured messages
+     * @returns {Array} Low-confidence messages
+     */
+    findLowConfidence(messages) {
+        return (messages || []).filter(msg =>
+            typeof msg.roleConfidence === 'number' && msg.roleConfidence < this.lowConfidenceThreshold
+        );
+    }
+};
+
+window.RoleResolver = RoleResolver;
@@ -14,7 +14,8 @@ const TerminalScraper = {
     async capture(platform, onProgress) {
         this.capturedOutput = [];
 
-        if (!PlatformRegistry.hasFeature(platform, 'terminal')) {
+        if (!PlatformRegistry.hasFeature(platform, 'terminal') &&
+            !CapabilityProbe.isDetected(platform, 'terminal')) {
             return { available: false, output: [] };
         }
 
@@ -55,6 +56,8 @@ const TerminalScraper = {
             return {
                 available: true,
                 output: output,
+                // tsc, Vite, esbuild, Next.js and webpack errors printed in the terminal
+                diagnostics: BuildErrorParser.parse(output.map(line => line.content).join('\n')),
                 workingDirectory: this.extractWorkingDirectory(terminal),
                 shell: this.detectShell(terminal)
             };
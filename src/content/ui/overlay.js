@@ -8,6 +8,10 @@ const Overlay = {
     capturedData: null,
     progressAnimation: null,
     currentPhase: null,
+    captureProjectChange: null, // Set if the user switched projects mid-capture
+    isPaused: false,
+    isCancelled: false,
+    resumeCheckpoint: null, // Checkpoint of an unfinished DOM capture for this project
 
     /**
      * Create and show overlay
@@ -38,6 +42,7 @@ const Overlay = {
         this.addLog('[READY] Awaiting capture command...');
 
         this.isVisible = true;
+        this.checkForCheckpoint(platform);
 
         // Trigger entrance animation
         setTimeout(() => {
@@ -125,6 +130,27 @@ const Overlay = {
             </button>
           </div>
 
+          <div class="action-buttons capture-controls" id="capture-controls" hidden>
+            <button class="btn btn-secondary" id="btn-pause">
+              <span class="btn-icon">❚❚</span>
+              <span class="btn-text">PAUSE</span>
+            </button>
+            <button class="btn btn-secondary" id="btn-cancel">
+              <span class="btn-icon">■</span>
+              <span class="btn-text">CANCEL</span>
+            </button>
+          </div>
+
+          <details class="diagnostics-panel" id="diagnostics-panel" hidden>
+            <summary>SELECTOR DIAGNOSTICS <span id="diagnostics-summary"></span></summary>
+            <div class="diagnostics-content" id="diagnostics-content"></div>
+          </details>
+
+          <details class="diagnostics-panel" id="role-review-panel" hidden>
+            <summary>ROLE REVIEW <span id="role-review-summary"></span></summary>
+            <div class="diagnostics-content" id="role-review-content"></div>
+          </details>
+
           <div class="progress-log">
             <div class="log-header">
               <span class="log-indicator"></span>
@@ -158,17 +184,149 @@ const Overlay = {
             if (!this.isCapturing) this.hide();
         });
 
-        // Start capture button - uses vision capture by default
+        // Start capture button - uses vision capture by default, DOM capture to resume a checkpoint
         this.overlay.querySelector('#btn-capture').addEventListener('click', () => {
-            this.startCapture(platform);
+            this.startCapture(this.resolvePlatform(platform), !!this.resumeCheckpoint);
+        });
+
+        // Pause/resume and cancel (DOM capture only)
+        this.overlay.querySelector('#btn-pause').addEventListener('click', () => {
+            if (this.isPaused) {
+                this.resumeCapture();
+            } else {
+                this.pauseCapture();
+            }
+        });
+        this.overlay.querySelector('#btn-cancel').addEventListener('click', () => {
+            this.cancelCapture();
         });
 
         // Export button
         this.overlay.querySelector('#btn-export').addEventListener('click', () => {
-            this.triggerExport(platform);
+            this.triggerExport(this.resolvePlatform(platform));
         });
     },
 
+    /**
+     * Get the platform as currently detected, so a capture started after in-page
+     * navigation uses the new project
+     * @param {Object} platform - Platform the overlay was opened with
+     * @returns {Object} Current platform configuration
+     */
+    resolvePlatform(platform) {
+        return PlatformDetector.getPlatform() || platform;
+    },
+
+    /**
+     * React to in-page navigation reported by PlatformDetector
+     * @param {Object} change - Navigation change
+     */
+    handleNavigation(change) {
+        if (!this.isVisible || !change.projectChanged) return;
+
+        const from = change.previous?.projectId || change.previous?.name || 'unknown';
+        const to = change.current?.projectId || change.current?.name || 'unsupported page';
+
+        if (this.isCapturing) {
+            this.captureProjectChange = change;
+            this.addLog(`[WARN] Project changed during capture (${from} → ${to})`);
+            this.addLog('[WARN] Captured data may mix both projects - recapture after this one finishes');
+            this.updatePhaseMessage('Project changed - captured data may be inconsistent');
+            return;
+        }
+
+        this.addLog(`[NAV] Project changed (${from} → ${to})`);
+        if (change.current) {
+            this.overlay.querySelector('.panel-subtitle').textContent = `${change.current.name} • Context Capture System`;
+        }
+        if (this.capturedData) {
+            this.addLog(`[INFO] Captured data still belongs to ${this.capturedData.projectName}`);
+        }
+    },
+
+    /**
+     * Offer to resume a DOM capture that was interrupted (tab crash, reload, closed overlay)
+     * @param {Object} platform - Platform configuration
+     * @returns {Promise<void>}
+     */
+    async checkForCheckpoint(platform) {
+        const checkpoint = await CaptureCheckpoint.load(this.resolvePlatform(platform));
+        if (!this.isVisible || this.isCapturing) return;
+
+        this.resumeCheckpoint = checkpoint;
+        if (!checkpoint) return;
+
+        const savedAt = new Date(checkpoint.savedAt).toLocaleTimeString();
+        this.overlay.querySelector('#btn-capture .btn-text').textContent = 'RESUME CAPTURE';
+        this.addLog(`[RESUME] Unfinished capture from ${savedAt}: ${checkpoint.messages?.length || 0} messages saved`);
+    },
+
+    /**
+     * Pause a DOM capture; chat scrolling stops at its next step, other phases before they start
+     */
+    pauseCapture() {
+        if (!this.isCapturing || this.isPaused) return;
+
+        this.isPaused = true;
+        ChatScraper.pause();
+        this.updateStatus('paused', 'Capture paused');
+        this.overlay.querySelector('#btn-pause .btn-icon').textContent = '▶';
+        this.overlay.querySelector('#btn-pause .btn-text').textContent = 'RESUME';
+        this.addLog('[PAUSE] Capture paused');
+    },
+
+    resumeCapture() {
+        if (!this.isPaused) return;
+
+        this.isPaused = false;
+        ChatScraper.resume();
+        this.updateStatus('capturing', 'Capture in progress');
+        this.overlay.querySelector('#btn-pause .btn-icon').textContent = '❚❚';
+        this.overlay.querySelector('#btn-pause .btn-text').textContent = 'PAUSE';
+        this.addLog('[RESUME] Capture resumed');
+    },
+
+    /**
+     * Cancel a DOM capture; nothing is kept and the checkpoint is discarded
+     */
+    cancelCapture() {
+        if (!this.isCapturing || this.isCancelled) return;
+
+        this.isCancelled = true;
+        this.isPaused = false;
+        ChatScraper.stop();
+        this.overlay.querySelector('#btn-cancel').disabled = true;
+        this.updatePhaseMessage('Cancelling...');
+        this.addLog('[CANCEL] Stopping capture...');
+    },
+
+    /**
+     * Wait out a pause, then stop if the capture was cancelled meanwhile
+     * @returns {Promise<void>}
+     */
+    async checkPauseOrCancel() {
+        while (this.isPaused && !this.isCancelled) {
+            await this.wait(200);
+        }
+        if (this.isCancelled) {
+            const error = new Error('Capture cancelled');
+            error.cancelled = true;
+            throw error;
+        }
+    },
+
+    /**
+     * Show or hide the pause/cancel controls
+     * @param {boolean} visible - Whether a DOM capture is running
+     */
+    setCaptureControls(visible) {
+        const controls = this.overlay.querySelector('#capture-controls');
+        controls.hidden = !visible;
+        controls.querySelector('#btn-cancel').disabled = false;
+        controls.querySelector('#btn-pause .btn-icon').textContent = '❚❚';
+        controls.querySelector('#btn-pause .btn-text').textContent = 'PAUSE';
+    },
+
     /**
      * Start the capture process
      * Uses AI-powered vision capture by default for best results across all platforms
@@ -179,6 +337,7 @@ const Overlay = {
     async startCapture(platform, useDOMFallback = false) {
         if (this.isCapturing) return;
         this.isCapturing = true;
+        this.captureProjectChange = null;
 
         const captureBtn = this.overlay.querySelector('#btn-capture');
         captureBtn.disabled = true;
@@ -194,7 +353,18 @@ const Overlay = {
 
         this.addLog('[START] Initiating DOM-based capture sequence...');
 
+        this.isPaused = false;
+        this.isCancelled = false;
+        this.setCaptureControls(true);
+
         try {
+            // A capture interrupted earlier continues from its last scroll position
+            const checkpoint = await CaptureCheckpoint.load(platform);
+            this.resumeCheckpoint = null;
+            if (checkpoint) {
+                this.addLog(`[RESUME] Continuing from ${checkpoint.messages?.length || 0} messages captured earlier`);
+            }
+
             // Initialize capture data
             const capturedData = {
                 platform: platform.id,
@@ -202,62 +372,162 @@ const Overlay = {
                 capturedAt: new Date().toISOString()
             };
 
+            // Every phase counts towards progress until the probe narrows the list
+            CapturePhases.setActivePhases(null);
+
             // Phase 1: Initialize
             await this.runPhase('init', async () => {
                 await this.wait(1500);
             });
 
-            // Phase 2: Scan
-            await this.runPhase('scan', async () => {
-                await this.wait(2000);
+            // Phase 2: Scan - check the platform selectors against the page
+            capturedData.diagnostics = await this.runPhase('scan', async () => {
+                const report = SelectorDoctor.run(platform);
+                this.renderDiagnostics(report);
+                this.addLog(`[SCAN] ${report.summary.matched}/${report.summary.selectors} selectors matched`);
+                if (report.summary.featuresBroken.length > 0) {
+                    this.addLog(`[WARN] No matching selectors for: ${report.summary.featuresBroken.join(', ')}`);
+                }
+
+                // Probe which data sources exist right now and plan the remaining phases
+                capturedData.capabilities = CapabilityProbe.probe(platform);
+                CapturePhases.setActivePhases(capturedData.capabilities.phases);
+                this.addLog(`[SCAN] Data sources: ${capturedData.capabilities.detected.join(', ') || 'none detected'}`);
+                if (capturedData.capabilities.missing.length > 0) {
+                    this.addLog(`[SCAN] Declared but not on this page: ${capturedData.capabilities.missing.join(', ')}`);
+                }
+                return report;
             });
+            const phases = capturedData.capabilities.phases;
 
             // Phase 3: Extract chat history (non-fatal if fails)
             try {
                 capturedData.chatHistory = await this.runPhase('extract', async (updateProgress) => {
-                    return await ChatScraper.captureFullHistory(platform, (progress) => {
-                        updateProgress(progress.progress);
-                        this.updatePhaseMessage(progress.message);
-                        if (progress.count) {
-                            this.updateStat('messages', progress.count);
+                    // The page's own conversation response (opt-in) is the most complete source,
+                    // then messages recorded live during the session; scrolling the DOM comes last
+                    let messages = NetworkChatCapture.collect(platform);
+                    capturedData.chatStrategy = messages.length > 0 ? 'network' : null;
+                    if (!capturedData.chatStrategy) {
+                        messages = await LiveChatRecorder.collect(platform).catch(error => {
+                            console.warn('[Overlay] Could not read recorded messages:', error);
+                            return [];
+                        });
+                        if (messages.length > 0) capturedData.chatStrategy = 'live-recording';
+                    }
+
+                    if (capturedData.chatStrategy) {
+                        this.updateStat('messages', messages.length);
+                        this.addLog(capturedData.chatStrategy === 'network'
+                            ? `[EXTRACT] Using ${messages.length} messages from the conversation API response`
+                            : `[EXTRACT] Using ${messages.length} messages recorded during the session`);
+                    } else {
+                        if (checkpoint) updateProgress(checkpoint.progress || 0);
+                        messages = await ChatScraper.captureFullHistory(platform, (progress) => {
+                            updateProgress(progress.progress);
+                            this.updatePhaseMessage(progress.message);
+                            if (progress.count) {
+                                this.updateStat('messages', progress.count);
+                            }
+                        }, {
+                            checkpoint,
+                            onCheckpoint: state => CaptureCheckpoint.save(platform, state, state.stage === 'complete')
+                        });
+                        await this.checkPauseOrCancel();
+
+                        const report = ChatScraper.getCaptureReport();
+                        capturedData.chatCaptureReport = report;
+                        if (report?.entries.length > 0) {
+                            const reasons = Object.entries(report.dropped)
+                                .filter(([reason]) => reason !== 'same-node')
+                                .map(([reason, count]) => `${count} ${reason}`);
+                            this.addLog(`[EXTRACT] Dropped re-seen nodes: ${reasons.join(', ')}; kept ${report.repeatsKept} repeated turns`);
                         }
-                    });
+                        capturedData.chatStrategy = `dom-${report?.mode || 'scroll'}`;
+                    }
+
+                    // Edited prompts and regenerated answers hide other branches behind "< n / m >" controls;
+                    // the network response already holds every branch
+                    if (capturedData.chatStrategy !== 'network' && messages.length > 0 && BranchWalker.hasBranches(platform)) {
+                        messages = await BranchWalker.capture(platform, messages, (progress) => {
+                            this.updatePhaseMessage(progress.message);
+                        });
+                        const abandoned = messages.filter(msg => !msg.selected).length;
+                        this.addLog(`[EXTRACT] Captured ${abandoned} messages from edited or regenerated branches`);
+                    }
+
+                    // Screenshots and files the user attached; the answers often refer to them
+                    if (messages.some(msg => msg.attachments?.length > 0)) {
+                        capturedData.attachmentStats = await AttachmentScraper.fetchAll(messages, (progress) => {
+                            this.updatePhaseMessage(progress.message);
+                        });
+                        const stats = capturedData.attachmentStats;
+                        this.addLog(`[EXTRACT] Stored ${stats.stored}/${stats.total} attachments (${Math.round(stats.totalBytes / 1024)} KB)`);
+                        if (stats.skipped > 0 || stats.failed > 0) {
+                            this.addLog(`[WARN] ${stats.skipped} attachments over the size cap or without a source, ${stats.failed} could not be fetched`);
+                        }
+                    }
+
+                    updateProgress(100);
+                    return messages;
                 });
             } catch (chatError) {
+                if (chatError.cancelled) throw chatError;
                 console.warn('[Overlay] Chat history capture failed:', chatError);
                 this.addLog(`[WARN] Chat capture skipped: ${chatError.message}`);
                 capturedData.chatHistory = [];
             }
 
-            // Phase 4: Error analysis
-            const errorData = await this.runPhase('errors', async () => {
-                const data = ErrorScraper.getAll(platform);
-                this.updateStat('errors', data.errors.length);
-                this.addLog(`[ERROR] Captured ${data.errors.length} error records`);
-                return data;
-            });
-            capturedData.errors = errorData.errors;
-            capturedData.consoleLogs = errorData.consoleLogs;
+            this.renderRoleReview(capturedData.chatHistory || []);
 
-            // Phase 5: File tree (non-fatal if fails)
-            try {
-                capturedData.fileTree = await this.runPhase('files', async (updateProgress) => {
-                    return await FileTreeScraper.capture(platform, (progress) => {
-                        updateProgress(progress.progress);
-                        this.updatePhaseMessage(progress.message);
-                        if (progress.count) {
-                            this.updateStat('files', progress.count);
-                        }
-                    });
+            if (!capturedData.chatHistory?.length && capturedData.diagnostics) {
+                this.addLog(`[WARN] 0 messages: ${SelectorDoctor.explainEmptyChat(capturedData.diagnostics)}`);
+            }
+
+            // Phase 4: Error analysis (if errors, console output or network requests exist)
+            if (phases.includes('errors')) {
+                const errorData = await this.runPhase('errors', async () => {
+                    const data = ErrorScraper.getAll(platform);
+                    const occurrences = data.errorGroups.reduce((sum, group) => sum + group.count, 0);
+                    this.updateStat('errors', data.errorGroups.length);
+                    this.addLog(`[ERROR] Captured ${occurrences} errors in ${data.errorGroups.length} distinct groups`);
+
+                    data.network = NetworkLog.getAll(platform);
+                    this.addLog(`[NETWORK] Logged ${data.network.count} requests, ${data.network.failed} failed`);
+                    return data;
                 });
-            } catch (fileError) {
-                console.warn('[Overlay] File tree capture failed:', fileError);
-                this.addLog(`[WARN] File tree capture skipped: ${fileError.message}`);
-                capturedData.fileTree = null;
+                capturedData.errors = errorData.errors;
+                capturedData.errorGroups = errorData.errorGroups;
+                capturedData.consoleLogs = errorData.consoleLogs;
+                capturedData.network = errorData.network;
+            } else {
+                capturedData.errors = [];
+                capturedData.errorGroups = [];
+                capturedData.consoleLogs = [];
+                capturedData.network = null;
+            }
+
+            // Phase 5: File tree (if present; non-fatal if fails)
+            if (phases.includes('files')) {
+                try {
+                    capturedData.fileTree = await this.runPhase('files', async (updateProgress) => {
+                        return await FileTreeScraper.capture(platform, (progress) => {
+                            updateProgress(progress.progress);
+                            this.updatePhaseMessage(progress.message);
+                            if (progress.count) {
+                                this.updateStat('files', progress.count);
+                            }
+                        });
+                    });
+                } catch (fileError) {
+                    if (fileError.cancelled) throw fileError;
+                    console.warn('[Overlay] File tree capture failed:', fileError);
+                    this.addLog(`[WARN] File tree capture skipped: ${fileError.message}`);
+                    capturedData.fileTree = null;
+                }
             }
 
-            // Phase 6: Artifacts (if supported)
-            if (PlatformRegistry.hasFeature(platform, 'artifacts')) {
+            // Phase 6: Artifacts (if present)
+            if (phases.includes('artifacts')) {
                 capturedData.artifacts = await this.runPhase('artifacts', async (updateProgress) => {
                     return await ArtifactScraper.capture(platform, (progress) => {
                         updateProgress(progress.progress);
@@ -266,9 +536,8 @@ const Overlay = {
                 });
             }
 
-            // Phase 7: Diffs (if supported)
-            if (PlatformRegistry.hasFeature(platform, 'diffTracking') ||
-                PlatformRegistry.hasFeature(platform, 'fileChanges')) {
+            // Phase 7: Diffs (if present)
+            if (phases.includes('diffs')) {
                 capturedData.diffs = await this.runPhase('diffs', async (updateProgress) => {
                     return await DiffScraper.capture(platform, (progress) => {
                         updateProgress(progress.progress);
@@ -277,8 +546,8 @@ const Overlay = {
                 });
             }
 
-            // Phase 8: Terminal (if supported)
-            if (PlatformRegistry.hasFeature(platform, 'terminal')) {
+            // Phase 8: Terminal (if present)
+            if (phases.includes('terminal')) {
                 capturedData.terminal = await this.runPhase('terminal', async (updateProgress) => {
                     return await TerminalScraper.capture(platform, (progress) => {
                         updateProgress(progress.progress);
@@ -298,8 +567,10 @@ const Overlay = {
                 await this.wait(500);
             });
 
-            // Store captured data
+            // Store captured data; nothing is left to resume
             this.capturedData = capturedData;
+            this.setCaptureControls(false);
+            await CaptureCheckpoint.clear(platform);
 
             // Enable export button
             this.updateStatus('complete', 'Capture complete!');
@@ -310,18 +581,32 @@ const Overlay = {
             exportBtn.classList.add('ready');
 
             this.addLog('[DONE] Capture sequence complete');
-            this.addLog(`[DATA] ${capturedData.chatHistory?.length || 0} messages, ${capturedData.errors?.length || 0} errors, ${capturedData.fileTree?.stats?.totalFiles || 0} files`);
+            this.addLog(`[DATA] ${capturedData.chatHistory?.length || 0} messages, ${capturedData.errorGroups?.length || 0} distinct errors, ${capturedData.fileTree?.stats?.totalFiles || 0} files`);
+            if (this.captureProjectChange) {
+                this.updateStatus('error', 'Project changed during capture');
+                this.addLog(`[WARN] The project changed during this capture - data from ${capturedData.projectName} may be incomplete`);
+            }
             this.addLog('[READY] Click EXPORT to trigger platform export');
 
         } catch (error) {
-            console.error('[Overlay] Capture error:', error);
-            this.addLog(`[ERROR] Capture failed: ${error.message}`);
-            this.updateStatus('error', 'Capture failed');
-
+            this.setCaptureControls(false);
             captureBtn.disabled = false;
-            captureBtn.querySelector('.btn-text').textContent = 'RETRY CAPTURE';
+
+            if (error.cancelled) {
+                await CaptureCheckpoint.clear(platform);
+                this.addLog('[CANCEL] Capture cancelled - nothing was kept');
+                this.updateStatus('idle', 'Capture cancelled');
+                this.updatePhaseMessage('Capture cancelled');
+                captureBtn.querySelector('.btn-text').textContent = 'START CAPTURE';
+            } else {
+                console.error('[Overlay] Capture error:', error);
+                this.addLog(`[ERROR] Capture failed: ${error.message}`);
+                this.updateStatus('error', 'Capture failed');
+                captureBtn.querySelector('.btn-text').textContent = 'RETRY CAPTURE';
+            }
         }
 
+        this.isPaused = false;
         this.isCapturing = false;
     },
 
@@ -335,6 +620,9 @@ const Overlay = {
         const phase = CapturePhases.getPhase(phaseId);
         if (!phase) return;
 
+        // Pausing and cancelling take effect between phases
+        await this.checkPauseOrCancel();
+
         this.currentPhase = phaseId;
         this.progressAnimation.setPhase(phaseId);
 
@@ -501,6 +789,74 @@ const Overlay = {
                style.visibility !== 'hidden' && style.display !== 'none';
     },
 
+    /**
+     * Show the selector doctor report in the diagnostics panel
+     * @param {Object} report - Report from SelectorDoctor.run
+     */
+    renderDiagnostics(report) {
+        const panel = this.overlay.querySelector('#diagnostics-panel');
+        const content = this.overlay.querySelector('#diagnostics-content');
+        if (!panel || !content) return;
+
+        this.overlay.querySelector('#diagnostics-summary').textContent =
+            `• ${report.summary.matched}/${report.summary.selectors} selectors, ` +
+            `${report.summary.featuresSatisfied}/${report.summary.featuresDeclared} features`;
+
+        content.innerHTML = '';
+        const addRow = (text, className) => {
+            const row = document.createElement('div');
+            row.className = className;
+            row.textContent = text;
+            content.appendChild(row);
+        };
+
+        addRow('SELECTORS', 'diagnostics-section');
+        SelectorDoctor.formatLines(report).forEach((line, i) => {
+            addRow(line, report.selectors[i].matched ? 'diagnostics-row' : 'diagnostics-row miss');
+        });
+
+        addRow('FEATURES', 'diagnostics-section');
+        report.features.forEach(f => {
+            const flag = f.declared ? 'on' : 'off';
+            const detail = f.missing.length > 0 ? ` (missing ${f.missing.join(', ')})` : '';
+            const miss = f.declared && f.status === 'missing';
+            addRow(`${miss ? '✗' : '•'} ${f.feature} [${flag}]: ${f.status}${detail}`, miss ? 'diagnostics-row miss' : 'diagnostics-row');
+        });
+
+        panel.hidden = false;
+    },
+
+    /**
+     * List messages whose role was guessed with low confidence so they can be checked
+     * @param {Array} messages - Captured messages
+     */
+    renderRoleReview(messages) {
+        const panel = this.overlay.querySelector('#role-review-panel');
+        const content = this.overlay.querySelector('#role-review-content');
+        if (!panel || !content) return;
+
+        const flagged = RoleResolver.findLowConfidence(messages);
+        content.innerHTML = '';
+        if (flagged.length === 0) {
+            panel.hidden = true;
+            return;
+        }
+
+        this.overlay.querySelector('#role-review-summary').textContent =
+            `• ${flagged.length}/${messages.length} low-confidence roles`;
+        this.addLog(`[WARN] ${flagged.length} message role(s) guessed with low confidence - see ROLE REVIEW`);
+
+        flagged.forEach(msg => {
+            const row = document.createElement('div');
+            row.className = 'diagnostics-row miss';
+            const snippet = (msg.content || '').replace(/\s+/g, ' ').slice(0, 60);
+            row.textContent = `#${msg.order + 1} ${msg.role} (${Math.round(msg.roleConfidence * 100)}% via ${msg.roleSource || 'none'}): ${snippet}`;
+            content.appendChild(row);
+        });
+
+        panel.hidden = false;
+    },
+
     /**
      * Update status indicator
      * @param {string} status - Status type
@@ -626,6 +982,9 @@ const Overlay = {
      */
     async handleVisionCaptureComplete(data, platform) {
         this.addLog('[DONE] Capture complete!');
+        if (this.captureProjectChange) {
+            this.addLog('[WARN] The project changed during this capture - the server captured the original URL');
+        }
 
         const result = data.result;
         if (result) {
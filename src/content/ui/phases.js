@@ -124,6 +124,26 @@ const CapturePhases = {
         }
     ],
 
+    // Phase IDs planned for the current capture (null = every phase)
+    activePhaseIds: null,
+
+    /**
+     * Restrict progress and phase order to the phases a capture will actually run
+     * @param {Array<string>|null} ids - Phase IDs, or null to use every phase
+     */
+    setActivePhases(ids) {
+        this.activePhaseIds = ids ? ids.filter(id => this.getPhase(id)) : null;
+    },
+
+    /**
+     * Get the phases the current capture will run
+     * @returns {Array} Phase configurations in order
+     */
+    getActivePhases() {
+        if (!this.activePhaseIds) return this.phases;
+        return this.phases.filter(p => this.activePhaseIds.includes(p.id));
+    },
+
     /**
      * Get phase configuration by ID
      * @param {string} id - Phase ID
@@ -145,12 +165,12 @@ const CapturePhases = {
     },
 
     /**
-     * Get phase index
+     * Get phase index within the active phases
      * @param {string} id - Phase ID
      * @returns {number} Phase index
      */
     getPhaseIndex(id) {
-        return this.phases.findIndex(p => p.id === id);
+        return this.getActivePhases().findIndex(p => p.id === id);
     },
 
     /**
@@ -163,7 +183,7 @@ const CapturePhases = {
         const index = this.getPhaseIndex(phaseId);
         if (index === -1) return 0;
 
-        const totalPhases = this.phases.length;
+        const totalPhases = this.getActivePhases().length;
         const phaseSize = 100 / totalPhases;
         return (index * phaseSize) + (internalProgress * phaseSize / 100);
     },
@@ -174,9 +194,10 @@ const CapturePhases = {
      * @returns {Object|null} Next phase
      */
     getNextPhase(currentPhaseId) {
+        const active = this.getActivePhases();
         const index = this.getPhaseIndex(currentPhaseId);
-        if (index === -1 || index >= this.phases.length - 1) return null;
-        return this.phases[index + 1];
+        if (index === -1 || index >= active.length - 1) return null;
+        return active[index + 1];
     },
 
     /**
@@ -6,32 +6,13 @@
 (function () {
   'use strict';
 
-  // Platform detection patterns
-  const SUPPORTED_PLATFORMS = {
-    'lovable.dev': { name: 'Lovable', type: 'ai-builder', icon: 'lovable' },
-    'bolt.new': { name: 'Bolt', type: 'ai-builder', icon: 'bolt' },
-    'v0.dev': { name: 'v0', type: 'ai-builder', icon: 'v0' },
-    'create.xyz': { name: 'Create.xyz', type: 'ai-builder', icon: 'create' },
-    'cursor.sh': { name: 'Cursor', type: 'ai-editor', icon: 'cursor' },
-    'cursor.com': { name: 'Cursor', type: 'ai-editor', icon: 'cursor' },
-    'replit.com': { name: 'Replit', type: 'dev-platform', icon: 'replit' },
-    'github.com': { name: 'GitHub', type: 'repository', icon: 'github' },
-    'claude.ai': { name: 'Claude', type: 'ai-assistant', icon: 'claude' },
-    'chatgpt.com': { name: 'ChatGPT', type: 'ai-assistant', icon: 'chatgpt' },
-    'chat.openai.com': { name: 'ChatGPT', type: 'ai-assistant', icon: 'chatgpt' },
-    'console.cloud.google.com': { name: 'Google Cloud', type: 'credential', icon: 'google' },
-    'console.developers.google.com': { name: 'Google Cloud', type: 'credential', icon: 'google' },
-    'dashboard.stripe.com': { name: 'Stripe', type: 'credential', icon: 'stripe' },
-    'supabase.com': { name: 'Supabase', type: 'credential', icon: 'supabase' },
-    'app.supabase.com': { name: 'Supabase', type: 'credential', icon: 'supabase' },
-    'vercel.com': { name: 'Vercel', type: 'credential', icon: 'vercel' },
-    'railway.app': { name: 'Railway', type: 'credential', icon: 'railway' },
-    'app.netlify.com': { name: 'Netlify', type: 'credential', icon: 'netlify' }
-  };
-
   // DOM Elements
   let elements = {};
 
+  // User-defined platforms stored as { config, matches, updatedAt }
+  let customPlatforms = [];
+  let editingPlatformId = null;
+
   /**
    * Initialize popup
    */
@@ -50,12 +31,30 @@
       testConnection: document.getElementById('test-connection'),
       captureMode: document.getElementById('capture-mode'),
       fixSessionCard: document.getElementById('fix-session-card'),
-      sessionStatus: document.getElementById('session-status')
+      sessionStatus: document.getElementById('session-status'),
+      customPlatformList: document.getElementById('custom-platform-list'),
+      addCustomPlatform: document.getElementById('add-custom-platform'),
+      customPlatformEditor: document.getElementById('custom-platform-editor'),
+      customPlatformJson: document.getElementById('custom-platform-json'),
+      customPlatformErrors: document.getElementById('custom-platform-errors'),
+      customPlatformFile: document.getElementById('custom-platform-file'),
+      importCustomPlatform: document.getElementById('import-custom-platform'),
+      cancelCustomPlatform: document.getElementById('cancel-custom-platform'),
+      saveCustomPlatform: document.getElementById('save-custom-platform'),
+      attachmentSizeLimit: document.getElementById('attachment-size-limit'),
+      networkCapture: document.getElementById('network-capture'),
+      selectorPackKeys: document.getElementById('selector-pack-keys')
     };
 
     // Load saved configuration
     await loadConfig();
 
+    // Load capture settings
+    await loadCaptureSettings();
+
+    // Load user-defined platforms (also used for detection below)
+    await loadCustomPlatforms();
+
     // Detect current platform
     await detectPlatform();
 
@@ -74,12 +73,17 @@
    */
   async function loadConfig() {
     try {
-      const config = await chrome.storage.sync.get(['apiEndpoint', 'apiToken']);
+      const config = await chrome.storage.sync.get(['apiEndpoint', 'apiToken', 'selectorPackKeys']);
 
       if (config.apiEndpoint) {
         elements.apiEndpoint.value = config.apiEndpoint;
       }
 
+      if (config.selectorPackKeys && Object.keys(config.selectorPackKeys).length > 0) {
+        const keys = Object.entries(config.selectorPackKeys).map(([kid, jwk]) => ({ kid, ...jwk }));
+        elements.selectorPackKeys.value = JSON.stringify(keys.length === 1 ? keys[0] : keys, null, 2);
+      }
+
       if (config.apiToken) {
         // Show masked token
         elements.apiToken.value = config.apiToken;
@@ -93,6 +97,81 @@
     }
   }
 
+  /**
+   * Load capture settings (stored locally, read by the content scripts at capture time)
+   */
+  async function loadCaptureSettings() {
+    try {
+      const { captureSettings } = await chrome.storage.local.get('captureSettings');
+      if (typeof captureSettings?.maxAttachmentMB === 'number') {
+        elements.attachmentSizeLimit.value = captureSettings.maxAttachmentMB;
+      }
+      elements.networkCapture.checked = !!captureSettings?.networkCapture;
+    } catch (error) {
+      console.error('[Popup] Failed to load capture settings:', error);
+    }
+  }
+
+  /**
+   * Save the attachment size cap
+   */
+  async function saveCaptureSettings() {
+    const max = Number(elements.attachmentSizeLimit.max);
+    const value = parseFloat(elements.attachmentSizeLimit.value);
+    if (!Number.isFinite(value) || value < 0) {
+      showToast('Attachment size cap must be 0 or more', 'error');
+      return;
+    }
+
+    const maxAttachmentMB = Math.min(value, max);
+    elements.attachmentSizeLimit.value = maxAttachmentMB;
+
+    try {
+      const { captureSettings } = await chrome.storage.local.get('captureSettings');
+      await chrome.storage.local.set({ captureSettings: { ...captureSettings, maxAttachmentMB } });
+      showToast(maxAttachmentMB === 0 ? 'Attachments will not be downloaded' : `Attachment cap set to ${maxAttachmentMB} MB`, 'success');
+    } catch (error) {
+      console.error('[Popup] Failed to save capture settings:', error);
+      showToast('Failed to save capture settings', 'error');
+    }
+  }
+
+  /**
+   * Turn network capture on or off; the service worker (un)registers the page hook
+   */
+  async function saveNetworkCapture() {
+    const networkCapture = elements.networkCapture.checked;
+
+    try {
+      const { captureSettings } = await chrome.storage.local.get('captureSettings');
+      await chrome.storage.local.set({ captureSettings: { ...captureSettings, networkCapture } });
+      showToast(networkCapture ? 'Network capture on - reload open chat tabs' : 'Network capture off', 'success');
+    } catch (error) {
+      console.error('[Popup] Failed to save capture settings:', error);
+      showToast('Failed to save capture settings', 'error');
+    }
+  }
+
+  /**
+   * Save the selector pack signing keys; the service worker refetches the pack when they change
+   */
+  async function saveSelectorPackKeys() {
+    const { keys, errors } = SelectorPack.parseKeys(elements.selectorPackKeys.value);
+    if (errors.length > 0) {
+      showToast(errors[0], 'error');
+      return;
+    }
+
+    try {
+      await chrome.storage.sync.set({ selectorPackKeys: keys });
+      const count = Object.keys(keys).length;
+      showToast(count === 0 ? 'Selector pack key removed' : `Selector pack key saved (${Object.keys(keys).join(', ')})`, 'success');
+    } catch (error) {
+      console.error('[Popup] Failed to save selector pack keys:', error);
+      showToast('Failed to save selector pack key', 'error');
+    }
+  }
+
   /**
    * Detect platform from current tab
    */
@@ -105,15 +184,18 @@
         return;
       }
 
-      const url = new URL(tab.url);
-      const hostname = url.hostname.replace('www.', '');
+      // Check against the shared platform catalog (the bridge group is KripTik itself)
+      const entry = PlatformCatalog.lookup(tab.url);
+      if (entry && entry.group !== 'bridge') {
+        updatePlatformStatus(entry);
+        return;
+      }
 
-      // Check against supported platforms
-      for (const [domain, platform] of Object.entries(SUPPORTED_PLATFORMS)) {
-        if (hostname.includes(domain) || hostname.endsWith(domain)) {
-          updatePlatformStatus(platform);
-          return;
-        }
+      // Then against the user's custom platforms
+      const [custom] = PlatformRegistry.matchPlatforms(tab.url);
+      if (custom) {
+        updatePlatformStatus({ name: custom.config.name, type: 'custom' });
+        return;
       }
 
       updatePlatformStatus(null);
@@ -139,7 +221,8 @@
         'ai-assistant': 'AI Assistant',
         'dev-platform': 'Dev Platform',
         'repository': 'Repository',
-        'credential': 'Credential Source'
+        'credential': 'Credential Source',
+        'custom': 'Custom Platform'
       };
       elements.platformName.textContent = `${platform.name} (${typeLabels[platform.type] || platform.type})`;
     } else {
@@ -259,6 +342,208 @@
 
     // Test connection
     elements.testConnection.addEventListener('click', testConnection);
+
+    // Capture settings
+    elements.attachmentSizeLimit.addEventListener('change', saveCaptureSettings);
+    elements.networkCapture.addEventListener('change', saveNetworkCapture);
+    elements.selectorPackKeys.addEventListener('change', saveSelectorPackKeys);
+
+    // Custom platforms
+    elements.addCustomPlatform.addEventListener('click', () => openPlatformEditor(null));
+    elements.cancelCustomPlatform.addEventListener('click', closePlatformEditor);
+    elements.saveCustomPlatform.addEventListener('click', saveCustomPlatform);
+    elements.importCustomPlatform.addEventListener('click', () => elements.customPlatformFile.click());
+    elements.customPlatformFile.addEventListener('change', importPlatformFile);
+  }
+
+  /**
+   * Load custom platforms from storage and register them for detection
+   */
+  async function loadCustomPlatforms() {
+    try {
+      const result = await chrome.storage.local.get('customPlatforms');
+      customPlatforms = result.customPlatforms || [];
+
+      customPlatforms.forEach(entry => {
+        PlatformRegistry.register(PlatformRegistry.reviveCustomConfig(entry.config));
+      });
+
+      renderCustomPlatforms();
+    } catch (error) {
+      console.error('[Popup] Failed to load custom platforms:', error);
+    }
+  }
+
+  /**
+   * Render the list of custom platforms
+   */
+  function renderCustomPlatforms() {
+    const list = elements.customPlatformList;
+    list.innerHTML = '';
+
+    customPlatforms.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = 'custom-platform-item';
+
+      const info = document.createElement('div');
+      info.className = 'custom-platform-info';
+
+      const name = document.createElement('span');
+      name.className = 'custom-platform-name';
+      name.textContent = entry.config.name;
+
+      const hosts = document.createElement('span');
+      hosts.className = 'custom-platform-hosts';
+      hosts.textContent = entry.config.hostPatterns.join(', ');
+
+      info.append(name, hosts);
+
+      const edit = document.createElement('button');
+      edit.className = 'btn-link';
+      edit.textContent = 'Edit';
+      edit.addEventListener('click', () => openPlatformEditor(entry));
+
+      const remove = document.createElement('button');
+      remove.className = 'btn-link danger';
+      remove.textContent = 'Delete';
+      remove.addEventListener('click', () => deleteCustomPlatform(entry.config.id));
+
+      item.append(info, edit, remove);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Show the JSON editor, optionally pre-filled with an existing platform
+   */
+  function openPlatformEditor(entry) {
+    editingPlatformId = entry ? entry.config.id : null;
+    elements.customPlatformJson.value = entry ? JSON.stringify(entry.config, null, 2) : '';
+    elements.customPlatformErrors.innerHTML = '';
+    elements.customPlatformEditor.style.display = 'flex';
+    elements.customPlatformJson.focus();
+  }
+
+  /**
+   * Hide the JSON editor
+   */
+  function closePlatformEditor() {
+    editingPlatformId = null;
+    elements.customPlatformJson.value = '';
+    elements.customPlatformErrors.innerHTML = '';
+    elements.customPlatformEditor.style.display = 'none';
+  }
+
+  /**
+   * Load a config file into the editor
+   */
+  async function importPlatformFile() {
+    const file = elements.customPlatformFile.files[0];
+    if (!file) return;
+
+    elements.customPlatformJson.value = await file.text();
+    elements.customPlatformFile.value = '';
+    elements.customPlatformErrors.innerHTML = '';
+  }
+
+  /**
+   * Show validation errors under the editor
+   */
+  function showPlatformErrors(errors) {
+    elements.customPlatformErrors.innerHTML = '';
+    errors.forEach(error => {
+      const item = document.createElement('li');
+      item.textContent = error;
+      elements.customPlatformErrors.appendChild(item);
+    });
+  }
+
+  /**
+   * Validate, request host access for, and store the platform in the editor
+   */
+  async function saveCustomPlatform() {
+    let config;
+    try {
+      config = JSON.parse(elements.customPlatformJson.value);
+    } catch (error) {
+      showPlatformErrors([`Invalid JSON: ${error.message}`]);
+      return;
+    }
+
+    const { isValid, errors } = PlatformRegistry.validateCustomConfig(config);
+    if (isValid && config.id !== editingPlatformId && customPlatforms.some(entry => entry.config.id === config.id)) {
+      errors.push(`A custom platform with id "${config.id}" already exists`);
+    }
+
+    const matches = isValid ? [...new Set(config.hostPatterns.flatMap(p => PlatformRegistry.toMatchPatterns(p)))] : [];
+    if (isValid && config.hostPatterns.some(p => PlatformRegistry.toMatchPatterns(p).length === 0)) {
+      errors.push('hostPatterns must be http or https hosts');
+    }
+
+    if (errors.length > 0) {
+      showPlatformErrors(errors);
+      return;
+    }
+
+    // Must run straight from the click so Chrome shows the permission prompt
+    let granted = false;
+    try {
+      granted = await chrome.permissions.request({ origins: matches });
+    } catch (error) {
+      console.error('[Popup] Permission request error:', error);
+    }
+
+    if (!granted) {
+      showPlatformErrors([`Access to ${config.hostPatterns.join(', ')} is needed to capture from this platform`]);
+      return;
+    }
+
+    const entry = { config, matches, updatedAt: Date.now() };
+    const others = customPlatforms.filter(e => e.config.id !== editingPlatformId && e.config.id !== config.id);
+    customPlatforms = [...others, entry];
+
+    try {
+      await chrome.storage.local.set({ customPlatforms });
+      if (editingPlatformId && editingPlatformId !== config.id) {
+        PlatformRegistry.platforms.delete(editingPlatformId);
+      }
+      PlatformRegistry.register(PlatformRegistry.reviveCustomConfig(config));
+      renderCustomPlatforms();
+      closePlatformEditor();
+      showToast(`${config.name} saved - reload its tabs to capture`, 'success');
+    } catch (error) {
+      console.error('[Popup] Save custom platform error:', error);
+      showToast('Failed to save custom platform', 'error');
+    }
+  }
+
+  /**
+   * Delete a custom platform and release host access nothing else needs
+   */
+  async function deleteCustomPlatform(platformId) {
+    const entry = customPlatforms.find(e => e.config.id === platformId);
+    if (!entry) return;
+
+    customPlatforms = customPlatforms.filter(e => e !== entry);
+
+    try {
+      await chrome.storage.local.set({ customPlatforms });
+      PlatformRegistry.platforms.delete(platformId);
+      renderCustomPlatforms();
+      if (editingPlatformId === platformId) closePlatformEditor();
+
+      const required = new Set(chrome.runtime.getManifest().host_permissions);
+      const stillUsed = new Set(customPlatforms.flatMap(e => e.matches));
+      const unused = entry.matches.filter(match => !stillUsed.has(match) && !required.has(match));
+      if (unused.length > 0) {
+        await chrome.permissions.remove({ origins: unused });
+      }
+
+      showToast(`${entry.config.name} removed`, 'success');
+    } catch (error) {
+      console.error('[Popup] Delete custom platform error:', error);
+      showToast('Failed to delete custom platform', 'error');
+    }
   }
 
   /**
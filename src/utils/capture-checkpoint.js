@@ -0,0 +1,75 @@
+// Capture Checkpoint - Saves the progress of a DOM capture so a crashed or closed tab can
+// pick up where it stopped instead of scrolling the whole chat again
+// Checkpoints live in CaptureDB next to the live recording, one per project
+
+const CaptureCheckpoint = {
+    maxAgeMs: 24 * 60 * 60 * 1000, // Same lifetime as a Fix My App session
+    saveIntervalMs: 2000, // Scroll steps are frequent; write at most this often
+    lastSavedAt: 0,
+    pending: null,
+
+    /**
+     * Load a usable checkpoint for the platform's current project
+     * Checkpoints older than maxAgeMs are deleted instead of returned
+     * @param {Object} platform - Detected platform (with projectId)
+     * @returns {Promise<Object|null>} Checkpoint or null
+     */
+    async load(platform) {
+        try {
+            const checkpoint = await CaptureDB.getCheckpoint(CaptureDB.projectKey(platform));
+            if (!checkpoint) return null;
+
+            if (Date.now() - checkpoint.savedAt > this.maxAgeMs) {
+                await this.clear(platform);
+                return null;
+            }
+            return checkpoint;
+        } catch (error) {
+            console.warn('[CaptureCheckpoint] Could not read checkpoint:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Save capture state, throttled unless forced
+     * @param {Object} platform - Detected platform (with projectId)
+     * @param {Object} state - ChatScraper state from getCheckpointState()
+     * @param {boolean} force - Write now even if the last write was recent
+     * @returns {Promise<void>}
+     */
+    async save(platform, state, force = false) {
+        const now = Date.now();
+        if (!force && now - this.lastSavedAt < this.saveIntervalMs) return;
+        this.lastSavedAt = now;
+
+        const write = CaptureDB.putCheckpoint({
+            ...state,
+            projectKey: CaptureDB.projectKey(platform),
+            platformId: platform.id,
+            savedAt: now
+        }).catch(error => {
+            console.warn('[CaptureCheckpoint] Could not save checkpoint:', error);
+        });
+
+        // clear() waits for this so a late write cannot bring a finished capture back
+        this.pending = write;
+        await write;
+    },
+
+    /**
+     * Delete the project's checkpoint (capture finished or cancelled)
+     * @param {Object} platform - Detected platform (with projectId)
+     * @returns {Promise<void>}
+     */
+    async clear(platform) {
+        try {
+            await this.pending;
+            await CaptureDB.clearCheckpoint(CaptureDB.projectKey(platform));
+        } catch (error) {
+            console.warn('[CaptureCheckpoint] Could not clear checkpoint:', error);
+        }
+        this.lastSavedAt = 0;
+    }
+};
+
+window.CaptureCheckpoint = CaptureCheckpoint;
@@ -0,0 +1,94 @@
+// Capture DB - Chat messages recorded live during a Fix My App session, and checkpoints of
+// captures in progress
+// Records are kept in the service worker's IndexedDB (CaptureStore), in the extension's origin
+// and scoped to this page's origin, so the page itself can neither read nor change them
+
+const CaptureDB = {
+    // Earlier versions kept records in the page origin's IndexedDB under this name
+    legacyDatabase: 'kriptik-capture',
+
+    /**
+     * Ask the service worker to run a store operation
+     * @param {string} type - Message type
+     * @param {Object} data - Message fields
+     * @returns {Promise<Object>} Response
+     */
+    async request(type, data) {
+        const response = await chrome.runtime.sendMessage({ type, ...data });
+        if (!response || response.error) {
+            throw new Error(response?.error || 'No response from the service worker');
+        }
+        return response;
+    },
+
+    /**
+     * Build the per-project key used to group recorded messages
+     * @param {Object} platform - Detected platform (with projectId)
+     * @returns {string} Project key
+     */
+    projectKey(platform) {
+        return `${platform.id}:${platform.projectId || window.location.pathname}`;
+    },
+
+    /**
+     * Insert or replace message records in one transaction
+     * A message stored before keeps its position and recordedAt
+     * @param {string} projectKey - Project key
+     * @param {Array} records - Messages with id and position
+     * @returns {Promise<void>}
+     */
+    async mergeMessages(projectKey, records) {
+        await this.request('MERGE_RECORDED_MESSAGES', { projectKey, records });
+    },
+
+    /**
+     * Get every message recorded for a project, in conversation order
+     * @param {string} projectKey - Project key
+     * @returns {Promise<Array>} Message records
+     */
+    async getMessages(projectKey) {
+        const { messages } = await this.request('GET_RECORDED_MESSAGES', { projectKey });
+        return messages || [];
+    },
+
+    /**
+     * Get the checkpoint of an unfinished capture
+     * @param {string} projectKey - Project key
+     * @returns {Promise<Object|null>} Checkpoint record
+     */
+    async getCheckpoint(projectKey) {
+        const { checkpoint } = await this.request('GET_CAPTURE_CHECKPOINT', { projectKey });
+        return checkpoint || null;
+    },
+
+    /**
+     * Insert or replace a project's checkpoint
+     * @param {Object} record - Checkpoint with projectKey
+     * @returns {Promise<void>}
+     */
+    async putCheckpoint(record) {
+        await this.request('SAVE_CAPTURE_CHECKPOINT', { checkpoint: record });
+    },
+
+    /**
+     * Delete a project's checkpoint
+     * @param {string} projectKey - Project key
+     * @returns {Promise<void>}
+     */
+    async clearCheckpoint(projectKey) {
+        await this.request('CLEAR_CAPTURE_CHECKPOINT', { projectKey });
+    },
+
+    /**
+     * Delete the IndexedDB database earlier versions left in the page's origin
+     */
+    dropLegacyDatabase() {
+        try {
+            indexedDB.deleteDatabase(this.legacyDatabase);
+        } catch (e) {
+            // IndexedDB unavailable (e.g. storage blocked for this site)
+        }
+    }
+};
+
+window.CaptureDB = CaptureDB;
@@ -0,0 +1,186 @@
+// Capture Store - IndexedDB store for chat messages recorded live during a Fix My App session,
+// and for checkpoints of captures in progress. Run by the service worker, so the database lives
+// in the extension's origin where pages cannot open it; content scripts reach it through
+// CaptureDB. Records are scoped to the origin of the tab that wrote them plus its project key,
+// and each message is its own record, so a scan writes only the messages it stores.
+
+const CaptureStore = {
+    name: 'kriptik-capture',
+    version: 1,
+    maxAgeMs: 24 * 60 * 60 * 1000, // Same lifetime as a Fix My App session
+    pruneIntervalMs: 60 * 60 * 1000,
+    db: null,
+    opening: null,
+    lastPrunedAt: 0,
+
+    /**
+     * Scope for a project's records: the writing tab's origin plus its project key
+     * @param {Object} sender - runtime.MessageSender of a content script
+     * @param {string} projectKey - Project key from CaptureDB.projectKey()
+     * @returns {string} Scope
+     */
+    scope(sender, projectKey) {
+        const origin = sender.origin || new URL(sender.url).origin;
+        return `${origin}|${projectKey}`;
+    },
+
+    /**
+     * Open (and create or upgrade) the database
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (this.opening) return this.opening;
+
+        this.opening = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.name, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                // One record per message, keyed by [scope, id]
+                const messages = db.createObjectStore('messages', { keyPath: ['scope', 'id'] });
+                messages.createIndex('scope', 'scope', { unique: false });
+                db.createObjectStore('checkpoints', { keyPath: 'scope' });
+                // Last write per scope, so abandoned projects can be pruned
+                const projects = db.createObjectStore('projects', { keyPath: 'scope' });
+                projects.createIndex('updatedAt', 'updatedAt', { unique: false });
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+        }).finally(() => {
+            this.opening = null;
+        });
+
+        return this.opening;
+    },
+
+    /**
+     * Run requests against some stores in a single transaction
+     * @param {Array<string>} storeNames - Object stores
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {function} callback - Receives the stores by name, returns the IDBRequest whose result is wanted (if any)
+     * @returns {Promise<*>} Request result
+     */
+    async run(storeNames, mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = Object.fromEntries(storeNames.map(name => [name, tx.objectStore(name)]));
+            const request = callback(stores);
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * Every message recorded in a scope, in conversation order
+     * @param {string} scope - Scope from scope()
+     * @returns {Promise<Array>} Message records
+     */
+    async getMessages(scope) {
+        const records = await this.run(['messages'], 'readonly', ({ messages }) => messages.index('scope').getAll(scope));
+        return records
+            .map(({ scope: _, ...record }) => record)
+            .sort((a, b) => a.position - b.position);
+    },
+
+    /**
+     * Insert or replace messages in one transaction
+     * A message stored before keeps its position and recordedAt
+     * @param {string} scope - Scope from scope()
+     * @param {Array} records - Messages with id and position
+     * @returns {Promise<void>}
+     */
+    async mergeMessages(scope, records) {
+        await this.run(['messages', 'projects'], 'readwrite', ({ messages, projects }) => {
+            records.forEach(record => {
+                const request = messages.get([scope, record.id]);
+                request.onsuccess = () => {
+                    const existing = request.result;
+                    messages.put({
+                        ...record,
+                        scope,
+                        position: existing ? existing.position : record.position,
+                        recordedAt: existing ? existing.recordedAt : record.recordedAt
+                    });
+                };
+            });
+            projects.put({ scope, updatedAt: Date.now() });
+        });
+        await this.prune();
+    },
+
+    /**
+     * Checkpoint of an unfinished capture
+     * @param {string} scope - Scope from scope()
+     * @returns {Promise<Object|null>} Checkpoint or null
+     */
+    async getCheckpoint(scope) {
+        const record = await this.run(['checkpoints'], 'readonly', ({ checkpoints }) => checkpoints.get(scope));
+        if (!record) return null;
+        const { scope: _, ...checkpoint } = record;
+        return checkpoint;
+    },
+
+    /**
+     * Insert or replace a checkpoint
+     * @param {string} scope - Scope from scope()
+     * @param {Object} checkpoint - Checkpoint record
+     * @returns {Promise<void>}
+     */
+    async saveCheckpoint(scope, checkpoint) {
+        await this.run(['checkpoints', 'projects'], 'readwrite', ({ checkpoints, projects }) => {
+            checkpoints.put({ ...checkpoint, scope });
+            projects.put({ scope, updatedAt: Date.now() });
+        });
+        await this.prune();
+    },
+
+    /**
+     * Delete a checkpoint
+     * @param {string} scope - Scope from scope()
+     * @returns {Promise<void>}
+     */
+    clearCheckpoint(scope) {
+        return this.run(['checkpoints'], 'readwrite', ({ checkpoints }) => checkpoints.delete(scope));
+    },
+
+    /**
+     * Delete the records of projects not written for maxAgeMs; runs at most once per pruneIntervalMs
+     * @param {boolean} force - Prune even if the last run was recent
+     * @returns {Promise<void>}
+     */
+    async prune(force = false) {
+        const now = Date.now();
+        if (!force && now - this.lastPrunedAt < this.pruneIntervalMs) return;
+        this.lastPrunedAt = now;
+
+        await this.run(['messages', 'checkpoints', 'projects'], 'readwrite', ({ messages, checkpoints, projects }) => {
+            const stale = projects.index('updatedAt').openCursor(IDBKeyRange.upperBound(now - this.maxAgeMs));
+            stale.onsuccess = () => {
+                const cursor = stale.result;
+                if (!cursor) return;
+
+                const { scope } = cursor.value;
+                const keys = messages.index('scope').getAllKeys(scope);
+                keys.onsuccess = () => keys.result.forEach(key => messages.delete(key));
+                checkpoints.delete(scope);
+                cursor.delete();
+                cursor.continue();
+            };
+        });
+    }
+};
+
+// Make available to the module service worker
+globalThis.CaptureStore = CaptureStore;
@@ -0,0 +1,139 @@
+// Error Groups - Collapses repeated errors into one group per fingerprint. A render loop can
+// throw the same error thousands of times; the export keeps one group with a count, first and
+// last sighting and a few samples, so rare errors are not buried under the repeats.
+// The fingerprint ignores what changes between repeats: line/column numbers, bundle hashes,
+// ids, query strings and other numbers.
+
+const ErrorGroups = {
+    maxSamples: 3, // The first occurrences and the latest one
+    maxStackFrames: 3,
+
+    /**
+     * Fingerprint of an error
+     * @param {Object} error - { type, message, stack }
+     * @returns {string} Stable id, e.g. "err_1a2b3c4d"
+     */
+    fingerprint(error) {
+        const key = [
+            error.type || 'error',
+            this.normalizeMessage(error.message),
+            this.normalizeStack(error.stack).join('\n')
+        ].join('\n');
+        return `err_${this.hash(key)}`;
+    },
+
+    /**
+     * Message with the parts that vary between repeats replaced by placeholders
+     * @param {string} message - Error message
+     * @returns {string} Normalized message
+     */
+    normalizeMessage(message) {
+        return String(message || '')
+            .slice(0, 1000)
+            .replace(/(?:https?|webpack-internal|file):\/\/[^\s)'"]+/g, url => this.normalizeUrl(url))
+            .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<id>')
+            .replace(/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi, '<hash>')
+            .replace(/:\d+(?::\d+)?\b/g, '')
+            .replace(/\d+/g, '<n>')
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * Top stack frames without line numbers or bundle hashes
+     * @param {string} stack - Stack trace
+     * @returns {Array<string>} Normalized frames
+     */
+    normalizeStack(stack) {
+        if (!stack) return [];
+
+        return String(stack).split('\n')
+            .map(line => line.trim())
+            // V8 "at fn (url:1:2)" and Firefox/Safari "fn@url:1:2"
+            .filter(line => /^at\s/.test(line) || /@\S+:\d+/.test(line))
+            .slice(0, this.maxStackFrames)
+            .map(frame => frame
+                .replace(/(?:https?|webpack-internal|file):\/\/[^\s)]+/g, url => this.normalizeUrl(url))
+                .replace(/:\d+(?::\d+)?(?=\)?$)/, ''));
+    },
+
+    /**
+     * URL without query, fragment, line numbers or content hash in the file name
+     * ("/assets/index-BX7s9aQk.js?v=3:12:5" -> "/assets/index-<hash>.js")
+     * @param {string} url - URL as printed
+     * @returns {string} Normalized URL
+     */
+    normalizeUrl(url) {
+        return url
+            .replace(/:\d+(?::\d+)?$/, '')
+            .replace(/[?#].*$/, '')
+            .replace(/([-.])([A-Za-z0-9_]{8,})(?=\.(?:m?js|css|map)$)/, (match, separator, name) =>
+                /\d/.test(name) || (/[a-z]/.test(name) && /[A-Z]/.test(name)) ? `${separator}<hash>` : match);
+    },
+
+    /**
+     * Add one error to a Map of groups
+     * @param {Map} groups - Groups by fingerprint
+     * @param {Object} error - Error record
+     * @returns {Object} The group the error went into
+     */
+    add(groups, error) {
+        const fingerprint = this.fingerprint(error);
+        const seenAt = error.timestamp || new Date().toISOString();
+        let group = groups.get(fingerprint);
+
+        if (!group) {
+            group = {
+                fingerprint,
+                type: error.type || 'error',
+                severity: error.severity || 'error',
+                message: error.message || '',
+                source: error.source || null,
+                count: 0,
+                firstSeen: seenAt,
+                lastSeen: seenAt,
+                samples: []
+            };
+            groups.set(fingerprint, group);
+        }
+
+        group.count++;
+        if (seenAt < group.firstSeen) group.firstSeen = seenAt;
+        if (seenAt > group.lastSeen) group.lastSeen = seenAt;
+
+        if (group.samples.length < this.maxSamples) {
+            group.samples.push(error);
+        } else {
+            group.samples[this.maxSamples - 1] = error;
+        }
+        return group;
+    },
+
+    /**
+     * Group a list of errors
+     * @param {Array} errors - Error records
+     * @returns {Array} Groups, oldest first sighting first
+     */
+    group(errors) {
+        const groups = new Map();
+        (errors || []).forEach(error => this.add(groups, error));
+        return this.list(groups);
+    },
+
+    list(groups) {
+        return Array.from(groups.values())
+            .sort((a, b) => String(a.firstSeen).localeCompare(String(b.firstSeen)));
+    },
+
+    // 32-bit FNV-1a, as hex
+    hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+};
+
+window.ErrorGroups = ErrorGroups;
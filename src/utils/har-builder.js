@@ -0,0 +1,93 @@
+// HAR Builder - Writes NetworkLog requests as a HAR 1.2 log so they open in browser
+// devtools and HAR viewers. The hook records no headers or cookies and redacts query values,
+// so those fields stay empty; sizes the page could not see are -1.
+
+const HarBuilder = {
+    /**
+     * Build a HAR log
+     * @param {Array} requests - Requests from NetworkLog.getAll()
+     * @param {Object} page - { title, url, startedAt } of the captured page
+     * @returns {Object} { log: { version, creator, pages, entries } }
+     */
+    build(requests, page = {}) {
+        const entries = (requests || []).map(request => this.buildEntry(request));
+        const startedAt = page.startedAt || entries[0]?.startedDateTime || new Date().toISOString();
+
+        return {
+            log: {
+                version: '1.2',
+                creator: { name: 'KripTik AI Capture', version: chrome.runtime.getManifest().version },
+                pages: [{
+                    startedDateTime: startedAt,
+                    id: 'page_1',
+                    title: page.title || page.url || '',
+                    pageTimings: {}
+                }],
+                entries
+            }
+        };
+    },
+
+    /**
+     * One HAR entry; fields the hook does not record are HAR's "unknown" values
+     * @param {Object} request - Request record
+     * @returns {Object} HAR entry
+     */
+    buildEntry(request) {
+        const duration = Math.max(0, request.durationMs || 0);
+        const content = {
+            size: request.responseSize ?? -1,
+            mimeType: request.mimeType || ''
+        };
+        if (request.responseBody) {
+            content.text = request.responseBody;
+        }
+
+        const entry = {
+            pageref: 'page_1',
+            startedDateTime: request.startedAt,
+            time: duration,
+            request: {
+                method: request.method || 'GET',
+                url: request.url,
+                httpVersion: '',
+                cookies: [],
+                headers: [],
+                queryString: this.queryString(request.url),
+                headersSize: -1,
+                bodySize: -1
+            },
+            response: {
+                status: request.status || 0,
+                statusText: request.statusText || '',
+                httpVersion: '',
+                cookies: [],
+                headers: [],
+                content,
+                redirectURL: '',
+                headersSize: -1,
+                bodySize: request.responseSize ?? -1
+            },
+            cache: {},
+            timings: { send: 0, wait: duration, receive: 0 },
+            // Custom fields start with an underscore (HAR 1.2)
+            _initiator: request.initiator,
+            _source: request.source || 'page'
+        };
+
+        if (request.frameUrl) entry._frameUrl = request.frameUrl;
+        if (request.error) entry.response._error = request.error;
+        if (request.responseBodyTruncated) entry.response.content._truncated = true;
+        return entry;
+    },
+
+    queryString(url) {
+        try {
+            return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+        } catch (e) {
+            return [];
+        }
+    }
+};
+
+window.HarBuilder = HarBuilder;
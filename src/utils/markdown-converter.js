@@ -0,0 +1,308 @@
+// Markdown Converter - Turns rendered chat message HTML back into Markdown
+// Keeps headings, lists, tables, links, emphasis and inline code, and places code blocks
+// as fenced blocks where they appear in the message
+
+const MarkdownConverter = {
+    // Never part of the message body
+    skipSelector: 'script, style, noscript, template, svg, button, nav, [role="navigation"], [hidden], [aria-hidden="true"]',
+
+    blockTags: new Set([
+        'P', 'DIV', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'MAIN', 'ASIDE',
+        'FIGURE', 'FIGCAPTION', 'DETAILS', 'SUMMARY', 'DL', 'DT', 'DD', 'ADDRESS'
+    ]),
+
+    // Placeholder characters used while whitespace is normalized:
+    // INDENT survives line trimming, BLOCK/INLINE mark code that must not be touched
+    INDENT: '\u0001',
+    BLOCK: '\u0002',
+    INLINE: '\u0003',
+
+    /**
+     * Convert an element's contents to Markdown
+     * @param {Element} el - Message body element
+     * @returns {string} Markdown text
+     */
+    convert(el) {
+        if (!el) return '';
+
+        const ctx = { blocks: [], inlines: [] };
+        const raw = this.convertChildren(el, ctx);
+        return this.finalize(raw, ctx);
+    },
+
+    /**
+     * Convert every child node and join the results
+     * @param {Node} node - Parent node
+     * @param {Object} ctx - Conversion context holding code placeholders
+     * @returns {string} Markdown with placeholders
+     */
+    convertChildren(node, ctx) {
+        let out = '';
+        node.childNodes.forEach(child => {
+            out += this.convertNode(child, ctx);
+        });
+        return out;
+    },
+
+    /**
+     * Convert a single node
+     * @param {Node} node - DOM node
+     * @param {Object} ctx - Conversion context
+     * @returns {string} Markdown with placeholders
+     */
+    convertNode(node, ctx) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return node.textContent.replace(/\s+/g, ' ');
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+        if (node.matches(this.skipSelector)) return '';
+
+        const tag = node.tagName;
+
+        if (/^H[1-6]$/.test(tag)) {
+            const text = this.inline(node, ctx);
+            return text ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : '';
+        }
+
+        switch (tag) {
+            case 'PRE':
+                return this.codeBlock(node, this.preText(node), ctx);
+            case 'CODE':
+                return this.inlineCode(node.textContent, ctx);
+            case 'UL':
+            case 'OL':
+                return this.list(node, ctx);
+            case 'TABLE':
+                return this.table(node, ctx);
+            case 'BLOCKQUOTE':
+                return this.blockquote(node, ctx);
+            case 'BR':
+                return '\n';
+            case 'HR':
+                return '\n\n---\n\n';
+            case 'STRONG':
+            case 'B':
+                return this.wrap(this.convertChildren(node, ctx), '**');
+            case 'EM':
+            case 'I':
+                return this.wrap(this.convertChildren(node, ctx), '*');
+            case 'DEL':
+            case 'S':
+            case 'STRIKE':
+                return this.wrap(this.convertChildren(node, ctx), '~~');
+            case 'A':
+                return this.link(node, ctx);
+            case 'IMG':
+                return this.image(node);
+        }
+
+        // Code widgets that render without a <pre> (e.g. line-per-div editors)
+        if (/code-block/i.test(node.getAttribute('class') || '') && !node.querySelector('pre')) {
+            return this.codeBlock(node, this.textWithLineBreaks(node), ctx);
+        }
+
+        const inner = this.convertChildren(node, ctx);
+        return this.blockTags.has(tag) ? `\n\n${inner.trim()}\n\n` : inner;
+    },
+
+    /**
+     * Convert an element to single-line inline Markdown
+     * @param {Element} node - Element
+     * @param {Object} ctx - Conversion context
+     * @returns {string} Inline Markdown
+     */
+    inline(node, ctx) {
+        return this.convertChildren(node, ctx).replace(/\s*\n+\s*/g, ' ').trim();
+    },
+
+    /**
+     * Wrap inline content in a delimiter, keeping surrounding spaces outside it
+     * @param {string} content - Inline content
+     * @param {string} marker - Delimiter, e.g. '**'
+     * @returns {string} Wrapped content
+     */
+    wrap(content, marker) {
+        const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        if (!match[2]) return content;
+        return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+    },
+
+    link(node, ctx) {
+        const text = this.inline(node, ctx);
+        const href = node.getAttribute('href');
+        if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return text;
+
+        const url = node.href || href;
+        return text ? `[${text}](${url})` : `<${url}>`;
+    },
+
+    image(node) {
+        const src = node.getAttribute('src');
+        if (!src || src.startsWith('data:')) return '';
+        return `![${node.getAttribute('alt') || ''}](${node.src || src})`;
+    },
+
+    inlineCode(text, ctx) {
+        if (!text) return '';
+        const fence = '`'.repeat(this.longestRun(text, '`') + 1);
+        const padded = text.startsWith('`') || text.endsWith('`') ? ` ${text} ` : text;
+        ctx.inlines.push(`${fence}${padded}${fence}`);
+        return `${this.INLINE}${ctx.inlines.length - 1}${this.INLINE}`;
+    },
+
+    /**
+     * Store a fenced code block and return its placeholder
+     * @param {Element} node - Code block element
+     * @param {string} text - Code text
+     * @param {Object} ctx - Conversion context
+     * @returns {string} Placeholder on its own block
+     */
+    codeBlock(node, text, ctx) {
+        const code = text.replace(/^\n+|\s+$/g, '');
+        if (!code) return '';
+
+        const fence = '`'.repeat(Math.max(3, this.longestRun(code, '`') + 1));
+        ctx.blocks.push(`${fence}${this.detectLanguage(node)}\n${code}\n${fence}`);
+        return `\n\n${this.BLOCK}${ctx.blocks.length - 1}${this.BLOCK}\n\n`;
+    },
+
+    /**
+     * Code text of a <pre>, without the language header and copy button chat UIs render inside it
+     * @param {Element} node - <pre> element
+     * @returns {string} Code text
+     */
+    preText(node) {
+        const codes = node.querySelectorAll('code');
+        if (codes.length === 1) return codes[0].textContent;
+
+        const clone = node.cloneNode(true);
+        clone.querySelectorAll(this.skipSelector).forEach(el => el.remove());
+        return clone.textContent;
+    },
+
+    /**
+     * Read a code block's language from the usual class and data attributes
+     * @param {Element} node - Code block element
+     * @returns {string} Language, or '' if unknown
+     */
+    detectLanguage(node) {
+        const candidates = [node, node.querySelector('code')].filter(Boolean);
+        for (const el of candidates) {
+            const language = el.getAttribute('data-language') ||
+                             (el.getAttribute('class') || '').match(/(?:language|lang)-([\w+#-]+)/)?.[1];
+            if (language) return language;
+        }
+        return '';
+    },
+
+    list(node, ctx) {
+        const ordered = node.tagName === 'OL';
+        let number = parseInt(node.getAttribute('start'), 10) || 1;
+        const items = [];
+
+        Array.from(node.children).forEach(child => {
+            if (child.tagName !== 'LI') return;
+
+            const marker = ordered ? `${number++}. ` : '- ';
+            let body = this.convertChildren(child, ctx).trim();
+            // Tight items: keep nested lists directly under their parent line
+            if (!child.querySelector(':scope > p')) {
+                body = body.replace(/\n{2,}/g, '\n');
+            }
+            items.push(marker + this.indent(body, this.INDENT.repeat(marker.length)));
+        });
+
+        return items.length ? `\n\n${items.join('\n')}\n\n` : '';
+    },
+
+    blockquote(node, ctx) {
+        const body = this.convertChildren(node, ctx).trim();
+        if (!body) return '';
+        return `\n\n${body.split('\n').map(line => `> ${line}`.trimEnd()).join('\n')}\n\n`;
+    },
+
+    table(node, ctx) {
+        const rows = Array.from(node.querySelectorAll('tr')).filter(row => row.closest('table') === node);
+        if (rows.length === 0) return '';
+
+        const cells = rows.map(row =>
+            Array.from(row.children)
+                .filter(cell => cell.tagName === 'TH' || cell.tagName === 'TD')
+                .map(cell => this.inline(cell, ctx).replace(/\|/g, '\\|'))
+        );
+        const width = Math.max(...cells.map(row => row.length));
+        if (width === 0) return '';
+
+        const line = row => `| ${Array.from({ length: width }, (_, i) => row[i] || '').join(' | ')} |`;
+        const [header, ...body] = cells;
+        const separator = `| ${Array(width).fill('---').join(' | ')} |`;
+
+        return `\n\n${[line(header), separator, ...body.map(line)].join('\n')}\n\n`;
+    },
+
+    /**
+     * Text of a code widget that renders one line per element
+     * @param {Element} node - Code widget
+     * @returns {string} Code text
+     */
+    textWithLineBreaks(node) {
+        const lines = Array.from(node.querySelectorAll('[class*="line"]'));
+        if (lines.length > 1) {
+            return lines.map(line => line.textContent).join('\n');
+        }
+        return node.innerText || node.textContent;
+    },
+
+    indent(text, prefix) {
+        return text.split('\n').map((line, i) => (i === 0 || !line ? line : prefix + line)).join('\n');
+    },
+
+    longestRun(text, char) {
+        let longest = 0;
+        let current = 0;
+        for (const c of text) {
+            current = c === char ? current + 1 : 0;
+            longest = Math.max(longest, current);
+        }
+        return longest;
+    },
+
+    /**
+     * Normalize whitespace and swap the code placeholders back in
+     * @param {string} raw - Markdown with placeholders
+     * @param {Object} ctx - Conversion context
+     * @returns {string} Final Markdown
+     */
+    finalize(raw, ctx) {
+        const indentRun = new RegExp(`^${this.INDENT}*`);
+        const blockLine = new RegExp(`^(${this.INDENT}*)${this.BLOCK}(\\d+)${this.BLOCK}$`);
+        const inlineToken = new RegExp(`${this.INLINE}(\\d+)${this.INLINE}`, 'g');
+        const blockToken = new RegExp(`${this.BLOCK}(\\d+)${this.BLOCK}`, 'g');
+
+        const lines = raw.split('\n').map(line => {
+            const indent = line.match(indentRun)[0];
+            const text = line.slice(indent.length).replace(/ {2,}/g, ' ').trim();
+            return text ? indent + text : '';
+        });
+
+        const markdown = lines.join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim()
+            .split('\n')
+            .map(line => {
+                const block = line.match(blockLine);
+                if (block) {
+                    return this.indent(ctx.blocks[Number(block[2])], block[1]).replace(/^/, block[1]);
+                }
+                return line;
+            })
+            .join('\n')
+            // Code blocks flattened into a heading or table cell cannot stand on their own line
+            .replace(blockToken, (_, i) => ctx.blocks[Number(i)])
+            .replace(inlineToken, (_, i) => ctx.inlines[Number(i)]);
+
+        return markdown.replace(new RegExp(this.INDENT, 'g'), ' ');
+    }
+};
+
+window.MarkdownConverter = MarkdownConverter;
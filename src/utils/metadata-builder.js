@@ -8,20 +8,28 @@ const MetadataBuilder = {
      * @returns {Object} Complete metadata object
      */
     build(platform, capturedData) {
+        const chatHistory = this.buildChatHistory(capturedData.chatHistory);
+
         return {
             version: '2.0',
             exportedAt: new Date().toISOString(),
 
             platform: this.buildPlatformInfo(platform),
             project: this.buildProjectInfo(platform, capturedData),
-            chatHistory: this.buildChatHistory(capturedData.chatHistory),
+            chatHistory,
+            turns: this.buildTurns(chatHistory, capturedData.errors),
+            actions: this.buildActionTimeline(capturedData.chatHistory),
+            attachments: this.buildAttachmentInfo(capturedData.chatHistory, capturedData.attachmentStats),
             files: this.buildFileStructure(capturedData.fileTree),
-            errors: this.buildErrorInfo(capturedData.errors),
+            errors: this.buildErrorInfo(capturedData.errors, capturedData.errorGroups),
+            buildDiagnostics: this.buildDiagnosticsInfo(capturedData),
             console: this.buildConsoleInfo(capturedData.consoleLogs),
+            network: this.buildNetworkInfo(capturedData.network, capturedData.projectName),
             terminal: this.buildTerminalInfo(capturedData.terminal),
             artifacts: this.buildArtifactInfo(capturedData.artifacts),
             diffs: this.buildDiffInfo(capturedData.diffs),
-            captureStats: this.buildCaptureStats(capturedData)
+            captureStats: this.buildCaptureStats(capturedData),
+            diagnostics: capturedData.diagnostics || null
         };
     },
 
@@ -30,7 +38,9 @@ const MetadataBuilder = {
             id: platform.id,
             name: platform.name,
             provider: platform.provider,
-            version: platform.version || 'unknown',
+            // Selector pack version in use; 'bundled' when running on the shipped selectors
+            version: platform.selectorPack?.version || 'bundled',
+            selectorPack: platform.selectorPack || { version: 'bundled', source: 'bundled' },
             tier: platform.tier
         };
     },
@@ -43,21 +53,167 @@ const MetadataBuilder = {
         };
     },
 
+    /**
+     * Build the chat history as a tree
+     * Every message carries parentId, branchIndex, branchCount and selected; edited prompts and
+     * regenerated answers the user moved away from are siblings with selected: false.
+     * Messages are listed depth-first, siblings in branch order; selectedPath is the visible conversation.
+     * @param {Array} messages - Captured messages (linear, or with tree fields from BranchWalker)
+     * @returns {Object} Chat history
+     */
     buildChatHistory(messages) {
         if (!messages || !Array.isArray(messages)) {
-            return { messageCount: 0, messages: [] };
+            return { messageCount: 0, totalMessages: 0, branchPoints: 0, selectedPath: [], messages: [] };
         }
 
+        const nodes = this.orderChatTree(messages.map((msg, i) => ({
+            id: msg.id,
+            parentId: 'parentId' in msg ? msg.parentId : (i > 0 ? messages[i - 1].id : null),
+            branchIndex: msg.branchIndex ?? 0,
+            branchCount: msg.branchCount ?? 1,
+            selected: msg.selected ?? true,
+            role: msg.role,
+            roleConfidence: typeof msg.roleConfidence === 'number' ? msg.roleConfidence : null,
+            roleSource: msg.roleSource || null,
+            content: msg.content,
+            timestamp: msg.timestamp,
+            recordedAt: msg.recordedAt || null,
+            codeBlocks: msg.codeBlocks || [],
+            artifacts: msg.artifacts || [],
+            attachments: (msg.attachments || []).map(attachment => this.buildAttachmentRef(attachment)),
+            actions: msg.actions || []
+        })));
+
+        const selectedPath = nodes.filter(msg => msg.selected).map(msg => msg.id);
+
+        return {
+            messageCount: selectedPath.length,
+            totalMessages: nodes.length,
+            branchPoints: new Set(nodes.filter(msg => msg.branchCount > 1).map(msg => String(msg.parentId))).size,
+            selectedPath,
+            messages: nodes
+        };
+    },
+
+    /**
+     * Group the visible conversation into prompt/response turns
+     * @param {Object} chatHistory - Result of buildChatHistory
+     * @param {Array} errors - Captured errors
+     * @returns {Object} { count, turns, unplacedErrors }
+     */
+    buildTurns(chatHistory, errors) {
+        const selected = chatHistory.messages.filter(msg => msg.selected);
+        return TurnSegmenter.segment(selected, Array.isArray(errors) ? errors : []);
+    },
+
+    /**
+     * Order tree nodes depth-first, siblings by branch index
+     * Nodes whose parent is missing are treated as roots; nodes unreachable from a root
+     * (duplicate IDs) keep their place at the end
+     * @param {Array} nodes - Messages with id, parentId and branchIndex
+     * @returns {Array} Ordered messages
+     */
+    orderChatTree(nodes) {
+        const ids = new Set(nodes.map(node => node.id));
+        const children = new Map();
+        nodes.forEach(node => {
+            const parent = ids.has(node.parentId) ? node.parentId : null;
+            if (!children.has(parent)) children.set(parent, []);
+            children.get(parent).push(node);
+        });
+
+        const ordered = [];
+        const seen = new Set();
+        const visit = parentId => {
+            (children.get(parentId) || [])
+                .sort((a, b) => a.branchIndex - b.branchIndex)
+                .forEach(node => {
+                    if (seen.has(node)) return;
+                    seen.add(node);
+                    ordered.push(node);
+                    visit(node.id);
+                });
+        };
+        visit(null);
+        return ordered.concat(nodes.filter(node => !seen.has(node)));
+    },
+
+    /**
+     * Attachment as referenced from its message; the file itself lives in attachments.files
+     * @param {Object} attachment - Attachment from AttachmentScraper
+     * @returns {Object} Reference without file data
+     */
+    buildAttachmentRef(attachment) {
+        return {
+            id: attachment.id,
+            kind: attachment.kind,
+            name: attachment.name,
+            alt: attachment.alt || '',
+            width: attachment.width || null,
+            height: attachment.height || null,
+            src: attachment.src && !attachment.src.startsWith('data:') ? attachment.src : null,
+            mimeType: attachment.mimeType || null,
+            size: attachment.size || null,
+            path: attachment.data ? attachment.path : null,
+            skipped: attachment.skipped || null,
+            fetchError: attachment.fetchError || null
+        };
+    },
+
+    /**
+     * Collect downloaded attachment files, once each, for _kriptik/chat/attachments/
+     * @param {Array} messages - Captured messages
+     * @param {Object} stats - Fetch stats from AttachmentScraper.fetchAll
+     * @returns {Object} { count, stored, totalBytes, maxAttachmentBytes, files }
+     */
+    buildAttachmentInfo(messages, stats) {
+        const files = [];
+        const paths = new Set();
+        let count = 0;
+
+        (Array.isArray(messages) ? messages : []).forEach(msg => {
+            (msg.attachments || []).forEach(attachment => {
+                count++;
+                if (!attachment.data || paths.has(attachment.path)) return;
+                paths.add(attachment.path);
+                files.push({
+                    id: attachment.id,
+                    messageId: msg.id,
+                    name: attachment.name,
+                    path: attachment.path,
+                    mimeType: attachment.mimeType,
+                    size: attachment.size,
+                    data: attachment.data
+                });
+            });
+        });
+
+        return {
+            count,
+            stored: files.length,
+            totalBytes: files.reduce((sum, file) => sum + (file.size || 0), 0),
+            maxAttachmentBytes: stats?.maxAttachmentBytes ?? null,
+            files
+        };
+    },
+
+    /**
+     * Build the project action timeline from the action cards in chat messages
+     * @param {Array} messages - Captured messages
+     * @returns {Object} { count, byType, failed, events }
+     */
+    buildActionTimeline(messages) {
+        const events = ActionParser.buildTimeline(Array.isArray(messages) ? messages : []);
+        const byType = {};
+        events.forEach(event => {
+            byType[event.type] = (byType[event.type] || 0) + 1;
+        });
+
         return {
-            messageCount: messages.length,
-            messages: messages.map(msg => ({
-                id: msg.id,
-                role: msg.role,
-                content: msg.content,
-                timestamp: msg.timestamp,
-                codeBlocks: msg.codeBlocks || [],
-                artifacts: msg.artifacts || []
-            }))
+            count: events.length,
+            byType,
+            failed: events.filter(event => event.status === 'failed').length,
+            events
         };
     },
 
@@ -80,24 +236,68 @@ const MetadataBuilder = {
         };
     },
 
-    buildErrorInfo(errors) {
-        if (!errors || !Array.isArray(errors)) {
-            return { count: 0, entries: [] };
-        }
+    /**
+     * Errors grouped by fingerprint: one entry per distinct error with its occurrence count,
+     * first and last sighting and up to ErrorGroups.maxSamples samples
+     * @param {Array} errors - Recent error records (grouped here when no groups were captured)
+     * @param {Array} errorGroups - Groups from ErrorScraper.getAll()
+     * @returns {Object} { count, uniqueCount, entries }
+     */
+    buildErrorInfo(errors, errorGroups) {
+        const groups = Array.isArray(errorGroups) ? errorGroups
+            : Array.isArray(errors) ? ErrorGroups.group(errors)
+            : [];
 
         return {
-            count: errors.length,
-            entries: errors.map(err => ({
-                type: err.type,
-                severity: err.severity || 'error',
-                timestamp: err.timestamp,
-                message: err.message,
-                stack: err.stack,
-                source: err.source
-            }))
+            count: groups.reduce((sum, group) => sum + group.count, 0),
+            uniqueCount: groups.length,
+            entries: groups.map(group => {
+                const sample = group.samples[0] || {};
+                return {
+                    fingerprint: group.fingerprint,
+                    type: group.type,
+                    severity: group.severity,
+                    message: group.message,
+                    stack: sample.stack,
+                    source: group.source,
+                    count: group.count,
+                    firstSeen: group.firstSeen,
+                    lastSeen: group.lastSeen,
+                    diagnostics: sample.diagnostics || [],
+                    samples: group.samples.map(err => ({
+                        timestamp: err.timestamp,
+                        message: err.message,
+                        stack: err.stack,
+                        source: err.source,
+                        filename: err.filename,
+                        lineno: err.lineno,
+                        colno: err.colno,
+                        frameUrl: err.frameUrl
+                    }))
+                };
+            })
         };
     },
 
+    /**
+     * Every parsed build diagnostic (compiler, dev server overlay, terminal) in one list,
+     * each tagged with where it was seen, so the failing files can be opened directly
+     * @param {Object} capturedData - All captured data
+     * @returns {Object} { count, entries }
+     */
+    buildDiagnosticsInfo(capturedData) {
+        const tagged = (records, source) => (Array.isArray(records) ? records : [])
+            .flatMap(record => (record.diagnostics || []).map(diagnostic => ({ ...diagnostic, source: source || record.source || 'console' })));
+
+        const entries = BuildErrorParser.dedupe([
+            ...tagged(capturedData.errors),
+            ...tagged(capturedData.consoleLogs, 'console'),
+            ...(capturedData.terminal?.diagnostics || []).map(diagnostic => ({ ...diagnostic, source: 'terminal' }))
+        ]);
+
+        return { count: entries.length, entries };
+    },
+
     buildConsoleInfo(consoleLogs) {
         if (!consoleLogs || !Array.isArray(consoleLogs)) {
             return { count: 0, entries: [] };
@@ -109,6 +309,25 @@ const MetadataBuilder = {
         };
     },
 
+    /**
+     * Requests the page and its preview made, with the same log as HAR 1.2
+     * @param {Object} network - NetworkLog.getAll() result
+     * @param {string} projectName - Project name, used as the HAR page title
+     * @returns {Object} { count, failed, requests, har }
+     */
+    buildNetworkInfo(network, projectName) {
+        if (!network || !Array.isArray(network.requests)) {
+            return { count: 0, failed: 0, requests: [], har: null };
+        }
+
+        return {
+            count: network.requests.length,
+            failed: network.requests.filter(request => request.failed).length,
+            requests: network.requests,
+            har: HarBuilder.build(network.requests, { title: projectName, url: window.location.href })
+        };
+    },
+
     buildTerminalInfo(terminal) {
         if (!terminal || !terminal.available) {
             return { available: false, output: [] };
@@ -116,7 +335,8 @@ const MetadataBuilder = {
 
         return {
             available: true,
-            output: terminal.output || []
+            output: terminal.output || [],
+            diagnostics: terminal.diagnostics || []
         };
     },
 
@@ -149,14 +369,40 @@ const MetadataBuilder = {
         return {
             duration: endTime - startTime,
             completeness: this.calculateCompleteness(capturedData),
-            features: this.listCapturedFeatures(capturedData)
+            features: this.listCapturedFeatures(capturedData),
+            capabilities: this.buildCapabilityStats(capturedData),
+            chatStrategy: capturedData.chatStrategy || null,
+            chatDeduplication: capturedData.chatCaptureReport || null
         };
     },
 
-    calculateCompleteness(capturedData) {
-        let total = 0;
-        let captured = 0;
+    /**
+     * Compare declared capabilities with those the probe found on the page
+     * @param {Object} capturedData - All captured data
+     * @returns {Object|null} Declared vs detected capabilities, or null if no probe ran
+     */
+    buildCapabilityStats(capturedData) {
+        const probe = capturedData.capabilities;
+        if (!probe) return null;
 
+        return {
+            declared: probe.declared,
+            detected: probe.detected,
+            undeclared: probe.undeclared,
+            missing: probe.missing,
+            possible: this.listPossibleFeatures(capturedData),
+            probedAt: probe.probedAt
+        };
+    },
+
+    /**
+     * Data sources the capture could have produced
+     * Without a probe every source counts; with one, only detected sources,
+     * chat (always attempted) and anything that was captured anyway
+     * @param {Object} capturedData - All captured data
+     * @returns {Array<string>} Captured data keys
+     */
+    listPossibleFeatures(capturedData) {
         const features = [
             'chatHistory',
             'fileTree',
@@ -167,7 +413,21 @@ const MetadataBuilder = {
             'diffs'
         ];
 
-        features.forEach(feature => {
+        const probe = capturedData.capabilities;
+        if (!probe) return features;
+
+        return features.filter(feature =>
+            feature === 'chatHistory' ||
+            probe.detected.includes(feature) ||
+            this.hasData(capturedData[feature])
+        );
+    },
+
+    calculateCompleteness(capturedData) {
+        let total = 0;
+        let captured = 0;
+
+        this.listPossibleFeatures(capturedData).forEach(feature => {
             total++;
             if (capturedData[feature] && this.hasData(capturedData[feature])) {
                 captured++;
@@ -191,6 +451,7 @@ const MetadataBuilder = {
         if (capturedData.fileTree?.stats?.totalFiles > 0) features.push('files');
         if (capturedData.errors?.length > 0) features.push('errors');
         if (capturedData.consoleLogs?.length > 0) features.push('console');
+        if (capturedData.network?.count > 0) features.push('network');
         if (capturedData.terminal?.available) features.push('terminal');
         if (capturedData.artifacts?.available) features.push('artifacts');
         if (capturedData.diffs?.available) features.push('diffs');
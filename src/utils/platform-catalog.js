@@ -0,0 +1,284 @@
+// Platform Catalog - The single list of sites the extension knows about
+// Loaded as a classic script by the popup and content scripts and imported by the service worker,
+// so every context reads the same names, types and match patterns
+
+const PlatformCatalog = {
+    /**
+     * Content script groups, keyed by the script that identifies each manifest entry
+     */
+    scriptGroups: {
+        capture: 'src/content/content.js',
+        credentials: 'src/content/credentials/credential-capture.js',
+        bridge: 'src/content/kriptik-bridge.js'
+    },
+
+    /**
+     * Groups whose sites also need host permissions (cookies, fetches from the service worker)
+     */
+    hostPermissionGroups: ['capture', 'credentials'],
+
+    /**
+     * Hosts builders serve their app previews from, embedded as iframes. While a Fix My App
+     * session is active the service worker registers the page hooks and preview-relay.js in
+     * every frame on them, so they are host permissions rather than content scripts
+     */
+    previewMatches: [
+        'https://*.webcontainer-api.io/*',
+        'https://*.webcontainer.io/*',
+        'https://*.stackblitz.io/*',
+        'https://*.lovable.app/*',
+        'https://*.lovableproject.com/*',
+        'https://*.claudeusercontent.com/*',
+        'https://*.usercontent.goog/*',
+        'https://*.vusercontent.net/*'
+    ],
+
+    /**
+     * Catalog entries
+     * - id: stable identifier reported to KripTik (credential platform IDs are part of the API)
+     * - type: popup badge type
+     * - group: content script group injected on the site
+     * - matches: Chrome match patterns, mirrored in manifest.json
+     * - configs: PlatformRegistry config IDs served by this entry's injection
+     */
+    entries: [
+        // AI builders
+        { id: 'lovable', name: 'Lovable', type: 'ai-builder', group: 'capture', icon: 'lovable',
+            matches: ['https://lovable.dev/*', 'https://*.lovable.dev/*'], configs: ['lovable'] },
+        { id: 'gptengineer', name: 'Lovable (GPT Engineer)', type: 'ai-builder', group: 'capture', icon: 'lovable',
+            matches: ['https://gptengineer.app/*', 'https://*.gptengineer.app/*'], configs: [] },
+        { id: 'bolt', name: 'Bolt', type: 'ai-builder', group: 'capture', icon: 'bolt',
+            matches: ['https://bolt.new/*', 'https://*.bolt.new/*'], configs: ['bolt'] },
+        { id: 'v0', name: 'v0', type: 'ai-builder', group: 'capture', icon: 'v0',
+            matches: ['https://v0.dev/*', 'https://*.v0.dev/*'], configs: ['v0'] },
+        { id: 'create', name: 'Create.xyz', type: 'ai-builder', group: 'capture', icon: 'create',
+            matches: ['https://create.xyz/*', 'https://*.create.xyz/*'], configs: ['create'] },
+        { id: 'marblism', name: 'Marblism', type: 'ai-builder', group: 'capture', icon: 'marblism',
+            matches: ['https://marblism.com/*', 'https://*.marblism.com/*'], configs: ['marblism'] },
+
+        // AI editors
+        { id: 'cursor', name: 'Cursor', type: 'ai-editor', group: 'capture', icon: 'cursor',
+            matches: ['https://cursor.sh/*', 'https://*.cursor.sh/*', 'https://cursor.com/*', 'https://*.cursor.com/*'],
+            configs: ['cursor'] },
+        { id: 'windsurf', name: 'Windsurf', type: 'ai-editor', group: 'capture', icon: 'windsurf',
+            matches: ['https://codeium.com/*', 'https://*.codeium.com/*'], configs: ['windsurf'] },
+
+        // AI assistants
+        { id: 'claude', name: 'Claude', type: 'ai-assistant', group: 'capture', icon: 'claude',
+            matches: ['https://claude.ai/*', 'https://*.claude.ai/*'], configs: ['claude-artifacts'] },
+        { id: 'chatgpt', name: 'ChatGPT', type: 'ai-assistant', group: 'capture', icon: 'chatgpt',
+            matches: ['https://chatgpt.com/*', 'https://chat.openai.com/*'], configs: ['chatgpt'] },
+        { id: 'gemini', name: 'Gemini', type: 'ai-assistant', group: 'capture', icon: 'gemini',
+            matches: ['https://gemini.google.com/*'], configs: ['gemini'] },
+
+        // Dev platforms and repositories
+        { id: 'replit', name: 'Replit', type: 'dev-platform', group: 'capture', icon: 'replit',
+            matches: ['https://replit.com/*', 'https://*.replit.com/*'], configs: ['replit'] },
+        { id: 'codesandbox', name: 'CodeSandbox', type: 'dev-platform', group: 'capture', icon: 'codesandbox',
+            matches: ['https://codesandbox.io/*', 'https://*.codesandbox.io/*'], configs: [] },
+        { id: 'stackblitz', name: 'StackBlitz', type: 'dev-platform', group: 'capture', icon: 'stackblitz',
+            matches: ['https://stackblitz.com/*', 'https://*.stackblitz.com/*'], configs: ['bolt'] },
+        { id: 'github', name: 'GitHub', type: 'repository', group: 'capture', icon: 'github',
+            matches: ['https://github.com/*', 'https://*.github.com/*'], configs: ['copilot-workspace'] },
+
+        // Credential sources
+        { id: 'google-cloud', name: 'Google Cloud', type: 'credential', group: 'credentials', icon: 'google',
+            matches: ['https://console.cloud.google.com/*', 'https://console.developers.google.com/*'] },
+        { id: 'stripe', name: 'Stripe', type: 'credential', group: 'credentials', icon: 'stripe',
+            matches: ['https://dashboard.stripe.com/*'] },
+        { id: 'supabase', name: 'Supabase', type: 'credential', group: 'credentials', icon: 'supabase',
+            matches: ['https://supabase.com/*', 'https://*.supabase.com/*', 'https://app.supabase.com/*'] },
+        { id: 'vercel', name: 'Vercel', type: 'credential', group: 'credentials', icon: 'vercel',
+            matches: ['https://vercel.com/*', 'https://*.vercel.com/*'] },
+        { id: 'railway', name: 'Railway', type: 'credential', group: 'credentials', icon: 'railway',
+            matches: ['https://railway.app/*', 'https://*.railway.app/*'] },
+        { id: 'netlify', name: 'Netlify', type: 'credential', group: 'credentials', icon: 'netlify',
+            matches: ['https://app.netlify.com/*', 'https://*.netlify.com/*'] },
+        { id: 'openai', name: 'OpenAI Platform', type: 'credential', group: 'credentials', icon: 'openai',
+            matches: ['https://platform.openai.com/*'] },
+        { id: 'anthropic', name: 'Anthropic Console', type: 'credential', group: 'credentials', icon: 'anthropic',
+            matches: ['https://console.anthropic.com/*'] },
+        { id: 'cloudflare', name: 'Cloudflare', type: 'credential', group: 'credentials', icon: 'cloudflare',
+            matches: ['https://dash.cloudflare.com/*', 'https://*.cloudflare.com/*'] },
+        { id: 'resend', name: 'Resend', type: 'credential', group: 'credentials', icon: 'resend',
+            matches: ['https://app.resend.com/*'] },
+        { id: 'neon', name: 'Neon', type: 'credential', group: 'credentials', icon: 'neon',
+            matches: ['https://*.neon.tech/*'] },
+        { id: 'planetscale', name: 'PlanetScale', type: 'credential', group: 'credentials', icon: 'planetscale',
+            matches: ['https://app.planetscale.com/*'] },
+        { id: 'upstash', name: 'Upstash', type: 'credential', group: 'credentials', icon: 'upstash',
+            matches: ['https://*.upstash.com/*'] },
+
+        // KripTik itself
+        { id: 'kriptik', name: 'KripTik AI', type: 'kriptik', group: 'bridge', icon: 'kriptik',
+            matches: ['https://kriptik.ai/*', 'https://*.kriptik.ai/*', 'https://kriptik.app/*', 'https://*.kriptik.app/*',
+                'https://*.vercel.app/*'] },
+        { id: 'kriptik-local', name: 'KripTik AI (local)', type: 'kriptik', group: 'bridge', icon: 'kriptik',
+            matches: ['http://localhost:*/*', 'http://127.0.0.1:*/*'] }
+    ],
+
+    /**
+     * Get an entry by ID
+     * @param {string} id - Catalog ID
+     * @returns {Object|null} Entry or null
+     */
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    },
+
+    /**
+     * Get every entry injected by a content script group
+     * @param {string} group - 'capture', 'credentials' or 'bridge'
+     * @returns {Array<Object>} Entries
+     */
+    forGroup(group) {
+        return this.entries.filter(entry => entry.group === group);
+    },
+
+    /**
+     * Find the entries whose injection serves a PlatformRegistry config
+     * @param {string} configId - Registry config ID
+     * @returns {Array<Object>} Entries
+     */
+    forConfig(configId) {
+        return this.entries.filter(entry => (entry.configs || []).includes(configId));
+    },
+
+    /**
+     * Find the catalog entry for a URL
+     * The most specific match pattern wins, so 'app.supabase.com' beats '*.supabase.com'
+     * @param {string} url - Page URL
+     * @param {string} [group] - Only consider entries from this script group
+     * @returns {Object|null} Entry or null
+     */
+    lookup(url, group) {
+        let parsedUrl;
+        try {
+            parsedUrl = new URL(url);
+        } catch (e) {
+            return null;
+        }
+
+        let best = null;
+        let bestScore = -1;
+
+        for (const entry of this.entries) {
+            if (group && entry.group !== group) continue;
+
+            for (const pattern of entry.matches) {
+                const score = this.matchScore(pattern, parsedUrl);
+                if (score > bestScore) {
+                    best = entry;
+                    bestScore = score;
+                }
+            }
+        }
+
+        return best;
+    },
+
+    /**
+     * Score a Chrome match pattern against a URL
+     * @param {string} pattern - Match pattern, e.g. 'https://*.neon.tech/*'
+     * @param {URL} parsedUrl - Parsed URL
+     * @returns {number} Specificity, or -1 if the pattern does not match
+     */
+    matchScore(pattern, parsedUrl) {
+        const parts = this.parseMatchPattern(pattern);
+        if (!parts) return -1;
+
+        const scheme = parsedUrl.protocol.replace(':', '');
+        if (parts.scheme === '*' ? !['http', 'https'].includes(scheme) : parts.scheme !== scheme) {
+            return -1;
+        }
+
+        if (parts.port && parts.port !== '*' && parts.port !== parsedUrl.port) {
+            return -1;
+        }
+
+        const hostname = parsedUrl.hostname.toLowerCase();
+        let hostScore;
+        if (parts.host === '*') {
+            hostScore = 0;
+        } else if (parts.host.startsWith('*.')) {
+            const base = parts.host.slice(2);
+            if (hostname !== base && !hostname.endsWith(`.${base}`)) return -1;
+            hostScore = base.length;
+        } else {
+            if (hostname !== parts.host) return -1;
+            hostScore = 1000 + parts.host.length;
+        }
+
+        const pathSource = parts.path
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        if (!new RegExp(`^${pathSource}$`).test(parsedUrl.pathname + parsedUrl.search)) {
+            return -1;
+        }
+
+        // Literal path characters dominate, then exact hosts, then longer hosts
+        return (parts.path.replace(/\*/g, '').length * 10000) + hostScore;
+    },
+
+    /**
+     * Split a Chrome match pattern into its parts
+     * @param {string} pattern - Match pattern
+     * @returns {Object|null} { scheme, host, port, path } or null if invalid
+     */
+    parseMatchPattern(pattern) {
+        const match = typeof pattern === 'string' &&
+            pattern.toLowerCase().match(/^(\*|https?):\/\/(\*|(?:\*\.)?[^/*:]+)(?::(\*|\d+))?(\/.*)$/);
+        if (!match) return null;
+
+        const [, scheme, host, port, path] = match;
+        return { scheme, host, port: port || null, path };
+    },
+
+    /**
+     * Compare the catalog with a manifest's content scripts and host permissions
+     * @param {Object} manifest - Parsed manifest (chrome.runtime.getManifest())
+     * @returns {Object} { ok, issues: [{ group, kind, pattern }] }
+     */
+    checkManifest(manifest) {
+        const issues = [];
+        const contentScripts = manifest.content_scripts || [];
+        const hostPermissions = new Set(manifest.host_permissions || []);
+
+        for (const [group, script] of Object.entries(this.scriptGroups)) {
+            const expected = new Set(this.forGroup(group).flatMap(entry => entry.matches));
+            const declaration = contentScripts.find(cs => (cs.js || []).includes(script));
+
+            if (!declaration) {
+                issues.push({ group, kind: 'missing-content-script', pattern: script });
+                continue;
+            }
+
+            const actual = new Set(declaration.matches || []);
+            for (const pattern of expected) {
+                if (!actual.has(pattern)) issues.push({ group, kind: 'not-injected', pattern });
+            }
+            for (const pattern of actual) {
+                if (!expected.has(pattern)) issues.push({ group, kind: 'not-in-catalog', pattern });
+            }
+
+            if (this.hostPermissionGroups.includes(group)) {
+                for (const pattern of expected) {
+                    if (!hostPermissions.has(pattern)) issues.push({ group, kind: 'missing-host-permission', pattern });
+                }
+            }
+        }
+
+        for (const pattern of this.previewMatches) {
+            if (!hostPermissions.has(pattern)) issues.push({ group: 'preview', kind: 'missing-host-permission', pattern });
+        }
+
+        return {
+            ok: issues.length === 0,
+            issues
+        };
+    }
+};
+
+// Make available to classic scripts and the module service worker alike
+globalThis.PlatformCatalog = PlatformCatalog;
@@ -0,0 +1,270 @@
+// Selector Pack - Fetches the selector packs the KripTik API publishes, checks their shape and
+// ECDSA signature against the trusted keys, and caches them in extension storage for
+// PlatformRegistry.loadSelectorPacks(). Run by the service worker; the popup uses parseKeys()
+// to check the signing key a user pastes in.
+
+const SelectorPack = {
+    // Public keys (JWK, ECDSA P-256) trusted in every build, keyed by keyId. Deployments add their
+    // own in the popup (chrome.storage.sync `selectorPackKeys`); a pack signed with any other key
+    // is rejected and the bundled configs stay in use.
+    bundledKeys: {},
+
+    storageKey: 'selectorPacks',
+    refreshInterval: 6 * 60 * 60 * 1000, // 6 hours
+
+    /**
+     * Fetch the latest selector pack from the KripTik API, verify and cache it
+     *
+     * Expected response:
+     * { version, issuedAt, keyId, signature, platforms: { [platformId]: { selectors, features, roleMap, roleResolver } } }
+     * where `signature` is base64 ECDSA P-256/SHA-256 (raw r||s) over the canonical
+     * JSON of { version, issuedAt, platforms }.
+     * @param {Object} options - { force: skip the refresh interval }
+     * @returns {Promise<Object>} { success, updated, version } or { success: false, error }
+     */
+    async refresh({ force = false } = {}) {
+        const cached = (await chrome.storage.local.get(this.storageKey))[this.storageKey];
+        const keys = await this.getTrustedKeys();
+
+        if (Object.keys(keys).length === 0) {
+            // Nothing could be verified; drop a pack cached under a key that was since removed
+            if (cached) await chrome.storage.local.remove(this.storageKey);
+            return { success: false, error: 'No selector pack signing key configured' };
+        }
+
+        if (!force && cached?.fetchedAt && Date.now() - cached.fetchedAt < this.refreshInterval) {
+            return { success: true, updated: false, version: cached.version };
+        }
+
+        const config = await chrome.storage.sync.get(['apiEndpoint', 'apiToken']);
+        const session = await chrome.storage.local.get(['fixMyAppSession']);
+
+        const apiEndpoint = config.apiEndpoint || session.fixMyAppSession?.apiEndpoint;
+        const token = config.apiToken || session.fixMyAppSession?.token;
+
+        if (!apiEndpoint) {
+            return { success: false, error: 'API endpoint not configured' };
+        }
+
+        try {
+            const headers = {
+                'Content-Type': 'application/json',
+            };
+
+            if (token && token.startsWith('kriptik_ext_')) {
+                headers['Authorization'] = `Bearer ${token}`;
+            }
+
+            // A cached pack is only trusted as current while its key still is
+            const current = cached?.version && keys[cached.keyId] ? cached : null;
+            const query = current ? `?current=${encodeURIComponent(current.version)}` : '';
+            const response = await fetch(`${apiEndpoint}/api/extension/selector-packs${query}`, {
+                method: 'GET',
+                headers,
+                credentials: 'include'
+            });
+
+            // 304: server confirms the cached pack is current
+            if (response.status === 304 && current) {
+                await chrome.storage.local.set({ [this.storageKey]: { ...current, fetchedAt: Date.now() } });
+                return { success: true, updated: false, version: current.version };
+            }
+
+            if (!response.ok) {
+                return { success: false, error: `HTTP ${response.status}` };
+            }
+
+            const pack = await response.json();
+
+            const shapeError = this.validateShape(pack);
+            if (shapeError) {
+                console.warn('[SelectorPack] Rejected selector pack:', shapeError);
+                return { success: false, error: shapeError };
+            }
+
+            const verified = await this.verifySignature(pack, keys);
+            if (!verified) {
+                console.warn('[SelectorPack] Rejected selector pack: signature verification failed for key', pack.keyId);
+                return { success: false, error: 'Selector pack signature verification failed' };
+            }
+
+            // Never downgrade to an older pack
+            if (current && this.compareVersions(pack.version, current.version) < 0) {
+                return { success: false, error: `Selector pack ${pack.version} is older than cached ${current.version}` };
+            }
+
+            const updated = pack.version !== cached?.version;
+
+            await chrome.storage.local.set({
+                [this.storageKey]: {
+                    version: pack.version,
+                    issuedAt: pack.issuedAt,
+                    keyId: pack.keyId,
+                    platforms: pack.platforms,
+                    fetchedAt: Date.now()
+                }
+            });
+
+            console.log(`[SelectorPack] Selector pack ${pack.version} ${updated ? 'installed' : 'confirmed'}`);
+            return { success: true, updated, version: pack.version };
+        } catch (error) {
+            console.error('[SelectorPack] Selector pack refresh error:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Bundled keys plus the ones configured in the popup
+     * @returns {Promise<Object>} JWKs by keyId
+     */
+    async getTrustedKeys() {
+        const { selectorPackKeys } = await chrome.storage.sync.get('selectorPackKeys');
+        return { ...this.bundledKeys, ...(selectorPackKeys || {}) };
+    },
+
+    /**
+     * Read signing keys pasted by the user: one JWK with a `kid`, an array of them,
+     * or an object of JWKs keyed by keyId
+     * @param {string} text - JSON text
+     * @returns {Object} { keys: JWKs by keyId, errors: Array<string> }
+     */
+    parseKeys(text) {
+        const keys = {};
+        const errors = [];
+
+        if (!text || !text.trim()) return { keys, errors };
+
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            return { keys, errors: [`Not valid JSON: ${error.message}`] };
+        }
+
+        let entries;
+        if (Array.isArray(parsed)) {
+            entries = parsed.map(jwk => [jwk?.kid, jwk]);
+        } else if (parsed && parsed.kty) {
+            entries = [[parsed.kid, parsed]];
+        } else if (parsed && typeof parsed === 'object') {
+            entries = Object.entries(parsed);
+        } else {
+            return { keys, errors: ['Expected a JWK or an object of JWKs keyed by keyId'] };
+        }
+
+        for (const [keyId, jwk] of entries) {
+            if (!keyId || typeof keyId !== 'string') {
+                errors.push('Every key needs a keyId (the JWK "kid")');
+            } else if (!jwk || jwk.kty !== 'EC' || jwk.crv !== 'P-256' || !jwk.x || !jwk.y) {
+                errors.push(`${keyId}: expected an ECDSA P-256 public key (kty "EC", crv "P-256")`);
+            } else if (jwk.d) {
+                errors.push(`${keyId}: this is a private key; paste the public key only`);
+            } else {
+                keys[keyId] = { kty: 'EC', crv: 'P-256', x: jwk.x, y: jwk.y };
+            }
+        }
+
+        return { keys, errors };
+    },
+
+    /**
+     * Check the structure of a selector pack before verifying it
+     * @param {Object} pack - Selector pack as served
+     * @returns {string|null} Error message or null if the shape is valid
+     */
+    validateShape(pack) {
+        if (!pack || typeof pack !== 'object') return 'Pack is not an object';
+        if (typeof pack.version !== 'string' || !pack.version) return 'Missing version';
+        if (typeof pack.signature !== 'string' || !pack.signature) return 'Missing signature';
+        if (typeof pack.keyId !== 'string' || !pack.keyId) return 'Missing keyId';
+        if (!pack.platforms || typeof pack.platforms !== 'object') return 'Missing platforms';
+
+        for (const [platformId, entry] of Object.entries(pack.platforms)) {
+            if (!entry || typeof entry !== 'object') return `Invalid entry for ${platformId}`;
+            if (entry.selectors && typeof entry.selectors !== 'object') return `Invalid selectors for ${platformId}`;
+            for (const [name, value] of Object.entries(entry.selectors || {})) {
+                if (typeof value !== 'string') return `Selector ${platformId}.${name} must be a string`;
+            }
+            if (entry.features && typeof entry.features !== 'object') return `Invalid features for ${platformId}`;
+            if (entry.roleMap && typeof entry.roleMap !== 'object') return `Invalid roleMap for ${platformId}`;
+            for (const [role, value] of Object.entries(entry.roleMap || {})) {
+                if (typeof value !== 'string') return `roleMap ${platformId}.${role} must be a string`;
+            }
+            if (entry.roleResolver && typeof entry.roleResolver !== 'object') return `Invalid roleResolver for ${platformId}`;
+        }
+
+        return null;
+    },
+
+    /**
+     * Verify a selector pack's signature
+     * @param {Object} pack - Selector pack with keyId and signature
+     * @param {Object} keys - Trusted JWKs by keyId
+     * @returns {Promise<boolean>} True if a trusted key signed exactly this pack
+     */
+    async verifySignature(pack, keys) {
+        const jwk = keys[pack.keyId];
+        if (!jwk) return false;
+
+        try {
+            const key = await crypto.subtle.importKey(
+                'jwk',
+                jwk,
+                { name: 'ECDSA', namedCurve: 'P-256' },
+                false,
+                ['verify']
+            );
+
+            const signed = this.canonicalJson({
+                version: pack.version,
+                issuedAt: pack.issuedAt,
+                platforms: pack.platforms
+            });
+
+            const signature = Uint8Array.from(atob(pack.signature), c => c.charCodeAt(0));
+
+            return await crypto.subtle.verify(
+                { name: 'ECDSA', hash: 'SHA-256' },
+                key,
+                signature,
+                new TextEncoder().encode(signed)
+            );
+        } catch (error) {
+            console.error('[SelectorPack] Signature verification error:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Serialize JSON with object keys sorted, so signer and verifier agree on bytes
+     * @param {*} value - JSON value
+     * @returns {string} Canonical JSON
+     */
+    canonicalJson(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonicalJson(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+            return `{${keys.map(k => `${JSON.stringify(k)}:${this.canonicalJson(value[k])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    },
+
+    /**
+     * Compare dotted version strings (e.g. 2025.12.17.1)
+     * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+     */
+    compareVersions(a, b) {
+        const pa = String(a).split(/[.-]/).map(n => parseInt(n, 10) || 0);
+        const pb = String(b).split(/[.-]/).map(n => parseInt(n, 10) || 0);
+        for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+            const diff = (pa[i] || 0) - (pb[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+};
+
+// Make available to the popup and the module service worker alike
+globalThis.SelectorPack = SelectorPack;
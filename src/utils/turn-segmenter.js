@@ -0,0 +1,174 @@
+// Turn Segmenter - Groups the visible conversation into turns: one user prompt with the
+// assistant responses that follow it, the build actions they report, and the errors seen
+// before the next prompt. Fix My App reads turns as "what the user asked" -> "what the AI did".
+// Runs on MetadataBuilder's chat tree, so abandoned branches are left out.
+
+const TurnSegmenter = {
+    fileActionTypes: ['file-create', 'file-edit'],
+
+    /**
+     * Split messages into turns
+     * Messages before the first user prompt form a turn with no prompt
+     * @param {Array} messages - Messages on the visible path, in conversation order
+     * @param {Array} errors - Captured errors ({ timestamp, message, ... })
+     * @returns {Object} { count, turns, unplacedErrors }
+     */
+    segment(messages, errors = []) {
+        const turns = [];
+        let current = null;
+
+        (messages || []).forEach(msg => {
+            if (msg.role === 'user' || !current) {
+                current = this.createTurn(turns.length, msg.role === 'user' ? msg : null);
+                turns.push(current);
+            }
+            if (msg.role !== 'user') {
+                current.responses.push(msg);
+            }
+        });
+
+        const unplacedErrors = this.placeErrors(turns, errors || []);
+
+        return {
+            count: turns.length,
+            turns: turns.map(turn => this.summarize(turn)),
+            unplacedErrors
+        };
+    },
+
+    createTurn(index, prompt) {
+        return { index, prompt, responses: [], errors: [] };
+    },
+
+    /**
+     * Put each error in the turn that was running when it was reported
+     * A turn runs from its prompt until the next prompt; the last one stays open
+     * @param {Array} turns - Turns being built
+     * @param {Array} errors - Captured errors
+     * @returns {Array} Errors without a usable timestamp, or older than the first timed turn
+     */
+    placeErrors(turns, errors) {
+        const starts = turns.map(turn => this.turnStart(turn));
+        const unplaced = [];
+
+        errors.forEach(error => {
+            const time = this.parseTime(error.timestamp);
+            let target = null;
+            if (time !== null) {
+                starts.forEach((start, i) => {
+                    if (start !== null && start <= time) target = turns[i];
+                });
+            }
+
+            if (target) {
+                target.errors.push(this.describeError(error));
+            } else {
+                unplaced.push(this.describeError(error));
+            }
+        });
+
+        return unplaced;
+    },
+
+    /**
+     * Final turn record: ids, content, actions, code, files touched and timing
+     * @param {Object} turn - Turn being built
+     * @returns {Object} Turn
+     */
+    summarize(turn) {
+        const messages = turn.prompt ? [turn.prompt, ...turn.responses] : turn.responses;
+        const actions = messages.flatMap(msg => (msg.actions || []).map(action => ({ ...action, messageId: msg.id })));
+        const codeBlocks = messages.flatMap(msg => (msg.codeBlocks || []).map(block => ({
+            messageId: msg.id,
+            language: block.language || 'text',
+            content: block.content
+        })));
+
+        const startedAt = this.turnStart(turn);
+        const endedAt = this.latestTime(messages);
+
+        return {
+            id: `turn_${turn.index}`,
+            index: turn.index,
+            prompt: turn.prompt ? this.describeMessage(turn.prompt) : null,
+            responses: turn.responses.map(msg => this.describeMessage(msg)),
+            messageIds: messages.map(msg => msg.id),
+            actions,
+            errors: turn.errors,
+            failedActions: actions.filter(action => action.status === 'failed').length,
+            codeBlocks,
+            filesTouched: this.filesTouched(actions),
+            startedAt: startedAt !== null ? new Date(startedAt).toISOString() : null,
+            endedAt: endedAt !== null ? new Date(endedAt).toISOString() : null,
+            durationMs: startedAt !== null && endedAt !== null ? Math.max(0, endedAt - startedAt) : null
+        };
+    },
+
+    describeMessage(msg) {
+        return {
+            id: msg.id,
+            role: msg.role,
+            content: msg.content,
+            timestamp: msg.timestamp || null
+        };
+    },
+
+    describeError(error) {
+        return {
+            type: error.type || 'error',
+            severity: error.severity || 'error',
+            message: error.message,
+            timestamp: error.timestamp || null,
+            source: error.source || null
+        };
+    },
+
+    /**
+     * Paths created or edited by the turn's actions, in first-seen order
+     * @param {Array} actions - Action events
+     * @returns {Array<string>} File paths
+     */
+    filesTouched(actions) {
+        const files = [];
+        actions.forEach(action => {
+            if (this.fileActionTypes.includes(action.type) && action.target && !files.includes(action.target)) {
+                files.push(action.target);
+            }
+        });
+        return files;
+    },
+
+    turnStart(turn) {
+        const first = turn.prompt || turn.responses[0];
+        return first ? this.messageTime(first) : null;
+    },
+
+    latestTime(messages) {
+        const times = messages.map(msg => this.messageTime(msg)).filter(time => time !== null);
+        return times.length > 0 ? Math.max(...times) : null;
+    },
+
+    /**
+     * When a message was sent: its own timestamp, else when the live recorder stored it
+     * @param {Object} msg - Message
+     * @returns {number|null} Milliseconds since epoch
+     */
+    messageTime(msg) {
+        return this.parseTime(msg.timestamp) ?? this.parseTime(msg.recordedAt);
+    },
+
+    /**
+     * Parse an ISO string or epoch value; display strings like "2:34 PM" give null
+     * @param {string|number} value - Timestamp
+     * @returns {number|null} Milliseconds since epoch
+     */
+    parseTime(value) {
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) return null;
+
+        const time = Date.parse(value);
+        return Number.isNaN(time) ? null : time;
+    }
+};
+
+window.TurnSegmenter = TurnSegmenter;
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/dom');
+
+const window = loadScripts({
+    scripts: ['src/content/platforms/selector-engine.js', 'src/content/scrapers/action-parser.js']
+});
+const { ActionParser } = window;
+
+function message(html) {
+    const el = window.document.createElement('div');
+    el.innerHTML = html;
+    return el;
+}
+
+// Copied into this realm, so assertions compare plain objects
+const parse = (html, platform = {}) => Array.from(ActionParser.parse(message(html), platform), event => ({ ...event }));
+
+test('card labels are matched to action types', () => {
+    const match = label => {
+        const result = ActionParser.matchLabel(label);
+        return result && [result.type, result.target, result.count];
+    };
+
+    assert.deepStrictEqual(match('Ran npm install react-router'), ['install', 'npm install react-router', 1]);
+    assert.deepStrictEqual(match('Created src/App.tsx'), ['file-create', 'src/App.tsx', 1]);
+    assert.deepStrictEqual(match('Edited 3 files'), ['file-edit', null, 3]);
+    assert.deepStrictEqual(match('Ran npm run build Failed'), ['shell', 'npm run build', 1]);
+    assert.deepStrictEqual(match('$ npm run dev'), ['shell', 'npm run dev', 1]);
+    assert.deepStrictEqual(match('Deployed to Netlify'), ['deploy', 'Netlify', 1]);
+    assert.strictEqual(match('Let me think about the layout'), null);
+});
+
+test('generic artifact cards become events with a status', () => {
+    const events = parse(`
+        <p>Here is the app.</p>
+        <div class="artifact"><ul>
+            <li><svg aria-hidden="true"><text>icon</text></svg>Created <code>src/App.tsx</code></li>
+            <li class="text-red failed">Ran npm run build</li>
+            <li data-status="pending">Installing dependencies</li>
+        </ul></div>
+    `);
+
+    assert.deepStrictEqual(events.map(event => [event.type, event.target, event.status, event.label, event.index]), [
+        ['file-create', 'src/App.tsx', 'success', 'Created src/App.tsx', 0],
+        ['shell', 'npm run build', 'failed', 'Ran npm run build', 1],
+        ['install', null, 'running', 'Installing dependencies', 2]
+    ]);
+});
+
+test('a card wrapping other action cards is dropped', () => {
+    const events = parse(`
+        <div data-action-type="file-edit">
+            <span>Edited 2 files</span>
+            <div data-action-type="file-edit" data-path="src/a.ts">src/a.ts</div>
+            <div data-action-type="file-edit" data-path="src/b.ts">src/b.ts</div>
+        </div>
+    `);
+
+    assert.deepStrictEqual(events.map(event => event.target), ['src/a.ts', 'src/b.ts']);
+});
+
+test('a platform actionCard selector replaces the generic search', () => {
+    const html = `
+        <div class="tool-call">Ran ls</div>
+        <div class="step" data-command="npm test">Running tests</div>
+    `;
+
+    assert.deepStrictEqual(parse(html, { selectors: { actionCard: '.step' } }).map(event => [event.type, event.target]), [
+        ['shell', 'npm test']
+    ]);
+    assert.deepStrictEqual(parse(html).map(event => event.target), ['ls']);
+});
+
+test('the timeline lists actions in message order and marks abandoned branches', () => {
+    const timeline = Array.from(ActionParser.buildTimeline([
+        { id: 'm1', selected: true, actions: [{ type: 'file-create', target: 'a.js', count: 1, status: 'success', label: 'Created a.js' }] },
+        { id: 'm2', actions: [] },
+        { id: 'm3', selected: false, actions: [{ type: 'shell', target: 'ls', count: 1, status: 'success', label: 'Ran ls' }] }
+    ]));
+
+    assert.deepStrictEqual(timeline.map(event => [event.sequence, event.messageId, event.selected, event.type]), [
+        [0, 'm1', true, 'file-create'],
+        [1, 'm3', false, 'shell']
+    ]);
+});
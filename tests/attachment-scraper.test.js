@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/dom');
+const { createChrome } = require('./helpers/chrome');
+
+function load(maxAttachmentMB) {
+    const window = loadScripts({
+        scripts: ['src/content/scrapers/attachment-scraper.js'],
+        chrome: createChrome({ local: { captureSettings: { maxAttachmentMB } } })
+    });
+
+    // Each src is a size in bytes
+    window.fetch = async src => {
+        const size = Number(new URL(src).pathname.slice(1));
+        return {
+            ok: true,
+            status: 200,
+            headers: { get: () => null },
+            blob: async () => new window.Blob([new Uint8Array(size)], { type: 'image/png' })
+        };
+    };
+    return window.AttachmentScraper;
+}
+
+const messagesWith = (...sizes) => [{
+    attachments: sizes.map((size, i) => ({ id: `att_${i}`, kind: 'image', name: `${i}.png`, src: `https://files.example.com/${size}` }))
+}];
+
+test('the total cap counts base64 bytes, not raw bytes', async () => {
+    const AttachmentScraper = load(1);
+    AttachmentScraper.maxTotalEncodedBytes = 400;
+
+    // 300 raw bytes encode to 400; the second file no longer fits
+    const messages = messagesWith(300, 3);
+    const stats = await AttachmentScraper.fetchAll(messages);
+    const [first, second] = messages[0].attachments;
+
+    assert.strictEqual(first.data.length, 400);
+    assert.strictEqual(second.skipped, 'total-limit');
+    assert.deepStrictEqual([stats.stored, stats.skipped, stats.totalBytes, stats.encodedBytes], [1, 1, 300, 400]);
+});
+
+test('a file that fits its own cap but not the rest of the total is skipped as total-limit', async () => {
+    const AttachmentScraper = load(1);
+    AttachmentScraper.maxTotalEncodedBytes = 400;
+
+    const messages = messagesWith(150, 200, 30);
+    const stats = await AttachmentScraper.fetchAll(messages);
+    const [first, second, third] = messages[0].attachments;
+
+    assert.strictEqual(first.data.length, 200);
+    assert.strictEqual(second.skipped, 'total-limit');
+    assert.strictEqual(third.data.length, 40);
+    assert.ok(stats.encodedBytes <= AttachmentScraper.maxTotalEncodedBytes);
+});
+
+test('files over the per-attachment cap stay too-large', async () => {
+    const AttachmentScraper = load(0.001); // 1049 bytes
+
+    const messages = messagesWith(2000);
+    await AttachmentScraper.fetchAll(messages);
+
+    assert.strictEqual(messages[0].attachments[0].skipped, 'too-large');
+    assert.strictEqual(messages[0].attachments[0].size, 2000);
+});
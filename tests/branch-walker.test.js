@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/dom');
+
+const PLATFORM = { id: 'claude', selectors: {} };
+
+// A prompt and an answer with "1 / 2" controls that swap in the regenerated answer
+function load() {
+    const window = loadScripts({
+        html: `<!DOCTYPE html><body>
+            <div class="msg" data-role="user">Build a todo app</div>
+            <div class="turn">
+                <div class="msg" data-role="assistant">Here is a React version</div>
+                <div><button aria-label="Previous">&lt;</button><span>1 / 2</span><button aria-label="Next">&gt;</button></div>
+            </div>
+        </body>`,
+        url: 'https://claude.ai/chat/1',
+        scripts: ['src/content/scrapers/chat-scraper.js', 'src/content/scrapers/branch-walker.js']
+    });
+    const { document } = window;
+    const answers = ['Here is a React version', 'Here is a Vue version'];
+    const counter = document.querySelector('span');
+    const answer = document.querySelector('.turn .msg');
+    const show = index => {
+        counter.textContent = `${index + 1} / ${answers.length}`;
+        answer.textContent = answers[index];
+    };
+    const shown = () => parseInt(counter.textContent, 10) - 1;
+    document.querySelector('[aria-label="Previous"]').addEventListener('click', () => show(Math.max(0, shown() - 1)));
+    document.querySelector('[aria-label="Next"]').addEventListener('click', () => show(Math.min(answers.length - 1, shown() + 1)));
+
+    Object.assign(window.ChatScraper, {
+        debugMode: false,
+        wait: () => Promise.resolve(),
+        findMessageElements: () => Array.from(document.querySelectorAll('.msg')),
+        extractContent: el => el.textContent.trim(),
+        extractMessage: (el, platform, index) => ({ id: `msg_${index}`, role: el.dataset.role, content: el.textContent.trim(), order: index })
+    });
+    window.LiveChatRecorder = { pause() {}, resume() {} };
+    window.RoleResolver = { inferAlternation: messages => messages };
+    window.SelectorEngine = { query: () => null };
+
+    const walker = window.BranchWalker;
+    walker.settleMs = 0;
+    return { window, walker, answer };
+}
+
+const visiblePath = () => [
+    { id: 'msg_0', role: 'user', content: 'Build a todo app' },
+    { id: 'msg_1', role: 'assistant', content: 'Here is a React version' }
+];
+
+test('finds generic "n / m" controls next to a message', () => {
+    const { walker } = load();
+
+    assert.strictEqual(walker.hasBranches(PLATFORM), true);
+});
+
+test('every variant is captured and the page is left on the branch the user had', async () => {
+    const { walker, answer } = load();
+
+    const tree = Array.from(await walker.capture(PLATFORM, visiblePath()));
+
+    assert.strictEqual(answer.textContent, 'Here is a React version');
+    assert.deepStrictEqual(tree.map(msg => [msg.id, msg.content, msg.parentId, msg.branchIndex, msg.branchCount, msg.selected]), [
+        ['msg_0', 'Build a todo app', null, 0, 1, true],
+        ['msg_1', 'Here is a React version', 'msg_0', 0, 2, true],
+        ['msg_1_b2', 'Here is a Vue version', 'msg_0', 1, 2, false]
+    ]);
+});
+
+test('recorded messages from another branch are moved off the visible path', () => {
+    const { walker } = load();
+    const recorded = [...visiblePath(), { id: 'rec_2', role: 'assistant', content: 'Here is a Vue version' }];
+    const points = [{
+        selectedIndex: 0,
+        branchCount: 2,
+        selectedKey: walker.messageKey('Here is a React version'),
+        variants: [{ branchIndex: 1, messages: [{ id: 'msg_1', role: 'assistant', content: 'Here is a Vue version' }], branches: [] }]
+    }];
+
+    const tree = Array.from(walker.merge(recorded, points));
+
+    assert.deepStrictEqual(tree.filter(msg => msg.selected).map(msg => msg.content), ['Build a todo app', 'Here is a React version']);
+    assert.deepStrictEqual(tree.filter(msg => !msg.selected).map(msg => msg.content), ['Here is a Vue version']);
+});
+
+test('counters out of range are not branch controls', () => {
+    const { walker, window } = load();
+    const indicator = text => {
+        const span = window.document.createElement('span');
+        span.textContent = text;
+        return { indicator: span };
+    };
+
+    assert.deepStrictEqual({ ...walker.readState(indicator(' 2 / 3 ')) }, { index: 1, count: 3 });
+    assert.strictEqual(walker.readState(indicator('4 / 3')), null);
+    assert.strictEqual(walker.readState(indicator('0 / 3')), null);
+    assert.strictEqual(walker.readState(null), null);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/dom');
+
+function load(html) {
+    return loadScripts({ html, scripts: ['src/content/scrapers/build-error-parser.js'] });
+}
+
+const { BuildErrorParser } = load();
+
+// Copied into this realm, so assertions compare plain objects
+const parse = text => Array.from(BuildErrorParser.parse(text), diagnostic => ({ ...diagnostic }));
+const summary = ({ tool, severity, code, file, line, column, message }) => ({ tool, severity, code, file, line, column, message });
+
+test('tsc output in both formats', () => {
+    const diagnostics = parse([
+        "src/App.tsx(12,5): error TS2345: Argument of type 'string' is not assignable to parameter of type 'number'.",
+        "src/main.tsx:3:1 - warning TS6133: 'React' is declared but its value is never read."
+    ].join('\n'));
+
+    assert.deepStrictEqual(diagnostics.map(summary), [
+        {
+            tool: 'typescript', severity: 'error', code: 'TS2345', file: 'src/App.tsx', line: 12, column: 5,
+            message: "Argument of type 'string' is not assignable to parameter of type 'number'."
+        },
+        {
+            tool: 'typescript', severity: 'warning', code: 'TS6133', file: 'src/main.tsx', line: 3, column: 1,
+            message: "'React' is declared but its value is never read."
+        }
+    ]);
+});
+
+test('esbuild errors take their location and code frame from the following lines', () => {
+    const [diagnostic] = parse([
+        '\u001b[31m✘ [ERROR] Expected ";" but found "count"\u001b[0m',
+        '',
+        '    /home/project/src/App.tsx:12:8:',
+        '      12 │   let x count = 1',
+        '         ╵         ^'
+    ].join('\n'));
+
+    assert.deepStrictEqual(summary(diagnostic), {
+        tool: 'esbuild', severity: 'error', code: null, file: 'src/App.tsx', line: 12, column: 8,
+        message: 'Expected ";" but found "count"'
+    });
+    assert.strictEqual(diagnostic.codeFrame.split('\n').length, 2);
+});
+
+test('Vite plugin errors read the file from the message and the position from Babel', () => {
+    const [diagnostic] = parse([
+        '[plugin:vite:react-babel] /home/project/src/App.tsx: Unexpected token (12:5)',
+        '  10 | export default function App() {',
+        '> 12 |   return <div>',
+        '     |      ^'
+    ].join('\n'));
+
+    assert.deepStrictEqual(summary(diagnostic), {
+        tool: 'vite', severity: 'error', code: 'vite:react-babel', file: 'src/App.tsx', line: 12, column: 5,
+        message: 'Unexpected token (12:5)'
+    });
+    assert.ok(diagnostic.codeFrame.includes('> 12 |'));
+});
+
+test('Vite import errors name the importing file', () => {
+    const [diagnostic] = parse('12:00:00 PM [vite] Internal server error: Failed to resolve import "./Foo" from "src/App.tsx". Does the file exist?');
+
+    assert.strictEqual(diagnostic.tool, 'vite');
+    assert.strictEqual(diagnostic.file, 'src/App.tsx');
+});
+
+test('Next.js type errors take the path printed before them', () => {
+    const [diagnostic] = parse([
+        'Failed to compile.',
+        '',
+        './src/app/page.tsx:7:3',
+        "Type error: Property 'title' does not exist on type 'Props'."
+    ].join('\n'));
+
+    assert.deepStrictEqual(summary(diagnostic), {
+        tool: 'typescript', severity: 'error', code: null, file: 'src/app/page.tsx', line: 7, column: 3,
+        message: "Property 'title' does not exist on type 'Props'."
+    });
+});
+
+test('webpack errors take the message from the next line', () => {
+    const [diagnostic] = parse([
+        'ERROR in ./src/index.js 4:0-24',
+        "Module not found: Error: Can't resolve './missing' in '/app/src'"
+    ].join('\n'));
+
+    assert.deepStrictEqual(summary(diagnostic), {
+        tool: 'webpack', severity: 'error', code: null, file: 'src/index.js', line: 4, column: 0,
+        message: "Module not found: Error: Can't resolve './missing' in '/app/src'"
+    });
+});
+
+test('repeated diagnostics and plain log lines are dropped', () => {
+    const line = 'src/App.tsx(12,5): error TS2345: Bad argument.';
+
+    assert.strictEqual(parse([line, 'Compiling...', line].join('\n')).length, 1);
+    assert.strictEqual(parse('Server running at http://localhost:5173/').length, 0);
+    assert.strictEqual(parse('').length, 0);
+});
+
+test('the Vite error overlay is read from its shadow root', () => {
+    const window = load('<!DOCTYPE html><body><vite-error-overlay></vite-error-overlay></body>');
+    const shadow = window.document.querySelector('vite-error-overlay').attachShadow({ mode: 'open' });
+    shadow.innerHTML = `
+        <pre class="message-body">/home/project/src/App.tsx: Unexpected token (12:5)</pre>
+        <pre class="plugin">[plugin:vite:react-babel]</pre>
+        <pre class="file">/home/project/src/App.tsx:12:5</pre>
+        <pre class="frame">&gt; 12 |   return &lt;div&gt;</pre>
+    `;
+
+    const [diagnostic] = Array.from(window.BuildErrorParser.parseOverlays(window.document), d => ({ ...d }));
+
+    assert.deepStrictEqual(summary(diagnostic), {
+        tool: 'vite', severity: 'error', code: 'vite:react-babel', file: 'src/App.tsx', line: 12, column: 5,
+        message: 'Unexpected token (12:5)'
+    });
+    assert.strictEqual(diagnostic.codeFrame, '> 12 |   return <div>');
+});
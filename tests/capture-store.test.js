@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { loadScripts } = require('./helpers/dom');
+
+function load() {
+    const window = loadScripts({ scripts: ['src/utils/capture-store.js'] });
+    window.indexedDB = new IDBFactory();
+    window.IDBKeyRange = IDBKeyRange;
+    return window;
+}
+
+// The store runs in the window's realm, with its own Date
+async function writtenAt(window, time, write) {
+    const { Date } = window;
+    const realNow = Date.now;
+    Date.now = () => time;
+    try {
+        await write();
+    } finally {
+        Date.now = realNow;
+    }
+}
+
+const bolt = { origin: 'https://bolt.new', url: 'https://bolt.new/~/p1' };
+const message = (id, position, content = id) => ({ id, position, role: 'user', content, recordedAt: `recorded-${id}` });
+
+// Copied into this realm, so assertions compare plain arrays
+const messagesIn = async (CaptureStore, scope) => Array.from(await CaptureStore.getMessages(scope));
+
+test('records are scoped to the origin that wrote them', async () => {
+    const { CaptureStore } = load();
+    const other = { url: 'https://lovable.dev/projects/p1' };
+
+    await CaptureStore.mergeMessages(CaptureStore.scope(bolt, 'bolt:p1'), [message('a', 0)]);
+
+    assert.strictEqual((await messagesIn(CaptureStore, CaptureStore.scope(bolt, 'bolt:p1'))).length, 1);
+    assert.strictEqual((await messagesIn(CaptureStore, CaptureStore.scope(other, 'bolt:p1'))).length, 0);
+});
+
+test('messages come back in position order and keep position and recordedAt when stored again', async () => {
+    const { CaptureStore } = load();
+    const scope = CaptureStore.scope(bolt, 'bolt:p1');
+
+    await CaptureStore.mergeMessages(scope, [message('a', 0), message('c', 1)]);
+    await CaptureStore.mergeMessages(scope, [{ ...message('a', 7, 'a, edited'), recordedAt: 'later' }, message('b', 0.5)]);
+
+    const records = await messagesIn(CaptureStore, scope);
+    assert.deepStrictEqual(records.map(record => [record.id, record.position, record.content]), [
+        ['a', 0, 'a, edited'], ['b', 0.5, 'b'], ['c', 1, 'c']
+    ]);
+    assert.strictEqual(records[0].recordedAt, 'recorded-a');
+    assert.strictEqual('scope' in records[0], false);
+});
+
+test('writes from several tabs are all kept', async () => {
+    const { CaptureStore } = load();
+    const scope = CaptureStore.scope(bolt, 'bolt:p1');
+
+    await Promise.all(['a', 'b', 'c', 'd'].map((id, i) => CaptureStore.mergeMessages(scope, [message(id, i)])));
+
+    assert.deepStrictEqual((await messagesIn(CaptureStore, scope)).map(record => record.id), ['a', 'b', 'c', 'd']);
+});
+
+test('checkpoints are saved, read and cleared', async () => {
+    const { CaptureStore } = load();
+    const scope = CaptureStore.scope(bolt, 'bolt:p1');
+
+    await CaptureStore.saveCheckpoint(scope, { projectKey: 'bolt:p1', stage: 'scrolling', savedAt: 1 });
+    assert.strictEqual((await CaptureStore.getCheckpoint(scope)).stage, 'scrolling');
+
+    await CaptureStore.clearCheckpoint(scope);
+    assert.strictEqual(await CaptureStore.getCheckpoint(scope), null);
+});
+
+test('projects not written for a day are pruned', async () => {
+    const window = load();
+    const { CaptureStore } = window;
+    const old = CaptureStore.scope({ origin: 'https://v0.dev' }, 'v0:old');
+    const current = CaptureStore.scope(bolt, 'bolt:p1');
+
+    await writtenAt(window, Date.now() - CaptureStore.maxAgeMs - 1000, async () => {
+        await CaptureStore.mergeMessages(old, [message('a', 0)]);
+        await CaptureStore.saveCheckpoint(old, { projectKey: 'v0:old', savedAt: 1 });
+    });
+
+    await CaptureStore.mergeMessages(current, [message('b', 0)]);
+    await CaptureStore.prune(true);
+
+    assert.strictEqual((await messagesIn(CaptureStore, old)).length, 0);
+    assert.strictEqual(await CaptureStore.getCheckpoint(old), null);
+    assert.strictEqual((await messagesIn(CaptureStore, current)).length, 1);
+});
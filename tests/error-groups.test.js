@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/dom');
+
+const { ErrorGroups } = loadScripts({ scripts: ['src/utils/error-groups.js'] });
+
+const at = second => `2024-05-01T10:00:${String(second).padStart(2, '0')}.000Z`;
+
+test('repeats that differ in positions, hashes, ids and numbers share a fingerprint', () => {
+    const first = {
+        type: 'console',
+        message: 'Failed to load https://app.example.com/assets/index-BX7s9aQk.js?v=3:12:5 for user 6710a4c2-0c4e-8001-a1b2-5f0e3c9d7a11 (attempt 1)',
+        stack: 'Error: x\n    at render (https://app.example.com/assets/index-BX7s9aQk.js:12:5)\n    at loop (https://app.example.com/assets/index-BX7s9aQk.js:40:9)'
+    };
+    const repeat = {
+        type: 'console',
+        message: 'Failed to load https://app.example.com/assets/index-Q2w9ZkLm.js?v=4:80:1 for user 6710a9f0-2d18-8001-93c4-0b7e1f4a2c55 (attempt 2)',
+        stack: 'Error: x\n    at render (https://app.example.com/assets/index-Q2w9ZkLm.js:15:2)\n    at loop (https://app.example.com/assets/index-Q2w9ZkLm.js:41:3)'
+    };
+
+    assert.strictEqual(ErrorGroups.fingerprint(first), ErrorGroups.fingerprint(repeat));
+    assert.match(ErrorGroups.fingerprint(first), /^err_[0-9a-f]{8}$/);
+});
+
+test('different messages, types or call sites get different fingerprints', () => {
+    const base = { type: 'console', message: 'Cannot read properties of undefined', stack: 'at render (src/App.tsx:1:1)' };
+
+    assert.notStrictEqual(ErrorGroups.fingerprint(base), ErrorGroups.fingerprint({ ...base, message: 'Maximum update depth exceeded' }));
+    assert.notStrictEqual(ErrorGroups.fingerprint(base), ErrorGroups.fingerprint({ ...base, type: 'network' }));
+    assert.notStrictEqual(ErrorGroups.fingerprint(base), ErrorGroups.fingerprint({ ...base, stack: 'at Header (src/Header.tsx:1:1)' }));
+});
+
+test('file names that are plain words are not taken for hashes', () => {
+    assert.strictEqual(ErrorGroups.normalizeUrl('https://app.example.com/assets/dashboard.js:3:1'), 'https://app.example.com/assets/dashboard.js');
+    assert.strictEqual(ErrorGroups.normalizeUrl('https://app.example.com/assets/vendor-a1b2c3d4.js'), 'https://app.example.com/assets/vendor-<hash>.js');
+});
+
+test('groups count repeats, track first and last sightings and keep the latest sample', () => {
+    const error = (second, n) => ({ type: 'console', message: `Maximum update depth exceeded (render ${n})`, timestamp: at(second) });
+    const other = { type: 'network', message: 'GET /api/todos 500', timestamp: at(3) };
+
+    const groups = Array.from(ErrorGroups.group([error(5, 1), other, error(6, 2), error(7, 3), error(9, 4), error(8, 5)]));
+
+    assert.deepStrictEqual(groups.map(group => [group.type, group.count, group.firstSeen, group.lastSeen]), [
+        ['network', 1, at(3), at(3)],
+        ['console', 5, at(5), at(9)]
+    ]);
+    assert.deepStrictEqual(Array.from(groups[1].samples, sample => sample.timestamp), [at(5), at(6), at(8)]);
+    assert.strictEqual(groups[1].message, 'Maximum update depth exceeded (render 1)');
+});
@@ -0,0 +1,46 @@
+// Minimal chrome.* stub: in-memory storage areas and a runtime that answers nothing.
+
+/**
+ * Create a chrome stub
+ * @param {Object} initial - { local: {...}, sync: {...} } starting storage contents
+ * @returns {Object} chrome stub; storage contents are on chrome.storage.local.data etc.
+ */
+function createChrome(initial = {}) {
+    const area = data => ({
+        data,
+        async get(keys) {
+            if (keys == null) return { ...data };
+            const list = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+            const result = {};
+            list.forEach(key => {
+                if (key in data) result[key] = structuredClone(data[key]);
+            });
+            return result;
+        },
+        async set(items) {
+            Object.assign(data, structuredClone(items));
+        },
+        async remove(keys) {
+            (Array.isArray(keys) ? keys : [keys]).forEach(key => delete data[key]);
+        }
+    });
+
+    return {
+        storage: {
+            local: area({ ...(initial.local || {}) }),
+            sync: area({ ...(initial.sync || {}) }),
+            onChanged: { addListener() {} }
+        },
+        runtime: {
+            lastError: undefined,
+            sendMessage(message, callback) {
+                if (typeof callback === 'function') callback();
+                return Promise.resolve();
+            },
+            onMessage: { addListener() {} },
+            getManifest: () => ({ version: '0.0.0' })
+        }
+    };
+}
+
+module.exports = { createChrome };
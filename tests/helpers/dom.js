@@ -0,0 +1,26 @@
+// Loads extension scripts into a jsdom window, the way the manifest injects them into a page:
+// classic scripts sharing one global scope, each exposing its module on window.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Create a window with the given extension scripts evaluated in it
+ * @param {Object} options - { html, url, scripts: paths relative to the repo root, chrome: stub }
+ * @returns {Window} jsdom window
+ */
+function loadScripts({ html = '<!DOCTYPE html><body></body>', url = 'https://example.com/', scripts = [], chrome } = {}) {
+    const dom = new JSDOM(html, { url, runScripts: 'outside-only' });
+    const { window } = dom;
+
+    if (chrome) window.chrome = chrome;
+    scripts.forEach(script => {
+        window.eval(fs.readFileSync(path.join(ROOT, script), 'utf8'));
+    });
+    return window;
+}
+
+module.exports = { loadScripts, ROOT };
@@ -0,0 +1,44 @@
+// Signs a selector pack the way the KripTik API does, for test fixtures:
+//   node tests/helpers/sign-selector-pack.js <pack.json> <private-key.jwk.json>
+// Rewrites the pack with `signature` set; `keyId` comes from the key's "kid".
+
+const fs = require('fs');
+require('../../src/utils/selector-pack.js');
+
+const { SelectorPack } = globalThis;
+
+/**
+ * Sign a selector pack
+ * @param {Object} pack - { version, issuedAt, platforms }
+ * @param {Object} privateJwk - ECDSA P-256 private key with a "kid"
+ * @returns {Promise<Object>} Pack with keyId and signature
+ */
+async function signSelectorPack(pack, privateJwk) {
+    const { kid, ...jwk } = privateJwk;
+    const key = await crypto.subtle.importKey('jwk', jwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign']);
+    const signed = SelectorPack.canonicalJson({
+        version: pack.version,
+        issuedAt: pack.issuedAt,
+        platforms: pack.platforms
+    });
+    const signature = await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, key, new TextEncoder().encode(signed));
+
+    return {
+        version: pack.version,
+        issuedAt: pack.issuedAt,
+        keyId: kid,
+        signature: Buffer.from(signature).toString('base64'),
+        platforms: pack.platforms
+    };
+}
+
+if (require.main === module) {
+    const [packPath, keyPath] = process.argv.slice(2);
+    const pack = JSON.parse(fs.readFileSync(packPath, 'utf8'));
+    const privateJwk = JSON.parse(fs.readFileSync(keyPath, 'utf8'));
+    signSelectorPack(pack, privateJwk).then(signedPack => {
+        fs.writeFileSync(packPath, `${JSON.stringify(signedPack, null, 2)}\n`);
+    });
+}
+
+module.exports = { signSelectorPack };
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { loadScripts } = require('./helpers/dom');
+
+const PLATFORM = { id: 'bolt', projectId: 'p1', selectors: {} };
+
+// Messages without platform IDs, so the recorder has to recognise them by content
+const chatHtml = messages => messages
+    .map(([role, content]) => `<div class="msg" data-role="${role}">${content}</div>`)
+    .join('');
+
+async function load(messages) {
+    const window = loadScripts({
+        html: `<!DOCTYPE html><body><div id="chat">${chatHtml(messages)}</div></body>`,
+        url: 'https://bolt.new/~/p1',
+        scripts: ['src/utils/capture-store.js', 'src/content/scrapers/chat-scraper.js', 'src/content/scrapers/live-chat-recorder.js']
+    });
+    window.indexedDB = new IDBFactory();
+    window.IDBKeyRange = IDBKeyRange;
+
+    // CaptureDB as the service worker answers it
+    const { CaptureStore } = window;
+    const scope = CaptureStore.scope({ origin: 'https://bolt.new' }, 'bolt:p1');
+    const writes = [];
+    window.CaptureDB = {
+        projectKey: platform => `${platform.id}:${platform.projectId}`,
+        getMessages: () => CaptureStore.getMessages(scope),
+        mergeMessages: (projectKey, records) => {
+            writes.push(records.length);
+            return CaptureStore.mergeMessages(scope, records);
+        },
+        dropLegacyDatabase() {}
+    };
+
+    // Content and role straight from the test markup
+    Object.assign(window.ChatScraper, {
+        debugMode: false,
+        extractContent: el => el.textContent.trim(),
+        extractMessage: (el, platform, index) => ({ id: `msg_${index}`, role: el.dataset.role, content: el.textContent.trim(), order: index })
+    });
+    window.PlatformRegistry = {
+        findElement: () => window.document.getElementById('chat'),
+        resolveSelector: (platform, name, root) => ({ elements: Array.from(root.querySelectorAll('.msg')) })
+    };
+    window.SelectorEngine = { matches: () => false, query: () => null };
+    window.RoleResolver = { inferAlternation: messages => messages };
+    window.MutationObserver = class { observe() {} disconnect() {} };
+
+    const recorder = window.LiveChatRecorder;
+    await recorder.start(PLATFORM);
+
+    // The virtualized list replaces every node with new ones for the given messages
+    const render = rendered => {
+        window.document.getElementById('chat').innerHTML = chatHtml(rendered);
+    };
+    // Copied into this realm, so assertions compare plain arrays
+    const stored = async () => Array.from(await window.CaptureDB.getMessages());
+    const contents = async () => (await stored()).map(record => record.content);
+
+    return { recorder, writes, stored, contents, render };
+}
+
+test('identical messages without platform IDs are all kept', async () => {
+    const { recorder, stored, contents } = await load([
+        ['user', 'Build a todo app'], ['assistant', 'Done, here it is'], ['user', 'continue'],
+        ['assistant', 'Added filters'], ['user', 'continue'], ['user', 'continue']
+    ]);
+
+    await recorder.flush();
+    recorder.stop();
+
+    assert.deepStrictEqual(await contents(), [
+        'Build a todo app', 'Done, here it is', 'continue', 'Added filters', 'continue', 'continue'
+    ]);
+    assert.strictEqual(new Set((await stored()).map(record => record.id)).size, 6);
+});
+
+test('nodes the list drops and re-creates are not stored again', async () => {
+    const { recorder, contents, render } = await load([['user', 'A'], ['assistant', 'B'], ['user', 'C']]);
+
+    await recorder.flush();
+    render([['assistant', 'B'], ['user', 'C'], ['assistant', 'D']]);
+    await recorder.flush();
+    render([['user', 'C'], ['assistant', 'D'], ['user', 'E']]);
+    await recorder.flush();
+    recorder.stop();
+
+    assert.deepStrictEqual(await contents(), ['A', 'B', 'C', 'D', 'E']);
+});
+
+test('messages that appear when scrolling up go before the ones recorded earlier', async () => {
+    const { recorder, contents, render } = await load([['user', 'C'], ['assistant', 'D']]);
+
+    await recorder.flush();
+    render([['user', 'A'], ['assistant', 'B'], ['user', 'C'], ['assistant', 'D']]);
+    await recorder.flush();
+    render([['user', 'C'], ['assistant', 'D'], ['user', 'E']]);
+    await recorder.flush();
+    recorder.stop();
+
+    assert.deepStrictEqual(await contents(), ['A', 'B', 'C', 'D', 'E']);
+});
+
+test('a repeated short message is a new turn, not a re-created node', async () => {
+    const { recorder, contents, render } = await load([['user', 'continue'], ['assistant', 'B']]);
+
+    await recorder.flush();
+    render([['user', 'continue'], ['assistant', 'B'], ['user', 'continue'], ['assistant', 'C']]);
+    await recorder.flush();
+    recorder.stop();
+
+    assert.deepStrictEqual(await contents(), ['continue', 'B', 'continue', 'C']);
+});
+
+test('a restarted recorder recognises what it stored before', async () => {
+    const { recorder, contents, render } = await load([['user', 'A'], ['assistant', 'B']]);
+
+    await recorder.flush();
+    recorder.stop();
+    render([['user', 'A'], ['assistant', 'B'], ['user', 'C']]);
+    await recorder.start(PLATFORM);
+    await recorder.flush();
+    recorder.stop();
+
+    assert.deepStrictEqual(await contents(), ['A', 'B', 'C']);
+});
+
+test('the messages of one scan are stored in a single write', async () => {
+    const { recorder, writes } = await load([['user', 'A'], ['assistant', 'B'], ['user', 'C']]);
+
+    await recorder.flush();
+    recorder.stop();
+
+    assert.deepStrictEqual(writes, [3]);
+});
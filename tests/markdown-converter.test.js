@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/dom');
+
+function convert(html) {
+    const window = loadScripts({ scripts: ['src/utils/markdown-converter.js'] });
+    const el = window.document.createElement('div');
+    el.innerHTML = html;
+    return window.MarkdownConverter.convert(el);
+}
+
+test('code block with a language header and copy button keeps only the code', () => {
+    // ChatGPT-style: header and button rendered inside the <pre>
+    const markdown = convert(`
+        <p>Run this:</p>
+        <pre><div class="code-header"><span>python</span><button>Copy code</button></div><div class="overflow-y-auto"><code class="language-python">print("hi")
+print("bye")</code></div></pre>
+        <p>Done.</p>`);
+
+    assert.strictEqual(markdown, 'Run this:\n\n```python\nprint("hi")\nprint("bye")\n```\n\nDone.');
+});
+
+test('code block without a <code> element drops buttons and hidden nodes', () => {
+    const markdown = convert(`<pre><button>Copy</button><span aria-hidden="true">1</span>const a = 1;</pre>`);
+
+    assert.strictEqual(markdown, '```\nconst a = 1;\n```');
+});
+
+test('code block split into one <code> per line keeps every line', () => {
+    const markdown = convert(`<pre class="language-js"><code>let a = 1;</code>\n<code>let b = 2;</code></pre>`);
+
+    assert.strictEqual(markdown, '```js\nlet a = 1;\nlet b = 2;\n```');
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/dom');
+
+const endpoint = {
+    pattern: /\/backend-api\/conversation\/[\w-]+$/,
+    map: json => json.messages
+};
+
+function load() {
+    const window = loadScripts({ url: 'https://chatgpt.com/', scripts: ['src/content/scrapers/network-chat-capture.js'] });
+    window.RoleResolver = { inferAlternation: messages => messages };
+
+    const capture = window.NetworkChatCapture;
+    capture.isEnabled = true;
+    const respond = (platform, conversationId, content, capturedAt) => {
+        capture.platform = platform;
+        capture.handleResponse({
+            url: `https://chatgpt.com/backend-api/conversation/${conversationId}`,
+            status: 200,
+            body: JSON.stringify({ messages: [{ id: `${conversationId}-1`, role: 'user', content }] }),
+            capturedAt
+        });
+    };
+    return { capture, respond };
+}
+
+const A = '6710a4c2-0c4e-8001-a1b2-5f0e3c9d7a11';
+const B = '6710a9f0-2d18-8001-93c4-0b7e1f4a2c55';
+
+const chatgpt = projectId => ({
+    id: 'chatgpt',
+    name: 'ChatGPT',
+    projectUrlPattern: /chatgpt\.com\/c\/([a-zA-Z0-9-]+)/,
+    projectId,
+    networkCapture: { endpoints: [endpoint] }
+});
+
+test('uses the response for the conversation in the URL', () => {
+    const { capture, respond } = load();
+
+    respond(chatgpt(A), A, 'from A', 1);
+    respond(chatgpt(A), B, 'from B', 2);
+
+    assert.strictEqual(capture.collect(chatgpt(A))[0].content, 'from A');
+});
+
+test('returns nothing when no response names the conversation in the URL', () => {
+    const { capture, respond } = load();
+
+    // Conversation B was started in this tab and streamed, never fetched by ID
+    respond(chatgpt(A), A, 'from A', 1);
+
+    assert.strictEqual(capture.collect(chatgpt(B)).length, 0);
+    assert.strictEqual(capture.collect(chatgpt(null)).length, 0);
+});
+
+test('uses the latest response on platforms without a project in the URL', () => {
+    const { capture, respond } = load();
+    const platform = { id: 'chatgpt', name: 'ChatGPT', projectId: null, networkCapture: { endpoints: [endpoint] } };
+
+    respond(platform, A, 'from A', 1);
+    respond(platform, B, 'from B', 2);
+
+    assert.strictEqual(capture.collect(platform)[0].content, 'from B');
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts, ROOT } = require('./helpers/dom');
+
+// jsdom has no MessageChannel; these ports deliver synchronously to the other end's onmessage
+function stubChannels(window) {
+    class Port {
+        postMessage(data) {
+            if (this.other.onmessage) this.other.onmessage({ data });
+        }
+        close() {}
+    }
+    window.MessageChannel = class {
+        constructor() {
+            this.port1 = new Port();
+            this.port2 = new Port();
+            this.port1.other = this.port2;
+            this.port2.other = this.port1;
+        }
+    };
+    window.MessageEvent = class extends window.Event {
+        constructor(type, init) {
+            super(type, init);
+            this.ports = init.ports;
+        }
+    };
+}
+
+const run = (window, script) => window.eval(fs.readFileSync(path.join(ROOT, script), 'utf8'));
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+function load() {
+    const window = loadScripts({ url: 'https://chatgpt.com/' });
+    stubChannels(window);
+    window.postMessage = () => assert.fail('nothing should travel over window.postMessage');
+
+    const bodies = new Map();
+    const read = [];
+    window.fetch = async url => ({
+        url,
+        status: 200,
+        headers: { get: name => (name === 'content-type' ? 'application/json' : null) },
+        clone: () => {
+            read.push(url);
+            return { text: async () => bodies.get(url) };
+        }
+    });
+
+    run(window, 'src/content/page/page-hook.js');
+    run(window, 'src/content/page/page-channels.js');
+
+    const respond = async (url, body) => {
+        bodies.set(url, body);
+        await window.fetch(url);
+        await tick();
+    };
+    return { window, respond, read };
+}
+
+test('responses reach the consumer over the private port once patterns arrive', async () => {
+    const { window, respond } = load();
+    const port = window.__kriptikPageChannels.take('responses');
+    const received = [];
+    port.onmessage = event => received.push(event.data);
+
+    await respond('https://chatgpt.com/backend-api/conversation/c1', '{"early":true}');
+    await respond('https://chatgpt.com/backend-api/me', '{}');
+    assert.strictEqual(received.length, 0);
+
+    port.postMessage({ type: 'configure', patterns: [{ source: '/backend-api/conversation/', flags: '' }] });
+    await respond('https://chatgpt.com/backend-api/conversation/c2', '{"later":true}');
+    await respond('https://chatgpt.com/backend-api/me', '{}');
+
+    assert.deepStrictEqual(received.map(entry => [entry.type, entry.url]), [
+        ['network-response', 'https://chatgpt.com/backend-api/conversation/c1'],
+        ['network-response', 'https://chatgpt.com/backend-api/conversation/c2']
+    ]);
+});
+
+test('a later run of page-channels only connects hooks that have no port yet', () => {
+    const { window } = load();
+    const responses = window.__kriptikPageChannels.take('responses');
+
+    // The session hooks registration runs its own copy of page-channels after its hooks
+    run(window, 'src/content/page/console-hook.js');
+    run(window, 'src/content/page/page-channels.js');
+
+    assert.ok(responses);
+    assert.ok(window.__kriptikPageChannels.take('console'));
+    assert.strictEqual(window.__kriptikPageChannels.take('responses'), null);
+});
+
+test('responses outside the endpoints are never read once patterns arrive', async () => {
+    const { window, respond, read } = load();
+    const port = window.__kriptikPageChannels.take('responses');
+    port.onmessage = () => {};
+
+    port.postMessage({ type: 'configure', patterns: [{ source: '/backend-api/conversation/', flags: '' }] });
+    await respond('https://chatgpt.com/backend-api/me', '{}');
+    await respond('https://chatgpt.com/backend-api/conversation/c1', '{}');
+
+    assert.deepStrictEqual(read, ['https://chatgpt.com/backend-api/conversation/c1']);
+});
+
+test('before patterns arrive only same-origin responses are held, up to a total size', async () => {
+    const { window, respond, read } = load();
+    const port = window.__kriptikPageChannels.take('responses');
+    const received = [];
+    port.onmessage = event => received.push(event.data.url);
+
+    const large = `"${'x'.repeat(9 * 1024 * 1024)}"`;
+    await respond('https://cdn.example.com/conversation/c0', '{}');
+    await respond('https://chatgpt.com/conversation/c1', large);
+    await respond('https://chatgpt.com/conversation/c2', large);
+    await respond('https://chatgpt.com/conversation/c3', '{}');
+    port.postMessage({ type: 'configure', patterns: [{ source: '/conversation/', flags: '' }] });
+
+    assert.strictEqual(read.includes('https://cdn.example.com/conversation/c0'), false);
+    assert.deepStrictEqual(received, ['https://chatgpt.com/conversation/c1', 'https://chatgpt.com/conversation/c3']);
+});
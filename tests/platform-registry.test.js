@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/dom');
+
+const window = loadScripts({
+    scripts: ['src/content/platforms/selector-engine.js', 'src/content/platforms/platform-registry.js']
+});
+const { PlatformRegistry } = window;
+
+const matches = (pattern, url) => !!PlatformRegistry.matchPattern(pattern, new window.URL(url));
+
+test('host patterns with a port match that port only', () => {
+    assert.strictEqual(matches('localhost:3000', 'http://localhost:3000/app'), true);
+    assert.strictEqual(matches('localhost:3000', 'http://localhost:5173/app'), false);
+    assert.strictEqual(matches('localhost:3000', 'http://localhost/app'), false);
+    assert.strictEqual(matches('http://127.0.0.1:8080/projects', 'http://127.0.0.1:8080/projects/42'), true);
+    assert.strictEqual(matches('*.preview.dev:8443', 'https://app.preview.dev:8443/'), true);
+});
+
+test('host patterns without a port match any port', () => {
+    assert.strictEqual(matches('localhost', 'http://localhost:3000/'), true);
+    assert.strictEqual(matches('bolt.new', 'https://bolt.new/~/project'), true);
+});
+
+test('selector packs are not applied to custom platforms', () => {
+    const custom = {
+        id: 'acme-builder',
+        name: 'Acme Builder',
+        hostPatterns: ['acme.example'],
+        selectors: { chatContainer: '.chat' },
+        features: {},
+        custom: true
+    };
+    PlatformRegistry.register(custom);
+
+    const result = PlatformRegistry.applySelectorPacks({
+        version: '2024.1',
+        platforms: { 'acme-builder': { selectors: { chatContainer: '.pack-chat' } } }
+    });
+
+    assert.strictEqual(PlatformRegistry.bundledPlatforms.has('acme-builder'), false);
+    assert.strictEqual(result.applied.length, 0);
+    assert.strictEqual(PlatformRegistry.platforms.get('acme-builder').selectors.chatContainer, '.chat');
+});
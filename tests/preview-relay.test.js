@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts, ROOT } = require('./helpers/dom');
+const { createChrome } = require('./helpers/chrome');
+
+// The relay only runs embedded, so it is loaded into an iframe of a builder page
+async function loadRelay() {
+    const window = loadScripts({ html: '<!DOCTYPE html><iframe src="about:blank"></iframe>', url: 'https://bolt.new/' });
+    const frame = window.document.querySelector('iframe').contentWindow;
+
+    const timers = new Map();
+    let nextTimer = 1;
+    frame.setTimeout = fn => {
+        timers.set(nextTimer, fn);
+        return nextTimer++;
+    };
+    frame.clearTimeout = id => timers.delete(id);
+    frame.setInterval = () => assert.fail('the relay should not poll');
+
+    const sent = [];
+    frame.chrome = createChrome();
+    frame.chrome.runtime.sendMessage = message => {
+        sent.push(message);
+        return Promise.resolve();
+    };
+
+    const ports = { console: {}, network: {} };
+    frame.PageBridge = { openChannel: async channel => ports[channel] };
+
+    frame.eval(fs.readFileSync(path.join(ROOT, 'src/content/page/preview-relay.js'), 'utf8'));
+    await new Promise(resolve => setImmediate(resolve));
+
+    const runTimers = () => {
+        const due = Array.from(timers.values());
+        timers.clear();
+        due.forEach(fn => fn());
+    };
+    return { frame, timers, sent, ports, runTimers };
+}
+
+test('no timer runs while nothing is queued', async () => {
+    const { timers, sent } = await loadRelay();
+
+    assert.strictEqual(timers.size, 0);
+    assert.strictEqual(sent.length, 0);
+});
+
+test('entries arm one flush, which sends them and leaves no timer behind', async () => {
+    const { timers, sent, ports, runTimers } = await loadRelay();
+
+    ports.console.onmessage({ data: { level: 'error', message: 'a' } });
+    ports.console.onmessage({ data: { level: 'error', message: 'b' } });
+    ports.network.onmessage({ data: { url: 'https://api.example.com/' } });
+    assert.strictEqual(timers.size, 1);
+
+    runTimers();
+
+    assert.deepStrictEqual(sent.map(message => [message.channel, message.entries.length]), [['console', 2], ['network', 1]]);
+    assert.strictEqual(timers.size, 0);
+
+    ports.console.onmessage({ data: { level: 'warn', message: 'c' } });
+    assert.strictEqual(timers.size, 1);
+});
+
+test('pagehide flushes right away and clears the pending timer', async () => {
+    const { frame, timers, sent, ports } = await loadRelay();
+
+    ports.console.onmessage({ data: { level: 'error', message: 'a' } });
+    frame.dispatchEvent(new frame.Event('pagehide'));
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(timers.size, 0);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/dom');
+
+const SCRIPTS = [
+    'src/content/platforms/selector-engine.js',
+    'src/content/platforms/platform-registry.js',
+    'src/content/platforms/configs/bolt.config.js',
+    'src/content/platforms/configs/lovable.config.js',
+    'src/content/platforms/configs/v0.config.js',
+    'src/content/platforms/configs/create.config.js',
+    'src/content/scrapers/role-resolver.js'
+];
+
+/**
+ * Resolve the roles of every `.msg` in the markup the way ChatScraper does
+ * @param {string} platformId - Bundled config ID
+ * @param {string} html - Chat markup; messages have class "msg"
+ * @param {Object} layout - Optional { [index]: [left, width] } boxes inside a 0-1000 container
+ * @returns {Array<Object>} { role, roleConfidence, roleSource } per message
+ */
+function resolveRoles(platformId, html, layout = {}) {
+    const window = loadScripts({ html: `<!DOCTYPE html><body><main>${html}</main></body>`, scripts: SCRIPTS });
+    const platform = window.PlatformRegistry.platforms.get(platformId);
+    const elements = Array.from(window.document.querySelectorAll('.msg'));
+
+    // jsdom does no layout; give the messages the boxes a browser would
+    elements.forEach((el, i) => {
+        const [left, width] = layout[i] || [0, 1000];
+        el.getBoundingClientRect = () => ({ left, right: left + width, width });
+        el.parentElement.getBoundingClientRect = () => ({ left: 0, right: 1000, width: 1000 });
+    });
+
+    const messages = elements.map(el => {
+        const { role, confidence, source } = window.RoleResolver.resolve(el, platform);
+        return { role, roleConfidence: confidence, roleSource: source };
+    });
+    return window.RoleResolver.inferAlternation(messages, platform);
+}
+
+const roles = messages => messages.map(msg => msg.role);
+const confident = messages => messages.every(msg => msg.roleConfidence >= 0.6);
+
+test('bolt: role-named message components, avatar and artifact', () => {
+    const messages = resolveRoles('bolt', `
+        <div class="msg _MessageContainer_a1"><div class="_UserMessage_x9f2k_1">Build a todo app</div></div>
+        <div class="msg _MessageContainer_a1"><div class="_AssistantMessage_x9f2k_7"><p>Sure.</p></div></div>
+        <div class="msg"><div class="rounded-full"><div class="i-ph:user-fill"></div></div><div>Add auth</div></div>
+        <div class="msg"><div class="artifact"><ul><li>Create src/auth.ts</li></ul></div></div>`);
+
+    assert.deepStrictEqual(roles(messages), ['user', 'assistant', 'user', 'assistant']);
+    assert.ok(confident(messages));
+    assert.deepStrictEqual(messages.map(msg => msg.roleSource), ['avatar', 'avatar', 'avatar', 'avatar']);
+});
+
+test('lovable: right-aligned prompts, answers with action cards and restore button', () => {
+    const messages = resolveRoles('lovable', `
+        <div class="msg"><p>Make the header sticky</p></div>
+        <div class="msg"><details><summary>Thought for 4 seconds</summary></details><p>Done.</p></div>
+        <div class="msg"><p>Now dark mode</p></div>
+        <div class="msg"><p>Added a theme toggle.</p><button>Restore</button></div>`,
+        { 0: [600, 400], 2: [650, 350] });
+
+    assert.deepStrictEqual(roles(messages), ['user', 'assistant', 'user', 'assistant']);
+    assert.ok(confident(messages));
+    assert.deepStrictEqual(messages.map(msg => msg.roleSource), ['alignment:right', 'avatar', 'alignment:right', 'avatar']);
+});
+
+test('v0: right-aligned prompts, answers with logo or version card', () => {
+    const messages = resolveRoles('v0', `
+        <div class="msg"><p>A pricing page</p></div>
+        <div class="msg"><svg aria-label="v0 logo"></svg><div class="VersionCard">Version 1</div></div>
+        <div class="msg"><p>Make it three tiers</p></div>
+        <div class="msg"><div class="version-card">Version 2</div></div>`,
+        { 0: [700, 300], 2: [600, 400] });
+
+    assert.deepStrictEqual(roles(messages), ['user', 'assistant', 'user', 'assistant']);
+    assert.ok(confident(messages));
+});
+
+test('create: profile picture and logo avatars', () => {
+    const messages = resolveRoles('create', `
+        <div class="msg"><img alt="Your profile picture"><p>A habit tracker</p></div>
+        <div class="msg"><img alt="Create"><p>Here it is.</p></div>`);
+
+    assert.deepStrictEqual(roles(messages), ['user', 'assistant']);
+    assert.ok(confident(messages));
+});
+
+test('messages no strategy recognises fall back to alternation and are flagged', () => {
+    const messages = resolveRoles('v0', `
+        <div class="msg"><p>A pricing page</p></div>
+        <div class="msg"><svg aria-label="v0"></svg><p>Here it is.</p></div>
+        <div class="msg"><p>Thanks</p></div>`);
+
+    assert.deepStrictEqual(roles(messages), ['user', 'assistant', 'user']);
+    assert.strictEqual(messages[0].roleSource, 'alternation:neighbor');
+    assert.ok(messages[0].roleConfidence < 0.6);
+});
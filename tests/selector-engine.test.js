@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/dom');
+
+function load(html) {
+    const window = loadScripts({
+        html: `<!DOCTYPE html><body>${html}</body>`,
+        scripts: ['src/content/platforms/selector-engine.js']
+    });
+    return { window, engine: window.SelectorEngine, document: window.document };
+}
+
+const ids = elements => Array.from(elements, el => el.id);
+
+test('fallbacks split on top-level commas only', () => {
+    const { engine } = load('');
+
+    assert.deepStrictEqual(Array.from(engine.split('.a:contains("x, y"), [data-k="1,2"], :is(.b, .c)')), [
+        '.a:contains("x, y")', '[data-k="1,2"]', ':is(.b, .c)'
+    ]);
+});
+
+test('text filters narrow a CSS match', () => {
+    const { engine } = load(`
+        <button id="stop">Stop  generating</button>
+        <button id="retry">Retry</button>
+        <button id="retry-2" class="active">Retry now</button>
+    `);
+
+    assert.deepStrictEqual(ids(engine.queryAll('button:contains("Retry")')), ['retry', 'retry-2']);
+    assert.deepStrictEqual(ids(engine.queryAll('button:has-text("stop GENERATING")')), ['stop']);
+    assert.deepStrictEqual(ids(engine.queryAll('button:text-matches(/^retry$/i)')), ['retry']);
+    assert.deepStrictEqual(ids(engine.queryAll('button:contains("Retry").active')), ['retry-2']);
+});
+
+test('steps after a text filter run inside its matches', () => {
+    const { engine } = load(`
+        <section><h2>Files</h2><ul><li id="f1">a.js</li></ul></section>
+        <section><h2>Chat</h2><ul><li id="m1">hello</li></ul></section>
+    `);
+
+    assert.deepStrictEqual(ids(engine.queryAll('section:contains("Chat") li')), ['m1']);
+});
+
+test('xpath fallbacks are evaluated relative to the root', () => {
+    const { engine, document } = load('<div id="outer"><p id="p1">one</p></div><p id="p2">two</p>');
+
+    assert.deepStrictEqual(ids(engine.queryAll('xpath://p')), ['p1', 'p2']);
+    assert.deepStrictEqual(ids(engine.queryAll('xpath:.//p', document.getElementById('outer'))), ['p1']);
+});
+
+test('>>> pierces open shadow roots', () => {
+    const { engine, document } = load('<app-chat id="host"></app-chat><div class="message" id="light"></div>');
+    const shadow = document.getElementById('host').attachShadow({ mode: 'open' });
+    shadow.innerHTML = '<div class="message" id="shadowed"></div>';
+
+    assert.deepStrictEqual(ids(engine.queryAll('app-chat >>> .message')), ['shadowed']);
+    assert.deepStrictEqual(ids(engine.queryAll('.message')), ['light']);
+    assert.deepStrictEqual(ids(engine.queryAll('>>> .message')).sort(), ['light', 'shadowed']);
+});
+
+test('invalid fallbacks are skipped and results stay in document order', () => {
+    const { engine } = load('<div id="first" class="b"></div><div id="second" class="a"></div>');
+
+    assert.deepStrictEqual(ids(engine.queryAll('.a, ::not-a-selector, .b')), ['first', 'second']);
+    assert.strictEqual(engine.query('.missing'), null);
+    assert.strictEqual(engine.validate('.a'), null);
+    assert.ok(engine.validate('.a, ::not-a-selector'));
+});
+
+test('matches checks an element against any fallback, text filters included', () => {
+    const { engine, document } = load('<div id="user" data-role="user">Hi there</div>');
+    const el = document.getElementById('user');
+
+    assert.strictEqual(engine.matches(el, '[data-role="assistant"], [data-role="user"]'), true);
+    assert.strictEqual(engine.matches(el, 'div:has-text("hi there")'), true);
+    assert.strictEqual(engine.matches(el, 'div:contains("Bye")'), false);
+    assert.strictEqual(engine.matches(el, 'xpath://div[@data-role="user"]'), true);
+});
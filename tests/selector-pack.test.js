@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const { loadScripts } = require('./helpers/dom');
+const { createChrome } = require('./helpers/chrome');
+
+require('../src/utils/selector-pack.js');
+const { SelectorPack } = globalThis;
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const signedPack = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'selector-pack.json'), 'utf8'));
+const publicKey = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'selector-pack-test-key.public.json'), 'utf8'));
+const trustedKeys = SelectorPack.parseKeys(JSON.stringify(publicKey)).keys;
+
+/**
+ * Stand-in for the KripTik API's selector pack endpoint
+ * @param {Object} pack - Pack to serve
+ * @returns {Promise<Object>} { url, requests, close }
+ */
+async function startPackServer(pack) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push(req.url);
+        if (!req.url.startsWith('/api/extension/selector-packs')) {
+            res.writeHead(404).end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(pack));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+async function refreshFrom(pack, sync) {
+    const server = await startPackServer(pack);
+    globalThis.chrome = createChrome({ sync: { apiEndpoint: server.url, ...sync } });
+    try {
+        const result = await SelectorPack.refresh({ force: true });
+        return { result, chrome: globalThis.chrome, requests: server.requests };
+    } finally {
+        await server.close();
+        delete globalThis.chrome;
+    }
+}
+
+const PLATFORM_SCRIPTS = [
+    'src/utils/platform-catalog.js',
+    'src/content/platforms/selector-engine.js',
+    'src/content/platforms/platform-registry.js',
+    'src/content/platforms/configs/bolt.config.js'
+];
+
+test('a validly signed pack is cached and applied over the bundled config', async () => {
+    const { result, chrome } = await refreshFrom(signedPack, { selectorPackKeys: trustedKeys });
+
+    assert.deepStrictEqual(result, { success: true, updated: true, version: '2026.10.19.1' });
+    assert.strictEqual(chrome.storage.local.data.selectorPacks.keyId, 'kriptik-test');
+
+    const window = loadScripts({ url: 'https://bolt.new/~/demo', scripts: PLATFORM_SCRIPTS, chrome });
+    const applied = await window.PlatformRegistry.loadSelectorPacks();
+    const bolt = window.PlatformRegistry.platforms.get('bolt');
+
+    assert.deepStrictEqual(Array.from(applied.applied), ['bolt']);
+    assert.strictEqual(bolt.selectors.chatMessage, '[data-testid="chat-message"]');
+    assert.strictEqual(bolt.features.terminal, false);
+    assert.strictEqual(bolt.selectorPack.version, '2026.10.19.1');
+    // Selectors the pack does not mention stay bundled
+    assert.strictEqual(bolt.selectors.chatContainer, window.PlatformRegistry.bundledPlatforms.get('bolt').selectors.chatContainer);
+});
+
+test('a tampered pack is rejected and nothing is cached', async () => {
+    const tampered = structuredClone(signedPack);
+    tampered.platforms.bolt.selectors.chatMessage = '.attacker-controlled';
+
+    const { result, chrome } = await refreshFrom(tampered, { selectorPackKeys: trustedKeys });
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.error, 'Selector pack signature verification failed');
+    assert.strictEqual(chrome.storage.local.data.selectorPacks, undefined);
+});
+
+test('a pack signed with an untrusted key is rejected', async () => {
+    const { result } = await refreshFrom({ ...signedPack, keyId: 'someone-else' }, { selectorPackKeys: trustedKeys });
+
+    assert.strictEqual(result.success, false);
+});
+
+test('without a trusted key no pack is requested', async () => {
+    const { result, requests } = await refreshFrom(signedPack, {});
+
+    assert.deepStrictEqual(result, { success: false, error: 'No selector pack signing key configured' });
+    assert.strictEqual(requests.length, 0);
+});
+
+test('parseKeys rejects private keys and keys without an id', () => {
+    const privateKey = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'selector-pack-test-key.private.json'), 'utf8'));
+
+    assert.strictEqual(SelectorPack.parseKeys(JSON.stringify(privateKey)).errors.length, 1);
+    assert.strictEqual(SelectorPack.parseKeys(JSON.stringify({ ...publicKey, kid: undefined })).errors.length, 1);
+    assert.deepStrictEqual(Object.keys(SelectorPack.parseKeys(JSON.stringify([publicKey])).keys), ['kriptik-test']);
+});
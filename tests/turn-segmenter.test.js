@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/dom');
+
+const { TurnSegmenter } = loadScripts({ scripts: ['src/utils/turn-segmenter.js'] });
+
+const at = minute => `2024-05-01T10:${String(minute).padStart(2, '0')}:00.000Z`;
+
+test('each user prompt starts a turn holding the responses after it', () => {
+    const result = TurnSegmenter.segment([
+        { id: 'a0', role: 'assistant', content: 'Welcome! What shall we build?' },
+        { id: 'u1', role: 'user', content: 'A todo app' },
+        { id: 'a1', role: 'assistant', content: 'Done' },
+        { id: 'a2', role: 'assistant', content: 'Also added tests' },
+        { id: 'u2', role: 'user', content: 'Add dark mode' }
+    ]);
+
+    assert.strictEqual(result.count, 3);
+    assert.deepStrictEqual(Array.from(result.turns, turn => [turn.prompt?.id ?? null, Array.from(turn.messageIds)]), [
+        [null, ['a0']],
+        ['u1', ['u1', 'a1', 'a2']],
+        ['u2', ['u2']]
+    ]);
+});
+
+test('actions, failed actions and touched files are collected per turn', () => {
+    const { turns } = TurnSegmenter.segment([
+        { id: 'u1', role: 'user', content: 'A todo app' },
+        {
+            id: 'a1',
+            role: 'assistant',
+            content: 'Done',
+            actions: [
+                { type: 'file-create', target: 'src/App.tsx', status: 'success' },
+                { type: 'file-edit', target: 'src/App.tsx', status: 'success' },
+                { type: 'shell', target: 'npm run build', status: 'failed' },
+                { type: 'file-edit', target: 'src/main.tsx', status: 'success' }
+            ],
+            codeBlocks: [{ content: 'export default App;' }]
+        }
+    ]);
+
+    assert.deepStrictEqual(Array.from(turns[0].filesTouched), ['src/App.tsx', 'src/main.tsx']);
+    assert.strictEqual(turns[0].failedActions, 1);
+    assert.strictEqual(turns[0].actions[0].messageId, 'a1');
+    assert.deepStrictEqual({ ...turns[0].codeBlocks[0] }, { messageId: 'a1', language: 'text', content: 'export default App;' });
+});
+
+test('errors go to the turn that was running when they were reported', () => {
+    const result = TurnSegmenter.segment([
+        { id: 'u1', role: 'user', content: 'A todo app', timestamp: at(0) },
+        { id: 'a1', role: 'assistant', content: 'Done', timestamp: at(2) },
+        { id: 'u2', role: 'user', content: 'Add dark mode', recordedAt: at(10) },
+        { id: 'a2', role: 'assistant', content: 'Done', timestamp: '2:34 PM' }
+    ], [
+        { message: 'before anything', timestamp: Date.parse(at(0)) - 1000 },
+        { message: 'build failed', timestamp: at(5) },
+        { message: 'hydration mismatch', timestamp: Date.parse(at(12)) },
+        { message: 'no time' }
+    ]);
+
+    assert.deepStrictEqual(Array.from(result.turns, turn => Array.from(turn.errors, error => error.message)), [
+        ['build failed'],
+        ['hydration mismatch']
+    ]);
+    assert.deepStrictEqual(Array.from(result.unplacedErrors, error => error.message), ['before anything', 'no time']);
+});
+
+test('turn timing comes from parseable timestamps only', () => {
+    const { turns } = TurnSegmenter.segment([
+        { id: 'u1', role: 'user', content: 'A todo app', timestamp: at(0) },
+        { id: 'a1', role: 'assistant', content: 'Done', timestamp: at(3) },
+        { id: 'u2', role: 'user', content: 'Add dark mode', timestamp: 'yesterday' }
+    ]);
+
+    assert.strictEqual(turns[0].startedAt, at(0));
+    assert.strictEqual(turns[0].endedAt, at(3));
+    assert.strictEqual(turns[0].durationMs, 3 * 60 * 1000);
+    assert.strictEqual(turns[1].startedAt, null);
+    assert.strictEqual(turns[1].durationMs, null);
+});